@@ -98,6 +98,41 @@ function splitList(value) {
     .filter(Boolean);
 }
 
+function compareVersions(a, b) {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Parse a .CHANGELOG block into entries, newest version first. Each entry
+ * starts with "1.2 - text" (optionally "1.2 (2026-05-01) - text"); indented
+ * "- detail" lines below it belong to the same entry. Authors do not always
+ * keep lines in order, so entries are sorted by version.
+ */
+function parseChangelog(text) {
+  const entries = [];
+  for (const raw of text.split("\n")) {
+    const line = raw.trim();
+    if (!line) continue;
+    const m = line.match(/^v?(\d+(?:\.\d+)*)\s*(?:\((\d{4}-\d{2}-\d{2})\))?\s*[-:]\s*(.*)$/);
+    if (m) {
+      entries.push({
+        version: m[1],
+        ...(m[2] ? { date: m[2] } : {}),
+        changes: m[3] ? [m[3]] : [],
+      });
+    } else if (entries.length) {
+      entries[entries.length - 1].changes.push(line.replace(/^[-*]\s*/, ""));
+    }
+  }
+  return entries.sort((a, b) => compareVersions(b.version, a.version));
+}
+
 /**
  * Best-effort parse of the param() block: returns parameter name, type,
  * mandatory flag and default value. Uses depth-aware scanning so nested
@@ -153,7 +188,10 @@ function parseParams(content) {
     const name = nameMatch[1];
     // Type is the last [type] attribute immediately before the $var.
     const beforeVar = raw.slice(0, raw.indexOf("$" + name));
-    const typeMatches = [...beforeVar.matchAll(/\[([^\]]+)\]/g)].map((m) => m[1].trim());
+    // An array type keeps its brackets: [string[]] -> "string[]".
+    const typeMatches = [...beforeVar.matchAll(/\[([^[\]]+(?:\[\])?)\]/g)].map((m) =>
+      m[1].trim()
+    );
     // Filter out attribute decorations (Parameter, ValidateSet, etc.).
     const typeCandidates = typeMatches.filter(
       (t) => !/^(Parameter|CmdletBinding|Validate|Alias|AllowNull|AllowEmpty|SupportsWildcards)/i.test(t)
@@ -162,17 +200,84 @@ function parseParams(content) {
     const mandatory = /Mandatory\s*=\s*\$true/i.test(raw);
     let defaultValue = nameMatch[3] ? nameMatch[3].trim() : undefined;
     if (defaultValue) defaultValue = defaultValue.replace(/\s+/g, " ");
+    const validateSet = beforeVar.match(/\[ValidateSet\(([^)]*)\)\]/i);
+    const validValues = validateSet
+      ? [...validateSet[1].matchAll(/"([^"]*)"|'([^']*)'/g)].map((m) => m[1] ?? m[2])
+      : [];
     params.push({
       name,
       type,
       mandatory,
       ...(defaultValue !== undefined ? { default: defaultValue } : {}),
       switch: /^switch$/i.test(type),
+      ...(validValues.length ? { validValues } : {}),
     });
   }
   return params;
 }
 
+// Cmdlets every script uses for output, auth, paging, and plumbing. They carry
+// no signal about what a script does, so they are left out of `cmdlets`.
+const BOILERPLATE_CMDLET =
+  /^(Write|Out|Format)-|-(Object|Variable|Module|Json|Hashtable|Path|Host|Item|Member|Progress)$|^(Start-Sleep|Get-Date|Get-Content|Set-Content|Export-Csv|Get-ChildItem|Import-AzAutomationModule|Get-MgContext|Invoke-MgGraphRequest|Get-MgGraphAllPage|Get-MgGraphPaginatedData)$|^(Connect|Disconnect)-MgGraph/;
+const CMDLET_VERBS =
+  "Get|Set|New|Remove|Invoke|Start|Stop|Test|Import|Export|Add|Update|Restart|Enable|Disable|Clear|Install|Uninstall|Register|Unregister|Resolve|Send|Convert|ConvertTo|ConvertFrom|Measure|Wait|Compare|Find|Save|Rename|Reset|Repair|Backup|Restore|Publish|Sync|Mount|Copy|Move";
+
+const SDK_VERB_METHODS = {
+  Get: "GET",
+  New: "POST",
+  Set: "PATCH",
+  Update: "PATCH",
+  Remove: "DELETE",
+};
+
+/**
+ * Source-derived features: the Microsoft Graph resources a script calls
+ * (version-prefixed path templates, variables collapsed to {id}), the HTTP
+ * methods it uses on them, and the non-boilerplate cmdlets/functions it
+ * invokes. The help block alone often misses these; endpoints and cmdlets are
+ * what makes two scripts genuinely related, and methods tell whether a
+ * declared ReadWrite scope is ever exercised.
+ */
+function extractFeatures(content) {
+  const endpoints = new Set();
+  for (const m of content.matchAll(
+    /graph\.microsoft\.com\/(v1\.0|beta)(\/[^"'\s?`(]*)/g,
+  )) {
+    const segments = m[2]
+      .split("/")
+      .filter(Boolean)
+      .map((seg) => (/[$({]/.test(seg) ? "{id}" : seg));
+    if (segments.length) endpoints.add(`/${m[1]}/${segments.join("/")}`);
+  }
+
+  const cmdlets = new Set();
+  for (const m of content.matchAll(
+    new RegExp(`\\b(?:${CMDLET_VERBS})-[A-Z][A-Za-z0-9]+`, "g"),
+  )) {
+    if (!BOILERPLATE_CMDLET.test(m[0])) cmdlets.add(m[0]);
+  }
+
+  // HTTP methods the script sends to Graph. Invoke-MgGraphRequest defaults to
+  // GET, so any endpoint implies it; SDK cmdlets map by verb.
+  const methods = new Set(endpoints.size ? ["GET"] : []);
+  for (const m of content.matchAll(
+    /-Method\s+["']?(GET|POST|PATCH|PUT|DELETE)\b/gi,
+  )) {
+    methods.add(m[1].toUpperCase());
+  }
+  for (const m of content.matchAll(/\b(Get|New|Set|Update|Remove)-Mg[A-Z]/g)) {
+    methods.add(SDK_VERB_METHODS[m[1]]);
+  }
+
+  const sorted = (set) => [...set].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return {
+    graphEndpoints: sorted(endpoints),
+    graphMethods: sorted(methods),
+    cmdlets: sorted(cmdlets),
+  };
+}
+
 async function buildEntry(filePath, azureTemplates) {
   const content = await readFile(filePath, "utf8");
   const relPath = relative(repoRoot, filePath).split(sep).join("/");
@@ -222,6 +327,7 @@ async function buildEntry(filePath, azureTemplates) {
     author: meta.author ?? "",
     version: meta.version ?? "",
     lastUpdate: meta.lastupdate ?? "",
+    changelog: parseChangelog(meta.changelog ?? ""),
     schedule: meta.schedule ?? "",
     execution: meta.execution ?? "",
     runbook: {
@@ -241,6 +347,7 @@ async function buildEntry(filePath, azureTemplates) {
     remediationType: meta.remediationtype ?? "",
     pairScript: meta.pairscript ?? "",
     parameters: parseParams(content),
+    ...extractFeatures(content),
     examples: meta.examples,
     notes: meta.notes ?? "",
     path: relPath,
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Creates an API key for the MCP endpoint. Prints the key, which is shown only
+// once and goes to the client, and the MCP_API_KEYS entry holding its SHA-256
+// hash, which goes to the server environment.
+//
+// Run: npm run mcp:api-key -- <name> [perMinute] [perDay]
+import { createHash, randomBytes } from "node:crypto";
+
+const [name, perMinute, perDay] = process.argv.slice(2);
+if (!name || !/^[a-z0-9][a-z0-9-]{0,31}$/i.test(name)) {
+  console.error("Usage: npm run mcp:api-key -- <name> [perMinute] [perDay]");
+  process.exit(1);
+}
+
+const key = `iamcp_${randomBytes(24).toString("base64url")}`;
+const hash = createHash("sha256").update(key).digest("hex");
+// An empty perMinute keeps the server default.
+const entry = [name, hash, perMinute ?? "", perDay ?? ""]
+  .join(":")
+  .replace(/:+$/, "");
+
+console.log(`Key (give to the client, not stored anywhere):\n  ${key}\n`);
+console.log(`Append to MCP_API_KEYS (comma-separated):\n  ${entry}`);
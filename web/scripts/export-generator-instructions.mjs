@@ -1,5 +1,6 @@
 #!/usr/bin/env node
-// Exports the Script Generator SYSTEM_PROMPT to mcp/data/generator-instructions.md
+// Exports the Script Generator SYSTEM_PROMPT (as GENERATOR_INSTRUCTIONS) to
+// mcp/data/generator-instructions.md
 // so the intuneautomation-mcp server can serve the exact same authoring
 // conventions used by intuneautomation.com/generator. Single source of truth:
 // web/src/server/generator/system-prompt.ts.
@@ -13,26 +14,11 @@ import { dirname } from "node:path";
 // Register the "~/" -> web/src resolver before importing the TS module.
 register("./alias-hooks.mjs", import.meta.url);
 
-const { SYSTEM_PROMPT } = await import("../src/server/generator/system-prompt.ts");
-const { GRAPH_DATA_GENERATED_AT } = await import("../src/lib/generator-graph-data.ts");
-
-const header = `<!--
-  Auto-generated by web/scripts/export-generator-instructions.mjs.
-  DO NOT EDIT BY HAND. Source of truth: web/src/server/generator/system-prompt.ts
-  Graph reference data generated: ${GRAPH_DATA_GENERATED_AT}
--->
-
-# IntuneAutomation script authoring guide
-
-These are the exact conventions the intuneautomation.com generator uses to write
-production PowerShell scripts for Microsoft Intune / Microsoft Graph. Follow them
-when generating a new script so the result matches the IntuneAutomation library.
-
-`;
+const { GENERATOR_INSTRUCTIONS } = await import("../src/server/generator/instructions.ts");
 
 const outPath = fileURLToPath(new URL("../../mcp/data/generator-instructions.md", import.meta.url));
 
 await mkdir(dirname(outPath), { recursive: true });
-await writeFile(outPath, header + SYSTEM_PROMPT + "\n", "utf8");
+await writeFile(outPath, GENERATOR_INSTRUCTIONS, "utf8");
 
-console.log(`Wrote mcp/data/generator-instructions.md (${(header + SYSTEM_PROMPT).length} chars)`);
+console.log(`Wrote mcp/data/generator-instructions.md (${GENERATOR_INSTRUCTIONS.length} chars)`);
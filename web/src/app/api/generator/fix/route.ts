@@ -2,7 +2,10 @@ import { type NextRequest } from "next/server";
 import { createAnthropic } from "@ai-sdk/anthropic";
 import { streamText } from "ai";
 import { env } from "~/env";
-import { SYSTEM_PROMPT } from "~/server/generator/system-prompt";
+import {
+  SYSTEM_PROMPT,
+  scriptConventions,
+} from "~/server/generator/system-prompt";
 import { scrubPrompt } from "~/server/generator/scrub";
 import { checkForPromptAbuse } from "~/lib/generator-abuse";
 import {
@@ -40,6 +43,7 @@ type FixBody = {
   findings?: unknown;
   turnstileToken?: unknown;
   isAutoFix?: unknown;
+  mode?: unknown;
 };
 
 type ClientFinding = {
@@ -61,9 +65,16 @@ export async function POST(req: NextRequest) {
     findings,
     turnstileToken,
     isAutoFix: isAutoFixRaw,
+    mode,
   } = (body ?? {}) as FixBody;
   const isAutoFix = isAutoFixRaw === true;
 
+  // Remediation pairs are two files; fix rewrites one script.
+  if (mode !== undefined && mode !== "script" && mode !== "macos") {
+    return errorResponse(400, "bad-request", "Unknown generation mode.");
+  }
+  const { fence, field, modePrompt } = scriptConventions(mode === "macos");
+
   if (
     typeof originalPrompt !== "string" ||
     originalPrompt.trim().length === 0
@@ -248,7 +259,7 @@ ${cleanedOriginalPrompt}
 
 You previously produced this script:
 
-\`\`\`powershell
+\`\`\`${fence}
 ${safeCurrentScript}
 \`\`\`
 
@@ -256,7 +267,7 @@ An automated quality check found these issues:
 
 ${issuesList}
 
-Produce a corrected version of the script that addresses ONLY these specific issues. Keep all other content and structure identical. Apply all the same hard rules from your system prompt. Output ONLY the corrected script in a single \`\`\`powershell fenced code block. Today's date for .LASTUPDATE is ${today}.`;
+Produce a corrected version of the script that addresses ONLY these specific issues. Keep all other content and structure identical. Apply all the same hard rules from your system prompt. Output ONLY the corrected script in a single \`\`\`${fence} fenced code block. Today's date for ${field("LASTUPDATE")} is ${today}.`;
 
   const result = streamText({
     model: anthropic(MODEL_ID),
@@ -271,6 +282,7 @@ Produce a corrected version of the script that addresses ONLY these specific iss
           anthropic: { cacheControl: { type: "ephemeral" } },
         },
       },
+      ...(modePrompt ? [{ role: "system" as const, content: modePrompt }] : []),
       {
         role: "user",
         content: fixInstruction,
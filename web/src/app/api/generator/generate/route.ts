@@ -1,8 +1,12 @@
 import { type NextRequest } from "next/server";
 import { createAnthropic } from "@ai-sdk/anthropic";
-import { streamText } from "ai";
+import { stepCountIs, streamText } from "ai";
 import { env } from "~/env";
-import { SYSTEM_PROMPT } from "~/server/generator/system-prompt";
+import {
+  MACOS_SHELL_PROMPT,
+  REMEDIATION_PAIR_PROMPT,
+  SYSTEM_PROMPT,
+} from "~/server/generator/system-prompt";
 import { scrubPrompt, type Redaction } from "~/server/generator/scrub";
 import {
   checkPerIp,
@@ -18,6 +22,18 @@ import { verifyTurnstile } from "~/server/generator/turnstile";
 import { checkForPromptAbuse } from "~/lib/generator-abuse";
 import { checkOnTopic } from "~/server/generator/topic-filter";
 import { classifyOnTopicWithLLM } from "~/server/generator/topic-classifier";
+import {
+  groundInCatalog,
+  renderReferences,
+  type CatalogGrounding,
+  type CatalogScriptRef,
+} from "~/server/generator/catalog-grounding";
+import { intuneScriptRepository } from "~/server/mcp/repository";
+import {
+  GRAPH_TOOL_GUIDE,
+  GRAPH_TOOLS,
+  MAX_TOOL_STEPS,
+} from "~/server/generator/graph-tools";
 import {
   errorResponse,
   getClientIp,
@@ -28,11 +44,28 @@ export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
 
 const MAX_PROMPT_LENGTH = 4000;
+// "remediation" writes a detection + remediation pair, "macos" a shell script.
+// Each non-default mode adds its prompt as a second system message.
+const MODE_PROMPTS = {
+  script: null,
+  remediation: REMEDIATION_PAIR_PROMPT,
+  macos: MACOS_SHELL_PROMPT,
+} as const;
+type GenerationMode = keyof typeof MODE_PROMPTS;
 const MAX_OUTPUT_TOKENS = 6000;
+// Remediation pair mode writes two scripts in one response.
+const MAX_PAIR_OUTPUT_TOKENS = 10000;
 // Pessimistic reservation: assume worst-case input + output tokens for the
 // daily-cap accounting. Reconciled with actuals when the stream finishes.
 const RESERVED_TOKENS_PER_REQUEST = 8000;
+const RESERVED_TOKENS_PER_PAIR_REQUEST =
+  RESERVED_TOKENS_PER_REQUEST + (MAX_PAIR_OUTPUT_TOKENS - MAX_OUTPUT_TOKENS);
+// Each Graph tool round trip re-sends the conversation, so it is reserved like
+// another request before it runs (see prepareStep below).
+const RESERVED_TOKENS_PER_TOOL_STEP = 8000;
 const MODEL_ID = "claude-haiku-4-5";
+// Catalog lookup is best-effort: past this, generate without it.
+const GROUNDING_TIMEOUT_MS = 3_000;
 
 export async function POST(req: NextRequest) {
   let body: unknown;
@@ -42,11 +75,14 @@ export async function POST(req: NextRequest) {
     return errorResponse(400, "bad-request", "Invalid JSON body.");
   }
 
-  const { prompt, turnstileToken, acceptedTerms } = (body ?? {}) as {
-    prompt?: unknown;
-    turnstileToken?: unknown;
-    acceptedTerms?: unknown;
-  };
+  const { prompt, turnstileToken, acceptedTerms, skipCatalogMatch, mode } =
+    (body ?? {}) as {
+      prompt?: unknown;
+      turnstileToken?: unknown;
+      acceptedTerms?: unknown;
+      skipCatalogMatch?: unknown;
+      mode?: unknown;
+    };
 
   if (acceptedTerms !== true) {
     return errorResponse(
@@ -56,6 +92,14 @@ export async function POST(req: NextRequest) {
     );
   }
 
+  if (mode !== undefined && !Object.hasOwn(MODE_PROMPTS, mode as string)) {
+    return errorResponse(400, "bad-request", "Unknown generation mode.");
+  }
+  const generationMode = (mode ?? "script") as GenerationMode;
+  const pairMode = generationMode === "remediation";
+  // Graph lookups help PowerShell scripts; macOS shell scripts don't call Graph.
+  const graphTools = generationMode !== "macos";
+
   if (typeof prompt !== "string" || prompt.trim().length === 0) {
     return errorResponse(400, "empty-prompt", "Prompt cannot be empty.");
   }
@@ -99,13 +143,6 @@ export async function POST(req: NextRequest) {
   const ipHash = hashIp(ip);
   await markSessionActive(ipHash);
 
-  // Bump the lifetime "scripts generated so far" counter that the form
-  // shows as social proof. Only /generate counts — fix/refine are part of
-  // the same logical generation.
-  void incrementTotalCount().catch(() => {
-    // Counter telemetry is best-effort; never fail a generation on it.
-  });
-
   // 2. Cheap pre-flight topic filter. Done BEFORE rate-limit + reservation so
   // an off-topic prompt doesn't consume the user's daily quota. The Turnstile
   // gate above prevents bots from hammering this cheap path indefinitely.
@@ -134,7 +171,23 @@ export async function POST(req: NextRequest) {
     }
   }
 
-  // 3. Per-IP rate limit
+  // 3. Catalog grounding. Done BEFORE rate-limit + reservation so pointing
+  // the user at an existing verified script doesn't cost a generation. The
+  // UI offers "generate anyway", which resubmits with skipCatalogMatch.
+  const grounding = await groundWithin(cleaned);
+  if (grounding?.existing && skipCatalogMatch !== true) {
+    return Response.json({ catalogMatch: grounding.existing });
+  }
+  const references = grounding?.references ?? [];
+
+  // Bump the lifetime "scripts generated so far" counter that the form
+  // shows as social proof. Only /generate counts — fix/refine are part of
+  // the same logical generation — and a catalog match generates nothing.
+  void incrementTotalCount().catch(() => {
+    // Counter telemetry is best-effort; never fail a generation on it.
+  });
+
+  // 4. Per-IP rate limit
   const ipCheck = await checkPerIp(ipHash);
   if (!ipCheck.allowed) {
     void incrementSecurityEvent("rate-limited").catch(() => {});
@@ -156,8 +209,14 @@ export async function POST(req: NextRequest) {
     "x-ratelimit-reset": String(ipCheck.reset),
   };
 
-  // 4. Reserve daily-cap budget pessimistically (closes the TOCTOU window).
-  const reservation = await reserveTokens(RESERVED_TOKENS_PER_REQUEST);
+  // 5. Reserve daily-cap budget pessimistically (closes the TOCTOU window).
+  // Reference scripts add input tokens; ~3 characters per token for code.
+  const referenceBlock = renderReferences(references);
+  let reservedTokens =
+    (pairMode
+      ? RESERVED_TOKENS_PER_PAIR_REQUEST
+      : RESERVED_TOKENS_PER_REQUEST) + Math.ceil(referenceBlock.length / 3);
+  const reservation = await reserveTokens(reservedTokens);
   if (!reservation.allowed) {
     void incrementSecurityEvent("daily-cap-reached").catch(() => {});
     return errorResponse(
@@ -167,24 +226,29 @@ export async function POST(req: NextRequest) {
     );
   }
 
-  // 5. If no Anthropic key configured, return a mock so dev/preview works without billing.
+  // 6. If no Anthropic key configured, return a mock so dev/preview works without billing.
   if (!env.ANTHROPIC_API_KEY) {
     // Refund the reservation since we're not actually calling Anthropic.
-    await releaseReservation(RESERVED_TOKENS_PER_REQUEST);
-    return mockStreamResponse(cleaned, redactions, rateLimitHeaders);
+    await releaseReservation(reservedTokens);
+    return mockStreamResponse(cleaned, redactions, generationMode, {
+      ...rateLimitHeaders,
+      "x-generator-references": encodeReferences(references),
+    });
   }
 
-  // 6. Stream from Anthropic with prompt caching on the system prompt.
+  // 7. Stream from Anthropic with prompt caching on the system prompt.
   const today = new Date().toISOString().slice(0, 10);
   const anthropic = createAnthropic({ apiKey: env.ANTHROPIC_API_KEY });
 
   let reconciled = false;
   let lastUsage: { input: number; output: number } = { input: 0, output: 0 };
+  // Usage of the steps (model calls) that have already finished.
+  let finishedTokens = 0;
   const reconcile = async (actual: number) => {
     if (reconciled) return;
     reconciled = true;
     try {
-      await commitReservation(RESERVED_TOKENS_PER_REQUEST, actual);
+      await commitReservation(reservedTokens, actual);
     } catch {
       // Telemetry shouldn't break streaming.
     }
@@ -192,11 +256,27 @@ export async function POST(req: NextRequest) {
 
   const result = streamText({
     model: anthropic(MODEL_ID),
-    maxOutputTokens: MAX_OUTPUT_TOKENS,
+    maxOutputTokens: pairMode ? MAX_PAIR_OUTPUT_TOKENS : MAX_OUTPUT_TOKENS,
     temperature: 0.2,
     // Propagate client disconnects + hard stream timeout so cancels/stalls
     // release the reservation promptly.
     abortSignal: streamAbortSignal(req),
+    // Graph lookups while writing. Tools sit ahead of the system prompt in
+    // Anthropic's cache prefix, and they are static, so caching still holds.
+    ...(graphTools
+      ? { tools: GRAPH_TOOLS, stopWhen: stepCountIs(MAX_TOOL_STEPS + 1) }
+      : {}),
+    prepareStep: async ({ stepNumber }) => {
+      if (stepNumber === 0) return {};
+      // Extend the daily-cap reservation for this round trip. When the cap
+      // can't cover it, or the tool budget is spent, the model must stop
+      // looking things up and write the script with what it has.
+      const extra = await reserveTokens(RESERVED_TOKENS_PER_TOOL_STEP);
+      if (extra.allowed) reservedTokens += RESERVED_TOKENS_PER_TOOL_STEP;
+      return !extra.allowed || stepNumber >= MAX_TOOL_STEPS
+        ? { toolChoice: "none" }
+        : {};
+    },
     messages: [
       {
         role: "system",
@@ -205,9 +285,21 @@ export async function POST(req: NextRequest) {
           anthropic: { cacheControl: { type: "ephemeral" } },
         },
       },
+      ...(graphTools
+        ? [{ role: "system" as const, content: GRAPH_TOOL_GUIDE }]
+        : []),
+      ...(MODE_PROMPTS[generationMode]
+        ? [{ role: "system" as const, content: MODE_PROMPTS[generationMode] }]
+        : []),
       {
         role: "user",
-        content: `Today's date (use in .LASTUPDATE): ${today}\n\nUser request:\n${cleaned}`,
+        content: [
+          `Today's date (use in .LASTUPDATE): ${today}`,
+          referenceBlock,
+          `User request:\n${cleaned}`,
+        ]
+          .filter(Boolean)
+          .join("\n\n"),
       },
     ],
     onChunk: ({ chunk }) => {
@@ -222,8 +314,13 @@ export async function POST(req: NextRequest) {
           lastUsage.output = maybeUsage.output;
       }
     },
-    onFinish: async ({ usage }) => {
-      const total = (usage?.inputTokens ?? 0) + (usage?.outputTokens ?? 0);
+    onStepFinish: ({ usage }) => {
+      finishedTokens += (usage?.inputTokens ?? 0) + (usage?.outputTokens ?? 0);
+      lastUsage = { input: 0, output: 0 };
+    },
+    onFinish: async ({ totalUsage }) => {
+      const total =
+        (totalUsage?.inputTokens ?? 0) + (totalUsage?.outputTokens ?? 0);
       await reconcile(total);
     },
     onAbort: async () => {
@@ -231,15 +328,18 @@ export async function POST(req: NextRequest) {
       // tokens we know about — input is billed even on abort. Output tokens
       // are best-effort partial; treating known input as the floor avoids
       // material under-refund without going negative.
-      await reconcile(lastUsage.input + lastUsage.output);
+      await reconcile(finishedTokens + lastUsage.input + lastUsage.output);
     },
     onError: async () => {
-      await reconcile(0);
+      await reconcile(finishedTokens);
     },
   });
 
-  const response = result.toTextStreamResponse();
+  // UI message stream (SSE) rather than plain text, so the inspector can show
+  // the Graph tool calls next to the script as it streams.
+  const response = result.toUIMessageStreamResponse();
   response.headers.set("x-generator-redactions", encodeRedactions(redactions));
+  response.headers.set("x-generator-references", encodeReferences(references));
   for (const [k, v] of Object.entries(rateLimitHeaders)) {
     response.headers.set(k, v);
   }
@@ -250,13 +350,67 @@ function encodeRedactions(redactions: Redaction[]): string {
   return Buffer.from(JSON.stringify(redactions), "utf-8").toString("base64");
 }
 
+// The UI lists the scripts the output was modeled on; sources stay server-side.
+function encodeReferences(references: CatalogScriptRef[]): string {
+  const refs = references.map(({ id, title, url }) => ({ id, title, url }));
+  return Buffer.from(JSON.stringify(refs), "utf-8").toString("base64");
+}
+
+async function groundWithin(prompt: string): Promise<CatalogGrounding | null> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<null>((resolve) => {
+    timer = setTimeout(() => resolve(null), GROUNDING_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([
+      groundInCatalog(intuneScriptRepository, prompt),
+      timeout,
+    ]);
+  } catch {
+    // Grounding never blocks generation.
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 function mockStreamResponse(
   prompt: string,
   redactions: Redaction[],
+  generationMode: GenerationMode,
   extraHeaders?: Record<string, string>,
 ) {
   const today = new Date().toISOString().slice(0, 10);
-  const mock = `\`\`\`powershell
+  const mock =
+    generationMode === "remediation"
+      ? mockPair(prompt, today)
+      : generationMode === "macos"
+        ? mockShell(prompt, today)
+        : mockScript(prompt, today);
+
+  const stream = new ReadableStream<Uint8Array>({
+    async start(controller) {
+      const enc = new TextEncoder();
+      for (const chunk of mock.match(/.{1,40}/gs) ?? [mock]) {
+        controller.enqueue(enc.encode(chunk));
+        await new Promise((r) => setTimeout(r, 30));
+      }
+      controller.close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "x-generator-redactions": encodeRedactions(redactions),
+      "x-generator-mock": "1",
+      ...(extraHeaders ?? {}),
+    },
+  });
+}
+
+function mockScript(prompt: string, today: string): string {
+  return `\`\`\`powershell
 <#
 .TITLE
     Mock Generator Output (Anthropic key not configured)
@@ -306,24 +460,98 @@ param()
 Write-Warning "Mock response — set ANTHROPIC_API_KEY to enable the script generator."
 \`\`\`
 `;
+}
 
-  const stream = new ReadableStream<Uint8Array>({
-    async start(controller) {
-      const enc = new TextEncoder();
-      for (const chunk of mock.match(/.{1,40}/gs) ?? [mock]) {
-        controller.enqueue(enc.encode(chunk));
-        await new Promise((r) => setTimeout(r, 30));
-      }
-      controller.close();
-    },
-  });
+function mockShell(prompt: string, today: string): string {
+  return `\`\`\`bash
+#!/bin/bash
+
+# TITLE: Mock Generator Output (Anthropic key not configured)
+# SYNOPSIS: Returned when ANTHROPIC_API_KEY is not set so the UI can be tested locally
+# DESCRIPTION: This is a placeholder response. Configure ANTHROPIC_API_KEY to get real
+#              AI-generated scripts. Your prompt was: "${prompt.slice(0, 120).replace(/\n/g, " ")}..."
+# TAGS: Operational
+# PLATFORM: macOS
+# MIN_OS_VERSION: 10.15
+# AUTHOR: AI Generated (IntuneAutomation.com)
+# VERSION: 1.0
+# LASTUPDATE: ${today}
+# CHANGELOG:
+#   1.0 - Initial release
+#
+# EXAMPLE:
+#   ./mock.sh
+#   Prints a notice.
+#
+# NOTES:
+#   - This is a mock. Set ANTHROPIC_API_KEY to enable real generation.
+
+echo "Mock response — set ANTHROPIC_API_KEY to enable the script generator."
+exit 0
+\`\`\`
+`;
+}
 
-  return new Response(stream, {
-    headers: {
-      "content-type": "text/plain; charset=utf-8",
-      "x-generator-redactions": encodeRedactions(redactions),
-      "x-generator-mock": "1",
-      ...(extraHeaders ?? {}),
-    },
-  });
+function mockPair(prompt: string, today: string): string {
+  const script = (type: "Detection" | "Remediation", pair: string) => `<#
+.TITLE
+    Mock ${type} Script (Anthropic key not configured)
+
+.SYNOPSIS
+    Returned when ANTHROPIC_API_KEY is not set so the UI can be tested locally.
+
+.DESCRIPTION
+    This is a placeholder response. Configure ANTHROPIC_API_KEY to get real
+    AI-generated scripts. Your prompt was: "${prompt.slice(0, 120)}..."
+
+.TAGS
+    Remediation,${type === "Detection" ? "Detection" : "Action"}
+
+.REMEDIATIONTYPE
+    ${type}
+
+.PAIRSCRIPT
+    ${pair}
+
+.PLATFORM
+    Windows
+
+.PERMISSIONS
+    None
+
+.AUTHOR
+    AI Generated (IntuneAutomation.com)
+
+.VERSION
+    1.0
+
+.CHANGELOG
+    1.0 - Initial release
+
+.LASTUPDATE
+    ${today}
+
+.EXAMPLE
+    .\\${type === "Detection" ? "detect" : "remediate"}-mock.ps1
+    Prints a notice.
+
+.NOTES
+    - This is a mock. Set ANTHROPIC_API_KEY to enable real generation.
+#>
+
+try {
+    Write-Output "Mock response — set ANTHROPIC_API_KEY to enable the script generator."
+    exit 0
+}
+catch {
+    exit 1
+}`;
+  return `\`\`\`powershell
+${script("Detection", "remediate-mock.ps1")}
+\`\`\`
+
+\`\`\`powershell
+${script("Remediation", "detect-mock.ps1")}
+\`\`\`
+`;
 }
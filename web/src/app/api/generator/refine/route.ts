@@ -2,7 +2,10 @@ import { type NextRequest } from "next/server";
 import { createAnthropic } from "@ai-sdk/anthropic";
 import { streamText } from "ai";
 import { env } from "~/env";
-import { SYSTEM_PROMPT } from "~/server/generator/system-prompt";
+import {
+  SYSTEM_PROMPT,
+  scriptConventions,
+} from "~/server/generator/system-prompt";
 import { scrubPrompt } from "~/server/generator/scrub";
 import {
   checkPerIp,
@@ -42,13 +45,20 @@ export async function POST(req: NextRequest) {
     return errorResponse(400, "bad-request", "Invalid JSON body.");
   }
 
-  const { originalPrompt, currentScript, refinement, turnstileToken } = (body ??
-    {}) as {
-    originalPrompt?: unknown;
-    currentScript?: unknown;
-    refinement?: unknown;
-    turnstileToken?: unknown;
-  };
+  const { originalPrompt, currentScript, refinement, turnstileToken, mode } =
+    (body ?? {}) as {
+      originalPrompt?: unknown;
+      currentScript?: unknown;
+      refinement?: unknown;
+      turnstileToken?: unknown;
+      mode?: unknown;
+    };
+
+  // Remediation pairs are two files; refine rewrites one script.
+  if (mode !== undefined && mode !== "script" && mode !== "macos") {
+    return errorResponse(400, "bad-request", "Unknown generation mode.");
+  }
+  const { fence, field, modePrompt } = scriptConventions(mode === "macos");
 
   if (typeof originalPrompt !== "string" || originalPrompt.length === 0) {
     return errorResponse(400, "bad-request", "Original prompt missing.");
@@ -229,7 +239,7 @@ ${cleanedOriginalPrompt}
 
 The current script is:
 
-\`\`\`powershell
+\`\`\`${fence}
 ${safeCurrentScript}
 \`\`\`
 
@@ -237,7 +247,7 @@ The user wants this modification applied to the script:
 
 ${cleanedRefinement}
 
-Produce an updated version of the script that incorporates this modification. Keep all unaffected parts identical, including the metadata block structure. Apply all the same hard rules from your system prompt. Update .CHANGELOG with a brief note about the change, increment .VERSION minor (e.g. 1.0 -> 1.1), and use ${today} for .LASTUPDATE. Output ONLY the updated script in a single \`\`\`powershell fenced code block.`;
+Produce an updated version of the script that incorporates this modification. Keep all unaffected parts identical, including the metadata block structure. Apply all the same hard rules from your system prompt. Update ${field("CHANGELOG")} with a brief note about the change, increment ${field("VERSION")} minor (e.g. 1.0 -> 1.1), and use ${today} for ${field("LASTUPDATE")}. Output ONLY the updated script in a single \`\`\`${fence} fenced code block.`;
 
   const result = streamText({
     model: anthropic(MODEL_ID),
@@ -252,6 +262,7 @@ Produce an updated version of the script that incorporates this modification. Ke
           anthropic: { cacheControl: { type: "ephemeral" } },
         },
       },
+      ...(modePrompt ? [{ role: "system" as const, content: modePrompt }] : []),
       {
         role: "user",
         content: refineInstruction,
@@ -4,13 +4,15 @@ import { createIntuneMcpHandler } from "~/server/mcp/intuneServer";
 import { intuneScriptRepository } from "~/server/mcp/repository";
 import { createGuardedMcpHandler } from "~/server/mcp/requestGuards";
 import { isMcpProtocolRequest } from "~/server/mcp/requestRouting";
+import { mcpRateLimitStore, mcpTelemetry } from "~/server/mcp/runtime";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
 export const maxDuration = 30;
 
 const handler = createGuardedMcpHandler(
-  createIntuneMcpHandler(intuneScriptRepository),
+  createIntuneMcpHandler(intuneScriptRepository, { telemetry: mcpTelemetry }),
+  { store: mcpRateLimitStore },
 );
 
 // Browsers land here only when they bypass the middleware rewrite by hitting
@@ -0,0 +1,59 @@
+import { timingSafeEqual } from "node:crypto";
+import { NextResponse } from "next/server";
+
+import { env } from "~/env";
+import { bearerToken, hashApiKey } from "~/server/mcp/apiKeys";
+import { mcpUsageReport } from "~/server/mcp/runtime";
+import { MAX_REPORT_DAYS } from "~/server/mcp/usageReport";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+const noStore = { "Cache-Control": "no-store" };
+
+// GET /api/mcp/usage?days=7  (Authorization: Bearer $MCP_REPORT_TOKEN)
+// Tool usage and zero-result searches for the last `days` UTC days. Search
+// text is user input, so the report exists only when a token is configured.
+export async function GET(request: Request) {
+  if (!env.MCP_REPORT_TOKEN) {
+    return NextResponse.json(
+      { error: "Not found." },
+      { status: 404, headers: noStore },
+    );
+  }
+  const token = bearerToken(request.headers.get("authorization"));
+  if (
+    !token ||
+    !timingSafeEqual(
+      Buffer.from(hashApiKey(token), "hex"),
+      Buffer.from(hashApiKey(env.MCP_REPORT_TOKEN), "hex"),
+    )
+  ) {
+    return NextResponse.json(
+      { error: "A valid report token is required." },
+      {
+        status: 401,
+        headers: { ...noStore, "WWW-Authenticate": "Bearer" },
+      },
+    );
+  }
+
+  const requested = Number(new URL(request.url).searchParams.get("days") ?? 7);
+  const days = Number.isInteger(requested)
+    ? Math.min(Math.max(requested, 1), MAX_REPORT_DAYS)
+    : 7;
+  try {
+    return NextResponse.json(await mcpUsageReport.report(days, Date.now()), {
+      headers: noStore,
+    });
+  } catch (error) {
+    console.error(
+      "IntuneAutomation MCP usage report failed:",
+      error instanceof Error ? error.name : "UnknownError",
+    );
+    return NextResponse.json(
+      { error: "The usage report is unavailable." },
+      { status: 500, headers: noStore },
+    );
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from "next/server";
+
+import { findScript } from "~/server/mcp/core";
+import { intuneScriptRepository } from "~/server/mcp/repository";
+import { findSimilarToScript } from "~/server/mcp/similarity";
+import type { ScriptMeta } from "~/server/mcp/types";
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 10;
+
+// The site lists a remediation pair as one script keyed by its folder name
+// (scripts/remediation/<folder>/), while the catalog indexes each half by
+// filename. Map between the two so ids round-trip with /api/scripts.
+const siteId = (script: ScriptMeta) =>
+  script.category === "remediation"
+    ? (script.path.split("/").at(-2) ?? script.id)
+    : script.id;
+
+export async function GET(
+  request: Request,
+  context: { params: Promise<{ id: string }> },
+) {
+  try {
+    const { id } = await context.params;
+    const requested = Number(new URL(request.url).searchParams.get("limit"));
+    const limit =
+      Number.isInteger(requested) && requested > 0
+        ? Math.min(requested, MAX_LIMIT)
+        : DEFAULT_LIMIT;
+
+    const { index } = await intuneScriptRepository.getIndex();
+    const script =
+      findScript(index, id) ??
+      index.scripts.find(
+        (s) => s.remediationType === "Detection" && siteId(s) === id,
+      );
+    if (!script) {
+      return NextResponse.json({ error: "Script not found" }, { status: 404 });
+    }
+
+    // Over-fetch so collapsing a pair into one site entry still fills `limit`.
+    const related = [];
+    const seen = new Set([siteId(script)]);
+    for (const hit of findSimilarToScript(index, script, limit * 2)) {
+      const relatedId = siteId(hit.script);
+      if (seen.has(relatedId)) continue;
+      seen.add(relatedId);
+      related.push({
+        id: relatedId,
+        title: hit.script.title,
+        score: hit.score,
+        sharedTerms: hit.sharedTerms,
+      });
+      if (related.length === limit) break;
+    }
+
+    return NextResponse.json(related, {
+      headers: {
+        "Cache-Control": "public, s-maxage=600, stale-while-revalidate=600",
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching related scripts:", error);
+    return NextResponse.json([], { status: 500 });
+  }
+}
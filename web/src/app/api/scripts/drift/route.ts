@@ -0,0 +1,111 @@
+import { NextResponse } from "next/server";
+
+import {
+  compareMetadata,
+  identifyScript,
+  parseLocalScript,
+  unifiedDiff,
+} from "~/server/mcp/drift";
+import { MAX_SCRIPT_CONTENT_LENGTH } from "~/server/mcp/intuneServer";
+import { intuneScriptRepository } from "~/server/mcp/repository";
+import { clientKey, hitRateLimit } from "~/server/mcp/requestGuards";
+import { mcpRateLimitStore } from "~/server/mcp/runtime";
+
+// Each check diffs a whole script, so the page gets a small per-client
+// window of its own, shared across instances like the MCP endpoint's.
+const CHECKS_PER_MINUTE = 10;
+
+// POST /api/scripts/drift  { content: string, id?: string }
+// Compares a pasted copy with the catalog script it came from. When the
+// catalog source is unreachable the metadata comparison still comes back,
+// with diff: null.
+export async function POST(request: Request) {
+  try {
+    const window = await hitRateLimit(
+      `drift:${clientKey(request)}`,
+      mcpRateLimitStore,
+    );
+    if (window.count > CHECKS_PER_MINUTE) {
+      return NextResponse.json(
+        { error: "Too many drift checks. Please retry in a minute." },
+        {
+          status: 429,
+          headers: {
+            "Retry-After": String(
+              Math.max(1, Math.ceil((window.resetAt - Date.now()) / 1_000)),
+            ),
+          },
+        },
+      );
+    }
+
+    const body = (await request.json().catch(() => null)) as {
+      content?: unknown;
+      id?: unknown;
+    } | null;
+    const content = body?.content;
+    const id = typeof body?.id === "string" ? body.id.trim() : "";
+    if (typeof content !== "string" || !content.trim()) {
+      return NextResponse.json(
+        { error: "Paste the script content to check." },
+        { status: 400 },
+      );
+    }
+    if (content.length > MAX_SCRIPT_CONTENT_LENGTH) {
+      return NextResponse.json(
+        {
+          error: `Scripts are limited to ${MAX_SCRIPT_CONTENT_LENGTH} characters.`,
+        },
+        { status: 413 },
+      );
+    }
+
+    const { index, source } = await intuneScriptRepository.getIndex();
+    const local = parseLocalScript(content);
+    const match = identifyScript(index, content, local, id || undefined);
+    if (!match) {
+      return NextResponse.json(
+        {
+          error: id
+            ? "Script not found"
+            : "Could not identify the script from its .TITLE. Pick it from the catalog.",
+        },
+        { status: 404 },
+      );
+    }
+    const { script, matchedBy } = match;
+
+    let diff: string | null = null;
+    try {
+      diff = unifiedDiff(
+        await intuneScriptRepository.getScriptSource(script),
+        content,
+        `a/${script.path}`,
+        "b/local copy",
+      );
+    } catch (error) {
+      console.error("Error fetching catalog source for drift check:", error);
+    }
+
+    return NextResponse.json(
+      {
+        id: script.id,
+        title: script.title,
+        githubUrl: script.githubUrl,
+        catalogSource: source,
+        matchedBy,
+        ...compareMetadata(local, script),
+        sourceAvailable: diff !== null,
+        identical: diff === null ? null : diff === "",
+        diff,
+      },
+      { headers: { "Cache-Control": "no-store" } },
+    );
+  } catch (error) {
+    console.error("Error checking script drift:", error);
+    return NextResponse.json(
+      { error: "Failed to check script drift" },
+      { status: 500 },
+    );
+  }
+}
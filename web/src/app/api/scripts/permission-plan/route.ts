@@ -0,0 +1,94 @@
+import { NextResponse } from "next/server";
+
+import { findScript } from "~/server/mcp/core";
+import {
+  buildPermissionPlan,
+  renderGrantCommand,
+  renderGrantScript,
+} from "~/server/mcp/permissions";
+import { intuneScriptRepository } from "~/server/mcp/repository";
+import type { ScriptMeta } from "~/server/mcp/types";
+
+const MAX_IDS = 25;
+const IDENTITY_NAME = /^[\w .-]{1,128}$/;
+
+// GET /api/scripts/permission-plan?ids=a,b[&identity=MyAutomation]
+// Site remediation ids are folder names; they expand to both halves of the pair.
+export async function GET(request: Request) {
+  try {
+    const params = new URL(request.url).searchParams;
+    const ids = [
+      ...new Set(
+        (params.get("ids") ?? "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean),
+      ),
+    ];
+    if (ids.length === 0 || ids.length > MAX_IDS) {
+      return NextResponse.json(
+        { error: `Pass between 1 and ${MAX_IDS} comma-separated ids.` },
+        { status: 400 },
+      );
+    }
+    const identity = params.get("identity")?.trim();
+    if (identity && !IDENTITY_NAME.test(identity)) {
+      return NextResponse.json(
+        { error: "Invalid identity name." },
+        { status: 400 },
+      );
+    }
+
+    const { index } = await intuneScriptRepository.getIndex();
+    const scripts: ScriptMeta[] = [];
+    const unknown: string[] = [];
+    for (const id of ids) {
+      const script = findScript(index, id);
+      const matched = script
+        ? [script]
+        : index.scripts.filter(
+            (s) =>
+              s.category === "remediation" && s.path.split("/").at(-2) === id,
+          );
+      if (matched.length === 0) unknown.push(id);
+      for (const s of matched) if (!scripts.includes(s)) scripts.push(s);
+    }
+    if (unknown.length > 0) {
+      return NextResponse.json(
+        { error: "Script not found", unknown },
+        { status: 404 },
+      );
+    }
+
+    const plan = buildPermissionPlan(
+      scripts,
+      await intuneScriptRepository.getPermissionDescriptions(),
+    );
+    const name = identity ?? "<automation-account-name>";
+    const hasGrant = plan.grant.length > 0;
+
+    return NextResponse.json(
+      {
+        scripts: scripts.map((s) => s.id),
+        permissions: plan.permissions,
+        grant: plan.grant,
+        minRole: plan.minRole,
+        roles: plan.roles,
+        warnings: plan.warnings,
+        grantCommand: hasGrant ? renderGrantCommand(plan.grant, name) : null,
+        grantScript: hasGrant ? renderGrantScript(plan, name) : null,
+      },
+      {
+        headers: {
+          "Cache-Control": "public, s-maxage=600, stale-while-revalidate=600",
+        },
+      },
+    );
+  } catch (error) {
+    console.error("Error building permission plan:", error);
+    return NextResponse.json(
+      { error: "Failed to build permission plan" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,253 @@
+"use client";
+
+import { useState } from "react";
+import { AlertTriangle, CheckCircle2, Loader2 } from "lucide-react";
+import { Button } from "~/components/ui/button";
+import { Input } from "~/components/ui/input";
+import { cn } from "~/lib/utils";
+
+// Mirrors the JSON returned by /api/scripts/drift.
+type DriftResult = {
+  id: string;
+  title: string;
+  githubUrl: string;
+  catalogSource: string;
+  matchedBy: "id" | "title" | "filename";
+  version: {
+    local: string | null;
+    catalog: string;
+    status: "behind" | "current" | "ahead" | "unknown";
+  };
+  permissions: { onlyInCatalog: string[]; onlyInLocal: string[] };
+  parameters: {
+    onlyInCatalog: string[];
+    onlyInLocal: string[];
+    changed: Array<{
+      name: string;
+      local: { type: string; mandatory: boolean };
+      catalog: { type: string; mandatory: boolean };
+    }>;
+  };
+  sourceAvailable: boolean;
+  identical: boolean | null;
+  diff: string | null;
+};
+
+// MAX_SCRIPT_CONTENT_LENGTH on the server.
+const MAX_CONTENT = 48_000;
+
+const VERSION_LABELS: Record<DriftResult["version"]["status"], string> = {
+  behind: "Behind the library",
+  current: "Same version",
+  ahead: "Newer than the library",
+  unknown: "Version unknown",
+};
+
+function diffLineClass(line: string) {
+  if (line.startsWith("@@")) return "text-accent";
+  if (line.startsWith("+++") || line.startsWith("---")) {
+    return "text-muted-foreground";
+  }
+  if (line.startsWith("+")) return "bg-emerald-500/10 text-emerald-400";
+  if (line.startsWith("-")) return "bg-red-500/10 text-red-400";
+  return "text-foreground/80";
+}
+
+function NameList({ label, values }: { label: string; values: string[] }) {
+  if (values.length === 0) return null;
+  return (
+    <p className="text-sm">
+      <span className="text-muted-foreground">{label}: </span>
+      {values.map((value, i) => (
+        <span key={value}>
+          {i > 0 ? ", " : ""}
+          <code className="font-mono text-xs">{value}</code>
+        </span>
+      ))}
+    </p>
+  );
+}
+
+export default function DriftCheckClient() {
+  const [content, setContent] = useState("");
+  const [id, setId] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<DriftResult | null>(null);
+
+  async function check() {
+    setLoading(true);
+    setError(null);
+    setResult(null);
+    try {
+      const res = await fetch("/api/scripts/drift/", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content, id: id.trim() || undefined }),
+      });
+      const data = (await res.json()) as DriftResult & { error?: string };
+      if (!res.ok) {
+        setError(data.error ?? "Drift check failed.");
+        return;
+      }
+      setResult(data);
+    } catch {
+      setError("Drift check failed. Try again in a moment.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const metadataDrift =
+    result &&
+    [
+      result.permissions.onlyInCatalog,
+      result.permissions.onlyInLocal,
+      result.parameters.onlyInCatalog,
+      result.parameters.onlyInLocal,
+      result.parameters.changed,
+    ].some((list) => list.length > 0);
+
+  return (
+    <div className="space-y-6">
+      <form
+        className="border-border/70 bg-card/60 space-y-4 rounded-xl border p-5"
+        onSubmit={(e) => {
+          e.preventDefault();
+          void check();
+        }}
+      >
+        <label htmlFor="drift-content" className="text-sm font-medium">
+          Your copy of the script
+        </label>
+        <textarea
+          id="drift-content"
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          placeholder="<# .TITLE ... #> paste the whole .ps1 file here"
+          rows={12}
+          maxLength={MAX_CONTENT}
+          spellCheck={false}
+          className="border-border/60 bg-background/60 text-foreground placeholder:text-muted-foreground/55 focus-visible:border-accent/60 focus-visible:ring-accent/25 w-full resize-y rounded-md border px-4 py-3 font-mono text-xs leading-relaxed shadow-xs transition-colors focus-visible:ring-[3px] focus-visible:outline-none"
+        />
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center">
+          <Input
+            value={id}
+            onChange={(e) => setId(e.target.value)}
+            placeholder="Script id (optional), e.g. get-stale-devices"
+            aria-label="Script id"
+            className="sm:max-w-sm"
+          />
+          <Button type="submit" disabled={loading || !content.trim()}>
+            {loading ? (
+              <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />
+            ) : null}
+            Check drift
+          </Button>
+        </div>
+        {error ? (
+          <p className="text-sm text-red-400" role="alert">
+            {error}
+          </p>
+        ) : null}
+      </form>
+
+      {result ? (
+        <section
+          aria-label="Drift result"
+          className="border-border/70 bg-card/60 space-y-5 rounded-xl border p-5"
+        >
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <a
+                href={result.githubUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="font-semibold underline-offset-4 hover:underline"
+              >
+                {result.title}
+              </a>
+              <p className="text-muted-foreground font-mono text-[11px]">
+                {result.id} · matched by {result.matchedBy} · catalog{" "}
+                {result.catalogSource}
+              </p>
+            </div>
+            <span
+              className={cn(
+                "rounded-full px-3 py-1 font-mono text-xs",
+                result.version.status === "behind"
+                  ? "bg-amber-500/10 text-amber-400"
+                  : "bg-accent/10 text-accent",
+              )}
+            >
+              {VERSION_LABELS[result.version.status]}:{" "}
+              {result.version.local ?? "?"} → {result.version.catalog}
+            </span>
+          </div>
+
+          <div className="space-y-1.5">
+            {metadataDrift ? (
+              <>
+                <NameList
+                  label="Permissions added in the library"
+                  values={result.permissions.onlyInCatalog}
+                />
+                <NameList
+                  label="Permissions only in your copy"
+                  values={result.permissions.onlyInLocal}
+                />
+                <NameList
+                  label="Parameters added in the library"
+                  values={result.parameters.onlyInCatalog}
+                />
+                <NameList
+                  label="Parameters only in your copy"
+                  values={result.parameters.onlyInLocal}
+                />
+                <NameList
+                  label="Parameters with a different type or requirement"
+                  values={result.parameters.changed.map((p) => p.name)}
+                />
+              </>
+            ) : (
+              <p className="text-muted-foreground flex items-center gap-2 text-sm">
+                <CheckCircle2
+                  className="text-accent h-4 w-4"
+                  aria-hidden="true"
+                />
+                Permissions and parameters match the library.
+              </p>
+            )}
+          </div>
+
+          {!result.sourceAvailable ? (
+            <p className="flex items-center gap-2 text-sm text-amber-400">
+              <AlertTriangle className="h-4 w-4" aria-hidden="true" />
+              The library source could not be fetched, so only metadata was
+              compared.
+            </p>
+          ) : result.identical ? (
+            <p className="text-muted-foreground flex items-center gap-2 text-sm">
+              <CheckCircle2
+                className="text-accent h-4 w-4"
+                aria-hidden="true"
+              />
+              Your copy is identical to the library version.
+            </p>
+          ) : (
+            <pre className="border-border/70 bg-background/60 max-h-[32rem] overflow-auto rounded-lg border p-3 font-mono text-xs leading-relaxed">
+              {(result.diff ?? "")
+                .trimEnd()
+                .split("\n")
+                .map((line, i) => (
+                  <div key={i} className={cn("px-1", diffLineClass(line))}>
+                    {line || " "}
+                  </div>
+                ))}
+            </pre>
+          )}
+        </section>
+      ) : null}
+    </div>
+  );
+}
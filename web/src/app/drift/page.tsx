@@ -0,0 +1,52 @@
+import type { Metadata } from "next";
+import { GitCompare } from "lucide-react";
+import Navbar from "~/components/navbar";
+import Footer from "~/components/footer";
+import { ScriptsProvider } from "~/components/scripts-provider";
+import DriftCheckClient from "./page-client";
+
+const PAGE_TITLE = "Script Drift Check";
+const PAGE_DESCRIPTION =
+  "Paste your copy of an IntuneAutomation script to see how far it has drifted from the library: version, Graph permissions, parameters, and a line-by-line diff.";
+
+export const metadata: Metadata = {
+  title: PAGE_TITLE,
+  description: PAGE_DESCRIPTION,
+  alternates: { canonical: "/drift/" },
+  openGraph: {
+    title: PAGE_TITLE,
+    description: PAGE_DESCRIPTION,
+    url: "https://intuneautomation.com/drift/",
+    siteName: "IntuneAutomation",
+    type: "website",
+  },
+};
+
+export default function DriftPage() {
+  return (
+    <ScriptsProvider>
+      <div className="bg-background text-foreground min-h-screen">
+        <Navbar />
+        <div className="container mx-auto max-w-5xl px-4 py-10 sm:py-16">
+          <div className="mb-8 max-w-3xl">
+            <p className="text-accent flex items-center gap-2 font-mono text-xs tracking-wider uppercase">
+              <GitCompare className="h-3.5 w-3.5" strokeWidth={2} />
+              Drift check
+            </p>
+            <h1 className="mt-4 text-3xl font-semibold tracking-tight sm:text-5xl">
+              How far has your copy drifted?
+            </h1>
+            <p className="text-muted-foreground mt-4 text-base leading-relaxed sm:text-lg">
+              Paste a script you took from the library and compare it with the
+              current version: its .VERSION, the Graph permissions and
+              parameters it declares, and a unified diff of the source. The
+              script is identified from its .TITLE. Nothing you paste is stored.
+            </p>
+          </div>
+          <DriftCheckClient />
+        </div>
+        <Footer />
+      </div>
+    </ScriptsProvider>
+  );
+}
@@ -0,0 +1,331 @@
+"use client";
+
+import { useState } from "react";
+import { GitCompare, RotateCcw, Trash2, X } from "lucide-react";
+import { cn } from "~/lib/utils";
+import { Button } from "~/components/ui/button";
+import {
+  diffLines,
+  type GeneratorMode,
+  type GeneratorSession,
+  type GeneratorVersion,
+  type VersionSource,
+} from "~/lib/generator-sessions";
+
+type Props = {
+  // The session the output panel shows, if any.
+  session: GeneratorSession | null;
+  // Every saved session, most recent first.
+  sessions: GeneratorSession[];
+  // The script inside a version's output (fences stripped).
+  codeOf: (output: string) => string;
+  onRestore: (version: GeneratorVersion) => void;
+  onOpenSession: (id: string) => void;
+  onDeleteSession: (id: string) => void;
+  onClearAll: () => void;
+};
+
+const sourceLabel: Record<
+  Exclude<VersionSource, "refine" | "restore">,
+  string
+> = {
+  generate: "Generated",
+  "auto-fix": "Polished automatically",
+  fix: "Fixed with AI",
+};
+
+const modeLabel: Record<GeneratorMode, string> = {
+  script: "PowerShell",
+  remediation: "Remediation pair",
+  macos: "macOS shell",
+};
+
+function versionLabel(version: GeneratorVersion): string {
+  if (version.source === "refine") {
+    return version.refinement ? `Refined: ${version.refinement}` : "Refined";
+  }
+  if (version.source === "restore") {
+    return `Restored v${version.restoredFrom ?? "?"}`;
+  }
+  return sourceLabel[version.source];
+}
+
+const timeFormat = new Intl.DateTimeFormat(undefined, {
+  month: "short",
+  day: "numeric",
+  hour: "numeric",
+  minute: "2-digit",
+});
+
+export function History({
+  session,
+  sessions,
+  codeOf,
+  onRestore,
+  onOpenSession,
+  onDeleteSession,
+  onClearAll,
+}: Props) {
+  // Version compared against the current one.
+  const [diffFrom, setDiffFrom] = useState<number | null>(null);
+
+  const current = session?.versions.at(-1) ?? null;
+  const compared =
+    session?.versions.find(
+      (v) => v.number === diffFrom && v.number !== current?.number,
+    ) ?? null;
+  const others = sessions.filter((s) => s.id !== session?.id);
+
+  return (
+    <div className="border-border/70 bg-card/60 mt-3 rounded-xl border p-4 backdrop-blur-sm">
+      <div className="mb-2.5 flex items-center gap-2">
+        <span className="text-muted-foreground flex items-center gap-2 font-mono text-[10.5px] tracking-[0.18em] uppercase">
+          <span
+            className="bg-accent h-1.5 w-1.5 rounded-full"
+            aria-hidden="true"
+          />
+          History
+        </span>
+        <span className="text-muted-foreground/80 ml-auto text-[11.5px]">
+          Saved in this browser only
+        </span>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={onClearAll}
+          className="h-7 cursor-pointer gap-1 px-2 text-[11.5px]"
+        >
+          <Trash2 className="h-3 w-3" aria-hidden="true" />
+          Clear
+        </Button>
+      </div>
+
+      {session && current && (
+        <ol className="divide-border/40 border-border/60 bg-background/50 divide-y rounded-md border">
+          {[...session.versions].reverse().map((version) => {
+            const isCurrent = version.number === current.number;
+            return (
+              <li
+                key={version.number}
+                className="flex items-center gap-2.5 px-3 py-2 text-[12.5px]"
+              >
+                <span className="text-muted-foreground w-7 flex-shrink-0 font-mono text-[11px]">
+                  v{version.number}
+                </span>
+                <span
+                  className="text-foreground min-w-0 flex-1 truncate"
+                  title={versionLabel(version)}
+                >
+                  {versionLabel(version)}
+                </span>
+                <LintSummary version={version} />
+                <span className="text-muted-foreground hidden flex-shrink-0 text-[11px] tabular-nums sm:inline">
+                  {timeFormat.format(version.createdAt)}
+                </span>
+                {isCurrent ? (
+                  <span className="border-accent/30 bg-accent-soft text-accent flex-shrink-0 rounded border px-1.5 py-0.5 font-mono text-[10px] tracking-[0.14em] uppercase">
+                    Current
+                  </span>
+                ) : (
+                  <span className="flex flex-shrink-0 items-center gap-1">
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() =>
+                        setDiffFrom(
+                          compared?.number === version.number
+                            ? null
+                            : version.number,
+                        )
+                      }
+                      aria-pressed={compared?.number === version.number}
+                      className={cn(
+                        "h-7 cursor-pointer gap-1 px-2 text-[11.5px]",
+                        compared?.number === version.number && "text-accent",
+                      )}
+                    >
+                      <GitCompare className="h-3 w-3" aria-hidden="true" />
+                      Diff
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => {
+                        setDiffFrom(null);
+                        onRestore(version);
+                      }}
+                      className="h-7 cursor-pointer gap-1 px-2 text-[11.5px]"
+                    >
+                      <RotateCcw className="h-3 w-3" aria-hidden="true" />
+                      Restore
+                    </Button>
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {compared && current && (
+        <VersionDiff
+          from={compared}
+          to={current}
+          codeOf={codeOf}
+          onClose={() => setDiffFrom(null)}
+        />
+      )}
+
+      {others.length > 0 && (
+        <div className={cn(session && "mt-4")}>
+          <div className="text-muted-foreground mb-1.5 font-mono text-[10px] tracking-[0.16em] uppercase">
+            {session ? "Other sessions" : "Recent sessions"}
+          </div>
+          <ul className="divide-border/40 border-border/60 bg-background/50 divide-y rounded-md border">
+            {others.map((s) => (
+              <li
+                key={s.id}
+                className="flex items-center gap-2.5 px-3 py-2 text-[12.5px]"
+              >
+                <button
+                  type="button"
+                  onClick={() => onOpenSession(s.id)}
+                  title={s.prompt}
+                  className="hover:text-accent min-w-0 flex-1 cursor-pointer truncate text-left"
+                >
+                  {s.prompt}
+                </button>
+                <span className="text-muted-foreground hidden flex-shrink-0 text-[11px] sm:inline">
+                  {modeLabel[s.mode]} · {s.versions.length} version
+                  {s.versions.length !== 1 ? "s" : ""} ·{" "}
+                  {timeFormat.format(s.updatedAt)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onDeleteSession(s.id)}
+                  title="Delete session"
+                  aria-label="Delete session"
+                  className="text-muted-foreground/70 hover:text-destructive inline-flex h-6 w-6 flex-shrink-0 cursor-pointer items-center justify-center rounded transition-colors"
+                >
+                  <Trash2 className="h-3 w-3" aria-hidden="true" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LintSummary({ version }: { version: GeneratorVersion }) {
+  const lint = version.lint;
+  if (!lint) return null;
+  if (lint.hardReject) {
+    return (
+      <span className="border-destructive/40 bg-destructive/10 text-destructive flex-shrink-0 rounded-sm border px-1.5 py-0.5 text-[10.5px] font-medium">
+        Rejected
+      </span>
+    );
+  }
+  if (lint.failCount + lint.warnCount === 0) {
+    return (
+      <span className="flex-shrink-0 text-[10.5px] font-medium text-emerald-600 dark:text-emerald-400">
+        Clean
+      </span>
+    );
+  }
+  return (
+    <span className="flex flex-shrink-0 gap-1">
+      {lint.failCount > 0 && (
+        <span className="border-destructive/40 bg-destructive/10 text-destructive rounded-sm border px-1.5 py-0.5 text-[10.5px] font-medium tabular-nums">
+          {lint.failCount} fail
+        </span>
+      )}
+      {lint.warnCount > 0 && (
+        <span className="rounded-sm border border-amber-500/30 bg-amber-500/10 px-1.5 py-0.5 text-[10.5px] font-medium text-amber-600 tabular-nums dark:text-amber-400">
+          {lint.warnCount} warn
+        </span>
+      )}
+    </span>
+  );
+}
+
+function VersionDiff({
+  from,
+  to,
+  codeOf,
+  onClose,
+}: {
+  from: GeneratorVersion;
+  to: GeneratorVersion;
+  codeOf: (output: string) => string;
+  onClose: () => void;
+}) {
+  const lines = diffLines(codeOf(from.output), codeOf(to.output));
+  const added = lines.filter((l) => l.kind === "added").length;
+  const removed = lines.filter((l) => l.kind === "removed").length;
+
+  return (
+    <div className="border-border/60 mt-3 overflow-hidden rounded-md border">
+      <div className="border-border/60 bg-background/60 flex items-center gap-2 border-b px-3 py-1.5 text-[12px]">
+        <span className="text-foreground font-mono">
+          v{from.number} → v{to.number}
+        </span>
+        <span className="font-mono text-[11px] text-emerald-600 dark:text-emerald-400">
+          +{added}
+        </span>
+        <span className="text-destructive font-mono text-[11px]">
+          −{removed}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          title="Close diff"
+          aria-label="Close diff"
+          className="text-muted-foreground hover:text-foreground ml-auto inline-flex h-5 w-5 cursor-pointer items-center justify-center rounded"
+        >
+          <X className="h-3 w-3" aria-hidden="true" />
+        </button>
+      </div>
+      {added + removed === 0 ? (
+        <p className="text-muted-foreground px-3 py-2 text-[12px]">
+          The scripts are identical.
+        </p>
+      ) : (
+        <pre className="max-h-[420px] overflow-auto py-1.5 font-mono text-[11.5px] leading-relaxed">
+          {lines.map((line, i) =>
+            line.kind === "skipped" ? (
+              <div
+                key={i}
+                className="text-muted-foreground/70 bg-muted/30 px-3 select-none"
+              >
+                ⋯ {line.count} unchanged line{line.count !== 1 ? "s" : ""}
+              </div>
+            ) : (
+              <div
+                key={i}
+                className={cn(
+                  "px-3 whitespace-pre",
+                  line.kind === "added" &&
+                    "bg-emerald-500/10 text-emerald-700 dark:text-emerald-300",
+                  line.kind === "removed" &&
+                    "bg-destructive/10 text-destructive",
+                )}
+              >
+                <span className="select-none" aria-hidden="true">
+                  {line.kind === "added"
+                    ? "+ "
+                    : line.kind === "removed"
+                      ? "- "
+                      : "  "}
+                </span>
+                {line.text}
+              </div>
+            ),
+          )}
+        </pre>
+      )}
+    </div>
+  );
+}
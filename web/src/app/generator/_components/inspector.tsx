@@ -20,10 +20,22 @@ export type EndpointCheckRow = {
   known: boolean;
 };
 
+// One Graph lookup the model made while writing (server/generator/graph-tools.ts).
+export type GraphToolCallRow = {
+  id: string;
+  tool: string;
+  // What was looked up: the endpoint, scope, or task.
+  query: string;
+  status: "running" | "found" | "unknown" | "error";
+  // The matched template or sample, or the closest suggestion.
+  detail?: string;
+};
+
 type Props = {
   isStreaming: boolean;
   isAutoFixing: boolean;
   endpointChecks: EndpointCheckRow[];
+  toolCalls: GraphToolCallRow[];
   lintResult: LintResult | null;
   onFix?: () => void;
 };
@@ -119,6 +131,7 @@ export function Inspector({
   isStreaming,
   isAutoFixing,
   endpointChecks,
+  toolCalls,
   lintResult,
   onFix,
 }: Props) {
@@ -170,6 +183,9 @@ export function Inspector({
         </div>
       )}
 
+      {/* Graph lookups the model made before writing — only when it made any. */}
+      {toolCalls.length > 0 && <GraphLookupSection toolCalls={toolCalls} />}
+
       {/* Category check list — known set of checks, each transitions from
         spinner -> pass/warn/fail when the stream completes and lint runs. */}
       <ul className="divide-border/40 divide-y">
@@ -412,3 +428,64 @@ function GraphEndpointSection({
     </div>
   );
 }
+
+const toolLabel: Record<string, string> = {
+  check_graph_endpoint: "Endpoint",
+  check_graph_permission: "Permission",
+  find_graph_samples: "Samples",
+};
+
+function GraphLookupSection({ toolCalls }: { toolCalls: GraphToolCallRow[] }) {
+  return (
+    <div className="border-border/40 border-b">
+      <div
+        className="flex items-center gap-2 px-3.5 py-2 text-[12.5px]"
+        title="Microsoft Graph endpoints, permissions, and verified samples the generator looked up while writing, checked against the same catalog as the lint pass."
+      >
+        {toolCalls.some((c) => c.status === "running") ? (
+          <Loader2
+            className="text-muted-foreground/60 h-3.5 w-3.5 animate-spin"
+            aria-hidden="true"
+          />
+        ) : (
+          <Check className="h-3.5 w-3.5 text-emerald-500" aria-hidden="true" />
+        )}
+        <span className="text-foreground flex-1">Graph lookups</span>
+        <span className="text-muted-foreground text-[11px] tabular-nums">
+          {toolCalls.length}
+        </span>
+      </div>
+      <ul className="border-border/40 divide-border/40 max-h-[200px] divide-y overflow-y-auto border-t">
+        {toolCalls.map((c) => (
+          <li
+            key={c.id}
+            className="animate-in fade-in slide-in-from-right-1 flex items-start gap-2 px-3.5 py-2 text-[11.5px] duration-300"
+          >
+            <span className="mt-0.5 flex-shrink-0">
+              {c.status === "running" ? (
+                <Loader2 className="text-muted-foreground/60 h-3 w-3 animate-spin" />
+              ) : c.status === "found" ? (
+                <Check className="h-3 w-3 text-emerald-500" />
+              ) : c.status === "unknown" ? (
+                <AlertTriangle className="h-3 w-3 text-amber-500" />
+              ) : (
+                <X className="text-destructive h-3 w-3" />
+              )}
+            </span>
+            <span className="min-w-0 flex-1 leading-snug break-words">
+              <span className="text-muted-foreground/80 mr-1">
+                {toolLabel[c.tool] ?? c.tool}
+              </span>
+              <span className="text-foreground font-mono">{c.query}</span>
+              {c.detail && (
+                <span className="text-muted-foreground mt-0.5 block font-mono text-[11px]">
+                  {c.detail}
+                </span>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -36,12 +36,37 @@ const ScriptDetail = dynamic(
 );
 import { Button } from "~/components/ui/button";
 import { cn } from "~/lib/utils";
-import { lintScript, type LintResult } from "~/lib/generator-lint";
+import {
+  lintScript,
+  type LintResult,
+  type ScriptLanguage,
+} from "~/lib/generator-lint";
+import {
+  lintRemediationPair,
+  remediationFolderName,
+  splitRemediationPair,
+  type RemediationPairResult,
+} from "~/lib/generator-remediation";
+import {
+  appendVersion,
+  createSession,
+  loadSessions,
+  newSessionId,
+  saveSessions,
+  upsertSession,
+  type EndpointCheck,
+  type GeneratorMode,
+  type GeneratorSession,
+  type GeneratorVersion,
+  type VersionSource,
+} from "~/lib/generator-sessions";
+import { createZip } from "~/lib/zip";
 import {
   extractGraphEndpointUsages,
   isKnownGraphEndpoint,
 } from "~/lib/generator-graph-endpoints";
-import { Inspector } from "./_components/inspector";
+import { History } from "./_components/history";
+import { Inspector, type GraphToolCallRow } from "./_components/inspector";
 
 type Redaction = {
   kind: string;
@@ -49,6 +74,17 @@ type Redaction = {
   count: number;
 };
 
+// A library script, as the generate route reports it (see
+// server/generator/catalog-grounding.ts).
+type CatalogScript = {
+  id: string;
+  title: string;
+  url: string;
+  synopsis?: string;
+};
+
+type PairFile = "detection" | "remediation";
+
 type Props = {
   turnstileSiteKey: string | null;
   // Server-rendered SEO content. Lives inside the client wrapper so the
@@ -92,11 +128,26 @@ export default function GeneratorClient({
   seoFooter,
 }: Props) {
   const [prompt, setPrompt] = useState("");
+  const [mode, setMode] = useState<GeneratorMode>("script");
+  // The mode the current output was generated in; the toggle can change
+  // before the next generation.
+  const [outputMode, setOutputMode] = useState<GeneratorMode>("script");
+  // Remediation pair mode: the linted pair once streaming finishes, and the
+  // file shown in the code panel.
+  const [pair, setPair] = useState<RemediationPairResult | null>(null);
+  const [pairFile, setPairFile] = useState<PairFile>("detection");
   const [accepted, setAccepted] = useState(false);
   const [output, setOutput] = useState("");
   const [isStreaming, setIsStreaming] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [redactions, setRedactions] = useState<Redaction[]>([]);
+  // Set when the catalog already has a verified script for the prompt; the
+  // generate route answers with it instead of streaming.
+  const [catalogMatch, setCatalogMatch] = useState<CatalogScript | null>(null);
+  // Library scripts the server handed the model as reference examples.
+  const [references, setReferences] = useState<CatalogScript[]>([]);
+  // Graph lookups the model made while writing, in call order.
+  const [toolCalls, setToolCalls] = useState<GraphToolCallRow[]>([]);
   const [copied, setCopied] = useState(false);
   const [lintResult, setLintResult] = useState<LintResult | null>(null);
   // True while the post-stream auto-fix pass is running. UI suppresses the
@@ -105,10 +156,14 @@ export default function GeneratorClient({
   const [isAutoFixing, setIsAutoFixing] = useState(false);
   // Live Graph endpoint verification visible during streaming. Each entry is
   // a unique (method, path) pair extracted from the streamed output so far.
-  const [endpointChecks, setEndpointChecks] = useState<
-    { method: string; path: string; known: boolean }[]
-  >([]);
+  const [endpointChecks, setEndpointChecks] = useState<EndpointCheck[]>([]);
   const [refinement, setRefinement] = useState("");
+  // Saved sessions (lib/generator-sessions.ts), most recent first. Null until
+  // they've loaded from localStorage, so the first render can't overwrite
+  // them with an empty list.
+  const [sessions, setSessions] = useState<GeneratorSession[] | null>(null);
+  // The session the output belongs to; fix and refine add versions to it.
+  const [sessionId, setSessionId] = useState<string | null>(null);
   const [turnstileToken, setTurnstileToken] = useState<string | null>(null);
   const [turnstileStatus, setTurnstileStatus] = useState<
     "idle" | "loading" | "ready" | "expired" | "failed"
@@ -138,6 +193,21 @@ export default function GeneratorClient({
   // Per-generation flag — only one auto-fix pass is allowed per initial
   // stream, so we don't loop on issues the model can't actually resolve.
   const didAutoFixRef = useRef(false);
+  // What the stream in flight will become in the session history. Set when a
+  // generate / fix / refine starts, consumed by the post-stream effect once
+  // the output is linted, and cleared on abort or error so partial output is
+  // never recorded.
+  const pendingVersionRef = useRef<{
+    source: VersionSource;
+    refinement?: string;
+    // Null starts a new session.
+    sessionId: string | null;
+    prompt: string;
+    mode: GeneratorMode;
+  } | null>(null);
+  // Mirrors sessionId for runFix: the post-stream effect starts the auto-fix
+  // in the same tick that records a new session, before state catches up.
+  const sessionIdRef = useRef<string | null>(null);
   // Ref-bridge so the post-stream effect (declared above runFix) can invoke
   // the latest fix routine without depending on it directly.
   const runFixRef = useRef<
@@ -299,6 +369,31 @@ export default function GeneratorClient({
     };
   }, []);
 
+  const selectSession = useCallback((id: string | null) => {
+    sessionIdRef.current = id;
+    setSessionId(id);
+  }, []);
+
+  // Load saved sessions on mount (localStorage isn't available during SSR).
+  useEffect(() => {
+    let saved: GeneratorSession[] = [];
+    try {
+      saved = loadSessions(window.localStorage);
+    } catch {
+      // Storage blocked — history just isn't kept across reloads.
+    }
+    setSessions(saved);
+  }, []);
+
+  useEffect(() => {
+    if (!sessions) return;
+    try {
+      saveSessions(window.localStorage, sessions);
+    } catch {
+      // Storage blocked.
+    }
+  }, [sessions]);
+
   // Tick once a minute so the "resets in" countdown stays current without
   // burning CPU on per-second updates.
   useEffect(() => {
@@ -345,21 +440,9 @@ export default function GeneratorClient({
       if (isStreaming) setLintResult(null);
       return;
     }
-    const extracted = extractPowerShellCode(output) ?? output;
-
-    const usages = extractGraphEndpointUsages(extracted);
-    const seen = new Set<string>();
-    const next: { method: string; path: string; known: boolean }[] = [];
-    for (const u of usages) {
-      const key = `${u.method} ${u.path}`;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      next.push({
-        method: u.method,
-        path: u.path,
-        known: isKnownGraphEndpoint(u.method, u.path),
-      });
-    }
+    const extracted = extractScriptCode(output) ?? output;
+
+    const next = graphEndpointChecks(extracted);
     const sameAsPrev =
       next.length === endpointChecks.length &&
       next.every(
@@ -370,16 +453,22 @@ export default function GeneratorClient({
       );
     if (!sameAsPrev) setEndpointChecks(next);
 
-    if (isStreaming) {
+    // Pair output is linted as a whole once both scripts are written.
+    if (isStreaming && outputMode !== "remediation") {
       const trimmed = extracted.trim();
       // Wait for the metadata block to be fully written — before this point
       // lint hard-rejects on structurally-incomplete output, which would
-      // cause a brief red flash before the real findings settle in.
-      if (trimmed.includes("#>") && trimmed.includes(".TITLE")) {
-        setLintResult(lintScript(extracted));
+      // cause a brief red flash before the real findings settle in. A shell
+      // header ends at its first blank line.
+      const metadataClosed =
+        outputMode === "macos"
+          ? /^# TITLE:[\s\S]*?\n[ \t]*\n/m.test(trimmed)
+          : trimmed.includes("#>") && trimmed.includes(".TITLE");
+      if (metadataClosed) {
+        setLintResult(lintScript(extracted, scriptLanguage(outputMode)));
       }
     }
-  }, [output, endpointChecks, isStreaming]);
+  }, [output, endpointChecks, isStreaming, outputMode]);
 
   // Detect user-initiated scroll inside the code panel. Within ~24px of the
   // bottom counts as "still following"; anything higher pauses auto-scroll.
@@ -393,10 +482,53 @@ export default function GeneratorClient({
   // Highlight the final output once streaming finishes, and run the lint pass.
   useEffect(() => {
     if (isStreaming || !output || !codeRef.current) return;
+    const extracted = extractScriptCode(output) ?? output;
+
+    // Record the finished stream as the next version of its session.
+    const recordVersion = (lint: LintResult) => {
+      const pending = pendingVersionRef.current;
+      if (!pending) return;
+      pendingVersionRef.current = null;
+      const id = pending.sessionId ?? newSessionId();
+      const version = {
+        source: pending.source,
+        ...(pending.refinement ? { refinement: pending.refinement } : {}),
+        output,
+        lint,
+        endpointChecks: graphEndpointChecks(extracted),
+      };
+      setSessions((prev) => {
+        const list = prev ?? [];
+        const session =
+          list.find((s) => s.id === id) ??
+          createSession(id, pending.prompt, pending.mode);
+        return upsertSession(list, appendVersion(session, version));
+      });
+      selectSession(id);
+    };
 
-    const extracted = extractPowerShellCode(output) ?? output;
-    const result = lintScript(extracted);
+    if (outputMode === "remediation") {
+      // No auto-fix: the fix and refine routes rewrite a single script.
+      const result = lintRemediationPair(output);
+      const lint = result?.combined ?? {
+        findings: [],
+        passCount: 0,
+        warnCount: 0,
+        failCount: 0,
+        hardReject: {
+          reason:
+            "The response did not contain both a detection and a remediation script.",
+        },
+      };
+      setPair(result);
+      setLintResult(lint);
+      recordVersion(lint);
+      return highlightCode(codeRef, "powershell");
+    }
+
+    const result = lintScript(extracted, scriptLanguage(outputMode));
     setLintResult(result);
+    recordVersion(result);
 
     // Auto-fix once: if the very first lint pass after a fresh generation
     // surfaces fail/warn findings, silently re-run the fix endpoint so the
@@ -423,23 +555,9 @@ export default function GeneratorClient({
       return;
     }
 
-    let cancelled = false;
-    (async () => {
-      try {
-        const Prism = await import("prismjs");
-        // @ts-expect-error - Prism component imports lack types
-        await import("prismjs/components/prism-powershell");
-        if (!cancelled && codeRef.current) {
-          Prism.highlightElement(codeRef.current);
-        }
-      } catch {
-        // Highlighting is non-critical.
-      }
-    })();
-    return () => {
-      cancelled = true;
-    };
-  }, [isStreaming, output]);
+    return highlightCode(codeRef, scriptLanguage(outputMode));
+    // pairFile: switching files swaps the code panel's text, so re-highlight.
+  }, [isStreaming, output, outputMode, pairFile, selectSession]);
 
   const absorbQuotaHeaders = useCallback((res: Response) => {
     const remaining = res.headers.get("x-ratelimit-remaining");
@@ -464,14 +582,19 @@ export default function GeneratorClient({
     (isDev || !turnstileSiteKey || turnstileToken) &&
     !isStreaming;
 
-  const onSubmit = useCallback(
-    async (e: React.FormEvent) => {
-      e.preventDefault();
+  const generate = useCallback(
+    async (skipCatalogMatch: boolean) => {
       if (!canGenerate) return;
 
       setError(null);
       setOutput("");
+      setOutputMode(mode);
+      setPair(null);
+      setPairFile("detection");
       setRedactions([]);
+      setCatalogMatch(null);
+      setReferences([]);
+      setToolCalls([]);
       setLintResult(null);
       setCopied(false);
       setIsStreaming(true);
@@ -480,6 +603,13 @@ export default function GeneratorClient({
       // Allow one auto-fix pass per fresh generation. Refine/fix don't reset
       // this — only a brand-new prompt does.
       didAutoFixRef.current = false;
+      // A fresh generation starts a new session.
+      pendingVersionRef.current = {
+        source: "generate",
+        sessionId: null,
+        prompt,
+        mode,
+      };
 
       const controller = new AbortController();
       abortRef.current = controller;
@@ -492,6 +622,8 @@ export default function GeneratorClient({
             prompt,
             turnstileToken,
             acceptedTerms: true,
+            skipCatalogMatch,
+            mode,
           }),
           signal: controller.signal,
         });
@@ -505,6 +637,16 @@ export default function GeneratorClient({
           throw new Error(data?.message ?? `Request failed (${res.status})`);
         }
 
+        // An existing verified script already does this; nothing streams.
+        if (res.headers.get("content-type")?.includes("application/json")) {
+          const data = (await res.json().catch(() => null)) as {
+            catalogMatch?: CatalogScript;
+          } | null;
+          setCatalogMatch(data?.catalogMatch ?? null);
+          pendingVersionRef.current = null;
+          return;
+        }
+
         // Optimistically bump the visible lifetime counter so it ticks up
         // immediately for the user instead of waiting for the next page
         // load + 60s edge-cache refresh.
@@ -519,18 +661,54 @@ export default function GeneratorClient({
             // Ignore malformed header
           }
         }
+        const referencesHeader = res.headers.get("x-generator-references");
+        if (referencesHeader) {
+          try {
+            setReferences(
+              JSON.parse(atob(referencesHeader)) as CatalogScript[],
+            );
+          } catch {
+            // Ignore malformed header
+          }
+        }
 
         const reader = res.body?.getReader();
         if (!reader) throw new Error("No response stream.");
         const decoder = new TextDecoder();
         let accumulated = "";
+        // Real generations stream AI SDK UI message events (script text plus
+        // Graph tool calls); the keyless mock streams plain text.
+        const isEventStream = res.headers
+          .get("content-type")
+          ?.includes("text/event-stream");
+        let pending = "";
         while (true) {
           const { done, value } = await reader.read();
           if (done) break;
-          accumulated += decoder.decode(value, { stream: true });
-          setOutput(accumulated);
+          const chunk = decoder.decode(value, { stream: true });
+          if (!isEventStream) {
+            accumulated += chunk;
+            setOutput(accumulated);
+            continue;
+          }
+          pending += chunk;
+          const lines = pending.split("\n");
+          pending = lines.pop() ?? "";
+          for (const line of lines) {
+            const event = parseStreamEvent(line);
+            if (!event) continue;
+            if (event.type === "text-delta") {
+              accumulated += event.delta;
+              setOutput(accumulated);
+            } else if (event.type === "error") {
+              throw new Error(event.errorText);
+            } else {
+              setToolCalls((calls) => applyToolEvent(calls, event));
+            }
+          }
         }
       } catch (err) {
+        pendingVersionRef.current = null;
         if ((err as { name?: string } | null)?.name === "AbortError") return;
         setError(err instanceof Error ? err.message : "Something went wrong.");
       } finally {
@@ -542,7 +720,15 @@ export default function GeneratorClient({
         }
       }
     },
-    [canGenerate, prompt, turnstileToken, absorbQuotaHeaders],
+    [canGenerate, prompt, mode, turnstileToken, absorbQuotaHeaders],
+  );
+
+  const onSubmit = useCallback(
+    (e: React.FormEvent) => {
+      e.preventDefault();
+      void generate(false);
+    },
+    [generate],
   );
 
   const onCancel = useCallback(() => {
@@ -553,7 +739,7 @@ export default function GeneratorClient({
   const onRefine = useCallback(async () => {
     const trimmed = refinement.trim();
     if (!trimmed) return;
-    const currentScript = extractPowerShellCode(output) ?? output;
+    const currentScript = extractScriptCode(output) ?? output;
     if (!currentScript) return;
 
     setError(null);
@@ -561,6 +747,13 @@ export default function GeneratorClient({
     setLintResult(null);
     setCopied(false);
     followStreamRef.current = true;
+    pendingVersionRef.current = {
+      source: "refine",
+      refinement: trimmed,
+      sessionId: sessionIdRef.current,
+      prompt,
+      mode: outputMode,
+    };
 
     const controller = new AbortController();
     abortRef.current = controller;
@@ -574,6 +767,7 @@ export default function GeneratorClient({
           currentScript,
           refinement: trimmed,
           turnstileToken,
+          mode: outputMode,
         }),
         signal: controller.signal,
       });
@@ -600,6 +794,7 @@ export default function GeneratorClient({
       }
       setRefinement("");
     } catch (err) {
+      pendingVersionRef.current = null;
       if ((err as { name?: string } | null)?.name === "AbortError") return;
       setError(err instanceof Error ? err.message : "Something went wrong.");
     } finally {
@@ -610,7 +805,14 @@ export default function GeneratorClient({
         setTurnstileToken(null);
       }
     }
-  }, [refinement, output, prompt, turnstileToken, absorbQuotaHeaders]);
+  }, [
+    refinement,
+    output,
+    outputMode,
+    prompt,
+    turnstileToken,
+    absorbQuotaHeaders,
+  ]);
 
   // Shared fix-streaming routine. Used by both the manual "Fix with AI"
   // button and the post-generation auto-fix pass. Takes the script + findings
@@ -629,6 +831,12 @@ export default function GeneratorClient({
       setLintResult(null);
       setCopied(false);
       followStreamRef.current = true;
+      pendingVersionRef.current = {
+        source: isAutoFix ? "auto-fix" : "fix",
+        sessionId: sessionIdRef.current,
+        prompt,
+        mode: outputMode,
+      };
 
       const controller = new AbortController();
       abortRef.current = controller;
@@ -643,6 +851,7 @@ export default function GeneratorClient({
             findings,
             turnstileToken,
             isAutoFix,
+            mode: outputMode,
           }),
           signal: controller.signal,
         });
@@ -668,6 +877,7 @@ export default function GeneratorClient({
           setOutput(accumulated);
         }
       } catch (err) {
+        pendingVersionRef.current = null;
         if ((err as { name?: string } | null)?.name === "AbortError") return;
         setError(err instanceof Error ? err.message : "Something went wrong.");
       } finally {
@@ -679,7 +889,7 @@ export default function GeneratorClient({
         }
       }
     },
-    [prompt, turnstileToken, absorbQuotaHeaders],
+    [prompt, outputMode, turnstileToken, absorbQuotaHeaders],
   );
 
   // Keep the ref pointed at the latest runFix so the post-stream effect can
@@ -689,14 +899,27 @@ export default function GeneratorClient({
   const onFixIssues = useCallback(async () => {
     if (!lintResult || lintResult.failCount + lintResult.warnCount === 0)
       return;
-    const currentScript = extractPowerShellCode(output) ?? output;
+    const currentScript = extractScriptCode(output) ?? output;
     if (!currentScript) return;
     // Manual user-initiated fix — counts toward per-IP quota.
     await runFix(currentScript, lintResult.findings, false);
   }, [lintResult, output, runFix]);
 
+  // In pair mode the panel shows one file at a time: the one being written
+  // while streaming, then the selected one.
+  const pairSplit =
+    outputMode === "remediation" ? splitRemediationPair(output) : null;
+  const shownPairFile: PairFile =
+    isStreaming && pairSplit?.remediation ? "remediation" : pairFile;
+  const code = pairSplit
+    ? (pair?.[shownPairFile].code ?? pairSplit[shownPairFile] ?? "")
+    : (extractScriptCode(output) ?? output);
+
+  // Refine rewrites a single script, so pair output can't be refined.
+  const showRefine =
+    !isStreaming && !lintResult?.hardReject && outputMode === "script";
+
   const onCopy = useCallback(async () => {
-    const code = extractPowerShellCode(output) ?? output;
     try {
       await navigator.clipboard.writeText(code);
       setCopied(true);
@@ -704,26 +927,104 @@ export default function GeneratorClient({
     } catch {
       setError("Could not copy to clipboard.");
     }
-  }, [output]);
+  }, [code]);
 
   const onDownload = useCallback(() => {
-    const code = extractPowerShellCode(output) ?? output;
+    if (outputMode === "remediation") {
+      if (!pair) return;
+      const folder = remediationFolderName(pair);
+      const zip = createZip([
+        { name: pair.detection.name, content: pair.detection.code },
+        { name: pair.remediation.name, content: pair.remediation.code },
+      ]);
+      saveFile(new Blob([zip], { type: "application/zip" }), `${folder}.zip`);
+      return;
+    }
+    const code = extractScriptCode(output) ?? output;
     const title = extractTitle(code) ?? "intune-script";
     const slug = title
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, "-")
       .replace(/(^-|-$)/g, "")
       .slice(0, 60);
-    const blob = new Blob([code], { type: "text/plain;charset=utf-8" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${slug || "intune-script"}.ps1`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [output]);
+    saveFile(
+      new Blob([code], { type: "text/plain;charset=utf-8" }),
+      `${slug || "intune-script"}${downloadExtension(outputMode)}`,
+    );
+  }, [output, outputMode, pair]);
+
+  const session = sessions?.find((s) => s.id === sessionId) ?? null;
+
+  // Rolling back appends a copy of the old version, so the versions after it
+  // stay in the history and can still be restored.
+  const onRestoreVersion = useCallback(
+    (version: GeneratorVersion) => {
+      if (!session || isStreaming) return;
+      pendingVersionRef.current = null;
+      // Don't auto-fix a version the user chose to go back to.
+      didAutoFixRef.current = true;
+      setSessions((prev) => {
+        const list = prev ?? [];
+        const current = list.find((s) => s.id === session.id) ?? session;
+        return upsertSession(
+          list,
+          appendVersion(current, {
+            source: "restore",
+            restoredFrom: version.number,
+            output: version.output,
+            lint: version.lint,
+            endpointChecks: version.endpointChecks,
+          }),
+        );
+      });
+      setOutputMode(session.mode);
+      setOutput(version.output);
+      setLintResult(version.lint);
+      setCopied(false);
+    },
+    [session, isStreaming],
+  );
 
-  const code = extractPowerShellCode(output) ?? output;
+  // Reopens a saved session at its latest version. The prompt comes back too,
+  // since fix and refine send it as the original request.
+  const onOpenSession = useCallback(
+    (id: string) => {
+      const opened = sessions?.find((s) => s.id === id);
+      const latest = opened?.versions.at(-1);
+      if (!opened || !latest || isStreaming) return;
+      pendingVersionRef.current = null;
+      didAutoFixRef.current = true;
+      selectSession(id);
+      setPrompt(opened.prompt);
+      setMode(opened.mode);
+      setOutputMode(opened.mode);
+      setOutput(latest.output);
+      setLintResult(latest.lint);
+      setPair(null);
+      setPairFile("detection");
+      setError(null);
+      setRedactions([]);
+      setCatalogMatch(null);
+      setReferences([]);
+      setToolCalls([]);
+      setRefinement("");
+      setCopied(false);
+    },
+    [sessions, isStreaming, selectSession],
+  );
+
+  const onDeleteSession = useCallback(
+    (id: string) => {
+      setSessions((prev) => prev && prev.filter((s) => s.id !== id));
+      if (sessionIdRef.current === id) selectSession(null);
+    },
+    [selectSession],
+  );
+
+  const onClearSessions = useCallback(() => {
+    setSessions([]);
+    selectSession(null);
+  }, [selectSession]);
 
   return (
     <ScriptsProvider>
@@ -773,16 +1074,54 @@ export default function GeneratorClient({
             {/* Prompt — the hero input. Surfaces as a distinct card with
               elevated treatment so it reads as the primary action zone. */}
             <div className="border-border/70 bg-card/80 rounded-xl border p-4 shadow-sm backdrop-blur-sm sm:p-5">
-              <label
-                htmlFor="prompt"
-                className="text-muted-foreground mb-3 flex items-center gap-2 font-mono text-[11px] tracking-[0.16em] uppercase"
-              >
-                <span
-                  className="bg-accent h-1.5 w-1.5 rounded-full"
-                  aria-hidden="true"
-                />
-                What should the script do?
-              </label>
+              <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+                <label
+                  htmlFor="prompt"
+                  className="text-muted-foreground flex items-center gap-2 font-mono text-[11px] tracking-[0.16em] uppercase"
+                >
+                  <span
+                    className="bg-accent h-1.5 w-1.5 rounded-full"
+                    aria-hidden="true"
+                  />
+                  {mode === "remediation"
+                    ? "What should the remediation detect and fix?"
+                    : mode === "macos"
+                      ? "What should the macOS script do?"
+                      : "What should the script do?"}
+                </label>
+                {/* Remediation pair: a detection + remediation script for
+                  Intune Remediations, downloaded together as a zip. */}
+                <div
+                  role="radiogroup"
+                  aria-label="Output"
+                  className="border-border/60 bg-background/60 inline-flex rounded-md border p-0.5 text-[12px]"
+                >
+                  {(
+                    [
+                      ["script", "Single script"],
+                      ["remediation", "Remediation pair"],
+                      ["macos", "macOS shell"],
+                    ] as const
+                  ).map(([value, label]) => (
+                    <button
+                      key={value}
+                      type="button"
+                      role="radio"
+                      aria-checked={mode === value}
+                      onClick={() => setMode(value)}
+                      disabled={isStreaming}
+                      className={cn(
+                        "cursor-pointer rounded px-2.5 py-1 transition-colors disabled:cursor-not-allowed",
+                        mode === value
+                          ? "bg-accent-soft text-accent"
+                          : "text-muted-foreground hover:text-foreground",
+                      )}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
               <textarea
                 id="prompt"
                 value={prompt}
@@ -1022,6 +1361,41 @@ export default function GeneratorClient({
             </div>
           )}
 
+          {/* Catalog match: a verified library script already does this. */}
+          {catalogMatch && !isStreaming && (
+            <div className="border-border/70 bg-card mt-6 rounded-md border p-4 text-[13px]">
+              <div className="text-foreground mb-1 flex items-center gap-2 font-medium">
+                <ShieldCheck className="text-accent h-4 w-4" />
+                An existing verified script already does this
+              </div>
+              <p className="text-muted-foreground leading-relaxed">
+                <Link
+                  href={catalogMatch.url}
+                  className="text-foreground underline underline-offset-2"
+                >
+                  {catalogMatch.title}
+                </Link>
+                {catalogMatch.synopsis ? ` — ${catalogMatch.synopsis}` : ""} It
+                is reviewed and maintained in the library, so start there unless
+                you need something different.
+              </p>
+              <div className="mt-3 flex gap-2">
+                <Button asChild size="sm">
+                  <Link href={catalogMatch.url}>Open script</Link>
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => void generate(true)}
+                  disabled={!canGenerate || quota?.remaining === 0}
+                  className="cursor-pointer"
+                >
+                  Generate anyway
+                </Button>
+              </div>
+            </div>
+          )}
+
           {/* Hard-reject: output didn't look like a valid script. */}
           {output && !isStreaming && lintResult?.hardReject && (
             <div className="border-destructive/40 bg-destructive/5 mt-8 rounded-md border p-4">
@@ -1038,7 +1412,7 @@ export default function GeneratorClient({
           )}
 
           {/* Output */}
-          {output && !lintResult?.hardReject && (
+          {(output || toolCalls.length > 0) && !lintResult?.hardReject && (
             <div
               ref={outputRef}
               // Break out of the prose-width parent (max-w-4xl) on large
@@ -1054,6 +1428,24 @@ export default function GeneratorClient({
                   </span>{" "}
                   Review and test before running in production. Verify all
                   Microsoft Graph permissions and commands are correct.
+                  {references.length > 0 && (
+                    <>
+                      {" "}
+                      Modeled on the library&apos;s{" "}
+                      {references.map((ref, i) => (
+                        <span key={ref.id}>
+                          {i > 0 && " and "}
+                          <Link
+                            href={ref.url}
+                            className="text-foreground underline underline-offset-2"
+                          >
+                            {ref.title}
+                          </Link>
+                        </span>
+                      ))}
+                      .
+                    </>
+                  )}
                 </span>
               </div>
 
@@ -1074,7 +1466,7 @@ export default function GeneratorClient({
                       <span className="bg-border/70 h-2 w-2 rounded-full" />
                     </span>
                     <span className="border-accent/30 bg-accent-soft text-accent rounded border px-1.5 py-0.5 font-mono text-[10px] tracking-[0.14em]">
-                      .ps1
+                      {downloadExtension(outputMode)}
                     </span>
                     <span className="hidden sm:inline">Output</span>
                     {isStreaming && (
@@ -1137,6 +1529,35 @@ export default function GeneratorClient({
                     </Button>
                   </div>
                 </div>
+                    {pairSplit && (
+                      <div
+                        role="tablist"
+                        aria-label="Remediation pair files"
+                        className="border-border/70 flex gap-1 border-b px-2.5 pt-1.5"
+                      >
+                        {(["detection", "remediation"] as const).map((file) => (
+                          <button
+                            key={file}
+                            type="button"
+                            role="tab"
+                            aria-selected={shownPairFile === file}
+                            onClick={() => setPairFile(file)}
+                            disabled={isStreaming}
+                            className={cn(
+                              "-mb-px cursor-pointer rounded-t border-b-2 px-2.5 py-1.5 font-mono text-[11.5px] transition-colors disabled:cursor-default",
+                              shownPairFile === file
+                                ? "border-accent text-foreground"
+                                : "text-muted-foreground hover:text-foreground border-transparent",
+                            )}
+                          >
+                            {pair?.[file].name ??
+                              (file === "detection"
+                                ? "Detection"
+                                : "Remediation")}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                     <div className="relative">
                       <pre
                         ref={codeScrollRef}
@@ -1147,7 +1568,12 @@ export default function GeneratorClient({
                       >
                         <code
                           ref={codeRef}
-                          className="language-powershell font-mono"
+                          className={cn(
+                            "font-mono",
+                            outputMode === "macos"
+                              ? "language-bash"
+                              : "language-powershell",
+                          )}
                         >
                           {code}
                         </code>
@@ -1189,15 +1615,16 @@ export default function GeneratorClient({
                     isStreaming={isStreaming}
                     isAutoFixing={isAutoFixing}
                     endpointChecks={endpointChecks}
+                    toolCalls={toolCalls}
                     lintResult={lintResult}
-                    onFix={onFixIssues}
+                    onFix={outputMode === "script" ? onFixIssues : undefined}
                   />
                 </aside>
               </div>
 
               {/* Refine — iterative follow-up. Each refinement counts toward
                 the daily quota. */}
-              {!isStreaming && !lintResult?.hardReject && (
+              {showRefine && (
                 <div className="border-border/70 bg-card/60 mt-3 rounded-xl border p-4 backdrop-blur-sm">
                   <div className="text-muted-foreground mb-2.5 flex items-center gap-2 font-mono text-[10.5px] tracking-[0.18em] uppercase">
                     <span
@@ -1257,6 +1684,22 @@ export default function GeneratorClient({
             </div>
           )}
 
+          {/* Session history — versions of the current output, and earlier
+            sessions saved in this browser. */}
+          {!isStreaming && sessions && sessions.length > 0 && (
+            <History
+              // Reset the open diff when switching sessions.
+              key={sessionId ?? "none"}
+              session={session}
+              sessions={sessions}
+              codeOf={(text) => extractScriptCode(text) ?? text}
+              onRestore={onRestoreVersion}
+              onOpenSession={onOpenSession}
+              onDeleteSession={onDeleteSession}
+              onClearAll={onClearSessions}
+            />
+          )}
+
           {/* Inline credit */}
           <div className="border-border/40 mt-16 flex flex-wrap items-center justify-between gap-3 border-t pt-6 text-[12px] leading-relaxed">
             <p className="text-muted-foreground">
@@ -1326,21 +1769,180 @@ function formatResetIn(resetMs: number, nowMs: number): string {
   return `${days}d`;
 }
 
-function extractPowerShellCode(text: string): string | null {
+// Unique (method, path) Graph calls in a script, checked against the
+// published endpoint templates.
+function graphEndpointChecks(code: string): EndpointCheck[] {
+  const seen = new Set<string>();
+  const checks: EndpointCheck[] = [];
+  for (const u of extractGraphEndpointUsages(code)) {
+    const key = `${u.method} ${u.path}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    checks.push({
+      method: u.method,
+      path: u.path,
+      known: isKnownGraphEndpoint(u.method, u.path),
+    });
+  }
+  return checks;
+}
+
+// PowerShell, or bash/zsh in macOS mode.
+const FENCE_CLOSED = /```(?:powershell|ps1|bash|zsh|sh|shell)?\n?([\s\S]*)```/;
+const FENCE_OPEN = /```(?:powershell|ps1|bash|zsh|sh|shell)?\n?([\s\S]*)$/;
+
+function extractScriptCode(text: string): string | null {
   // Match the opening fence followed by everything up to the LAST closing
   // fence in the string. Greedy match prevents premature termination if the
   // script body happens to contain an embedded ``` triple (e.g. inside a
   // here-string or comment).
-  const closed = text.match(/```(?:powershell|ps1)?\n?([\s\S]*)```/);
+  const closed = text.match(FENCE_CLOSED);
   if (closed?.[1]) return closed[1].trimEnd();
   // Still streaming — no closing fence yet. Return everything after the
   // opening fence.
-  const open = text.match(/```(?:powershell|ps1)?\n?([\s\S]*)$/);
+  const open = text.match(FENCE_OPEN);
   if (open?.[1]) return open[1].trimEnd();
   return null;
 }
 
+type ToolEvent =
+  | {
+      type: "tool-input-available";
+      toolCallId: string;
+      toolName: string;
+      input: Record<string, unknown>;
+    }
+  | {
+      type: "tool-output-available";
+      toolCallId: string;
+      output: Record<string, unknown>;
+    }
+  | { type: "tool-output-error"; toolCallId: string; errorText: string };
+
+type StreamEvent =
+  | { type: "text-delta"; delta: string }
+  | { type: "error"; errorText: string }
+  | ToolEvent;
+
+const STREAM_EVENT_TYPES = new Set<string>([
+  "text-delta",
+  "error",
+  "tool-input-available",
+  "tool-output-available",
+  "tool-output-error",
+]);
+
+// One `data: {...}` line of the UI message stream. Step boundaries, tool
+// input deltas, and the closing `data: [DONE]` are skipped.
+function parseStreamEvent(line: string): StreamEvent | null {
+  if (!line.startsWith("data: ")) return null;
+  try {
+    const event = JSON.parse(line.slice(6)) as { type?: unknown };
+    return typeof event.type === "string" && STREAM_EVENT_TYPES.has(event.type)
+      ? (event as StreamEvent)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// Folds a tool event into the inspector rows. Outputs are the trimmed results
+// of server/generator/graph-tools.ts.
+function applyToolEvent(
+  calls: GraphToolCallRow[],
+  event: ToolEvent,
+): GraphToolCallRow[] {
+  if (event.type === "tool-input-available") {
+    const { endpoint, scope, task } = event.input;
+    const query = [endpoint, scope, task].find((v) => typeof v === "string");
+    return [
+      ...calls,
+      {
+        id: event.toolCallId,
+        tool: event.toolName,
+        query: typeof query === "string" ? query : "",
+        status: "running",
+      },
+    ];
+  }
+  return calls.map((call): GraphToolCallRow => {
+    if (call.id !== event.toolCallId) return call;
+    if (event.type === "tool-output-error") {
+      return { ...call, status: "error", detail: event.errorText };
+    }
+    const output = event.output as {
+      exists?: boolean;
+      template?: string | null;
+      scope?: string;
+      suggestions?: string[];
+      samples?: { query: string }[];
+    };
+    if (output.samples) {
+      const sample = output.samples[0]?.query.split("\n")[0];
+      return sample
+        ? { ...call, status: "found", detail: sample }
+        : { ...call, status: "unknown", detail: "No verified sample" };
+    }
+    if (output.exists) {
+      // A permission only needs a detail when its casing was corrected.
+      const corrected = output.scope !== call.query ? output.scope : undefined;
+      return { ...call, status: "found", detail: output.template ?? corrected };
+    }
+    const suggestion = output.suggestions?.[0];
+    return {
+      ...call,
+      status: "unknown",
+      detail: suggestion ? `Did you mean ${suggestion}?` : "Not in Graph",
+    };
+  });
+}
+
+const scriptLanguage = (mode: GeneratorMode): ScriptLanguage =>
+  mode === "macos" ? "shell" : "powershell";
+
+// What Download saves: a zip for a remediation pair, otherwise one script.
+const downloadExtension = (mode: GeneratorMode) =>
+  mode === "remediation" ? ".zip" : mode === "macos" ? ".sh" : ".ps1";
+
+// Runs Prism over the code panel. Returns the effect cleanup.
+function highlightCode(
+  codeRef: { current: HTMLElement | null },
+  language: ScriptLanguage,
+): () => void {
+  let cancelled = false;
+  (async () => {
+    try {
+      const Prism = await import("prismjs");
+      if (language === "shell") {
+        // @ts-expect-error - Prism component imports lack types
+        await import("prismjs/components/prism-bash");
+      } else {
+        // @ts-expect-error - Prism component imports lack types
+        await import("prismjs/components/prism-powershell");
+      }
+      if (!cancelled && codeRef.current) {
+        Prism.highlightElement(codeRef.current);
+      }
+    } catch {
+      // Highlighting is non-critical.
+    }
+  })();
+  return () => {
+    cancelled = true;
+  };
+}
+
+function saveFile(blob: Blob, name: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 function extractTitle(code: string): string | null {
-  const match = code.match(/\.TITLE\s*\n\s*(.+)/);
-  return match?.[1]?.trim() ?? null;
+  // .TITLE help field, or the `# TITLE:` header of a shell script.
+  const match = code.match(/\.TITLE\s*\n\s*(.+)|^# TITLE:[ \t]*(.+)/m);
+  return (match?.[1] ?? match?.[2])?.trim() ?? null;
 }
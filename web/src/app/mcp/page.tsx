@@ -77,10 +77,38 @@ const TOOLS = [
     name: "get_script",
     text: "Retrieve complete or safely chunked PowerShell source with metadata.",
   },
+  {
+    name: "get_remediation_package",
+    text: "Both halves of a detection/remediation pair with their Intune settings and exit-code contract.",
+  },
+  {
+    name: "get_script_changes",
+    text: "Changelog entries since a deployed version or date, with breaking changes flagged.",
+  },
+  {
+    name: "check_script_drift",
+    text: "Version, permission, and parameter drift plus a unified diff for a pasted script copy.",
+  },
+  {
+    name: "build_script_invocation",
+    text: "Validated command line, splatting block, and runbook parameter JSON from a parameter map.",
+  },
   {
     name: "get_script_authoring_guide",
     text: "The exact conventions the script generator follows, for writing new library-grade scripts.",
   },
+  {
+    name: "find_similar_scripts",
+    text: "Related scripts by content similarity, for a script id or a task described in plain words.",
+  },
+  {
+    name: "plan_script_permissions",
+    text: "One least-privilege Graph grant, minimum role, and grant snippet for a set of scripts sharing an identity.",
+  },
+  {
+    name: "find_runnable_scripts",
+    text: "Reverse lookup: which scripts an identity can run with the Graph scopes it already holds, and what is one scope short.",
+  },
   {
     name: "list_script_catalog",
     text: "Explore categories, tags, platforms, Graph permissions, and roles with usage counts.",
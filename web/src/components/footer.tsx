@@ -30,6 +30,7 @@ const COLUMNS: FooterColumn[] = [
     links: [
       { label: "Browse scripts", href: "/scripts/" },
       { label: "MCP server", href: "/mcp" },
+      { label: "Drift check", href: "/drift/" },
     ],
   },
   {
@@ -1,12 +1,20 @@
+"use client";
+
 // RelatedScripts v4 — manifest-style related-script list for the script detail page.
 // Mono numeric IDs in a hairline-bordered table-of-contents layout, with mono tag pills,
 // display-weight titles, and a single cyan accent. No cards, no shadows, no rainbow tags
 // — the table itself does the visual work, matching the footer + faq manifest pattern.
 
+import { useEffect, useState } from "react";
 import Link from "next/link";
 import { ArrowUpRight } from "lucide-react";
 import { type Script } from "~/lib/scripts";
 
+interface RelatedScriptMatch {
+  id: string;
+  sharedTerms: string[];
+}
+
 interface RelatedScriptsProps {
   currentScript: Script;
   allScripts: Script[];
@@ -18,6 +26,33 @@ export function RelatedScripts({
   allScripts,
   limit = 3,
 }: RelatedScriptsProps) {
+  // Content-similarity matches from the catalog index; until they arrive (or
+  // if the request fails) fall back to metadata overlap below.
+  const [matches, setMatches] = useState<RelatedScriptMatch[] | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMatches(null);
+    fetch(
+      `/api/scripts/${encodeURIComponent(currentScript.id)}/related?limit=${limit}`,
+    )
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data: RelatedScriptMatch[] | null) => {
+        if (!cancelled && Array.isArray(data)) setMatches(data);
+      })
+      .catch(() => {
+        // Keep the metadata-overlap fallback.
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentScript.id, limit]);
+
+  const similarScripts = (matches ?? []).flatMap((match) => {
+    const script = allScripts.find((s) => s.id === match.id);
+    return script ? [{ script, sharedTerms: match.sharedTerms }] : [];
+  });
+
   // Relevance scoring — identical to v1.
   const scoredScripts = allScripts
     .filter((script) => script.id !== currentScript.id)
@@ -40,9 +75,18 @@ export function RelatedScripts({
     })
     .filter(({ relevanceScore }) => relevanceScore > 0)
     .sort((a, b) => b.relevanceScore - a.relevanceScore)
-    .slice(0, limit);
+    .slice(0, limit)
+    .map(({ script }) => ({
+      script,
+      sharedTerms: script.tags.filter((tag) =>
+        currentScript.tags.includes(tag),
+      ),
+    }));
 
-  if (scoredScripts.length === 0) return null;
+  const bySimilarity = similarScripts.length > 0;
+  const relatedScripts = bySimilarity ? similarScripts : scoredScripts;
+
+  if (relatedScripts.length === 0) return null;
 
   return (
     <section className="mt-16" aria-labelledby="related-scripts-heading">
@@ -59,8 +103,9 @@ export function RelatedScripts({
           Scripts that travel together.
         </h2>
         <p className="text-muted-foreground mt-3 max-w-xl text-sm leading-relaxed sm:text-base">
-          Picked by shared tags, category, and script type — nothing magic, just
-          metadata overlap.
+          {bySimilarity
+            ? "Picked by content similarity — what each script describes, the Graph endpoints it calls, and the cmdlets it runs."
+            : "Picked by shared tags, category, and script type — nothing magic, just metadata overlap."}
         </p>
       </div>
 
@@ -70,10 +115,7 @@ export function RelatedScripts({
         className="bg-card/40 mt-8 overflow-hidden rounded-md border backdrop-blur-md"
         style={{ borderColor: "var(--brand-rule)" }}
       >
-        {scoredScripts.map(({ script }, index) => {
-          const sharedTags = script.tags.filter((tag) =>
-            currentScript.tags.includes(tag),
-          );
+        {relatedScripts.map(({ script, sharedTerms }, index) => {
           return (
             <li
               key={script.id}
@@ -103,15 +145,15 @@ export function RelatedScripts({
                     {script.description}
                   </p>
 
-                  {sharedTags.length > 0 && (
+                  {sharedTerms.length > 0 && (
                     <div className="mt-3 flex flex-wrap gap-1.5">
-                      {sharedTags.map((tag) => (
+                      {sharedTerms.map((term) => (
                         <span
-                          key={tag}
+                          key={term}
                           className="text-muted-foreground inline-flex items-center rounded-sm border px-1.5 py-0.5 font-mono text-[10px] tracking-[0.14em] uppercase"
                           style={{ borderColor: "var(--brand-rule)" }}
                         >
-                          {tag}
+                          {term}
                         </span>
                       ))}
                     </div>
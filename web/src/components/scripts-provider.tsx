@@ -5,9 +5,24 @@ import {
   useContext,
   useState,
   useEffect,
+  useMemo,
   type ReactNode,
 } from "react";
 import { type Script, type ScriptTag } from "~/lib/scripts";
+import {
+  createSearchIndex,
+  searchIndex,
+  type SearchField,
+} from "~/lib/search-ranking";
+
+// Mirrors the MCP catalog weights for the fields the site's Script carries.
+const SEARCH_FIELDS: Array<SearchField<Script>> = [
+  { weight: 6, text: (s) => s.title },
+  { weight: 4, text: (s) => s.tags.join(" ") },
+  { weight: 2, text: (s) => s.description },
+  { weight: 2, text: (s) => (s.permissions ?? []).join(" ") },
+  { weight: 1, text: (s) => s.author ?? "" },
+];
 
 interface ScriptsContextType {
   allScripts: Script[];
@@ -101,21 +116,20 @@ export function ScriptsProvider({ children }: { children: ReactNode }) {
     }
   };
 
-  // Filter scripts based on selected tags and search query
-  const filteredScripts = allScripts.filter((script) => {
-    const matchesTags =
-      selectedTags.length === 0 ||
-      selectedTags.every((tag) => script.tags.includes(tag));
-
-    const matchesSearch =
-      searchQuery === "" ||
-      script.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      script.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      (script.author &&
-        script.author.toLowerCase().includes(searchQuery.toLowerCase()));
-
-    return matchesTags && matchesSearch;
-  });
+  // Filter scripts by selected tags, then rank by relevance when searching
+  const filteredScripts = useMemo(() => {
+    const tagged = allScripts.filter(
+      (script) =>
+        selectedTags.length === 0 ||
+        selectedTags.every((tag) => script.tags.includes(tag)),
+    );
+    if (searchQuery.trim() === "") return tagged;
+
+    return searchIndex(
+      createSearchIndex(tagged, SEARCH_FIELDS),
+      searchQuery,
+    ).map((hit) => hit.doc);
+  }, [allScripts, selectedTags, searchQuery]);
 
   return (
     <ScriptsContext.Provider
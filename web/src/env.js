@@ -18,6 +18,14 @@ export const env = createEnv({
     GENERATOR_DAILY_TOKEN_CAP: z.coerce.number().int().positive().optional(),
     // Extra browser origins allowed to call the /mcp endpoint (comma-separated).
     MCP_ALLOWED_ORIGINS: z.string().optional(),
+    // Optional MCP API keys as name:sha256[:perMinute[:perDay]] entries
+    // (comma-separated); generate one with `npm run mcp:api-key`.
+    MCP_API_KEYS: z.string().optional(),
+    // Bearer token for the MCP usage report at /api/mcp/usage; unset hides it.
+    MCP_REPORT_TOKEN: z.string().min(16).optional(),
+    // Keys the client IP hash in MCP telemetry. Unset: a random key per
+    // instance, so hashes don't line up across instances.
+    MCP_TELEMETRY_SECRET: z.string().min(16).optional(),
   },
 
   /**
@@ -43,6 +51,9 @@ export const env = createEnv({
     UPSTASH_REDIS_REST_TOKEN: process.env.UPSTASH_REDIS_REST_TOKEN,
     GENERATOR_DAILY_TOKEN_CAP: process.env.GENERATOR_DAILY_TOKEN_CAP,
     MCP_ALLOWED_ORIGINS: process.env.MCP_ALLOWED_ORIGINS,
+    MCP_API_KEYS: process.env.MCP_API_KEYS,
+    MCP_REPORT_TOKEN: process.env.MCP_REPORT_TOKEN,
+    MCP_TELEMETRY_SECRET: process.env.MCP_TELEMETRY_SECRET,
     NEXT_PUBLIC_TURNSTILE_SITE_KEY: process.env.NEXT_PUBLIC_TURNSTILE_SITE_KEY,
     NEXT_PUBLIC_SUPPORT_EMAIL: process.env.NEXT_PUBLIC_SUPPORT_EMAIL,
   },
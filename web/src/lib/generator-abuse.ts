@@ -64,6 +64,23 @@ const MALICIOUS_SCRIPT_PATTERNS: Array<{ reason: string; pattern: RegExp }> = [
     pattern:
       /\b(?:FromBase64String|DownloadString|EncodedCommand)\b[\s\S]{0,400}\b(?:Invoke-Expression|\biex\b|powershell(?:\.exe)?\s+-|Start-Process)\b/i,
   },
+  // macOS shell equivalents (the generator's macOS mode).
+  {
+    reason: "Creates a reverse shell or command-and-control channel.",
+    pattern:
+      /\/dev\/tcp\/|\b(?:nc|ncat|netcat)\b[^\n]*\s-e\s*\/bin\/(?:ba|z)?sh\b/i,
+  },
+  {
+    reason:
+      "Disables Gatekeeper or System Integrity Protection while downloading a payload.",
+    pattern:
+      /\b(?:spctl\s+--(?:master|global)-disable|csrutil\s+disable)\b[\s\S]{0,800}\b(?:curl|wget)\b/i,
+  },
+  {
+    reason: "Reads keychain passwords and sends them off the device.",
+    pattern:
+      /\bsecurity\s+(?:find-generic-password|find-internet-password|dump-keychain)\b[\s\S]{0,800}\b(?:curl|wget|nc)\b/i,
+  },
 ];
 
 export function checkForPromptAbuse(prompt: string): AbuseCheckResult {
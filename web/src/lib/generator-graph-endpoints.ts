@@ -8,7 +8,7 @@
 // The compiled matchers are cached at module scope — first call pays the
 // (small) regex-compile cost, subsequent calls are O(templates) per lookup.
 
-import { GRAPH_ENDPOINTS } from "./generator-graph-data";
+import { GRAPH_ENDPOINTS } from "./generator-graph-data.ts";
 
 type Method = "GET" | "POST" | "PUT" | "PATCH" | "DELETE";
 
@@ -93,6 +93,58 @@ export function isKnownGraphEndpoint(method: string, path: string): boolean {
   return list.some((e) => e.regex.test(normalized));
 }
 
+// The catalog template a concrete path matches, preferring the one with the
+// fewest placeholders (`/users/delta` over `/users/{id}`), or null.
+export function findGraphEndpointTemplate(
+  method: string,
+  path: string,
+): string | null {
+  const { compiled } = ensureCompiled();
+  const list = compiled.get(method.toUpperCase() as Method);
+  if (!list) return null;
+  const normalized = stripVersion(path);
+  const placeholders = (template: string) => template.split("{").length - 1;
+  let best: string | null = null;
+  for (const e of list) {
+    if (!e.regex.test(normalized)) continue;
+    if (best === null || placeholders(e.template) < placeholders(best)) {
+      best = e.template;
+    }
+  }
+  return best;
+}
+
+// Every method the catalog publishes for a concrete path.
+export function graphEndpointMethods(path: string): string[] {
+  const { compiled } = ensureCompiled();
+  const normalized = stripVersion(path);
+  return [...compiled]
+    .filter(([, list]) => list.some((e) => e.regex.test(normalized)))
+    .map(([method]) => method)
+    .sort();
+}
+
+// Endpoints one segment below a template (its navigation properties and
+// actions), as `METHOD /path` strings.
+export function childGraphEndpoints(template: string, limit = 10): string[] {
+  const { templatesByMethod } = ensureCompiled();
+  const prefix = template.replace(/\/$/, "") + "/";
+  const children: { method: string; tpl: string }[] = [];
+  for (const [method, list] of templatesByMethod) {
+    for (const tpl of list) {
+      if (tpl.startsWith(prefix) && !tpl.slice(prefix.length).includes("/")) {
+        children.push({ method, tpl });
+      }
+    }
+  }
+  return children
+    .sort(
+      (a, b) => a.tpl.localeCompare(b.tpl) || a.method.localeCompare(b.method),
+    )
+    .slice(0, limit)
+    .map((c) => `${c.method} ${c.tpl}`);
+}
+
 // Cheap segment-overlap similarity. Higher = closer. Used to surface a few
 // concrete candidate replacements when the model hallucinated an endpoint.
 function similarity(a: string, b: string): number {
@@ -134,6 +186,8 @@ export type EndpointCheck = {
   method: string;
   uri: string;
   path: string;
+  // Offset of the URI literal in the scanned script body.
+  index: number;
   matched: boolean;
   wrongVersion: boolean;
   suggestions: string[];
@@ -157,16 +211,16 @@ function pathVersion(path: string): "v1.0" | "beta" | "unknown" {
 //   - Method detection is scoped to the line containing the URI literal
 export function extractGraphEndpointUsages(
   scriptBody: string,
-): { method: string; uri: string; path: string }[] {
-  const usages: { method: string; uri: string; path: string }[] = [];
+): { method: string; uri: string; path: string; index: number }[] {
+  const usages: { method: string; uri: string; path: string; index: number }[] =
+    [];
   // Match either single or double quoted Graph URIs. Spaces are allowed inside
   // the URI body because PowerShell strings routinely contain unencoded OData
   // query params like `?$filter=operatingSystem eq 'macOS'`. We only break on
   // the MATCHING closing quote (via backreference, so the inner `'macOS'`
   // inside a double-quoted URI doesn't terminate the match early) and on an
   // embedded newline (`.` doesn't match `\n` in JS regex by default).
-  const uriRe =
-    /(["'])https:\/\/graph\.microsoft\.com\/(?:v1\.0|beta)\/.*?\1/g;
+  const uriRe = /(["'])https:\/\/graph\.microsoft\.com\/(?:v1\.0|beta)\/.*?\1/g;
   for (const match of scriptBody.matchAll(uriRe)) {
     const raw = match[0].slice(1, -1); // strip quotes
     const url = stripQueryAndFragment(raw);
@@ -185,7 +239,7 @@ export function extractGraphEndpointUsages(
       /-Method\s+["']?(GET|POST|PUT|PATCH|DELETE)["']?/i,
     );
     const method = (methodMatch?.[1] ?? "GET").toUpperCase();
-    usages.push({ method, uri: raw, path });
+    usages.push({ method, uri: raw, path, index: idx });
   }
   return usages;
 }
@@ -206,6 +260,7 @@ export function checkGraphEndpoints(scriptBody: string): EndpointCheck[] {
       method: u.method,
       uri: u.uri,
       path: u.path,
+      index: u.index,
       matched,
       wrongVersion: pathVersion(u.path) === "v1.0",
       suggestions: matched ? [] : suggestGraphEndpoints(u.method, u.path, 3),
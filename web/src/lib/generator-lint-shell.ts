@@ -0,0 +1,356 @@
+// Quality + safety linter for AI-generated macOS shell scripts — the
+// counterpart of lintScript for the generator's macOS mode. Scripts follow
+// templates/macos-script-template.sh: a bash/zsh shebang, then a `# FIELD:`
+// comment header instead of PowerShell's comment-based help block. Intune
+// runs them as root on the Mac, which drives most of the security rules.
+// Pure function — runs client-side after streaming completes.
+
+import { checkForMaliciousScript } from "./generator-abuse.ts";
+import type { LintFinding, LintResult } from "./generator-lint.ts";
+
+// Header fields, in the template's order.
+const REQUIRED_FIELDS = [
+  "TITLE",
+  "SYNOPSIS",
+  "DESCRIPTION",
+  "TAGS",
+  "PLATFORM",
+  "MIN_OS_VERSION",
+  "AUTHOR",
+  "VERSION",
+  "LASTUPDATE",
+  "CHANGELOG",
+  "EXAMPLE",
+  "NOTES",
+];
+
+const SHEBANG = /^#!\s*(?:\/bin\/(?:ba|z)?sh|\/usr\/bin\/env\s+(?:ba|z)?sh)\b/;
+
+// Hosts a management script may reasonably call without taking a parameter.
+const ALLOWED_HOST =
+  /(?:^|\.)(?:apple\.com|microsoft\.com|microsoftonline\.com)$/;
+
+const TODAY = () => new Date().toISOString().slice(0, 10);
+
+// 1-based line number of a character offset.
+const lineAt = (text: string, index: number) =>
+  text.slice(0, index).split("\n").length;
+
+// The first line of a `# FIELD: value` header entry, or null.
+export function shellHeaderField(code: string, field: string): string | null {
+  const match = new RegExp(`^#[ \\t]*${field}:[ \\t]*(.*)$`, "m").exec(code);
+  return match ? (match[1] ?? "").trim() : null;
+}
+
+// Structural pre-check, as detectHardReject in generator-lint.ts.
+function detectShellHardReject(code: string): { reason: string } | null {
+  const trimmed = code.trim();
+  if (trimmed.length < 80) {
+    return { reason: "Output is too short to be a valid script." };
+  }
+  if (!SHEBANG.test(trimmed)) {
+    return {
+      reason:
+        "Output does not start with a bash or zsh shebang (#!/bin/bash or #!/bin/zsh).",
+    };
+  }
+  if (shellHeaderField(trimmed, "TITLE") === null) {
+    return {
+      reason: "Output is missing the required `# TITLE:` metadata header.",
+    };
+  }
+  const maliciousScript = checkForMaliciousScript(trimmed);
+  if (maliciousScript.malicious) {
+    return {
+      reason: `Output contains a high-risk malicious automation pattern. ${maliciousScript.reason}`,
+    };
+  }
+  return null;
+}
+
+const SECURITY_PATTERNS: Array<{
+  id: string;
+  severity: "warn" | "fail";
+  re: RegExp;
+  msg: string;
+  detail?: string;
+}> = [
+  {
+    id: "pipe-to-shell",
+    severity: "fail",
+    re: /\b(?:curl|wget)\b[^\n|]*\|\s*(?:sudo\s+)?(?:\/bin\/)?(?:ba|z)?sh\b/,
+    msg: "Pipes a download straight into a shell.",
+    detail:
+      "Download to a file, verify its signature or checksum, then run it — or deploy the payload as an Intune app.",
+  },
+  {
+    id: "eval",
+    severity: "fail",
+    re: /(?:^|[\s;&|(])eval\s/m,
+    msg: "Uses `eval` — risky if any input is user-controlled. Review carefully.",
+  },
+  {
+    id: "encoded-command",
+    severity: "fail",
+    re: /\bbase64\s+(?:-d|-D|--decode)\b/,
+    msg: "Decodes base64 at runtime, which hides what the script runs.",
+  },
+  {
+    id: "hardcoded-password",
+    severity: "fail",
+    re: /\b\w*(?:password|passwd|secret|token|api_?key)\w*=(["'])[^"'$][^"']{4,}\1/i,
+    msg: "Possible hardcoded credential found.",
+  },
+  {
+    id: "security-bypass",
+    severity: "fail",
+    re: /\bspctl\s+--(?:master|global)-disable\b|\bcsrutil\s+disable\b|\bxattr\s+(?:-[a-z]+\s+)*-[a-z]*[dc][a-z]*\s+(?:-[a-z]+\s+)*com\.apple\.quarantine\b/,
+    msg: "Disables Gatekeeper, System Integrity Protection, or quarantine checks.",
+  },
+  {
+    id: "credential-access",
+    severity: "fail",
+    re: /\bsecurity\s+(?:find-generic-password|find-internet-password|dump-keychain)\b|\/Library\/Keychains\b/,
+    msg: "Reads passwords from the keychain.",
+  },
+  {
+    id: "sudo",
+    severity: "warn",
+    // `sudo -u <user>` is how root runs a command as the signed-in user.
+    re: /(?:^|[\s;&|(])sudo\s+(?!-u\b)/m,
+    msg: "Uses `sudo` — Intune already runs shell scripts as root.",
+    detail:
+      "Drop `sudo`; when a command must run as the signed-in user, use `launchctl asuser` with `sudo -u`.",
+  },
+  {
+    id: "persistence",
+    severity: "warn",
+    re: /\/Library\/Launch(?:Daemons|Agents)\/|\blaunchctl\s+(?:load|bootstrap)\b/,
+    msg: "Installs a LaunchDaemon or LaunchAgent (persistence).",
+  },
+];
+
+export function lintShellScript(code: string): LintResult {
+  const findings: LintFinding[] = [];
+
+  const hardReject = detectShellHardReject(code);
+  if (hardReject) {
+    return {
+      findings: [
+        {
+          id: "hard-reject",
+          severity: "fail",
+          category: "metadata",
+          message: hardReject.reason,
+        },
+      ],
+      passCount: 0,
+      warnCount: 0,
+      failCount: 1,
+      hardReject,
+    };
+  }
+
+  // ------------------------------------------------------------------
+  // 1. Metadata header
+  // ------------------------------------------------------------------
+  const missingFields = REQUIRED_FIELDS.filter(
+    (f) => shellHeaderField(code, f) === null,
+  );
+  if (missingFields.length === 0) {
+    findings.push({
+      id: "metadata-complete",
+      severity: "pass",
+      category: "metadata",
+      message: `All ${REQUIRED_FIELDS.length} required header fields present.`,
+    });
+  } else {
+    findings.push({
+      id: "metadata-missing",
+      severity: "fail",
+      category: "metadata",
+      message: `Missing header fields: ${missingFields.join(", ")}.`,
+    });
+  }
+
+  const platform = shellHeaderField(code, "PLATFORM");
+  if (platform !== null && platform !== "macOS") {
+    findings.push({
+      id: "platform-not-macos",
+      severity: "warn",
+      category: "metadata",
+      message: `\`# PLATFORM:\` is "${platform}" (expected macOS).`,
+    });
+  }
+
+  const author = /^#[ \t]*AUTHOR:[ \t]*(.*)$/m.exec(code);
+  if (author?.[1]?.trim() === "AI Generated (IntuneAutomation.com)") {
+    findings.push({
+      id: "author-correct",
+      severity: "pass",
+      category: "metadata",
+      message: "Author tagged as AI-generated.",
+    });
+  } else {
+    findings.push({
+      id: "author-wrong",
+      severity: "warn",
+      category: "metadata",
+      message:
+        "`# AUTHOR:` is not the expected `AI Generated (IntuneAutomation.com)` marker.",
+      ...(author ? { line: lineAt(code, author.index) } : {}),
+    });
+  }
+
+  const date = /^#[ \t]*LASTUPDATE:[ \t]*(\d{4}-\d{2}-\d{2})/m.exec(code);
+  if (date?.[1] === TODAY()) {
+    findings.push({
+      id: "date-current",
+      severity: "pass",
+      category: "metadata",
+      message: "`# LASTUPDATE:` is today.",
+    });
+  } else if (date) {
+    findings.push({
+      id: "date-stale",
+      severity: "warn",
+      category: "metadata",
+      message: `\`# LASTUPDATE:\` is ${date[1]} (expected ${TODAY()}).`,
+      line: lineAt(code, date.index),
+    });
+  }
+
+  // Shell scripts run on the device; there is no Graph scope to check.
+  findings.push({
+    id: "permissions-none",
+    severity: "pass",
+    category: "permissions",
+    message: "No Graph permissions required (runs on the Mac as root).",
+  });
+
+  // ------------------------------------------------------------------
+  // 2. Security patterns
+  // ------------------------------------------------------------------
+  // Comments are blanked (keeping line breaks) so the header, notes, and
+  // commented-out template code can't trigger findings. `$#` and `${#x}` are
+  // not comments: a comment starts at a line start or after whitespace.
+  const body = code.replace(/(^|\s)#[^\n]*/g, "$1");
+  let dangerousFound = false;
+  for (const p of SECURITY_PATTERNS) {
+    const match = p.re.exec(body);
+    if (!match) continue;
+    dangerousFound = true;
+    findings.push({
+      id: p.id,
+      severity: p.severity,
+      category: "security",
+      message: p.msg,
+      ...(p.detail ? { detail: p.detail } : {}),
+      line: lineAt(body, match.index),
+    });
+  }
+
+  const urls = Array.from(body.matchAll(/https?:\/\/[^\s"'`)]+/g)).filter(
+    (m) => {
+      const host = m[0].replace(/^https?:\/\//, "").split(/[/?#:]/)[0] ?? "";
+      return !ALLOWED_HOST.test(host) && !m[0].includes("$");
+    },
+  );
+  const [firstUrl] = urls;
+  if (firstUrl) {
+    dangerousFound = true;
+    findings.push({
+      id: "hardcoded-external-url",
+      severity: "fail",
+      category: "security",
+      message: `Hardcoded external URL${urls.length === 1 ? "" : "s"} in script body: ${urls
+        .slice(0, 2)
+        .map((m) => m[0])
+        .join(", ")}${urls.length > 2 ? "…" : ""}`,
+      detail:
+        "Webhook URLs and external endpoints should be variables set at the top of the script, not inline.",
+      line: lineAt(body, firstUrl.index),
+    });
+  }
+
+  if (!dangerousFound) {
+    findings.push({
+      id: "no-dangerous-patterns",
+      severity: "pass",
+      category: "security",
+      message:
+        "No high-risk patterns detected (no eval, no curl | sh, no hardcoded credentials).",
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // 3. Correctness
+  // ------------------------------------------------------------------
+  const rootUser = /\$\(whoami\)|`whoami`|\$\{?(?:USER|HOME)\b/.exec(body);
+  if (rootUser) {
+    findings.push({
+      id: "console-user",
+      severity: "warn",
+      category: "correctness",
+      message:
+        "Intune runs shell scripts as root, so `$USER`, `$HOME`, and `whoami` describe root, not the signed-in user.",
+      detail:
+        'Get the console user with `loggedInUser=$(stat -f "%Su" /dev/console)` and their home with `dscl . -read /Users/"$loggedInUser" NFSHomeDirectory`.',
+      line: lineAt(body, rootUser.index),
+    });
+  }
+
+  const powershell =
+    /^\s*(?:Write-(?:Output|Host|Warning|Error)|Connect-MgGraph|Import-Module|Get-Mg\w+)\b/m.exec(
+      body,
+    );
+  if (powershell) {
+    findings.push({
+      id: "powershell-in-shell",
+      severity: "fail",
+      category: "correctness",
+      message: "PowerShell cmdlets in a shell script.",
+      detail:
+        "Rewrite with macOS command-line tools; zsh and bash can't run them.",
+      line: lineAt(body, powershell.index),
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // 4. Safety — destructive commands
+  // ------------------------------------------------------------------
+  const erase =
+    /\bdiskutil\s+(?:erase\w*|zeroDisk|randomDisk|secureErase)\b/.exec(body);
+  if (erase) {
+    findings.push({
+      id: "disk-erase",
+      severity: "fail",
+      category: "safety",
+      message: "Erases a disk or volume with `diskutil`.",
+      line: lineAt(body, erase.index),
+    });
+  }
+  // `rm -r "$dir/..."` with an unguarded variable: if it's ever empty, the
+  // path collapses to `/...`. `${dir:?}` aborts instead.
+  const unguardedRm =
+    /\brm\s+(?:-[a-zA-Z]+\s+)*-[a-zA-Z]*[rR][a-zA-Z]*\s+(?:-[a-zA-Z]+\s+)*["']?\$(?!\{\w+:\?)\{?\w+\}?["']?\//.exec(
+      body,
+    );
+  if (unguardedRm) {
+    findings.push({
+      id: "unguarded-rm",
+      severity: "warn",
+      category: "safety",
+      message:
+        "`rm -r` on a path built from a variable that could be empty, which would point it at `/`.",
+      detail: 'Use `"${dir:?}/..."` or check `[[ -n "$dir" ]]` first.',
+      line: lineAt(body, unguardedRm.index),
+    });
+  }
+
+  const passCount = findings.filter((f) => f.severity === "pass").length;
+  const warnCount = findings.filter((f) => f.severity === "warn").length;
+  const failCount = findings.filter((f) => f.severity === "fail").length;
+
+  return { findings, passCount, warnCount, failCount, hardReject: null };
+}
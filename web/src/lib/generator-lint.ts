@@ -1,9 +1,10 @@
 // Lightweight quality + safety linter for AI-generated PowerShell scripts.
 // Pure function — runs client-side after streaming completes. No server roundtrip.
 
-import { GRAPH_SCOPES } from "./generator-graph-data";
-import { checkGraphEndpoints } from "./generator-graph-endpoints";
-import { checkForMaliciousScript } from "./generator-abuse";
+import { GRAPH_SCOPES } from "./generator-graph-data.ts";
+import { checkGraphEndpoints } from "./generator-graph-endpoints.ts";
+import { checkForMaliciousScript } from "./generator-abuse.ts";
+import { lintShellScript } from "./generator-lint-shell.ts";
 //
 // Categories of checks:
 //   - Metadata completeness (the .TITLE/.SYNOPSIS/... block)
@@ -15,12 +16,17 @@ import { checkForMaliciousScript } from "./generator-abuse";
 
 export type LintSeverity = "pass" | "warn" | "fail";
 
+// "shell" is the generator's macOS mode; see generator-lint-shell.ts.
+export type ScriptLanguage = "powershell" | "shell";
+
 export type LintFinding = {
   id: string;
   severity: LintSeverity;
   category: "metadata" | "permissions" | "security" | "correctness" | "safety";
   message: string;
   detail?: string;
+  // 1-based line of the (first) offending code, when the check points at one.
+  line?: number;
 };
 
 export type LintResult = {
@@ -104,7 +110,26 @@ const CMDLET_PITFALLS: Array<{
 
 const TODAY = () => new Date().toISOString().slice(0, 10);
 
-export function lintScript(code: string): LintResult {
+// 1-based line number of a character offset.
+function lineAt(text: string, index: number): number {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < index; ) {
+    line++;
+    i = text.indexOf("\n", i + 1);
+  }
+  return line;
+}
+
+// Blanks out a match but keeps its line breaks, so offsets in the stripped
+// text still map to the same lines of the original script.
+const blankOut = (match: string) => match.replace(/[^\n]/g, "");
+
+export function lintScript(
+  code: string,
+  language: ScriptLanguage = "powershell",
+): LintResult {
+  if (language === "shell") return lintShellScript(code);
+
   const findings: LintFinding[] = [];
 
   // Structural hard-reject: if output is clearly not a PS script, bail early
@@ -164,6 +189,7 @@ export function lintScript(code: string): LintResult {
   // ------------------------------------------------------------------
   // 2. Author marker (don't impersonate)
   // ------------------------------------------------------------------
+  const authorAt = code.indexOf(".AUTHOR");
   if (/\.AUTHOR\s*\n\s*AI Generated \(IntuneAutomation\.com\)/.test(code)) {
     findings.push({
       id: "author-correct",
@@ -178,6 +204,7 @@ export function lintScript(code: string): LintResult {
       category: "metadata",
       message:
         "`.AUTHOR` is not the expected `AI Generated (IntuneAutomation.com)` marker.",
+      ...(authorAt === -1 ? {} : { line: lineAt(code, authorAt) }),
     });
   }
 
@@ -198,6 +225,7 @@ export function lintScript(code: string): LintResult {
       severity: "warn",
       category: "metadata",
       message: `\`.LASTUPDATE\` is ${dateMatch[1]} (expected ${TODAY()}).`,
+      line: lineAt(code, (dateMatch.index ?? 0) + dateMatch[0].length - 1),
     });
   }
 
@@ -237,6 +265,10 @@ export function lintScript(code: string): LintResult {
           message: `Unrecognized Graph scope${invalid.length === 1 ? "" : "s"}: ${invalid.join(", ")}.`,
           detail:
             "Verify the spelling on the Microsoft Graph permissions reference. May be valid but uncommon, or hallucinated.",
+          line: lineAt(
+            code,
+            (permsMatch.index ?? 0) + permsMatch[0].length - 1,
+          ),
         });
       }
     }
@@ -246,11 +278,12 @@ export function lintScript(code: string): LintResult {
   // 5. Dangerous code patterns
   // ------------------------------------------------------------------
   // Strip comment-based help block and inline comments before scanning body
-  // patterns, so examples and notes do not create false positives.
-  const codeWithoutHelpBlock = code.replace(/<#[\s\S]*?#>/g, "");
+  // patterns, so examples and notes do not create false positives. Both keep
+  // their line breaks so findings can point at lines of the original script.
+  const codeWithoutHelpBlock = code.replace(/<#[\s\S]*?#>/g, blankOut);
   const codeWithoutComments = codeWithoutHelpBlock.replace(
     /(^|\s)#[^\n]*/g,
-    "",
+    "$1",
   );
   const dangerousPatterns: Array<{ id: string; re: RegExp; msg: string }> = [
     {
@@ -291,7 +324,8 @@ export function lintScript(code: string): LintResult {
   ];
   let dangerousFound = false;
   for (const p of dangerousPatterns) {
-    if (p.re.test(codeWithoutComments)) {
+    const match = p.re.exec(codeWithoutComments);
+    if (match) {
       dangerousFound = true;
       findings.push({
         id: p.id,
@@ -301,6 +335,7 @@ export function lintScript(code: string): LintResult {
             : "fail",
         category: "security",
         message: p.msg,
+        line: lineAt(codeWithoutComments, match.index),
       });
     }
   }
@@ -337,6 +372,7 @@ export function lintScript(code: string): LintResult {
     .filter((u) => !u.includes("$")); // Variable-substituted URLs are parametric
 
   if (externalUrls.length > 0) {
+    const first = urlMatches.find((m) => m[0] === externalUrls[0]);
     findings.push({
       id: "hardcoded-external-url",
       severity: "fail",
@@ -344,6 +380,7 @@ export function lintScript(code: string): LintResult {
       message: `Hardcoded external URL${externalUrls.length === 1 ? "" : "s"} in script body: ${externalUrls.slice(0, 2).join(", ")}${externalUrls.length > 2 ? "…" : ""}`,
       detail:
         "Webhook URLs and external endpoints should be parameters, not hardcoded.",
+      ...(first ? { line: lineAt(codeWithoutComments, first.index ?? 0) } : {}),
     });
   }
 
@@ -351,13 +388,15 @@ export function lintScript(code: string): LintResult {
   // 7. Cmdlet pitfalls (known Claude confusions)
   // ------------------------------------------------------------------
   for (const pitfall of CMDLET_PITFALLS) {
-    if (pitfall.pattern.test(code)) {
+    const match = pitfall.pattern.exec(code);
+    if (match) {
       findings.push({
         id: pitfall.id,
         severity: "fail",
         category: "correctness",
         message: pitfall.message,
         detail: pitfall.suggestion,
+        line: lineAt(code, match.index),
       });
     }
   }
@@ -367,11 +406,12 @@ export function lintScript(code: string): LintResult {
   // ------------------------------------------------------------------
   const destructiveEndpoints =
     /\/(retire|wipe|delete|reset|setDeviceName|disable)\b/i;
-  const hasDestructiveCall =
-    destructiveEndpoints.test(codeWithoutHelpBlock) ||
-    /\bMethod\s+(?:DELETE|POST)\b[\s\S]{0,200}\/(retire|wipe|delete)\b/i.test(
+  const destructiveMatch =
+    destructiveEndpoints.exec(codeWithoutHelpBlock) ??
+    /\bMethod\s+(?:DELETE|POST)\b[\s\S]{0,200}\/(retire|wipe|delete)\b/i.exec(
       codeWithoutHelpBlock,
     );
+  const hasDestructiveCall = destructiveMatch !== null;
   const hasShouldProcess =
     /\[CmdletBinding\([^)]*SupportsShouldProcess\s*=\s*\$true/i.test(code);
   const hasShouldProcessCall = /\$PSCmdlet\.ShouldProcess\s*\(/i.test(
@@ -397,6 +437,7 @@ export function lintScript(code: string): LintResult {
       message: `Script performs destructive operations (retire/wipe/delete) but lacks required safeguards: ${destructiveMissing.join(", ")}.`,
       detail:
         "Use `[CmdletBinding(SupportsShouldProcess = $true, ConfirmImpact = 'High')]`, gate destructive calls behind `$PSCmdlet.ShouldProcess(...)`, and include a confirmation parameter that defaults to safe confirmation.",
+      line: lineAt(codeWithoutHelpBlock, destructiveMatch.index),
     });
   } else if (hasDestructiveCall) {
     findings.push({
@@ -451,7 +492,8 @@ export function lintScript(code: string): LintResult {
 
     return true;
   });
-  if (unsafeDateParses.length > 0) {
+  const [firstUnsafeParse] = unsafeDateParses;
+  if (firstUnsafeParse) {
     findings.push({
       id: "unsafe-date-parse",
       severity: "warn",
@@ -459,6 +501,7 @@ export function lintScript(code: string): LintResult {
       message: `${unsafeDateParses.length} unguarded \`[DateTime]::Parse(...)\` call${unsafeDateParses.length === 1 ? "" : "s"} on a date field.`,
       detail:
         "Rewrite as `$var = if ($x.field) { [DateTime]::Parse($x.field) } else { $null }`, or wrap in try/catch. Parse THROWS on null/empty input — a later `if ($null -eq $var)` check is dead code and does not prevent the throw. Microsoft Graph returns null for date fields on newly enrolled or errored devices.",
+      line: lineAt(codeWithoutHelpBlock, firstUnsafeParse.index ?? 0),
     });
   }
 
@@ -466,9 +509,9 @@ export function lintScript(code: string): LintResult {
   // 10. Connect-MgGraph called with both -Scopes and -Identity (mutually
   //     exclusive in Azure Automation environments) — quick sanity check
   // ------------------------------------------------------------------
-  const hasIdentityAuth = /Connect-MgGraph\s+-Identity/.test(code);
+  const identityAuth = /Connect-MgGraph\s+-Identity/.exec(code);
   const hasIfAzureAutomation = /\$IsAzureAutomation/.test(code);
-  if (hasIdentityAuth && !hasIfAzureAutomation) {
+  if (identityAuth && !hasIfAzureAutomation) {
     findings.push({
       id: "managed-identity-no-fallback",
       severity: "warn",
@@ -477,6 +520,7 @@ export function lintScript(code: string): LintResult {
         "`Connect-MgGraph -Identity` is used but there is no Azure Automation detection branch.",
       detail:
         "Interactive runs will fail. Detect with `$null -ne $PSPrivateMetadata.JobId.Guid` and branch.",
+      line: lineAt(code, identityAuth.index),
     });
   }
 
@@ -513,9 +557,11 @@ export function lintScript(code: string): LintResult {
       category: "correctness",
       message: `Graph endpoint not found in the official catalog: ${u.method} ${u.path}.`,
       detail: `Replace with a real endpoint or remove this call.${suggestionText}`,
+      line: lineAt(codeWithoutHelpBlock, u.index),
     });
   }
-  if (v1Endpoints.length > 0) {
+  const [firstV1Endpoint] = v1Endpoints;
+  if (firstV1Endpoint) {
     findings.push({
       id: "graph-endpoint-v1",
       severity: "warn",
@@ -523,6 +569,7 @@ export function lintScript(code: string): LintResult {
       message: `${v1Endpoints.length} Graph endpoint${v1Endpoints.length === 1 ? " uses" : "s use"} /v1.0 — switch to /beta.`,
       detail:
         "IntuneAutomation generator always uses /beta for the full Intune device-management API surface. Rewrite each /v1.0 URI to /beta with the same path.",
+      line: lineAt(codeWithoutHelpBlock, firstV1Endpoint.index),
     });
   }
 
@@ -0,0 +1,381 @@
+// Remediation pair mode for the script generator. The model writes an Intune
+// Remediations detection script and remediation script in one response; this
+// splits them apart, names each file after the other's .PAIRSCRIPT, lints both
+// with lintScript, and checks what only makes sense across the pair: matching
+// .REMEDIATIONTYPE / .PAIRSCRIPT metadata, the exit-code contract, and whether
+// the remediation changes what the detection looks at.
+// Pure function — runs client-side after streaming completes.
+
+import {
+  lintScript,
+  type LintFinding,
+  type LintResult,
+} from "./generator-lint.ts";
+
+export type RemediationFile = {
+  // File name, taken from the other script's .PAIRSCRIPT (see pairFileNames).
+  name: string;
+  code: string;
+  lint: LintResult;
+};
+
+export type RemediationPairResult = {
+  detection: RemediationFile;
+  remediation: RemediationFile;
+  // Checks that need both scripts.
+  pairFindings: LintFinding[];
+  // Both files' findings (labeled) plus the pair checks, in the LintResult
+  // shape the inspector renders.
+  combined: LintResult;
+};
+
+const DEFAULT_DETECTION_NAME = "detect.ps1";
+const DEFAULT_REMEDIATION_NAME = "remediate.ps1";
+const FILE_NAME = /^[\w.-]+\.ps1$/i;
+
+// Fenced PowerShell blocks; the last one may still be streaming (no close).
+const FENCED_BLOCK = /```(?:powershell|ps1)?[^\n]*\n([\s\S]*?)(?:```|$)/g;
+
+/** A comment-based help field's first line, e.g. helpField(code, "PAIRSCRIPT"). */
+export function helpField(code: string, field: string): string | null {
+  const match = new RegExp(`^\\s*\\.${field}[ \\t]*\\r?\\n\\s*(.+)`, "mi").exec(
+    code,
+  );
+  return match?.[1]?.trim() || null;
+}
+
+/**
+ * The detection and remediation scripts in a pair response, told apart by
+ * .REMEDIATIONTYPE and otherwise by order (detection first). Either is null
+ * until its code block has started.
+ */
+export function splitRemediationPair(text: string): {
+  detection: string | null;
+  remediation: string | null;
+} {
+  const blocks = [...text.matchAll(FENCED_BLOCK)]
+    .map((m) => (m[1] ?? "").trimEnd())
+    .filter(Boolean);
+  const typed = (type: string) =>
+    blocks.find((b) => helpField(b, "REMEDIATIONTYPE")?.toLowerCase() === type);
+  const detection = typed("detection") ?? null;
+  const remediation = typed("remediation") ?? null;
+  const rest = blocks.filter((b) => b !== detection && b !== remediation);
+  return {
+    detection: detection ?? rest.shift() ?? null,
+    remediation: remediation ?? rest.shift() ?? null,
+  };
+}
+
+// 1-based line number of a character offset.
+const lineAt = (text: string, index: number) =>
+  text.slice(0, index).split("\n").length;
+
+function exitStatements(code: string): { exitCode: number; line: number }[] {
+  return [...code.matchAll(/^[ \t]*exit[ \t]+(\d+)\b/gim)].map((m) => ({
+    exitCode: Number(m[1]),
+    line: lineAt(code, m.index),
+  }));
+}
+
+// Registry keys, file paths, and service names a script works on, lowercased.
+// Variables assigned from string literals are covered because the literal is
+// matched wherever it appears.
+function targets(code: string): Set<string> {
+  const found = new Set<string>();
+  const add = (value: string) =>
+    found.add(value.toLowerCase().replace(/\\+$/, ""));
+  for (const m of code.matchAll(
+    /["'](?:(?:HKLM|HKCU|HKCR|HKU|HKCC):|Registry::)\\?[^"'\n]+["']/gi,
+  )) {
+    add(m[0].slice(1, -1).replace(/^Registry::/i, ""));
+  }
+  for (const m of code.matchAll(/["'][A-Za-z]:\\[^"'\n]+["']/g)) {
+    add(m[0].slice(1, -1));
+  }
+  for (const m of code.matchAll(
+    /\b(?:Get|Set|Start|Stop|Restart)-Service\s+(?:-Name\s+)?["']?([\w.-]+)/gi,
+  )) {
+    if (!m[1]!.startsWith("-")) add(`service:${m[1]}`);
+  }
+  return found;
+}
+
+function pairChecks(
+  detection: string,
+  remediation: string,
+  detectionName: string | null,
+  remediationName: string | null,
+): LintFinding[] {
+  const findings: LintFinding[] = [];
+
+  // .REMEDIATIONTYPE on each half.
+  const detectionType = helpField(detection, "REMEDIATIONTYPE");
+  const remediationType = helpField(remediation, "REMEDIATIONTYPE");
+  if (
+    detectionType?.toLowerCase() === "detection" &&
+    remediationType?.toLowerCase() === "remediation"
+  ) {
+    findings.push({
+      id: "pair-types",
+      severity: "pass",
+      category: "metadata",
+      message: "`.REMEDIATIONTYPE` is Detection and Remediation.",
+    });
+  } else {
+    findings.push({
+      id: "pair-types-wrong",
+      severity: "fail",
+      category: "metadata",
+      message:
+        "`.REMEDIATIONTYPE` must be `Detection` in the detection script and `Remediation` in the remediation script.",
+    });
+  }
+
+  // .PAIRSCRIPT cross-references. Each file is named by the other one, so
+  // the pair is only consistent when both are set and name different files.
+  if (!detectionName || !remediationName) {
+    findings.push({
+      id: "pair-script-missing",
+      severity: "fail",
+      category: "metadata",
+      message: `\`.PAIRSCRIPT\` is missing in the ${detectionName ? "detection" : "remediation"} script${!detectionName && !remediationName ? "s" : ""}.`,
+      detail:
+        "The detection script's .PAIRSCRIPT names the remediation file and the remediation script's names the detection file.",
+    });
+  } else if (detectionName.toLowerCase() === remediationName.toLowerCase()) {
+    findings.push({
+      id: "pair-script-same",
+      severity: "fail",
+      category: "metadata",
+      message: `Both \`.PAIRSCRIPT\` fields name ${detectionName}; each must name the other script.`,
+    });
+  } else {
+    findings.push({
+      id: "pair-script-matched",
+      severity: "pass",
+      category: "metadata",
+      message: `\`.PAIRSCRIPT\` links ${detectionName} and ${remediationName}.`,
+    });
+    if (
+      !/^detect-.+\.ps1$/i.test(detectionName) ||
+      !/^remediate-.+\.ps1$/i.test(remediationName)
+    ) {
+      findings.push({
+        id: "pair-script-naming",
+        severity: "warn",
+        category: "metadata",
+        message:
+          "Library pairs are named `detect-<name>.ps1` and `remediate-<name>.ps1`.",
+      });
+    }
+  }
+
+  // Exit-code contract: detection exits 1 to trigger the remediation and 0
+  // when compliant; the remediation exits 0 on success.
+  const detectionExits = exitStatements(detection);
+  const remediationExits = exitStatements(remediation);
+  const exits = (list: typeof detectionExits, code: number) =>
+    list.some((e) => e.exitCode === code);
+  if (!exits(detectionExits, 1)) {
+    findings.push({
+      id: "pair-detection-no-exit-1",
+      severity: "fail",
+      category: "correctness",
+      message:
+        "The detection script never exits 1, so Intune will never run the remediation.",
+    });
+  }
+  if (!exits(detectionExits, 0)) {
+    findings.push({
+      id: "pair-detection-no-exit-0",
+      severity: "fail",
+      category: "correctness",
+      message:
+        "The detection script never exits 0, so Intune can never report a device as compliant, even after remediating it.",
+    });
+  }
+  const unexpected = detectionExits.find((e) => e.exitCode > 2);
+  if (unexpected) {
+    findings.push({
+      id: "pair-detection-exit-code",
+      severity: "warn",
+      category: "correctness",
+      message: `The detection script exits ${unexpected.exitCode}; the library uses 0 (compliant), 1 (remediate), and 2 (error).`,
+      line: unexpected.line,
+    });
+  }
+  if (!exits(remediationExits, 0)) {
+    findings.push({
+      id: "pair-remediation-no-exit-0",
+      severity: "fail",
+      category: "correctness",
+      message:
+        "The remediation script never exits 0, so Intune reports every run as failed.",
+    });
+  }
+  if (!remediationExits.some((e) => e.exitCode !== 0)) {
+    findings.push({
+      id: "pair-remediation-no-failure-exit",
+      severity: "warn",
+      category: "correctness",
+      message:
+        "The remediation script never exits non-zero, so a failed fix is reported as a success.",
+    });
+  }
+  if (
+    exits(detectionExits, 0) &&
+    exits(detectionExits, 1) &&
+    exits(remediationExits, 0)
+  ) {
+    findings.push({
+      id: "pair-exit-codes",
+      severity: "pass",
+      category: "correctness",
+      message:
+        "Exit codes follow the Remediations contract (detection 0/1, remediation 0 on success).",
+    });
+  }
+
+  // Does the remediation fix what the detection flags? Intune re-runs
+  // detection afterwards, so a remediation that changes something else
+  // leaves the device non-compliant forever.
+  const detectionTargets = targets(detection);
+  const remediationTargets = targets(remediation);
+  if (detectionTargets.size > 0 && remediationTargets.size > 0) {
+    const shared = [...remediationTargets].filter((t) =>
+      detectionTargets.has(t),
+    );
+    if (shared.length > 0) {
+      findings.push({
+        id: "pair-targets-shared",
+        severity: "pass",
+        category: "correctness",
+        message: `Detection checks what the remediation changes (${shared.slice(0, 2).join(", ")}).`,
+      });
+    } else {
+      findings.push({
+        id: "pair-targets-disjoint",
+        severity: "warn",
+        category: "correctness",
+        message:
+          "The remediation changes no registry key, path, or service that the detection checks.",
+        detail:
+          "Intune re-runs detection after remediating; if it checks something else, the device never reports as fixed.",
+      });
+    }
+  }
+
+  // Remediations run as SYSTEM on the device, not against Graph.
+  const graphAuth = /\bConnect-MgGraph\b/i;
+  if (graphAuth.test(detection) || graphAuth.test(remediation)) {
+    findings.push({
+      id: "pair-graph-auth",
+      severity: "fail",
+      category: "security",
+      message:
+        "Remediation scripts run on the device in SYSTEM context and must not call `Connect-MgGraph`.",
+    });
+  }
+
+  return findings;
+}
+
+const labeled = (label: string, result: LintResult): LintFinding[] =>
+  result.findings.map((f) => ({
+    ...f,
+    // Suffix, not prefix: the inspector groups on id prefixes.
+    id: `${f.id}@${label.toLowerCase()}`,
+    message: `${label}: ${f.message}`,
+  }));
+
+/**
+ * Lints a pair response. Null until both scripts are present, which callers
+ * treat like a single-script hard reject once streaming has finished.
+ */
+export function lintRemediationPair(
+  text: string,
+): RemediationPairResult | null {
+  const { detection, remediation } = splitRemediationPair(text);
+  if (!detection || !remediation) return null;
+
+  // Each file is named by its partner's .PAIRSCRIPT.
+  const detectionName = helpField(remediation, "PAIRSCRIPT");
+  const remediationName = helpField(detection, "PAIRSCRIPT");
+  const detectionLint = lintScript(detection);
+  const remediationLint = lintScript(remediation);
+  const pairFindings = pairChecks(
+    detection,
+    remediation,
+    detectionName,
+    remediationName,
+  );
+
+  const findings = [
+    ...labeled("Detection", detectionLint),
+    ...labeled("Remediation", remediationLint),
+    ...pairFindings,
+  ];
+  const names = pairFileNames(detectionName, remediationName);
+  const rejected = detectionLint.hardReject
+    ? { reason: `Detection script: ${detectionLint.hardReject.reason}` }
+    : remediationLint.hardReject
+      ? { reason: `Remediation script: ${remediationLint.hardReject.reason}` }
+      : null;
+
+  return {
+    detection: {
+      name: names.detection,
+      code: detection,
+      lint: detectionLint,
+    },
+    remediation: {
+      name: names.remediation,
+      code: remediation,
+      lint: remediationLint,
+    },
+    pairFindings,
+    combined: {
+      findings,
+      passCount: findings.filter((f) => f.severity === "pass").length,
+      warnCount: findings.filter((f) => f.severity === "warn").length,
+      failCount: findings.filter((f) => f.severity === "fail").length,
+      hardReject: rejected,
+    },
+  };
+}
+
+/**
+ * The zip entry names for a pair. .PAIRSCRIPT is model output, so each name is
+ * cut to its last path segment and must be a plain .ps1 file name; an invalid
+ * name falls back to its default, and both do when the two would collide.
+ */
+function pairFileNames(
+  detectionName: string | null,
+  remediationName: string | null,
+): { detection: string; remediation: string } {
+  const bare = (name: string | null, fallback: string) => {
+    const base = name?.split(/[\\/]/).pop() ?? "";
+    return FILE_NAME.test(base) ? base : fallback;
+  };
+  const detection = bare(detectionName, DEFAULT_DETECTION_NAME);
+  const remediation = bare(remediationName, DEFAULT_REMEDIATION_NAME);
+  return detection.toLowerCase() === remediation.toLowerCase()
+    ? {
+        detection: DEFAULT_DETECTION_NAME,
+        remediation: DEFAULT_REMEDIATION_NAME,
+      }
+    : { detection, remediation };
+}
+
+/** The folder a pair would live in under scripts/remediation/. */
+export function remediationFolderName(pair: RemediationPairResult): string {
+  return (
+    pair.detection.name
+      .replace(/\.ps1$/i, "")
+      .replace(/^detect-/i, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/(^-|-$)/g, "") || "remediation-pair"
+  );
+}
@@ -0,0 +1,186 @@
+// Generator sessions: every version a generate, fix, or refine produced for
+// one prompt, with its lint result and Graph endpoint checks. Sessions live in
+// the browser's localStorage, so a refine that makes the script worse can be
+// rolled back and a reload doesn't lose the work. Nothing is sent anywhere.
+// Pure functions over a Storage — runs client-side.
+
+import type { LintResult } from "./generator-lint.ts";
+import { lineDiff } from "./line-diff.ts";
+
+// "remediation" writes an Intune Remediations detection + remediation pair,
+// "macos" a bash/zsh script for Macs.
+export type GeneratorMode = "script" | "remediation" | "macos";
+
+export type EndpointCheck = { method: string; path: string; known: boolean };
+
+// What produced a version. Rolling back appends a "restore" copy of the
+// earlier version, so history is only ever added to.
+export type VersionSource =
+  | "generate"
+  | "fix"
+  | "auto-fix"
+  | "refine"
+  | "restore";
+
+export type GeneratorVersion = {
+  // 1-based, in the order the versions were made.
+  number: number;
+  source: VersionSource;
+  // The change the user asked for, on "refine" versions.
+  refinement?: string;
+  // The version copied, on "restore" versions.
+  restoredFrom?: number;
+  // The model's response as streamed, code fences included.
+  output: string;
+  lint: LintResult | null;
+  endpointChecks: EndpointCheck[];
+  createdAt: number;
+};
+
+export type GeneratorSession = {
+  id: string;
+  prompt: string;
+  mode: GeneratorMode;
+  createdAt: number;
+  updatedAt: number;
+  versions: GeneratorVersion[];
+};
+
+export type DiffLine =
+  | { kind: "same" | "added" | "removed"; text: string }
+  // Unchanged lines away from any change, collapsed.
+  | { kind: "skipped"; count: number };
+
+export const SESSIONS_STORAGE_KEY = "generator-sessions";
+
+// A script plus its lint result is ~20 KB, so a full history stays well
+// inside the ~5 MB localStorage quota.
+export const MAX_SESSIONS = 10;
+export const MAX_VERSIONS = 20;
+
+const MODES: readonly string[] = ["script", "remediation", "macos"];
+
+export function newSessionId(now = Date.now()): string {
+  return `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createSession(
+  id: string,
+  prompt: string,
+  mode: GeneratorMode,
+  now = Date.now(),
+): GeneratorSession {
+  return { id, prompt, mode, createdAt: now, updatedAt: now, versions: [] };
+}
+
+/** Adds the next version, dropping the oldest past MAX_VERSIONS. */
+export function appendVersion(
+  session: GeneratorSession,
+  version: Omit<GeneratorVersion, "number" | "createdAt">,
+  now = Date.now(),
+): GeneratorSession {
+  const number = (session.versions.at(-1)?.number ?? 0) + 1;
+  return {
+    ...session,
+    updatedAt: now,
+    versions: [
+      ...session.versions,
+      { ...version, number, createdAt: now },
+    ].slice(-MAX_VERSIONS),
+  };
+}
+
+/** Puts a session first (most recently used), dropping the oldest past MAX_SESSIONS. */
+export function upsertSession(
+  sessions: GeneratorSession[],
+  session: GeneratorSession,
+): GeneratorSession[] {
+  return [session, ...sessions.filter((s) => s.id !== session.id)].slice(
+    0,
+    MAX_SESSIONS,
+  );
+}
+
+function isSession(value: unknown): value is GeneratorSession {
+  const s = value as Partial<GeneratorSession> | null;
+  return (
+    typeof s?.id === "string" &&
+    typeof s.prompt === "string" &&
+    MODES.includes(s.mode as string) &&
+    Array.isArray(s.versions) &&
+    s.versions.length > 0 &&
+    s.versions.every(
+      (v: Partial<GeneratorVersion> | null) =>
+        typeof v?.number === "number" && typeof v.output === "string",
+    )
+  );
+}
+
+/** Saved sessions, most recent first. Unreadable or malformed data loads as none. */
+export function loadSessions(
+  storage: Pick<Storage, "getItem">,
+): GeneratorSession[] {
+  try {
+    const parsed: unknown = JSON.parse(
+      storage.getItem(SESSIONS_STORAGE_KEY) ?? "[]",
+    );
+    return Array.isArray(parsed) ? parsed.filter(isSession) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves sessions, dropping the oldest until the rest fit the storage quota.
+ * Returns the sessions that were saved.
+ */
+export function saveSessions(
+  storage: Pick<Storage, "setItem" | "removeItem">,
+  sessions: GeneratorSession[],
+): GeneratorSession[] {
+  for (let kept = sessions; kept.length > 0; kept = kept.slice(0, -1)) {
+    try {
+      storage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch {
+      // Quota exceeded; try again without the oldest session.
+    }
+  }
+  try {
+    storage.removeItem(SESSIONS_STORAGE_KEY);
+  } catch {
+    // Storage unavailable.
+  }
+  return [];
+}
+
+/**
+ * Line diff from `before` to `after`. Unchanged lines more than `context`
+ * lines from a change are collapsed into "skipped" entries.
+ */
+export function diffLines(
+  before: string,
+  after: string,
+  context = 3,
+): DiffLine[] {
+  const kinds = { " ": "same", "-": "removed", "+": "added" } as const;
+  const lines: DiffLine[] = lineDiff(before.split("\n"), after.split("\n")).map(
+    (op) => ({ kind: kinds[op.kind], text: op.line }),
+  );
+
+  // Keep unchanged lines near a change; collapse the rest.
+  const keep = lines.map(() => false);
+  lines.forEach((line, index) => {
+    if (line.kind === "same") return;
+    const last = Math.min(lines.length - 1, index + context);
+    for (let k = Math.max(0, index - context); k <= last; k++) keep[k] = true;
+  });
+  const collapsed: DiffLine[] = [];
+  lines.forEach((line, index) => {
+    const previous = collapsed.at(-1);
+    if (keep[index]) collapsed.push(line);
+    else if (previous?.kind === "skipped") previous.count++;
+    else collapsed.push({ kind: "skipped", count: 1 });
+  });
+  return collapsed;
+}
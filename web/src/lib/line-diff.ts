@@ -0,0 +1,106 @@
+// Line diff shared by the generator's version history and the MCP drift
+// check: Myers' shortest edit script over the part of two texts that differs.
+// Pure function — runs client-side and on the server.
+
+export type LineDiffOp = { kind: " " | "-" | "+"; line: string };
+
+// Past this many edits the texts are a rewrite; the changed middle is reported
+// as one replacement instead of tracing a minimal path through it.
+const MAX_EDITS = 1_000;
+// Changed middles with more lines than this (both sides together) are also
+// reported as one replacement, so the search stays bounded for any input.
+const MAX_DIFF_LINES = 10_000;
+
+/**
+ * Myers' O(ND) shortest edit script between two line arrays. Step d only
+ * reaches diagonals -d..d, so the trace keeps just that window of each step
+ * and its memory grows with edits squared rather than lines times edits.
+ */
+function shortestEdit(a: string[], b: string[]): LineDiffOp[] {
+  const n = a.length;
+  const m = b.length;
+  const replaced = (): LineDiffOp[] => [
+    ...a.map((line) => ({ kind: "-" as const, line })),
+    ...b.map((line) => ({ kind: "+" as const, line })),
+  ];
+  if (n === 0 || m === 0 || n + m > MAX_DIFF_LINES) return replaced();
+
+  const offset = n + m;
+  const v = new Int32Array(2 * offset + 2);
+  const trace: Int32Array[] = [];
+  let found = -1;
+  for (let d = 0; d <= Math.min(offset, MAX_EDITS) && found === -1; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1]! < v[offset + k + 1]!)
+          ? v[offset + k + 1]!
+          : v[offset + k - 1]! + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+  if (found === -1) return replaced();
+
+  const ops: LineDiffOp[] = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    // trace[d] holds diagonals -d..d, so diagonal j is at index j + d.
+    const prev = trace[d]!;
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && prev[d + k - 1]! < prev[d + k + 1]!)
+        ? k + 1
+        : k - 1;
+    const prevX = prev[d + prevK]!;
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ kind: " ", line: a[--x]! });
+      y--;
+    }
+    if (x === prevX) ops.push({ kind: "+", line: b[--y]! });
+    else ops.push({ kind: "-", line: a[--x]! });
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ kind: " ", line: a[--x]! });
+    y--;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Every line of `a` and `b` in order, marked unchanged (" "), removed ("-"),
+ * or added ("+").
+ */
+export function lineDiff(a: string[], b: string[]): LineDiffOp[] {
+  // Edits usually touch a few spots; trimming the shared ends keeps the edit
+  // search to the part that actually differs.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  const same = (line: string): LineDiffOp => ({ kind: " ", line });
+  return [
+    ...a.slice(0, head).map(same),
+    ...shortestEdit(
+      a.slice(head, a.length - tail),
+      b.slice(head, b.length - tail),
+    ),
+    ...a.slice(a.length - tail).map(same),
+  ];
+}
@@ -0,0 +1,402 @@
+// Typo-tolerant ranking engine shared by the MCP catalog search and the
+// website's script search.
+//
+// Documents are tokenized per field (camelCase, dotted Graph scopes, and
+// hyphenated ids are split into words), stemmed with a small English suffix
+// stripper, and scored with BM25F: per-field term frequencies are normalized
+// by field length, multiplied by the caller's field weight, and saturated once
+// per query term. Query terms resolve against the document vocabulary by
+// exact stem, prefix, substring, or bounded Damerau-Levenshtein distance, so
+// "bitlockr key", "autopliot cleanup", and "wiping" all find their scripts.
+// Callers may pass query expansions (synonyms) that rewrite an alias phrase
+// into a set of alternative phrases before scoring.
+//
+// Pure and dependency-free: no I/O, no framework imports, safe in the browser.
+
+export type SearchField<T> = {
+  /** Relative importance of a hit in this field (the MCP FIELD_WEIGHTS). */
+  weight: number;
+  text: (doc: T) => string;
+};
+
+/**
+ * Query rewrite rule: when the `alias` phrase appears in a query it is
+ * replaced by a clause that matches any one of `phrases`.
+ */
+export type QueryExpansion = {
+  alias: string;
+  phrases: string[];
+};
+
+export type SearchHit<T> = {
+  doc: T;
+  score: number;
+  /** Query token -> the document-vocabulary terms it matched. */
+  matches: Record<string, string[]>;
+  /** Expansions that contributed to this hit, with the phrase that matched. */
+  expansions: Array<{ alias: string; matched: string }>;
+};
+
+type QueryClause = {
+  alias?: string;
+  // Each alternative is an AND-group of stemmed terms; any one may match.
+  alternatives: Array<{ phrase: string; terms: string[] }>;
+};
+
+type FieldStats = {
+  weight: number;
+  avgLength: number;
+  lengths: number[];
+  // Per document: stemmed term -> occurrences in this field.
+  frequencies: Array<Map<string, number>>;
+};
+
+export type SearchIndex<T> = {
+  docs: T[];
+  fields: FieldStats[];
+  // Stemmed term -> number of documents containing it in any field.
+  documentFrequency: Map<string, number>;
+};
+
+// BM25 saturation and length normalization; standard defaults.
+const K1 = 1.2;
+const B = 0.75;
+
+// Match quality multipliers applied to the term frequency of a fuzzy match.
+const EXACT = 1;
+const PREFIX = 0.8;
+const SUBSTRING = 0.5;
+const TYPO_PER_EDIT = 0.3;
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "all",
+  "any",
+  "are",
+  "by",
+  "can",
+  "do",
+  "for",
+  "from",
+  "how",
+  "i",
+  "in",
+  "into",
+  "is",
+  "it",
+  "me",
+  "my",
+  "of",
+  "on",
+  "or",
+  "that",
+  "the",
+  "this",
+  "to",
+  "with",
+]);
+
+/**
+ * Lowercased word tokens. CamelCase and dotted identifiers such as
+ * `DeviceManagementManagedDevices.Read.All` yield their parts plus the joined
+ * form, so both "managed devices" and "readwrite" find a scope.
+ */
+export function tokenize(text: string): string[] {
+  const tokens: string[] = [];
+  for (const word of text.split(/[^A-Za-z0-9]+/)) {
+    if (!word) continue;
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(" ");
+    for (const part of parts) tokens.push(part.toLowerCase());
+    if (parts.length > 1) tokens.push(word.toLowerCase());
+  }
+  return tokens;
+}
+
+const undouble = (stem: string) =>
+  /([b-df-hj-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz)$/.test(stem)
+    ? stem.slice(0, -1)
+    : stem;
+
+/**
+ * Light English suffix stripper. Not a full Porter stemmer; it only has to
+ * map inflections onto a shared stem ("wipe"/"wiping"/"wiped" -> "wip",
+ * "policies" -> "policy", "remediation"/"remediate" -> "remediat").
+ */
+export function stem(word: string): string {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith("ing") && w.length >= 6) w = undouble(w.slice(0, -3));
+  else if (w.endsWith("ed") && w.length >= 5) w = undouble(w.slice(0, -2));
+  else if (/[ts]ion$/.test(w) && w.length >= 7) w = w.slice(0, -3);
+
+  if (w.endsWith("e") && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Optimal-string-alignment distance (Levenshtein plus adjacent transposition),
+ * abandoned early once every cell in a row exceeds `max`. Returns `max + 1`
+ * for anything further away.
+ */
+export function editDistance(a: string, b: string, max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (a === b) return 0;
+
+  let prevPrev: number[] = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j]! + 1, row[j - 1]! + 1, prev[j - 1]! + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2]! + 1);
+      }
+      row.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length]!;
+}
+
+/** Edits tolerated for a query stem: none for short words, two for long ones. */
+const allowedEdits = (term: string) =>
+  term.length < 5 ? 0 : term.length < 8 ? 1 : 2;
+
+/** Stemmed tokens of free text in order, stop words removed. */
+export function analyzeText(text: string): string[] {
+  return tokenize(text)
+    .filter((t) => !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+/** Stemmed query tokens in order, with stop words dropped unless nothing else remains. */
+function queryTokens(query: string): string[] {
+  const meaningful = analyzeText(query);
+  return meaningful.length ? meaningful : tokenize(query).map(stem);
+}
+
+/** Distinct stemmed query terms, with stop words dropped unless nothing else remains. */
+export function queryTerms(query: string): string[] {
+  return [...new Set(queryTokens(query))];
+}
+
+export function createSearchIndex<T>(
+  docs: T[],
+  fields: Array<SearchField<T>>,
+): SearchIndex<T> {
+  const documentFrequency = new Map<string, number>();
+  const seenPerDoc = docs.map(() => new Set<string>());
+
+  // Weights are relative; scale them to (0, 1] so BM25 saturation still
+  // separates a title hit from a notes-only hit.
+  const maxWeight = Math.max(1, ...fields.map((f) => f.weight));
+
+  const stats = fields.map(({ weight, text }) => {
+    const lengths: number[] = [];
+    const frequencies = docs.map((doc, docIndex) => {
+      const counts = new Map<string, number>();
+      const terms = tokenize(text(doc)).map(stem);
+      for (const term of terms) {
+        counts.set(term, (counts.get(term) ?? 0) + 1);
+        seenPerDoc[docIndex]!.add(term);
+      }
+      lengths.push(terms.length);
+      return counts;
+    });
+    const total = lengths.reduce((sum, n) => sum + n, 0);
+    return {
+      weight: weight / maxWeight,
+      lengths,
+      frequencies,
+      avgLength: docs.length ? total / docs.length || 1 : 1,
+    };
+  });
+
+  for (const terms of seenPerDoc) {
+    for (const term of terms) {
+      documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1);
+    }
+  }
+
+  return { docs, fields: stats, documentFrequency };
+}
+
+/**
+ * Vocabulary terms a stemmed query term resolves to (exact, prefix, substring,
+ * or within the typo budget), with their match quality in (0, 1].
+ */
+export function matchVocabulary(
+  term: string,
+  vocabulary: Iterable<string>,
+): Map<string, number> {
+  const expansions = new Map<string, number>();
+  const maxEdits = allowedEdits(term);
+  for (const candidate of vocabulary) {
+    let quality = 0;
+    if (candidate === term) {
+      quality = EXACT;
+    } else if (candidate.startsWith(term)) {
+      quality = PREFIX;
+    } else if (term.length >= 5 && candidate.includes(term)) {
+      quality = SUBSTRING;
+    } else if (maxEdits > 0) {
+      const distance = editDistance(term, candidate, maxEdits);
+      if (distance <= maxEdits) quality = EXACT - TYPO_PER_EDIT * distance;
+    }
+    if (quality > 0) expansions.set(candidate, quality);
+  }
+  return expansions;
+}
+
+/**
+ * Splits a query into clauses, replacing the longest matching expansion alias
+ * at each position with its alternatives.
+ */
+function queryClauses(
+  query: string,
+  expansions: readonly QueryExpansion[],
+): QueryClause[] {
+  const rules = expansions
+    .map((rule) => ({ rule, tokens: queryTokens(rule.alias) }))
+    .filter(({ tokens }) => tokens.length > 0)
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+
+  const tokens = queryTokens(query);
+  const clauses: QueryClause[] = [];
+  const seen = new Set<string>();
+  for (let i = 0; i < tokens.length; ) {
+    const hit = rules.find(({ tokens: alias }) =>
+      alias.every((t, k) => tokens[i + k] === t),
+    );
+    const clause: QueryClause = hit
+      ? {
+          alias: hit.rule.alias,
+          alternatives: hit.rule.phrases.map((phrase) => ({
+            phrase,
+            terms: queryTerms(phrase),
+          })),
+        }
+      : { alternatives: [{ phrase: tokens[i]!, terms: [tokens[i]!] }] };
+    i += hit ? hit.tokens.length : 1;
+
+    const key = clause.alias ?? clause.alternatives[0]!.phrase;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    clauses.push(clause);
+  }
+  return clauses;
+}
+
+/**
+ * BM25F search with AND semantics: every query clause (a term, or an expanded
+ * alias) must match at least one field of a document. Hits are ordered by
+ * descending score; ties keep the input order so callers control the
+ * tiebreak by pre-sorting.
+ */
+export function searchIndex<T>(
+  index: SearchIndex<T>,
+  query: string,
+  expansions: readonly QueryExpansion[] = [],
+): Array<SearchHit<T>> {
+  const clauses = queryClauses(query, expansions);
+  if (clauses.length === 0) return [];
+
+  const docCount = index.docs.length;
+  const vocabularyMatches = new Map<string, Map<string, number>>();
+  for (const clause of clauses) {
+    for (const { terms } of clause.alternatives) {
+      for (const term of terms) {
+        if (!vocabularyMatches.has(term)) {
+          vocabularyMatches.set(
+            term,
+            matchVocabulary(term, index.documentFrequency.keys()),
+          );
+        }
+      }
+    }
+  }
+
+  const scoreTerm = (docIndex: number, term: string) => {
+    let weightedFrequency = 0;
+    let bestDf = 0;
+    const matched = new Set<string>();
+
+    for (const field of index.fields) {
+      const counts = field.frequencies[docIndex]!;
+      let frequency = 0;
+      for (const [candidate, quality] of vocabularyMatches.get(term)!) {
+        const n = counts.get(candidate);
+        if (!n) continue;
+        frequency += n * quality;
+        matched.add(candidate);
+        bestDf = Math.max(bestDf, index.documentFrequency.get(candidate) ?? 0);
+      }
+      if (frequency === 0) continue;
+      const norm = 1 - B + (B * field.lengths[docIndex]!) / field.avgLength;
+      weightedFrequency += (field.weight * frequency) / norm;
+    }
+
+    if (weightedFrequency === 0) return null;
+    const idf = Math.log(1 + (docCount - bestDf + 0.5) / (bestDf + 0.5));
+    return {
+      score: (idf * weightedFrequency * (K1 + 1)) / (weightedFrequency + K1),
+      matched: [...matched],
+    };
+  };
+
+  const hits: Array<SearchHit<T>> = [];
+  index.docs.forEach((doc, docIndex) => {
+    let score = 0;
+    const matches: Record<string, string[]> = {};
+    const usedExpansions: SearchHit<T>["expansions"] = [];
+
+    for (const clause of clauses) {
+      let best: {
+        phrase: string;
+        score: number;
+        matches: Record<string, string[]>;
+      } | null = null;
+
+      for (const { phrase, terms } of clause.alternatives) {
+        let phraseScore = 0;
+        const phraseMatches: Record<string, string[]> = {};
+        const complete = terms.every((term) => {
+          const result = scoreTerm(docIndex, term);
+          if (!result) return false;
+          phraseScore += result.score;
+          phraseMatches[term] = result.matched;
+          return true;
+        });
+        if (complete && (!best || phraseScore > best.score)) {
+          best = { phrase, score: phraseScore, matches: phraseMatches };
+        }
+      }
+
+      if (!best) return;
+      score += best.score;
+      Object.assign(matches, best.matches);
+      if (clause.alias) {
+        usedExpansions.push({ alias: clause.alias, matched: best.phrase });
+      }
+    }
+
+    hits.push({ doc, score, matches, expansions: usedExpansions });
+  });
+
+  return hits.sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,123 @@
+// Catalog grounding for /generate: before writing a new script, look for a
+// verified library script that already does the job, and otherwise hand the
+// model the closest library scripts as reference examples so its output
+// follows the library's conventions (help block, auth, paging, logging).
+//
+// Bias: strict on "already exists". Telling a user to stop and use a script
+// that does something else is worse than generating one more script, so a
+// match needs both a close content score and every distinctive title word
+// in the prompt. References are best-effort and never block generation.
+//
+// Relative .ts imports keep this loadable by Node's test runner.
+
+import { analyzeText } from "../../lib/search-ranking.ts";
+import { generateSlug } from "../../lib/scripts.ts";
+import { findSimilarToText } from "../mcp/similarity.ts";
+import type { ScriptMeta, ScriptRepository } from "../mcp/types.ts";
+
+export type CatalogScriptRef = {
+  id: string;
+  title: string;
+  synopsis: string;
+  /** The script's page on the website. */
+  url: string;
+  githubUrl: string;
+};
+
+export type CatalogReference = CatalogScriptRef & {
+  /** The script source, cut to MAX_REFERENCE_CHARS. */
+  source: string;
+};
+
+export type CatalogGrounding = {
+  existing: CatalogScriptRef | null;
+  references: CatalogReference[];
+};
+
+const CANDIDATES = 5;
+const MAX_REFERENCES = 2;
+const MAX_REFERENCE_CHARS = 6_000;
+// Cosine similarity floors (see mcp/similarity.ts). Descriptive prompts that
+// name a catalog script's job land around 0.25-0.8; unrelated ones under 0.15.
+const EXISTING_MIN_SCORE = 0.2;
+const REFERENCE_MIN_SCORE = 0.1;
+
+// Title words that say nothing about what a script does ("Get Stale Devices"
+// is about stale devices), so a prompt need not repeat them.
+const GENERIC_TITLE_TERMS = new Set(
+  analyzeText("get intune report alert notification script"),
+);
+
+function toRef(script: ScriptMeta): CatalogScriptRef {
+  return {
+    id: script.id,
+    title: script.title,
+    synopsis: script.synopsis,
+    url: `/script/${generateSlug(script.title)}/`,
+    githubUrl: script.githubUrl,
+  };
+}
+
+/** True when the prompt names every distinctive word of the script's title. */
+function coversTitle(promptTerms: Set<string>, script: ScriptMeta): boolean {
+  const distinctive = analyzeText(script.title).filter(
+    (term) => !GENERIC_TITLE_TERMS.has(term),
+  );
+  return (
+    distinctive.length >= 2 &&
+    distinctive.every((term) => promptTerms.has(term))
+  );
+}
+
+export async function groundInCatalog(
+  repository: ScriptRepository,
+  prompt: string,
+): Promise<CatalogGrounding> {
+  const { index } = await repository.getIndex();
+  const similar = findSimilarToText(index, prompt, CANDIDATES);
+  const promptTerms = new Set(analyzeText(prompt));
+
+  const existing = similar.find(
+    ({ script, score }) =>
+      score >= EXISTING_MIN_SCORE && coversTitle(promptTerms, script),
+  );
+
+  const closest = similar
+    .filter(({ score }) => score >= REFERENCE_MIN_SCORE)
+    .slice(0, MAX_REFERENCES);
+  const references = await Promise.all(
+    closest.map(async ({ script }): Promise<CatalogReference | null> => {
+      try {
+        const source = await repository.getScriptSource(script);
+        return { ...toRef(script), source: truncate(source) };
+      } catch {
+        // A reference is a nicety; generate without it.
+        return null;
+      }
+    }),
+  );
+
+  return {
+    existing: existing ? toRef(existing.script) : null,
+    references: references.filter((r): r is CatalogReference => r !== null),
+  };
+}
+
+function truncate(source: string): string {
+  if (source.length <= MAX_REFERENCE_CHARS) return source;
+  const cut = source.lastIndexOf("\n", MAX_REFERENCE_CHARS);
+  return `${source.slice(0, cut > 0 ? cut : MAX_REFERENCE_CHARS)}\n# ... (truncated)`;
+}
+
+/** The reference block appended to the user message. */
+export function renderReferences(references: CatalogReference[]): string {
+  if (references.length === 0) return "";
+  const blocks = references.map(
+    (r) =>
+      `### ${r.title} (${r.id})\n${r.synopsis}\n\n\`\`\`powershell\n${r.source}\n\`\`\``,
+  );
+  return [
+    "Reference scripts from the IntuneAutomation library. They are the closest existing scripts, not the answer: follow their conventions (help block, authentication, paging, error handling, output) but write only what the request asks for.",
+    ...blocks,
+  ].join("\n\n");
+}
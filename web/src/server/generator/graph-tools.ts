@@ -0,0 +1,94 @@
+// Microsoft Graph lookups the generator model can call while it writes, so it
+// checks an endpoint or permission instead of guessing and leaving the miss to
+// the lint pass. Backed by the bundled Graph reference (GRAPH_ENDPOINTS,
+// GRAPH_SCOPE_INDEX, GRAPH_SAMPLES) through the same lookups as the MCP
+// tools, so the generator, the lint, and agents agree.
+//
+// Results are trimmed: every call goes back into the prompt and costs tokens.
+//
+// Relative .ts imports keep this loadable by Node's test runner.
+
+import { tool } from "ai";
+import { z } from "zod";
+import {
+  findGraphSamples,
+  lookupGraphPermission,
+  matchGraphEndpoint,
+} from "../mcp/graphReference.ts";
+
+// Tool round trips per generation. The step after the last one must write
+// the script, so the route allows MAX_TOOL_STEPS + 1 steps in total.
+export const MAX_TOOL_STEPS = 4;
+
+const MAX_LISTED = 8;
+
+export const GRAPH_TOOLS = {
+  check_graph_endpoint: tool({
+    description:
+      "Check that a Microsoft Graph endpoint exists before using it. Returns the matching path template and its methods, or the closest real endpoints.",
+    inputSchema: z.object({
+      endpoint: z
+        .string()
+        .max(500)
+        .describe(
+          "METHOD /path without host or version, e.g. GET /deviceManagement/managedDevices/{id}.",
+        ),
+    }),
+    execute: async ({ endpoint }) => {
+      const match = matchGraphEndpoint(endpoint);
+      return {
+        exists: match.exists,
+        template: match.template,
+        methods: match.methods,
+        suggestions: match.suggestions,
+        relatedEndpoints: match.relatedEndpoints.slice(0, MAX_LISTED),
+      };
+    },
+  }),
+  check_graph_permission: tool({
+    description:
+      "Check that a Microsoft Graph permission scope exists before listing it in .PERMISSIONS. Returns its exact spelling, related scopes, and broader scopes that cover it, or the closest real scopes.",
+    inputSchema: z.object({
+      scope: z
+        .string()
+        .max(200)
+        .describe(
+          "Permission scope, e.g. DeviceManagementManagedDevices.Read.All.",
+        ),
+    }),
+    execute: async ({ scope }) => {
+      const lookup = lookupGraphPermission(scope);
+      return {
+        scope: lookup.scope,
+        exists: lookup.exists,
+        relatedScopes: lookup.relatedScopes.slice(0, MAX_LISTED),
+        coveredBy: lookup.coveredBy,
+        suggestions: lookup.suggestions,
+      };
+    },
+  }),
+  find_graph_samples: tool({
+    description:
+      "Find hand-verified Microsoft Graph requests for a task, e.g. 'list Conditional Access policies'. Use a sample's method and path exactly.",
+    inputSchema: z.object({
+      task: z.string().max(500).describe("What the script needs to do."),
+    }),
+    execute: async ({ task }) => ({ samples: findGraphSamples(task) }),
+  }),
+};
+
+export type GraphToolName = keyof typeof GRAPH_TOOLS;
+
+// When to call the tools. The tool schemas travel with the request; this is
+// sent as its own system message only by the generate route, and only when
+// GRAPH_TOOLS is attached, so SYSTEM_PROMPT (also used by fix and refine, and
+// exported as the MCP authoring guide) never mentions tools the reader lacks.
+export const GRAPH_TOOL_GUIDE = `# Microsoft Graph lookup tools
+
+You can call these tools before writing the script:
+
+- \`find_graph_samples\`: hand-verified requests for a task. Call it first when the request matches a common admin task.
+- \`check_graph_endpoint\`: confirms a \`METHOD /path\` exists and lists its methods, or returns the closest real endpoints.
+- \`check_graph_permission\`: confirms a scope exists and shows broader scopes that cover it, or returns the closest real scopes.
+
+Check every endpoint you are not certain about and every scope you put in .PERMISSIONS, batching several calls in one turn. You have a few tool turns at most; after that you must write the script. Never use an endpoint or scope a tool reported as unknown — use one of its suggestions instead. Do not write any text before or between tool calls: your only text output is the code the output contract asks for.`;
@@ -0,0 +1,22 @@
+// The authoring guide as the MCP server serves it: SYSTEM_PROMPT under a header
+// saying where it comes from. scripts/export-generator-instructions.mjs writes
+// it to mcp/data/generator-instructions.md, and the MCP repository serves it
+// as the bundled copy until its first fetch of that file lands.
+import { GRAPH_DATA_GENERATED_AT } from "~/lib/generator-graph-data";
+import { SYSTEM_PROMPT } from "./system-prompt.ts";
+
+const HEADER = `<!--
+  Auto-generated by web/scripts/export-generator-instructions.mjs.
+  DO NOT EDIT BY HAND. Source of truth: web/src/server/generator/system-prompt.ts
+  Graph reference data generated: ${GRAPH_DATA_GENERATED_AT}
+-->
+
+# IntuneAutomation script authoring guide
+
+These are the exact conventions the intuneautomation.com generator uses to write
+production PowerShell scripts for Microsoft Intune / Microsoft Graph. Follow them
+when generating a new script so the result matches the IntuneAutomation library.
+
+`;
+
+export const GENERATOR_INSTRUCTIONS = `${HEADER}${SYSTEM_PROMPT}\n`;
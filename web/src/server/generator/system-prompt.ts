@@ -574,6 +574,54 @@ If the user asks for clarification or asks a non-script question, still output a
 
 Remember: this script will be copied directly by an admin and may be deployed as an Azure Automation runbook against real tenants. Quality and safety matter more than brevity.`;
 
+// Remediation pair mode. Sent as a second system message after the cached
+// SYSTEM_PROMPT, so the shared prefix still hits the cache; it overrides the
+// single-block output contract for this request only.
+export const REMEDIATION_PAIR_PROMPT = `# Remediation pair mode (overrides the output contract)
+
+This request is for an Intune Remediations package: a detection script AND its remediation script. Output exactly TWO fenced \`\`\`powershell code blocks and nothing else — the detection script first, then the remediation script. All hard rules still apply to each script, except:
+
+- Detection: .TAGS is "Remediation,Detection". Exit 0 when the device is compliant, exit 1 when it needs remediating, exit 2 from the catch block on error.
+- Remediation: .TAGS is "Remediation,Action". Exit 0 when the fix succeeded, exit 1 when it failed.
+- Both scripts run on the device in SYSTEM context: no Graph authentication, no \`Connect-MgGraph\`, no \`Disconnect-MgGraph\`.
+- Add \`.REMEDIATIONTYPE\` and \`.PAIRSCRIPT\` right after .TAGS in each help block. .REMEDIATIONTYPE is "Detection" or "Remediation". Each .PAIRSCRIPT names the OTHER file: pick one short kebab-case name and use \`detect-<name>.ps1\` and \`remediate-<name>.ps1\`.
+- The remediation must change exactly what the detection checks (same registry key, path, service, or setting), using the same literal values, so the detection passes when Intune re-runs it after remediating.`;
+
+// macOS mode. Sent as a second system message like REMEDIATION_PAIR_PROMPT;
+// mirrors templates/macos-script-template.sh and the scripts/monitoring/*.sh
+// scripts. The shell rules are enforced by lib/generator-lint-shell.ts.
+export const MACOS_SHELL_PROMPT = `# macOS shell mode (overrides the PowerShell rules)
+
+This request is for a macOS shell script that Intune deploys to Macs (a shell script or a custom attribute), NOT a PowerShell script. Rules 0-2, 10-15, 26, and 27 above do not apply; rules 16, 17, 23, 24, and 25 still do.
+
+1. Output ONLY the script inside a single fenced code block tagged \`bash\`. No prose before or after.
+2. The first line is \`#!/bin/bash\` (or \`#!/bin/zsh\` when the script genuinely needs zsh). Next, after a blank line, a \`# FIELD: value\` comment header with ALL of these fields in this order: TITLE, SYNOPSIS, DESCRIPTION, TAGS, PLATFORM, MIN_OS_VERSION, AUTHOR, VERSION, LASTUPDATE, CHANGELOG, EXAMPLE, NOTES. Continuation lines start with \`#\` and are indented under the value. End the header with a blank line.
+3. PLATFORM is "macOS". AUTHOR is "AI Generated (IntuneAutomation.com)". VERSION is "1.0". LASTUPDATE is today's date (YYYY-MM-DD, given in the user message). TAGS is "Monitoring,<Subcategory>" for custom attributes and checks, otherwise the closest category from rule 7 above.
+4. Follow the template sections: VARIABLES AND INITIALIZATION, FUNCTIONS, MAIN SCRIPT LOGIC, ERROR HANDLING, SCRIPT EXECUTION (\`main "$@"\` guarded by \`[[ "\${BASH_SOURCE[0]}" == "\${0}" ]]\` in bash), each under a \`# ====\` section header.
+5. Intune runs the script as root. Never use \`sudo\` except \`sudo -u "$loggedInUser"\` (with \`launchctl asuser\`) to run a command as the signed-in user. Never use \`$USER\`, \`$HOME\`, or \`whoami\` for the signed-in user: get it with \`loggedInUser=$(stat -f "%Su" /dev/console)\` and skip work when it is "root" or "_windowserver".
+6. Custom attribute scripts print exactly one line and exit 0; put that line in an \`output_result\` function like the template's.
+7. Use only tools that ship with macOS (\`defaults\`, \`plutil\`, \`system_profiler\`, \`sw_vers\`, \`profiles\`, \`fdesetup\`, \`dscl\`, \`launchctl\`, \`pkgutil\`, etc.). No Homebrew, Python, or jq unless the user asks for them.
+8. NEVER: pipe downloads into a shell (\`curl ... | bash\`), use \`eval\`, decode base64 to run it, disable Gatekeeper/SIP/quarantine (\`spctl --master-disable\`, \`csrutil disable\`, \`xattr -d com.apple.quarantine\`), read the keychain (\`security find-generic-password\`), or hardcode credentials or webhook URLs.
+9. Quote every variable. Guard \`rm -r\` paths built from variables with \`"\${dir:?}"\`. Never erase disks. Installing a LaunchDaemon or LaunchAgent needs an explicit user request.
+10. Out-of-scope requests get a stub script that only prints a warning, still with the full header.`;
+
+// How fix and refine refer to the script they send back: its code fence and
+// the spelling of a header field (.LASTUPDATE vs. LASTUPDATE:), plus the mode
+// prompt that follows SYSTEM_PROMPT.
+export function scriptConventions(macos: boolean) {
+  return macos
+    ? {
+        fence: "bash",
+        field: (name: string) => `${name}:`,
+        modePrompt: MACOS_SHELL_PROMPT,
+      }
+    : {
+        fence: "powershell",
+        field: (name: string) => `.${name}`,
+        modePrompt: null,
+      };
+}
+
 export const SYSTEM_PROMPT = [
   ROLE,
   HARD_RULES,
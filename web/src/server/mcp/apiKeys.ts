@@ -0,0 +1,86 @@
+// Optional bearer keys for the MCP endpoint. Anonymous access stays the
+// default; a key only buys a client its own, usually higher, quota and a
+// usage counter under its name. Only SHA-256 hashes of keys are configured, so
+// a leaked environment does not leak usable keys, and revoking a key means
+// removing its entry from MCP_API_KEYS.
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export const DEFAULT_KEY_REQUESTS_PER_MINUTE = 600;
+
+export interface McpApiKey {
+  /** Label used for counters and logs; never the key itself. */
+  name: string;
+  /** Hex SHA-256 of the key. */
+  hash: string;
+  requestsPerMinute: number;
+  /** Cost units per day; null for no daily quota. */
+  unitsPerDay: number | null;
+}
+
+const KEY_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/i;
+const SHA256_HEX = /^[0-9a-f]{64}$/;
+
+export const hashApiKey = (key: string) =>
+  createHash("sha256").update(key).digest("hex");
+
+const positive = (value: string | undefined) => {
+  if (!value) return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+};
+
+/**
+ * Parses MCP_API_KEYS: comma-separated `name:sha256[:perMinute[:perDay]]`
+ * entries. Malformed entries are reported through `onInvalid` and skipped so
+ * that one typo does not take the endpoint down.
+ */
+export function parseApiKeys(
+  value: string,
+  onInvalid: (entry: string) => void = () => {},
+): McpApiKey[] {
+  const keys: McpApiKey[] = [];
+  for (const entry of value.split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    const [name = "", hash = "", perMinute, perDay, ...rest] =
+      trimmed.split(":");
+    const requestsPerMinute = positive(perMinute);
+    const unitsPerDay = positive(perDay);
+    if (
+      !KEY_NAME.test(name) ||
+      !SHA256_HEX.test(hash.toLowerCase()) ||
+      requestsPerMinute === undefined ||
+      unitsPerDay === undefined ||
+      rest.length > 0 ||
+      keys.some((k) => k.name === name)
+    ) {
+      // Only the name is reported; the rest of the entry is a credential hash.
+      onInvalid(name || "(unnamed)");
+      continue;
+    }
+    keys.push({
+      name,
+      hash: hash.toLowerCase(),
+      requestsPerMinute: requestsPerMinute ?? DEFAULT_KEY_REQUESTS_PER_MINUTE,
+      unitsPerDay,
+    });
+  }
+  return keys;
+}
+
+/** The bearer token of an Authorization header, or null when there is none. */
+export function bearerToken(header: string | null): string | null {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header ?? "");
+  return match?.[1] ?? null;
+}
+
+/** The configured key a presented token hashes to, compared in constant time. */
+export function findApiKey(
+  keys: readonly McpApiKey[],
+  token: string,
+): McpApiKey | undefined {
+  const presented = Buffer.from(hashApiKey(token), "hex");
+  return keys.find((key) =>
+    timingSafeEqual(presented, Buffer.from(key.hash, "hex")),
+  );
+}
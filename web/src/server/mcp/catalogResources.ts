@@ -0,0 +1,157 @@
+// Markdown listings behind the category and tag resource templates, and the
+// change detection that tells subscribed clients which of those resources a
+// refreshed index changed. Pure functions over a ScriptIndex.
+import { buildCatalog } from "./core.ts";
+import type { ScriptIndex, ScriptMeta } from "./types.ts";
+
+export const INDEX_RESOURCE_URI = "intune-scripts://index";
+export const CATEGORY_RESOURCE_TEMPLATE = "intune-scripts://category/{name}";
+export const TAG_RESOURCE_TEMPLATE = "intune-scripts://tag/{tag}";
+
+export const categoryUri = (name: string) =>
+  `intune-scripts://category/${encodeURIComponent(name)}`;
+export const tagUri = (tag: string) =>
+  `intune-scripts://tag/${encodeURIComponent(tag)}`;
+export const scriptUri = (id: string) => `intune-script://${id}`;
+
+export type ListingKind = "category" | "tag";
+
+/** Scripts in a category or carrying a tag, compared case-insensitively. */
+export function scriptsFor(
+  index: ScriptIndex,
+  kind: ListingKind,
+  value: string,
+): ScriptMeta[] {
+  const wanted = value.trim().toLowerCase();
+  return index.scripts
+    .filter((s) =>
+      kind === "category"
+        ? s.category.toLowerCase() === wanted
+        : s.tags.some((t) => t.trim().toLowerCase() === wanted),
+    )
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/** The categories or tags of the index, with script counts, most used first. */
+export const listingValues = (index: ScriptIndex, kind: ListingKind) =>
+  buildCatalog(index, kind === "category" ? "categories" : "tags");
+
+function runbookLine(script: ScriptMeta): string {
+  const runbook = script.runbook;
+  if (!runbook) return "unknown";
+  if (runbook.eligible) return `eligible (${runbook.runtime})`;
+  return runbook.exclusionReason
+    ? `not eligible: ${runbook.exclusionReason}`
+    : "not eligible";
+}
+
+function renderScript(script: ScriptMeta): string {
+  const permissions = script.permissions.length
+    ? script.permissions.map((p) => `\`${p}\``).join(", ")
+    : "none";
+  return [
+    `## ${script.title} (\`${script.id}\`)`,
+    "",
+    script.synopsis,
+    "",
+    ...(script.source ? [`- Library: ${script.source}`] : []),
+    `- Permissions: ${permissions}`,
+    `- Azure Automation runbook: ${runbookLine(script)}`,
+    `- Source: ${scriptUri(script.id)}`,
+  ].join("\n");
+}
+
+/**
+ * A markdown listing of the scripts in a category or with a tag, or null
+ * when there are none.
+ */
+export function renderListing(
+  index: ScriptIndex,
+  kind: ListingKind,
+  value: string,
+): string | null {
+  const scripts = scriptsFor(index, kind, value);
+  const [first] = scripts;
+  if (!first) return null;
+  const heading =
+    kind === "category"
+      ? `# ${first.categoryLabel || first.category} scripts`
+      : `# Scripts tagged "${value.trim()}"`;
+  const count = `${scripts.length} script${scripts.length === 1 ? "" : "s"}.`;
+  return [heading, count, ...scripts.map(renderScript)].join("\n\n") + "\n";
+}
+
+/**
+ * A fingerprint per resource URI the index backs: the index itself, each
+ * script, and each category and tag listing. Two indexes differ for a URI
+ * exactly when its fingerprint does.
+ */
+export function resourceFingerprints(index: ScriptIndex): Map<string, string> {
+  const fingerprints = new Map<string, string>();
+  fingerprints.set(
+    INDEX_RESOURCE_URI,
+    `${index.generated}|${index.count}|${index.scripts.map((s) => `${s.id}@${s.version}`).join(",")}`,
+  );
+  for (const s of index.scripts) {
+    fingerprints.set(scriptUri(s.id), s.version);
+  }
+  for (const kind of ["category", "tag"] as const) {
+    for (const { value } of listingValues(index, kind)) {
+      const uri = kind === "category" ? categoryUri(value) : tagUri(value);
+      fingerprints.set(uri, renderListing(index, kind, value) ?? "");
+    }
+  }
+  return fingerprints;
+}
+
+export interface ResourceChanges {
+  /** Resources were added or removed, so clients should list them again. */
+  listChanged: boolean;
+  /** Resources that exist in both indexes with different content. */
+  updated: string[];
+}
+
+export function diffResources(
+  before: Map<string, string>,
+  after: Map<string, string>,
+): ResourceChanges {
+  let listChanged = before.size !== after.size;
+  const updated: string[] = [];
+  for (const [uri, fingerprint] of after) {
+    const previous = before.get(uri);
+    if (previous === undefined) listChanged = true;
+    else if (previous !== fingerprint) updated.push(uri);
+  }
+  return { listChanged, updated };
+}
+
+/** The publish side of the SDK's subscription bus that change tracking uses. */
+export interface ResourceNotifier {
+  resourcesChanged(): void;
+  resourceUpdated(uri: string): void;
+}
+
+/**
+ * Returns an observer to call with every index the server reads. The first
+ * index is the baseline; each later, different index object (repositories
+ * reuse the parsed index while its text is unchanged) is compared with the
+ * previous one and its changes are published.
+ */
+export function trackResourceChanges(notifier: ResourceNotifier) {
+  let current:
+    | { index: ScriptIndex; fingerprints: Map<string, string> }
+    | undefined;
+  return (index: ScriptIndex) => {
+    if (current?.index === index) return;
+    const fingerprints = resourceFingerprints(index);
+    const previous = current;
+    current = { index, fingerprints };
+    if (!previous) return;
+    const { listChanged, updated } = diffResources(
+      previous.fingerprints,
+      fingerprints,
+    );
+    if (listChanged) notifier.resourcesChanged();
+    for (const uri of updated) notifier.resourceUpdated(uri);
+  };
+}
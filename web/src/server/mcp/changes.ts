@@ -0,0 +1,159 @@
+// "What changed since" over the parsed .CHANGELOG entries that
+// generate-index.mjs commits with each script. Selects the entries newer than
+// a deployed version or date and flags the ones that can break a deployed copy:
+// permissions the script now needs, parameters it no longer accepts, and
+// parameters it now requires. Flags are heuristics over the changelog text,
+// grounded in the script's current metadata. Pure.
+import type { ChangelogEntry, ScriptMeta } from "./types.ts";
+
+export interface ScriptChange {
+  version: string;
+  /** From the changelog line, or lastUpdate for the current version. */
+  date: string | null;
+  changes: string[];
+  /** Why this entry may break a deployed copy; empty when it should not. */
+  breaking: string[];
+}
+
+export interface ScriptChanges {
+  /** Newest first. */
+  entries: ScriptChange[];
+  /** True when entries were included without a date to compare against. */
+  datesApproximate: boolean;
+  warnings: string[];
+}
+
+export type ChangesSince = { version: string } | { date: string };
+
+/** Numeric dotted-version comparison; missing parts count as 0. */
+export function compareVersions(a: string, b: string): number {
+  const pa = a.split(".").map(Number);
+  const pb = b.split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// PowerShell common parameters; changelogs mention them without the script
+// declaring them.
+const COMMON_PARAMETERS = new Set([
+  "confirm",
+  "debug",
+  "erroraction",
+  "informationaction",
+  "outvariable",
+  "verbose",
+  "warningaction",
+  "whatif",
+]);
+
+const REMOVAL = /\b(remov|drop|renam|replac)/i;
+const escape = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Reasons a changelog entry may break a copy deployed before it. */
+export function breakingReasons(
+  script: ScriptMeta,
+  changes: string[],
+): string[] {
+  const reasons = new Set<string>();
+  const declared = new Map(
+    script.parameters.map((p) => [p.name.toLowerCase(), p.name]),
+  );
+
+  // Clauses are separated by semicolons in the library's changelogs, so a
+  // removal word only applies to the parameters in its own clause.
+  for (const clause of changes.flatMap((c) => c.split(";"))) {
+    const removal = REMOVAL.test(clause);
+    for (const permission of script.permissions) {
+      const mentioned = new RegExp(`\\b${escape(permission)}\\b`, "i");
+      if (!removal && mentioned.test(clause)) {
+        reasons.add(`Requires the ${permission} permission`);
+      }
+    }
+    for (const m of clause.matchAll(/(?:^|[\s(`])-([A-Za-z]\w*)\b/g)) {
+      const name = m[1]!;
+      if (COMMON_PARAMETERS.has(name.toLowerCase())) continue;
+      if (removal && !declared.has(name.toLowerCase())) {
+        reasons.add(`Removed the -${name} parameter`);
+      }
+    }
+    for (const m of clause.matchAll(
+      /\b(?:mandatory|requires?|required)\s+-?([A-Za-z]\w*)\b/gi,
+    )) {
+      const name = declared.get(m[1]!.toLowerCase());
+      if (name) reasons.add(`Now requires -${name}`);
+    }
+  }
+  return [...reasons];
+}
+
+function entryDate(script: ScriptMeta, entry: ChangelogEntry): string | null {
+  if (entry.date) return entry.date;
+  // The newest entry describes the release stamped with .LASTUPDATE.
+  return compareVersions(entry.version, script.version) === 0 &&
+    script.lastUpdate
+    ? script.lastUpdate
+    : null;
+}
+
+/**
+ * Changelog entries newer than a deployed version, or released after a
+ * deployment date. Most changelog lines are undated: for a date, entries after
+ * the newest dated entry on or before it are returned, and when none is dated
+ * every undated entry is included and datesApproximate is set.
+ */
+export function changesSince(
+  script: ScriptMeta,
+  since: ChangesSince,
+): ScriptChanges {
+  const all = (script.changelog ?? []).map((entry) => ({
+    version: entry.version,
+    date: entryDate(script, entry),
+    changes: entry.changes,
+    breaking: breakingReasons(script, entry.changes),
+  }));
+  const warnings: string[] = [];
+  if (!script.changelog) {
+    warnings.push(
+      "The catalog index predates changelog history; only the current version and lastUpdate are known.",
+    );
+  } else if (all.length === 0) {
+    warnings.push("This script has no .CHANGELOG entries.");
+  }
+
+  if ("version" in since) {
+    if (compareVersions(since.version, script.version) > 0) {
+      warnings.push(
+        `Version ${since.version} is newer than the catalog's ${script.version}.`,
+      );
+    } else if (
+      all.length > 0 &&
+      !all.some((e) => compareVersions(e.version, since.version) === 0)
+    ) {
+      warnings.push(
+        `Version ${since.version} does not appear in the changelog; entries were compared numerically.`,
+      );
+    }
+    return {
+      entries: all.filter((e) => compareVersions(e.version, since.version) > 0),
+      datesApproximate: false,
+      warnings,
+    };
+  }
+
+  // ISO dates compare correctly as strings.
+  if (script.lastUpdate && script.lastUpdate <= since.date) {
+    return { entries: [], datesApproximate: false, warnings };
+  }
+  const baseline = all.find((e) => e.date !== null && e.date <= since.date);
+  const newer = baseline
+    ? all.filter((e) => compareVersions(e.version, baseline.version) > 0)
+    : all;
+  return {
+    entries: newer.filter((e) => e.date === null || e.date > since.date),
+    datesApproximate: newer.some((e) => e.date === null),
+    warnings,
+  };
+}
@@ -0,0 +1,52 @@
+// Argument completion for prompts and resource templates, from the values the
+// catalog actually has (script ids, and categories and tags via buildCatalog).
+import { buildCatalog } from "./core.ts";
+import type { ScriptIndex } from "./types.ts";
+
+/** The most values a completion result may carry, per the MCP spec. */
+export const MAX_COMPLETIONS = 100;
+
+export type CompletionKind = "ids" | "categories" | "tags";
+
+/** Candidate values, most used first for categories and tags. */
+export function catalogValues(
+  index: ScriptIndex,
+  kind: CompletionKind,
+): string[] {
+  if (kind === "ids") return index.scripts.map((s) => s.id).sort();
+  return buildCatalog(index, kind).map((entry) => entry.value);
+}
+
+/** Values starting with what was typed, compared case-insensitively. */
+export function completePrefix(
+  values: readonly string[],
+  typed: string,
+): string[] {
+  const prefix = typed.trim().toLowerCase();
+  return values
+    .filter((value) => value.toLowerCase().startsWith(prefix))
+    .slice(0, MAX_COMPLETIONS);
+}
+
+/**
+ * Completes the last entry of a comma-separated list, keeping the entries
+ * before it and leaving out values already listed.
+ */
+export function completeListItem(
+  values: readonly string[],
+  typed: string,
+): string[] {
+  const cut = typed.lastIndexOf(",");
+  const head = cut === -1 ? "" : typed.slice(0, cut + 1);
+  const listed = new Set(
+    head
+      .split(",")
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean),
+  );
+  const remaining = values.filter((v) => !listed.has(v.toLowerCase()));
+  const separator = head && !head.endsWith(" ") ? " " : "";
+  return completePrefix(remaining, typed.slice(cut + 1)).map(
+    (value) => head + separator + value,
+  );
+}
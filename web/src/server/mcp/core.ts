@@ -1,10 +1,25 @@
 // Pure catalog logic: search, filtering, aggregation, pagination. No I/O and no
 // framework imports so the whole module is unit-testable with a fixture index.
+import {
+  createSearchIndex,
+  queryTerms,
+  searchIndex,
+  type QueryExpansion,
+  type SearchField,
+} from "../../lib/search-ranking.ts";
+import { PRIMARY_SOURCE } from "./federation.ts";
+import { SEARCH_SYNONYMS } from "./synonyms.ts";
 import type { ScriptIndex, ScriptMeta } from "./types.ts";
 
 export const MAX_SEARCH_OFFSET = 500;
 export const MAX_CATALOG_OFFSET = 1_000;
 
+/**
+ * Looks a script up by id. In a federated index (see federation.ts) a bare id
+ * that only secondary sources define resolves to the first source, in
+ * configuration order, that has it; "intuneautomation:foo" names a primary
+ * script explicitly.
+ */
 export function findScript(
   index: ScriptIndex,
   id: string,
@@ -13,9 +28,25 @@ export function findScript(
     .trim()
     .toLowerCase()
     .replace(/\.ps1$/, "");
-  return index.scripts.find((s) => s.id.toLowerCase() === needle);
+  const exact = index.scripts.find((s) => s.id.toLowerCase() === needle);
+  if (exact || !index.sources) return exact;
+
+  const primary = index.sources[0]?.name ?? PRIMARY_SOURCE;
+  const bare = needle.startsWith(`${primary}:`)
+    ? needle.slice(primary.length + 1)
+    : needle;
+  return index.scripts.find((s) => {
+    const sid = s.id.toLowerCase();
+    return (
+      sid === bare ||
+      (needle === bare && sid.slice(sid.indexOf(":") + 1) === bare)
+    );
+  });
 }
 
+/** Federated source a script belongs to; single catalogs are all primary. */
+export const sourceOf = (s: ScriptMeta) => s.source ?? PRIMARY_SOURCE;
+
 const FIELD_WEIGHTS: Array<[string, number]> = [
   ["title", 6],
   ["id", 5],
@@ -30,42 +61,83 @@ const FIELD_WEIGHTS: Array<[string, number]> = [
 function haystack(s: ScriptMeta, field: string): string {
   switch (field) {
     case "tagsJoined":
-      return s.tags.join(" ").toLowerCase();
+      return s.tags.join(" ");
     case "permsJoined":
-      return s.permissions.join(" ").toLowerCase();
+      return s.permissions.join(" ");
     default:
-      return String(
-        (s as unknown as Record<string, unknown>)[field] ?? "",
-      ).toLowerCase();
+      return String((s as unknown as Record<string, unknown>)[field] ?? "");
   }
 }
 
+const SEARCH_FIELDS: Array<SearchField<ScriptMeta>> = FIELD_WEIGHTS.map(
+  ([field, weight]) => ({ weight, text: (s) => haystack(s, field) }),
+);
+
+// An alias also matches itself when it is made of real words ("known folder
+// move"); short acronyms ("pr", "av") are dropped because their prefix
+// matches ("profile", "available") would swamp the expansion.
+const SYNONYM_EXPANSIONS: QueryExpansion[] = SEARCH_SYNONYMS.flatMap(
+  ({ terms, aliases }) =>
+    aliases.map((alias) => ({
+      alias,
+      phrases: queryTerms(alias).every((t) => t.length >= 4)
+        ? [alias, ...terms]
+        : terms,
+    })),
+);
+
+const normalizePhrase = (value: string) =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, " ");
+
+/** A filter value plus the catalog terms it is an alias for, lowercased. */
+function filterAlternatives(value: string): string[] {
+  const needle = normalizePhrase(value);
+  const group = SEARCH_SYNONYMS.find((g) =>
+    g.aliases.some((alias) => normalizePhrase(alias) === needle),
+  );
+  return [needle, ...(group?.terms.map(normalizePhrase) ?? [])];
+}
+
 export interface ScriptFilters {
   category?: string;
   tag?: string;
   platform?: string;
   permission?: string;
+  source?: string;
 }
 
-/** Exact category match; case-insensitive substring for tag/platform/permission. */
+/**
+ * Exact category and source match; case-insensitive substring for tag/platform/permission.
+ * Values that are known aliases (see synonyms.ts) also match their catalog terms.
+ */
 export function filterScripts(
   scripts: ScriptMeta[],
   filters: ScriptFilters,
 ): ScriptMeta[] {
+  const matchesAny = (value: string, needles: string[]) => {
+    const haystack = normalizePhrase(value);
+    return needles.some((n) => haystack.includes(n));
+  };
+
   let result = scripts;
+  if (filters.source) {
+    const name = filters.source.trim().toLowerCase();
+    result = result.filter((s) => sourceOf(s) === name);
+  }
   if (filters.category) {
-    const c = filters.category.trim().toLowerCase();
-    result = result.filter((s) => s.category.toLowerCase() === c);
+    const c = filterAlternatives(filters.category);
+    result = result.filter((s) => c.includes(s.category.toLowerCase()));
   }
   if (filters.tag) {
-    const t = filters.tag.trim().toLowerCase();
-    result = result.filter((s) =>
-      s.tags.some((x) => x.toLowerCase().includes(t)),
-    );
+    const t = filterAlternatives(filters.tag);
+    result = result.filter((s) => s.tags.some((x) => matchesAny(x, t)));
   }
   if (filters.platform) {
-    const p = filters.platform.trim().toLowerCase();
-    result = result.filter((s) => s.platform.toLowerCase().includes(p));
+    const p = filterAlternatives(filters.platform);
+    result = result.filter((s) => matchesAny(s.platform, p));
   }
   if (filters.permission) {
     const perm = filters.permission.trim().toLowerCase();
@@ -76,42 +148,53 @@ export function filterScripts(
   return result;
 }
 
+export interface SynonymMatch {
+  /** Alias found in the query, as written in the synonym dictionary. */
+  alias: string;
+  /** Catalog term the alias was expanded to for this hit. */
+  expandedTo: string;
+}
+
+export interface RankedScript {
+  script: ScriptMeta;
+  matchedSynonyms: SynonymMatch[];
+}
+
 /**
- * Scored full-text search. Every query term must match at least one field
- * (AND semantics); score is the sum of weighted field hits across all terms.
+ * Ranked, typo-tolerant full-text search (see lib/search-ranking). Every query
+ * term must match at least one field, exactly or fuzzily (AND semantics);
+ * known jargon (see synonyms.ts) is expanded to catalog terms and reported
+ * per hit. Hits are scored with BM25F over FIELD_WEIGHTS and tie-broken by id.
  * Without a query, returns the input ordered by id so browsing is deterministic.
  */
-export function rankScripts(
+export function rankScriptHits(
   scripts: ScriptMeta[],
   query?: string,
-): ScriptMeta[] {
-  const terms = query?.toLowerCase().trim().split(/\s+/).filter(Boolean) ?? [];
-  if (terms.length === 0) {
-    return [...scripts].sort((a, b) => a.id.localeCompare(b.id));
+): RankedScript[] {
+  const byId = [...scripts].sort((a, b) => a.id.localeCompare(b.id));
+  if (!query?.trim()) {
+    return byId.map((script) => ({ script, matchedSynonyms: [] }));
   }
 
-  const scored: Array<{ s: ScriptMeta; score: number }> = [];
-  for (const s of scripts) {
-    let score = 0;
-    let allTermsMatch = true;
-    for (const term of terms) {
-      let termMatched = false;
-      for (const [field, weight] of FIELD_WEIGHTS) {
-        if (haystack(s, field).includes(term)) {
-          score += weight;
-          termMatched = true;
-        }
-      }
-      if (!termMatched) {
-        allTermsMatch = false;
-        break;
-      }
-    }
-    if (allTermsMatch) scored.push({ s, score });
-  }
+  return searchIndex(
+    createSearchIndex(byId, SEARCH_FIELDS),
+    query,
+    SYNONYM_EXPANSIONS,
+  ).map((hit) => ({
+    script: hit.doc,
+    // A literal hit on the alias itself is not an expansion worth reporting.
+    matchedSynonyms: hit.expansions
+      .filter((e) => e.matched !== e.alias)
+      .map((e) => ({ alias: e.alias, expandedTo: e.matched })),
+  }));
+}
 
-  scored.sort((a, b) => b.score - a.score || a.s.id.localeCompare(b.s.id));
-  return scored.map((x) => x.s);
+/** rankScriptHits without the synonym annotations. */
+export function rankScripts(
+  scripts: ScriptMeta[],
+  query?: string,
+): ScriptMeta[] {
+  return rankScriptHits(scripts, query).map((hit) => hit.script);
 }
 
 /** Compact summary used in search results (omits source-heavy fields). */
@@ -127,9 +210,15 @@ export function summarize(s: ScriptMeta) {
     platform: s.platform || null,
     runbookEligible: s.runbook?.eligible ?? false,
     githubUrl: s.githubUrl,
+    ...federatedFields(s),
   };
 }
 
+// Only federated indexes say where each script came from, so single-catalog
+// output is unchanged.
+const federatedFields = (s: ScriptMeta) =>
+  s.source ? { source: s.source, catalogSource: s.catalogSource } : {};
+
 export type ScriptSummary = ReturnType<typeof summarize>;
 
 /** Full metadata for one script (everything except the source code). */
@@ -158,6 +247,7 @@ export function fullMetadata(s: ScriptMeta) {
       mandatory: p.mandatory,
       default: p.default ?? null,
       switch: p.switch,
+      validValues: p.validValues ?? [],
     })),
     examples: s.examples,
     notes: s.notes,
@@ -166,6 +256,10 @@ export function fullMetadata(s: ScriptMeta) {
     githubUrl: s.githubUrl,
     runbook: s.runbook ?? null,
     azureDeploy: s.azureDeploy ?? null,
+    graphEndpoints: s.graphEndpoints ?? [],
+    graphMethods: s.graphMethods ?? [],
+    cmdlets: s.cmdlets ?? [],
+    ...federatedFields(s),
   };
 }
 
@@ -176,7 +270,8 @@ export type CatalogKind =
   | "tags"
   | "platforms"
   | "permissions"
-  | "minRoles";
+  | "minRoles"
+  | "sources";
 
 /**
  * Aggregates distinct values with usage counts for one metadata dimension.
@@ -195,6 +290,12 @@ export function buildCatalog(
     if (entry) entry.count += 1;
     else counts.set(key, { value, count: 1 });
   };
+  // Federated sources that failed to load are still listed, with no scripts.
+  if (kind === "sources") {
+    for (const { name } of index.sources ?? []) {
+      counts.set(name, { value: name, count: 0 });
+    }
+  }
 
   for (const s of index.scripts) {
     switch (kind) {
@@ -213,6 +314,9 @@ export function buildCatalog(
       case "minRoles":
         add(s.minRole);
         break;
+      case "sources":
+        add(sourceOf(s));
+        break;
     }
   }
 
@@ -0,0 +1,265 @@
+// Drift check for a user's copy of a catalog script: identifies which script a
+// pasted copy came from (by explicit id, .TITLE, or the .\name.ps1 it invokes
+// in its examples), compares the help-block metadata and param() block with
+// the catalog's, and renders a unified diff against the catalog source. Pure;
+// the caller fetches the source and tolerates its absence.
+import { lineDiff } from "../../lib/line-diff.ts";
+import { compareVersions } from "./changes.ts";
+import { findScript } from "./core.ts";
+import type { ScriptIndex, ScriptMeta } from "./types.ts";
+
+/** The parts of a pasted script that drift is measured on. */
+export interface LocalScript {
+  title: string | null;
+  version: string | null;
+  permissions: string[];
+  parameters: Array<{ name: string; type: string; mandatory: boolean }>;
+}
+
+export type MatchedBy = "id" | "title" | "filename";
+
+export interface ParameterChange {
+  name: string;
+  local: { type: string; mandatory: boolean };
+  catalog: { type: string; mandatory: boolean };
+}
+
+export interface MetadataDrift {
+  version: {
+    local: string | null;
+    catalog: string;
+    status: "behind" | "current" | "ahead" | "unknown";
+  };
+  permissions: { onlyInCatalog: string[]; onlyInLocal: string[] };
+  parameters: {
+    onlyInCatalog: string[];
+    onlyInLocal: string[];
+    changed: ParameterChange[];
+  };
+}
+
+// Line endings and a byte-order mark are editor noise, not drift.
+export const normalizeSource = (text: string) =>
+  text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+function helpField(block: string, tag: string): string | null {
+  const lines = block.split("\n");
+  const at = lines.findIndex((l) => l.trim().toUpperCase() === `.${tag}`);
+  if (at === -1) return null;
+  for (const line of lines.slice(at + 1)) {
+    if (/^\s*\.[A-Z][A-Z0-9]+\s*$/.test(line)) break;
+    if (line.trim()) return line.trim();
+  }
+  return null;
+}
+
+// Top-level comma split of a param() body, ignoring separators inside
+// brackets and quoted defaults (the same scan generate-index.mjs uses).
+function splitParams(body: string): string[] {
+  const parts: string[] = [];
+  let buf = "";
+  let depth = 0;
+  let quote: string | null = null;
+  for (const c of body) {
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === "'" || c === '"') quote = c;
+    else if ("([{".includes(c)) depth++;
+    else if (")]}".includes(c)) depth--;
+    if (c === "," && depth === 0 && !quote) {
+      parts.push(buf);
+      buf = "";
+    } else {
+      buf += c;
+    }
+  }
+  if (buf.trim()) parts.push(buf);
+  return parts;
+}
+
+function parseParameters(source: string): LocalScript["parameters"] {
+  const start = source.search(/\bparam\s*\(/i);
+  if (start === -1) return [];
+  const open = source.indexOf("(", start);
+  let depth = 0;
+  let end = -1;
+  for (let i = open; i < source.length && end === -1; i++) {
+    if (source[i] === "(") depth++;
+    else if (source[i] === ")" && --depth === 0) end = i;
+  }
+  if (end === -1) return [];
+
+  const parameters: LocalScript["parameters"] = [];
+  for (const raw of splitParams(source.slice(open + 1, end))) {
+    const name = /\$([A-Za-z_]\w*)\s*(?:=[\s\S]*)?$/.exec(raw)?.[1];
+    if (!name) continue;
+    const types = [
+      ...raw
+        .slice(0, raw.indexOf(`$${name}`))
+        .matchAll(/\[([^[\]]+(?:\[\])?)\]/g),
+    ]
+      .map((m) => m[1]!.trim())
+      .filter(
+        (t) =>
+          !/^(Parameter|CmdletBinding|Validate|Alias|AllowNull|AllowEmpty|SupportsWildcards)/i.test(
+            t,
+          ),
+      );
+    parameters.push({
+      name,
+      type: types.at(-1) ?? "",
+      mandatory: /Mandatory\s*=\s*\$true/i.test(raw),
+    });
+  }
+  return parameters;
+}
+
+/** Reads the help-block fields and parameters of a pasted script. */
+export function parseLocalScript(source: string): LocalScript {
+  const text = normalizeSource(source);
+  const block = /<#([\s\S]*?)#>/.exec(text)?.[1] ?? "";
+  const permissions = helpField(block, "PERMISSIONS");
+  return {
+    title: helpField(block, "TITLE"),
+    version: helpField(block, "VERSION"),
+    permissions: permissions
+      ? permissions
+          .split(",")
+          .map((p) => p.trim())
+          .filter(Boolean)
+      : [],
+    parameters: parseParameters(text),
+  };
+}
+
+/**
+ * The catalog script a pasted copy came from. An explicit id wins and is not
+ * second-guessed; otherwise the .TITLE is matched, then the script file the
+ * copy's examples invoke.
+ */
+export function identifyScript(
+  index: ScriptIndex,
+  source: string,
+  local: LocalScript,
+  id?: string,
+): { script: ScriptMeta; matchedBy: MatchedBy } | undefined {
+  if (id) {
+    const script = findScript(index, id);
+    return script ? { script, matchedBy: "id" } : undefined;
+  }
+  const title = local.title?.toLowerCase();
+  const byTitle =
+    title && index.scripts.find((s) => s.title.toLowerCase() === title);
+  if (byTitle) return { script: byTitle, matchedBy: "title" };
+  for (const m of source.matchAll(/\.[\\/]([\w-]+)\.ps1\b/g)) {
+    const script = findScript(index, m[1]!);
+    if (script) return { script, matchedBy: "filename" };
+  }
+  return undefined;
+}
+
+function difference(a: string[], b: string[]): string[] {
+  const other = new Set(b.map((v) => v.toLowerCase()));
+  return a.filter((v) => !other.has(v.toLowerCase()));
+}
+
+export function compareMetadata(
+  local: LocalScript,
+  script: ScriptMeta,
+): MetadataDrift {
+  let status: MetadataDrift["version"]["status"] = "unknown";
+  if (local.version && /^\d+(\.\d+)*$/.test(local.version) && script.version) {
+    const order = compareVersions(local.version, script.version);
+    status = order < 0 ? "behind" : order > 0 ? "ahead" : "current";
+  }
+
+  const localParams = new Map(
+    local.parameters.map((p) => [p.name.toLowerCase(), p]),
+  );
+  const changed: ParameterChange[] = [];
+  for (const p of script.parameters) {
+    const mine = localParams.get(p.name.toLowerCase());
+    if (!mine) continue;
+    if (
+      mine.type.toLowerCase() !== p.type.toLowerCase() ||
+      mine.mandatory !== p.mandatory
+    ) {
+      changed.push({
+        name: p.name,
+        local: { type: mine.type, mandatory: mine.mandatory },
+        catalog: { type: p.type, mandatory: p.mandatory },
+      });
+    }
+  }
+
+  const catalogNames = script.parameters.map((p) => p.name);
+  const localNames = local.parameters.map((p) => p.name);
+  return {
+    version: { local: local.version, catalog: script.version, status },
+    permissions: {
+      onlyInCatalog: difference(script.permissions, local.permissions),
+      onlyInLocal: difference(local.permissions, script.permissions),
+    },
+    parameters: {
+      onlyInCatalog: difference(catalogNames, localNames),
+      onlyInLocal: difference(localNames, catalogNames),
+      changed,
+    },
+  };
+}
+
+const toLines = (text: string) => {
+  const normalized = normalizeSource(text);
+  return normalized === "" ? [] : normalized.replace(/\n$/, "").split("\n");
+};
+
+/**
+ * Unified diff (diff -u format) from oldText to newText, or "" when they only
+ * differ in line endings.
+ */
+export function unifiedDiff(
+  oldText: string,
+  newText: string,
+  oldName: string,
+  newName: string,
+  context = 3,
+): string {
+  const ops = lineDiff(toLines(oldText), toLines(newText));
+  const oldLine: number[] = [];
+  const newLine: number[] = [];
+  let o = 1;
+  let n = 1;
+  for (const op of ops) {
+    oldLine.push(o);
+    newLine.push(n);
+    if (op.kind !== "+") o++;
+    if (op.kind !== "-") n++;
+  }
+
+  const nextChange = (from: number) =>
+    ops.findIndex((op, i) => i >= from && op.kind !== " ");
+  let change = nextChange(0);
+  if (change === -1) return "";
+
+  const out = [`--- ${oldName}`, `+++ ${newName}`];
+  while (change !== -1) {
+    const start = Math.max(0, change - context);
+    let last = change;
+    for (let i = change + 1; i < ops.length; i++) {
+      if (ops[i]!.kind === " ") continue;
+      if (i - last - 1 > 2 * context) break;
+      last = i;
+    }
+    const stop = Math.min(ops.length, last + context + 1);
+    const hunk = ops.slice(start, stop);
+    const oldCount = hunk.filter((op) => op.kind !== "+").length;
+    const newCount = hunk.filter((op) => op.kind !== "-").length;
+    // An empty side is addressed by the line before it, as diff -u does.
+    const oldStart = oldCount ? oldLine[start]! : oldLine[start]! - 1;
+    const newStart = newCount ? newLine[start]! : newLine[start]! - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of hunk) out.push(`${op.kind}${op.line}`);
+    change = nextChange(stop);
+  }
+  return `${out.join("\n")}\n`;
+}
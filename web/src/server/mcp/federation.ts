@@ -0,0 +1,201 @@
+// Serves several script libraries in the help-block format through one
+// ScriptRepository. The first (primary) source keeps its ids as they are, so
+// existing links and clients keep working; every other source's ids are
+// prefixed with its name ("internal:foo"). Pure apart from the repositories it
+// is given, so the merge rules are unit-testable with fixture repositories.
+import type {
+  CatalogSource,
+  PermissionDescriptions,
+  ScriptIndex,
+  ScriptMeta,
+  ScriptRepository,
+  SourceStatus,
+} from "./types.ts";
+
+/** Name of the public IntuneAutomation catalog when it is one of several. */
+export const PRIMARY_SOURCE = "intuneautomation";
+
+export interface NamedRepository {
+  name: string;
+  repository: ScriptRepository;
+}
+
+/** One entry of INTUNE_MCP_SOURCES, before a repository is built for it. */
+export type SourceConfig =
+  | { name: string; kind: "github"; repo: string; ref: string }
+  | { name: string; kind: "local"; root: string };
+
+const SOURCE_NAME = /^[a-z][a-z0-9-]{0,31}$/;
+const GITHUB_SPEC = /^github:([\w.-]+\/[\w.-]+)(?:@([\w./-]+))?$/;
+
+/**
+ * Parses INTUNE_MCP_SOURCES: comma-separated `name=spec` entries where spec is
+ * `github:owner/repo[@ref]` or a local checkout path. Throws on malformed or
+ * duplicate entries rather than silently serving a partial catalog.
+ */
+export function parseSourcesConfig(value: string): SourceConfig[] {
+  const configs: SourceConfig[] = [];
+  for (const entry of value.split(",")) {
+    if (!entry.trim()) continue;
+    const eq = entry.indexOf("=");
+    const name = entry.slice(0, eq).trim().toLowerCase();
+    const spec = entry.slice(eq + 1).trim();
+    if (eq < 0 || !spec) {
+      throw new Error(
+        `INTUNE_MCP_SOURCES entry '${entry.trim()}' is not name=spec.`,
+      );
+    }
+    if (!SOURCE_NAME.test(name)) {
+      throw new Error(
+        `INTUNE_MCP_SOURCES name '${name}' must be lowercase letters, digits, and dashes.`,
+      );
+    }
+    if (name === PRIMARY_SOURCE || configs.some((c) => c.name === name)) {
+      throw new Error(`INTUNE_MCP_SOURCES name '${name}' is already in use.`);
+    }
+    if (spec.startsWith("github:")) {
+      const match = GITHUB_SPEC.exec(spec);
+      if (!match?.[1]) {
+        throw new Error(
+          `INTUNE_MCP_SOURCES entry '${name}' must be github:owner/repo[@ref].`,
+        );
+      }
+      configs.push({
+        name,
+        kind: "github",
+        repo: match[1],
+        ref: match[2] ?? "main",
+      });
+    } else {
+      configs.push({ name, kind: "local", root: spec });
+    }
+  }
+  return configs;
+}
+
+const qualify = (name: string, id: string) => `${name}:${id}`;
+
+function namespaced(
+  script: ScriptMeta,
+  name: string,
+  catalogSource: CatalogSource,
+  primary: boolean,
+): ScriptMeta {
+  if (primary) return { ...script, source: name, catalogSource };
+  return {
+    ...script,
+    id: qualify(name, script.id),
+    pairScript: script.pairScript ? qualify(name, script.pairScript) : "",
+    source: name,
+    catalogSource,
+  };
+}
+
+/**
+ * Merges the sources into one ScriptRepository. Scripts are ordered by source
+ * in configuration order, which is also how a bare id that several sources
+ * share is resolved (see findScript): the earliest source wins and the others
+ * stay reachable by their qualified id. A secondary source that fails to load
+ * is left out of the merged index and reported in its `sources` status; the
+ * primary source's failures propagate as they would without federation.
+ */
+export function createFederatedRepository(
+  sources: NamedRepository[],
+): ScriptRepository {
+  const [primary, ...secondaries] = sources;
+  if (!primary) throw new Error("Federation needs at least one source.");
+  const byName = new Map(sources.map((s) => [s.name, s.repository]));
+
+  // The merged index is rebuilt only when a source's index or status changes,
+  // so per-index caches (such as the similarity index) survive between calls.
+  let merged: { key: unknown[]; index: ScriptIndex } | undefined;
+
+  return {
+    async getIndex() {
+      const results = await Promise.allSettled(
+        sources.map((s) => s.repository.getIndex()),
+      );
+      const first = results[0];
+      if (first?.status === "rejected") throw first.reason;
+      const key = results.flatMap((r) =>
+        r.status === "fulfilled"
+          ? [r.value.index, r.value.source]
+          : [null, null],
+      );
+      if (
+        !merged ||
+        merged.key.length !== key.length ||
+        merged.key.some((part, i) => part !== key[i])
+      ) {
+        merged = { key, index: mergeIndexes(sources, results) };
+      }
+      return {
+        index: merged.index,
+        source: first!.value.source,
+        fetchedAt: first!.value.fetchedAt,
+      };
+    },
+
+    getInstructions: () => primary.repository.getInstructions(),
+
+    getScriptSource(script: ScriptMeta) {
+      const repository =
+        (script.source && byName.get(script.source)) || primary.repository;
+      return repository.getScriptSource(script);
+    },
+
+    getDeployTemplate(script: ScriptMeta) {
+      const repository =
+        (script.source && byName.get(script.source)) || primary.repository;
+      return repository.getDeployTemplate(script);
+    },
+
+    // The primary's descriptions win for permissions several sources describe.
+    async getPermissionDescriptions() {
+      const all = await Promise.all(
+        [...secondaries]
+          .reverse()
+          .map((s) =>
+            s.repository.getPermissionDescriptions().catch(() => ({})),
+          ),
+      );
+      const own = await primary.repository.getPermissionDescriptions();
+      return Object.assign({}, ...all, own) as PermissionDescriptions;
+    },
+  };
+}
+
+function mergeIndexes(
+  sources: NamedRepository[],
+  results: Array<
+    PromiseSettledResult<{ index: ScriptIndex; source: CatalogSource }>
+  >,
+): ScriptIndex {
+  const scripts: ScriptMeta[] = [];
+  const categories = new Set<string>();
+  const statuses: SourceStatus[] = [];
+  let primaryIndex: ScriptIndex | undefined;
+
+  sources.forEach(({ name }, i) => {
+    const result = results[i];
+    if (result?.status !== "fulfilled") {
+      statuses.push({ name, catalogSource: null, count: 0 });
+      return;
+    }
+    const { index, source } = result.value;
+    primaryIndex ??= index;
+    for (const script of index.scripts) {
+      scripts.push(namespaced(script, name, source, i === 0));
+    }
+    index.categories.forEach((c) => categories.add(c));
+    statuses.push({ name, catalogSource: source, count: index.scripts.length });
+  });
+
+  return {
+    ...primaryIndex!,
+    count: scripts.length,
+    categories: [...categories].sort(),
+    scripts,
+    sources: statuses,
+  };
+}
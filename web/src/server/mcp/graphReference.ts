@@ -0,0 +1,199 @@
+// Lookups against the Microsoft Graph reference the script generator ships
+// (lib/generator-graph-data.ts, synced from merill/msgraph): whether a
+// permission scope or an endpoint exists, what is near it, and which curated
+// samples fit a task, so agents and the script generator can check Graph calls
+// instead of guessing them. Pure; the data is bundled.
+import {
+  GRAPH_ENDPOINTS,
+  GRAPH_SAMPLES,
+  GRAPH_SCOPES,
+  GRAPH_SCOPE_INDEX,
+  type GraphSample,
+} from "../../lib/generator-graph-data.ts";
+import {
+  checkGraphEndpoints,
+  childGraphEndpoints,
+  findGraphEndpointTemplate,
+  graphEndpointMethods,
+} from "../../lib/generator-graph-endpoints.ts";
+import { analyzeText, editDistance } from "../../lib/search-ranking.ts";
+import { coveringScopes } from "./permissions.ts";
+
+const MAX_SUGGESTIONS = 5;
+
+export interface PermissionLookup {
+  /** The scope as Graph spells it when known, otherwise as given. */
+  scope: string;
+  exists: boolean;
+  /** The input, when only its casing differed from the known scope. */
+  correctedFrom: string | null;
+  /** Other known scopes on the same resource, e.g. Foo.Read.All for Foo.ReadWrite.All. */
+  relatedScopes: string[];
+  /** Known broader scopes that include this one. */
+  coveredBy: string[];
+  /** Up to five endpoints that accept the scope. */
+  exampleEndpoints: string[];
+  /** For an unknown scope, the closest known ones. */
+  suggestions: string[];
+}
+
+export interface EndpointMatch {
+  method: string;
+  /** The path without host, version, query, or fragment. */
+  path: string;
+  /** The API version in the input, if it named one. */
+  version: "v1.0" | "beta" | null;
+  exists: boolean;
+  /** The catalog template the path matched, e.g. /users/{id}. */
+  template: string | null;
+  /** Every method the catalog publishes for the path. */
+  methods: string[];
+  /** For an unknown endpoint, the closest known ones. */
+  suggestions: string[];
+  /** Endpoints one segment below the matched template. */
+  relatedEndpoints: string[];
+}
+
+let scopesByLowerCase: Map<string, string> | undefined;
+
+const resourceOf = (scope: string) => scope.split(".")[0]!.toLowerCase();
+
+export function lookupGraphPermission(input: string): PermissionLookup {
+  scopesByLowerCase ??= new Map(
+    [...GRAPH_SCOPES].map((scope) => [scope.toLowerCase(), scope]),
+  );
+  const given = input.trim();
+  const known = scopesByLowerCase.get(given.toLowerCase());
+  const scope = known ?? given;
+  const resource = resourceOf(scope);
+  const relatedScopes = [...GRAPH_SCOPES]
+    .filter((s) => s !== scope && resourceOf(s) === resource)
+    .sort();
+
+  let suggestions: string[] = [];
+  if (!known) {
+    const needle = given.toLowerCase();
+    const close = [...GRAPH_SCOPES]
+      .map((s) => ({ s, distance: editDistance(needle, s.toLowerCase(), 4) }))
+      .filter((c) => c.distance <= 4)
+      .sort((a, b) => a.distance - b.distance || a.s.localeCompare(b.s))
+      .map((c) => c.s);
+    suggestions = [...new Set([...close, ...relatedScopes])].slice(
+      0,
+      MAX_SUGGESTIONS,
+    );
+  }
+
+  return {
+    scope,
+    exists: known !== undefined,
+    correctedFrom: known !== undefined && known !== given ? given : null,
+    relatedScopes,
+    coveredBy: known
+      ? coveringScopes(known).filter((s) => GRAPH_SCOPES.has(s))
+      : [],
+    exampleEndpoints: known ? [...(GRAPH_SCOPE_INDEX[known] ?? [])] : [],
+    suggestions,
+  };
+}
+
+/**
+ * Parses `METHOD /path` (method defaults to GET) or a graph.microsoft.com URL.
+ * PowerShell variables in the path ($id, ${id}) are read as placeholders.
+ */
+function parseEndpoint(input: string) {
+  const trimmed = input.trim();
+  const verb = /^(GET|POST|PUT|PATCH|DELETE)\s+/i.exec(trimmed);
+  const method = (verb?.[1] ?? "GET").toUpperCase();
+  let path = trimmed
+    .slice(verb ? verb[0].length : 0)
+    .trim()
+    .replace(/^https?:\/\/graph\.microsoft\.com/i, "")
+    .replace(/[?#].*$/, "")
+    .replace(/\$\{?(\w+)\}?/g, "{$1}");
+  if (!path.startsWith("/")) path = `/${path}`;
+  const version = /^\/(v1\.0|beta)(?=\/|$)/.exec(path)?.[1] as
+    | "v1.0"
+    | "beta"
+    | undefined;
+  if (version) path = path.slice(version.length + 1) || "/";
+  return { method, path, version: version ?? null };
+}
+
+/**
+ * Endpoints whose every segment equals, is a placeholder for, or is a likely
+ * misspelling of the path's, best first. Catches a typo anywhere in the path,
+ * which the lint suggestions (shared segments) do not.
+ */
+function misspelledEndpoints(method: string, path: string): string[] {
+  const segments = path.toLowerCase().split("/").filter(Boolean);
+  const scored: { endpoint: string; score: number }[] = [];
+  for (const endpoint of GRAPH_ENDPOINTS) {
+    const [entryMethod, template = ""] = endpoint.split(" ");
+    if (entryMethod !== method) continue;
+    const parts = template.toLowerCase().split("/").filter(Boolean);
+    if (parts.length !== segments.length) continue;
+    let score = 0;
+    for (const [i, part] of parts.entries()) {
+      const segment = segments[i]!;
+      if (part === segment) score += 2;
+      else if (part.startsWith("{")) score += 1;
+      else if (editDistance(segment, part, 2) <= 2) score += 0;
+      else {
+        score = -1;
+        break;
+      }
+    }
+    if (score >= 0) scored.push({ endpoint, score });
+  }
+  return scored
+    .sort((a, b) => b.score - a.score || a.endpoint.localeCompare(b.endpoint))
+    .map((c) => c.endpoint)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+export function matchGraphEndpoint(input: string): EndpointMatch {
+  const { method, path, version } = parseEndpoint(input);
+  // The same check lint_script runs on script bodies, so both agree.
+  const [check] = checkGraphEndpoints(
+    `"https://graph.microsoft.com/${version ?? "beta"}${path}" -Method ${method}`,
+  );
+  const template = check?.matched
+    ? findGraphEndpointTemplate(method, path)
+    : null;
+  const methods = graphEndpointMethods(path);
+  const suggestions = template
+    ? []
+    : methods.length
+      ? methods.map((m) => `${m} ${findGraphEndpointTemplate(m, path)}`)
+      : [
+          ...new Set([
+            ...misspelledEndpoints(method, path),
+            ...(check?.suggestions ?? []),
+          ]),
+        ].slice(0, MAX_SUGGESTIONS);
+  return {
+    method,
+    path,
+    version,
+    exists: template !== null,
+    template,
+    methods,
+    suggestions,
+    relatedEndpoints: template ? childGraphEndpoints(template) : [],
+  };
+}
+
+/** Curated samples whose intent shares the most words with the task. */
+export function findGraphSamples(task: string, limit = 3): GraphSample[] {
+  const terms = new Set(analyzeText(task));
+  return GRAPH_SAMPLES.map((sample) => ({
+    sample,
+    shared: new Set(analyzeText(sample.intent).filter((t) => terms.has(t)))
+      .size,
+  }))
+    .filter((c) => c.shared > 0)
+    .sort((a, b) => b.shared - a.shared)
+    .slice(0, limit)
+    .map((c) => c.sample);
+}
@@ -1,8 +1,15 @@
-import type { McpServer } from "@modelcontextprotocol/server";
-import { ResourceTemplate } from "@modelcontextprotocol/server";
-import { createMcpHandler } from "mcp-handler";
+import {
+  McpServer,
+  ResourceTemplate,
+  completable,
+  createMcpHandler,
+  type ServerEventBus,
+} from "@modelcontextprotocol/server";
 import { z } from "zod4";
 
+import { GRAPH_DATA_GENERATED_AT } from "../../lib/generator-graph-data.ts";
+import { lintScript } from "../../lib/generator-lint.ts";
+
 import {
   MAX_CATALOG_OFFSET,
   MAX_SEARCH_OFFSET,
@@ -12,23 +19,86 @@ import {
   fullMetadata,
   nextBoundedOffset,
   paginateText,
-  rankScripts,
+  rankScriptHits,
   summarize,
   type CatalogKind,
 } from "./core.ts";
-import type { ScriptRepository } from "./types.ts";
+import {
+  CATEGORY_RESOURCE_TEMPLATE,
+  INDEX_RESOURCE_URI,
+  TAG_RESOURCE_TEMPLATE,
+  categoryUri,
+  listingValues,
+  renderListing,
+  tagUri,
+  trackResourceChanges,
+  type ListingKind,
+} from "./catalogResources.ts";
+import { changesSince, compareVersions } from "./changes.ts";
+import {
+  catalogValues,
+  completeListItem,
+  completePrefix,
+  type CompletionKind,
+} from "./completion.ts";
+import {
+  compareMetadata,
+  identifyScript,
+  parseLocalScript,
+  unifiedDiff,
+} from "./drift.ts";
+import { buildInvocation } from "./invocation.ts";
+import {
+  buildPermissionPlan,
+  findRunnableScripts,
+  renderGrantCommand,
+  renderGrantScript,
+} from "./permissions.ts";
+import {
+  EXIT_CODE_CONTRACT,
+  collapseRemediationPairs,
+  exitCodes,
+  remediationSettings,
+  remediationWarnings,
+  resolveRemediationPair,
+} from "./remediation.ts";
+import { lookupGraphPermission, matchGraphEndpoint } from "./graphReference.ts";
+import { buildRunbookPlan } from "./runbookPlan.ts";
+import { findSimilarToScript, findSimilarToText } from "./similarity.ts";
+import { trackToolCalls, type ToolTelemetry } from "./telemetry.ts";
+import type {
+  CatalogSource,
+  ScriptIndex,
+  ScriptMeta,
+  ScriptRepository,
+} from "./types.ts";
 
 export const SERVER_NAME = "intuneautomation";
 export const SERVER_VERSION = "2.0.0";
 
 const TOOL_TIMEOUT_MS = 12_000;
+// Open subscriptions/listen streams per instance.
+const MAX_SUBSCRIPTIONS = 100;
+// Scripts passed as tool input. The request body is capped at 64 KB, and JSON
+// escaping plus the JSON-RPC envelope need the rest.
+export const MAX_SCRIPT_CONTENT_LENGTH = 48_000;
 
 export const SERVER_INSTRUCTIONS =
   "This server exposes the IntuneAutomation PowerShell script library (Microsoft Intune / Microsoft Graph automation). " +
   "When the user asks what scripts exist or describes an Intune task, call search_scripts before answering; do not guess. " +
   "Call search_scripts without a query to browse the whole catalog, and list_script_catalog to discover valid filter values. " +
   "Use get_script_metadata for permissions/parameters and get_script for full source; follow nextStart until it is null when a script is chunked. " +
+  "Remediation scripts come in detection/remediation pairs that search lists once; use get_remediation_package to get both halves and their Intune settings together. " +
+  "When the user has an older copy of a script, call get_script_changes with its version or download date and point out breaking entries. " +
+  "When the user pastes their own copy of a library script, call check_script_drift to compare it with the catalog. " +
+  "To give the user a command line for a script, call build_script_invocation instead of assembling parameters by hand. " +
+  "Use find_similar_scripts to suggest related scripts for one script or for a task described in plain words. " +
+  "To deploy scripts as Azure Automation runbooks, call plan_runbook_deployment for the templates, modules, schedules, grant, and steps. " +
+  "When the user will run several scripts under one identity (e.g. an Azure Automation account), call plan_script_permissions for the combined least-privilege grant; when the identity's scopes are fixed, call find_runnable_scripts to see what it can already run. " +
   "Before writing ANY new Intune/Graph/Windows/macOS-management PowerShell script, ALWAYS call get_script_authoring_guide first (pass the task) so the output matches the library's conventions and a similar existing script can be reused. " +
+  "Before handing a script you wrote or edited to the user, call lint_script on it and fix every fail finding. " +
+  "Do not invent Microsoft Graph URIs or scopes: check them with match_graph_endpoint and lookup_graph_permission. " +
+  "Every catalog result carries freshness; when its source is bundled or a stale cache, tell the user the catalog may be out of date. " +
   "This server is read-only: it never accesses the user's tenant and runs no scripts.";
 
 const readOnlyAnnotations = {
@@ -40,6 +110,36 @@ const readOnlyAnnotations = {
 
 const filterInput = z.string().trim().min(1).max(100);
 
+const sourceInput = filterInput
+  .optional()
+  .describe(
+    "Catalog source when this server federates several script libraries, e.g. intuneautomation or internal. Discover values with list_script_catalog (kind sources).",
+  );
+
+// Present only when the server federates several catalogs.
+const federatedFields = {
+  source: z.string().optional(),
+  catalogSource: z.string().optional(),
+};
+
+const freshnessSchema = z
+  .object({
+    indexGenerated: z
+      .string()
+      .nullable()
+      .describe("When the catalog index was generated from the scripts."),
+    fetchedAt: z
+      .string()
+      .nullable()
+      .describe(
+        "When this server last confirmed the data with its source; null for the copy bundled at deploy time.",
+      ),
+    source: z.string(),
+  })
+  .describe(
+    "How current the data is. Tell the user when it may be out of date: the source is bundled or a stale cache, or fetchedAt is hours old.",
+  );
+
 const searchInputSchema = z.object({
   query: z
     .string()
@@ -66,6 +166,7 @@ const searchInputSchema = z.object({
     .describe(
       "Microsoft Graph permission filter (case-insensitive substring), e.g. DeviceManagementManagedDevices.Read.All.",
     ),
+  source: sourceInput,
   limit: z.number().int().min(1).max(25).default(10),
   offset: z.number().int().min(0).max(MAX_SEARCH_OFFSET).default(0),
 });
@@ -81,6 +182,25 @@ const summarySchema = z.object({
   platform: z.string().nullable(),
   runbookEligible: z.boolean(),
   githubUrl: z.string(),
+  ...federatedFields,
+});
+
+const searchHitSchema = summarySchema.extend({
+  matchedSynonyms: z
+    .array(z.object({ alias: z.string(), expandedTo: z.string() }))
+    .describe(
+      "Query jargon (e.g. AAD, MEM, PR) that was expanded to a catalog term to produce this hit.",
+    ),
+  remediationPackage: z
+    .object({
+      name: z.string(),
+      detectionId: z.string(),
+      remediationId: z.string(),
+    })
+    .nullable()
+    .describe(
+      "Set when this hit stands for a detection/remediation pair; fetch both with get_remediation_package.",
+    ),
 });
 
 const searchOutputSchema = z.object({
@@ -89,12 +209,14 @@ const searchOutputSchema = z.object({
   tag: z.string().nullable(),
   platform: z.string().nullable(),
   permission: z.string().nullable(),
+  source: z.string().nullable(),
   total: z.number().int(),
   matched: z.number().int(),
   offset: z.number().int(),
   nextOffset: z.number().int().nullable(),
   catalogSource: z.string(),
-  scripts: z.array(summarySchema),
+  freshness: freshnessSchema,
+  scripts: z.array(searchHitSchema),
 });
 
 const metadataSchema = z.object({
@@ -122,6 +244,7 @@ const metadataSchema = z.object({
       mandatory: z.boolean(),
       default: z.string().nullable(),
       switch: z.boolean(),
+      validValues: z.array(z.string()),
     }),
   ),
   examples: z.array(z.string()),
@@ -143,6 +266,10 @@ const metadataSchema = z.object({
       supportsExistingAutomationAccount: z.boolean(),
     })
     .nullable(),
+  graphEndpoints: z.array(z.string()),
+  graphMethods: z.array(z.string()),
+  cmdlets: z.array(z.string()),
+  ...federatedFields,
 });
 
 const idInputSchema = z
@@ -156,6 +283,7 @@ const idInputSchema = z
 
 const metadataOutputSchema = z.object({
   catalogSource: z.string(),
+  freshness: freshnessSchema,
   script: metadataSchema,
 });
 
@@ -178,6 +306,7 @@ const getScriptInputSchema = z.object({
 
 const getScriptOutputSchema = z.object({
   catalogSource: z.string(),
+  freshness: freshnessSchema,
   script: metadataSchema,
   language: z.literal("powershell"),
   content: z.string(),
@@ -211,6 +340,7 @@ const guideOutputSchema = z.object({
     .string()
     .describe("Use this date for the .LASTUPDATE field of a new script."),
   guideSource: z.string(),
+  freshness: freshnessSchema,
   similarScripts: z.array(summarySchema),
   guide: z.string(),
   totalCharacters: z.number().int(),
@@ -219,12 +349,523 @@ const guideOutputSchema = z.object({
   truncated: z.boolean(),
 });
 
+const graphDataGenerated = z
+  .string()
+  .describe("When the bundled Microsoft Graph reference was last synced.");
+
+const lintInputSchema = z.object({
+  content: z
+    .string()
+    .min(1)
+    .max(MAX_SCRIPT_CONTENT_LENGTH)
+    .describe(
+      "The full PowerShell script, starting with its <# ... #> block (at most 48,000 characters).",
+    ),
+});
+
+const lintFindingSchema = z.object({
+  id: z.string(),
+  severity: z.enum(["pass", "warn", "fail"]),
+  category: z.enum([
+    "metadata",
+    "permissions",
+    "security",
+    "correctness",
+    "safety",
+  ]),
+  message: z.string(),
+  detail: z.string().optional().describe("How to fix it, when known."),
+  line: z
+    .number()
+    .int()
+    .optional()
+    .describe("1-based line of the first offending code."),
+});
+
+const lintOutputSchema = z.object({
+  findings: z.array(lintFindingSchema),
+  passCount: z.number().int(),
+  warnCount: z.number().int(),
+  failCount: z.number().int(),
+  hardReject: z
+    .object({ reason: z.string() })
+    .nullable()
+    .describe(
+      "Set when the text is not a script in the library's format at all; no other checks ran.",
+    ),
+  graphDataGenerated,
+});
+
+const permissionLookupInputSchema = z.object({
+  scope: z
+    .string()
+    .trim()
+    .min(3)
+    .max(200)
+    .describe(
+      "A Microsoft Graph permission scope, e.g. DeviceManagementManagedDevices.Read.All.",
+    ),
+});
+
+const permissionLookupOutputSchema = z.object({
+  scope: z.string(),
+  exists: z.boolean(),
+  correctedFrom: z
+    .string()
+    .nullable()
+    .describe("The input, when only its casing was wrong."),
+  relatedScopes: z
+    .array(z.string())
+    .describe("Other scopes on the same resource."),
+  coveredBy: z
+    .array(z.string())
+    .describe("Broader scopes that include this one."),
+  exampleEndpoints: z.array(z.string()),
+  suggestions: z
+    .array(z.string())
+    .describe("For an unknown scope, the closest known ones."),
+  graphDataGenerated,
+});
+
+const endpointMatchInputSchema = z.object({
+  endpoint: z
+    .string()
+    .trim()
+    .min(1)
+    .max(2_000)
+    .describe(
+      "'METHOD /path' or a graph.microsoft.com URL, e.g. 'POST /beta/deviceManagement/managedDevices/{id}/syncDevice'. The method defaults to GET; PowerShell variables in the path count as placeholders.",
+    ),
+});
+
+const endpointMatchOutputSchema = z.object({
+  method: z.string(),
+  path: z.string(),
+  version: z.enum(["v1.0", "beta"]).nullable(),
+  exists: z.boolean(),
+  template: z
+    .string()
+    .nullable()
+    .describe("The catalog template the path matched."),
+  methods: z
+    .array(z.string())
+    .describe("Every method the catalog publishes for this path."),
+  suggestions: z
+    .array(z.string())
+    .describe("For an unknown endpoint, the closest known ones."),
+  relatedEndpoints: z
+    .array(z.string())
+    .describe("Endpoints one segment below the template."),
+  graphDataGenerated,
+});
+
+const similarInputSchema = z.object({
+  id: idInputSchema
+    .optional()
+    .describe(
+      "Find scripts similar to this catalog script (filename without .ps1).",
+    ),
+  text: z
+    .string()
+    .trim()
+    .min(2)
+    .max(500)
+    .optional()
+    .describe(
+      "Or describe a task in plain words, e.g. 'email me when laptops stop checking in'.",
+    ),
+  limit: z.number().int().min(1).max(10).default(5),
+});
+
+const similarOutputSchema = z.object({
+  id: z.string().nullable(),
+  text: z.string().nullable(),
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  scripts: z.array(
+    summarySchema.extend({
+      score: z.number().describe("Cosine similarity between 0 and 1."),
+      sharedTerms: z.array(z.string()),
+    }),
+  ),
+});
+
+// Display names end up inside quoted PowerShell strings in grant snippets.
+const identityNameInput = z
+  .string()
+  .trim()
+  .min(1)
+  .max(128)
+  .regex(/^[\w .-]+$/, "Letters, digits, spaces, '.', '-' and '_' only.")
+  .optional();
+
+const permissionPlanInputSchema = z.object({
+  ids: z
+    .array(idInputSchema)
+    .min(1)
+    .max(25)
+    .describe("Script ids that will run under the same identity."),
+  identityName: identityNameInput.describe(
+    "Display name of the managed identity (usually the Automation account name) to put in the grant snippet.",
+  ),
+});
+
+const permissionPlanOutputSchema = z.object({
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  scripts: z.array(
+    z.object({
+      id: z.string(),
+      title: z.string(),
+      minRole: z.string(),
+      permissions: z.array(z.string()),
+    }),
+  ),
+  permissions: z.array(
+    z.object({
+      permission: z.string(),
+      displayName: z.string().nullable(),
+      description: z.string().nullable(),
+      scripts: z.array(z.string()),
+      coveredBy: z
+        .string()
+        .nullable()
+        .describe(
+          "A broader planned permission that already includes this one; it is left out of grant.",
+        ),
+    }),
+  ),
+  grant: z
+    .array(z.string())
+    .describe("The deduplicated application permissions to assign."),
+  minRole: z.string().nullable(),
+  roles: z.array(z.object({ role: z.string(), scripts: z.array(z.string()) })),
+  warnings: z.array(z.string()),
+  grantCommand: z
+    .string()
+    .nullable()
+    .describe("Invocation of grant-permissions-managed-identity.ps1."),
+  grantScript: z
+    .string()
+    .nullable()
+    .describe("Standalone PowerShell that performs the same grant."),
+});
+
+const runbookPlanInputSchema = z.object({
+  ids: z
+    .array(idInputSchema)
+    .min(1)
+    .max(25)
+    .describe("Script ids to deploy as runbooks in one Automation account."),
+  automationAccountName: identityNameInput.describe(
+    "The Azure Automation account to deploy into; its managed identity has the same name.",
+  ),
+});
+
+const runbookPlanOutputSchema = z.object({
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  automationAccountName: z.string(),
+  scripts: z.array(
+    z.object({
+      id: z.string(),
+      title: z.string(),
+      eligible: z.boolean(),
+      reason: z
+        .string()
+        .nullable()
+        .describe("Why the script cannot run as a runbook."),
+      deployUrl: z.string().nullable(),
+      templateUrl: z.string().nullable(),
+      supportsExistingAutomationAccount: z.boolean().nullable(),
+      templateParameters: z
+        .array(
+          z.object({
+            name: z.string(),
+            type: z.string(),
+            defaultValue: z.unknown(),
+            description: z.string().nullable(),
+          }),
+        )
+        .describe("Parameters of the script's ARM deployment template."),
+      runtime: z.string().nullable(),
+      modules: z
+        .array(z.object({ name: z.string(), version: z.string().nullable() }))
+        .describe("Packages the template installs in the runtime environment."),
+      schedule: z
+        .string()
+        .nullable()
+        .describe("Suggested schedule from .SCHEDULE; null to run on demand."),
+      permissions: z.array(z.string()),
+    }),
+  ),
+  grant: z
+    .array(z.string())
+    .describe(
+      "Graph application permissions for the managed identity, covering every eligible script.",
+    ),
+  minRole: z.string().nullable(),
+  grantCommand: z.string().nullable(),
+  grantScript: z.string().nullable(),
+  steps: z.array(z.string()).describe("The deployment, in order."),
+  warnings: z.array(z.string()),
+});
+
+const runnableInputSchema = z.object({
+  scopes: z
+    .array(z.string().trim().min(1).max(100))
+    .min(1)
+    .max(50)
+    .describe(
+      "Microsoft Graph application permissions the identity already holds, e.g. DeviceManagementManagedDevices.Read.All.",
+    ),
+});
+
+const scriptRefSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  category: z.string(),
+  permissions: z.array(z.string()),
+});
+
+const runnableOutputSchema = z.object({
+  scopes: z.array(z.string()),
+  total: z.number().int(),
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  runnable: z.array(scriptRefSchema),
+  missingOne: z.array(scriptRefSchema.extend({ missing: z.string() })),
+  readScopeHints: z
+    .array(
+      z.object({
+        id: z.string(),
+        title: z.string(),
+        permission: z.string(),
+        readScope: z.string(),
+        readScopeGranted: z.boolean(),
+        graphMethods: z.array(z.string()),
+      }),
+    )
+    .describe(
+      "Scripts declaring a ReadWrite scope the identity lacks although their source only reads from Graph (or never calls it).",
+    ),
+  unusedScopes: z
+    .array(z.string())
+    .describe("Granted scopes that satisfy no catalog script permission."),
+});
+
+const invocationValueSchema = z.union([
+  z.string().max(2_000),
+  z.number(),
+  z.boolean(),
+  z.array(z.union([z.string().max(2_000), z.number()])).max(100),
+]);
+
+const invocationInputSchema = z.object({
+  id: idInputSchema,
+  parameters: z
+    .record(z.string().max(100), invocationValueSchema.nullable())
+    .refine((p) => Object.keys(p).length <= 50, "At most 50 parameters.")
+    .default({})
+    .describe(
+      'Parameter name -> value, e.g. { "DaysStale": 30, "Platform": "Windows" }. Use true/false for switches and lists for array parameters.',
+    ),
+});
+
+const invocationOutputSchema = z.object({
+  id: z.string(),
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  commandLine: z.string(),
+  splatting: z.string(),
+  runbookParameters: z.record(z.string(), invocationValueSchema),
+  omitted: z.array(
+    z.object({ name: z.string(), default: z.string().nullable() }),
+  ),
+  warnings: z.array(z.string()),
+});
+
+const packageSourceSchema = z.object({
+  script: metadataSchema,
+  content: z.string(),
+  totalCharacters: z.number().int(),
+  truncated: z.boolean(),
+  exitCodes: z
+    .array(z.number().int())
+    .describe("Literal exit codes found in the source."),
+});
+
+const packageInputSchema = z.object({
+  id: idInputSchema.describe(
+    "Either half of a remediation pair, or its folder name under scripts/remediation/, e.g. reboot-pending.",
+  ),
+  maxCharacters: z
+    .number()
+    .int()
+    .min(1_000)
+    .max(30_000)
+    .default(20_000)
+    .describe(
+      "Maximum source characters returned per script; use get_script to continue a truncated one.",
+    ),
+});
+
+const packageOutputSchema = z.object({
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  name: z.string(),
+  detection: packageSourceSchema,
+  remediation: packageSourceSchema,
+  settings: z.object({
+    runAsAccount: z.enum(["System", "User"]),
+    runScriptIn64BitPowerShell: z.boolean(),
+    enforceScriptSignatureCheck: z.boolean(),
+    scheduleHint: z.string(),
+  }),
+  exitCodeContract: z.array(z.string()),
+  warnings: z.array(z.string()),
+});
+
+const changesInputSchema = z.object({
+  id: idInputSchema,
+  sinceVersion: z
+    .string()
+    .trim()
+    .regex(/^v?\d+(\.\d+)*$/, "A dotted version such as 1.2.")
+    .transform((v) => v.replace(/^v/, ""))
+    .optional()
+    .describe("The .VERSION of the deployed copy, e.g. 1.2."),
+  sinceDate: z
+    .string()
+    .trim()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "A date as YYYY-MM-DD.")
+    .optional()
+    .describe("When the deployed copy was taken, as YYYY-MM-DD."),
+});
+
+const changesOutputSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  currentVersion: z.string(),
+  lastUpdate: z.string(),
+  since: z.object({
+    version: z.string().nullable(),
+    date: z.string().nullable(),
+  }),
+  upToDate: z.boolean(),
+  entries: z.array(
+    z.object({
+      version: z.string(),
+      date: z.string().nullable(),
+      changes: z.array(z.string()),
+      breaking: z
+        .array(z.string())
+        .describe(
+          "Why this entry may break the deployed copy (new permission, removed or newly required parameter).",
+        ),
+    }),
+  ),
+  breaking: z
+    .boolean()
+    .describe("True when any returned entry has breaking reasons."),
+  datesApproximate: z
+    .boolean()
+    .describe(
+      "True when undated changelog entries were included for a sinceDate; confirm with the deployed copy's .VERSION.",
+    ),
+  warnings: z.array(z.string()),
+});
+
+const driftInputSchema = z.object({
+  content: z
+    .string()
+    .min(1)
+    .max(MAX_SCRIPT_CONTENT_LENGTH)
+    .describe(
+      "The full text of the user's copy of the script (at most 48,000 characters).",
+    ),
+  id: idInputSchema
+    .optional()
+    .describe(
+      "Catalog script id to compare against; omit to identify it from the copy's .TITLE or examples.",
+    ),
+  start: z
+    .number()
+    .int()
+    .min(0)
+    .default(0)
+    .describe("Character offset used to continue a large diff."),
+  maxCharacters: z
+    .number()
+    .int()
+    .min(1_000)
+    .max(30_000)
+    .default(12_000)
+    .describe("Maximum diff characters returned in this response."),
+});
+
+const driftNamesSchema = z.object({
+  onlyInCatalog: z.array(z.string()),
+  onlyInLocal: z.array(z.string()),
+});
+
+const parameterShapeSchema = z.object({
+  type: z.string(),
+  mandatory: z.boolean(),
+});
+
+const driftOutputSchema = z.object({
+  id: z.string(),
+  title: z.string(),
+  catalogSource: z.string(),
+  freshness: freshnessSchema,
+  matchedBy: z.enum(["id", "title", "filename"]),
+  version: z.object({
+    local: z.string().nullable(),
+    catalog: z.string(),
+    status: z.enum(["behind", "current", "ahead", "unknown"]),
+  }),
+  permissions: driftNamesSchema,
+  parameters: driftNamesSchema.extend({
+    changed: z.array(
+      z.object({
+        name: z.string(),
+        local: parameterShapeSchema,
+        catalog: parameterShapeSchema,
+      }),
+    ),
+  }),
+  sourceAvailable: z
+    .boolean()
+    .describe(
+      "False when the catalog source could not be fetched; metadata is still compared.",
+    ),
+  identical: z
+    .boolean()
+    .nullable()
+    .describe(
+      "Whether the copy matches the catalog source, ignoring line endings.",
+    ),
+  diff: z
+    .string()
+    .nullable()
+    .describe("Unified diff from the catalog source (---) to the copy (+++)."),
+  totalCharacters: z.number().int(),
+  start: z.number().int(),
+  nextStart: z.number().int().nullable(),
+  truncated: z.boolean(),
+  warnings: z.array(z.string()),
+});
+
 const catalogKinds = [
   "categories",
   "tags",
   "platforms",
   "permissions",
   "minRoles",
+  "sources",
 ] as const;
 
 const catalogInputSchema = z.object({
@@ -235,17 +876,20 @@ const catalogInputSchema = z.object({
     .max(100)
     .optional()
     .describe("Case-insensitive substring filter over the values."),
+  source: sourceInput,
   limit: z.number().int().min(1).max(100).default(50),
   offset: z.number().int().min(0).max(MAX_CATALOG_OFFSET).default(0),
 });
 
 const catalogOutputSchema = z.object({
   kind: z.enum(catalogKinds),
+  source: z.string().nullable(),
   items: z.array(z.object({ value: z.string(), count: z.number().int() })),
   total: z.number().int(),
   offset: z.number().int(),
   nextOffset: z.number().int().nullable(),
   catalogSource: z.string(),
+  freshness: freshnessSchema,
 });
 
 const toToolResult = <T extends object>(result: T) => ({
@@ -253,6 +897,12 @@ const toToolResult = <T extends object>(result: T) => ({
   structuredContent: result as Record<string, unknown>,
 });
 
+const freshness = (
+  indexGenerated: string | null,
+  source: CatalogSource,
+  fetchedAt: string | undefined,
+) => ({ indexGenerated, fetchedAt: fetchedAt ?? null, source });
+
 const toolError = (message: string) => ({
   isError: true,
   content: [{ type: "text" as const, text: message }],
@@ -288,48 +938,77 @@ function logToolFailure(tool: string, error: unknown) {
 export function registerIntuneTools(
   server: McpServer,
   repository: ScriptRepository,
+  telemetry?: ToolTelemetry,
 ) {
+  const track = trackToolCalls(telemetry);
+
   server.registerTool(
     "search_scripts",
     {
       title: "Search Intune automation scripts",
       description:
-        "Search and browse the IntuneAutomation PowerShell script catalog. With a query, results are ranked full-text matches over title, id, tags, synopsis, category, permissions, and description. " +
+        "Search and browse the IntuneAutomation PowerShell script catalog. With a query, results are ranked, typo-tolerant full-text matches over title, id, tags, synopsis, category, permissions, and description. " +
+        "Common Intune/Entra jargon (MEM, AAD, EPM, MDE, Win32 app, PR) is expanded to catalog terms; each hit lists the expansions it relied on in matchedSynonyms. " +
+        "A detection/remediation pair is listed once, as its detection script with remediationPackage set. " +
         "Without a query, the whole catalog is returned in stable id order. All filters combine with the query. " +
+        "When the server federates several script libraries, ids from libraries other than IntuneAutomation are prefixed with the library name (internal:foo) and each hit reports its source. " +
         "Follow nextOffset for more results. Use get_script to retrieve full source.",
       inputSchema: searchInputSchema,
       outputSchema: searchOutputSchema,
       annotations: readOnlyAnnotations,
     },
-    async (input) => {
-      try {
-        const { index, source } = await withTimeout(repository.getIndex());
-        const filtered = filterScripts(index.scripts, input);
-        const ranked = rankScripts(filtered, input.query);
-        const page = ranked.slice(input.offset, input.offset + input.limit);
-        return toToolResult({
-          query: input.query ?? null,
-          category: input.category ?? null,
-          tag: input.tag ?? null,
-          platform: input.platform ?? null,
-          permission: input.permission ?? null,
-          total: index.count,
-          matched: ranked.length,
-          offset: input.offset,
-          nextOffset: nextBoundedOffset(
-            input.offset,
-            page.length,
-            input.offset + page.length < ranked.length,
-            MAX_SEARCH_OFFSET,
-          ),
-          catalogSource: source,
-          scripts: page.map(summarize),
-        });
-      } catch (error) {
-        logToolFailure("search", error);
-        return toolError("IntuneAutomation MCP could not search the catalog.");
-      }
-    },
+    track(
+      "search_scripts",
+      async (input) => {
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          const filtered = filterScripts(index.scripts, input);
+          const ranked = collapseRemediationPairs(
+            rankScriptHits(filtered, input.query),
+            index,
+          );
+          const page = ranked.slice(input.offset, input.offset + input.limit);
+          return toToolResult({
+            query: input.query ?? null,
+            category: input.category ?? null,
+            tag: input.tag ?? null,
+            platform: input.platform ?? null,
+            permission: input.permission ?? null,
+            source: input.source ?? null,
+            total: index.count,
+            matched: ranked.length,
+            offset: input.offset,
+            nextOffset: nextBoundedOffset(
+              input.offset,
+              page.length,
+              input.offset + page.length < ranked.length,
+              MAX_SEARCH_OFFSET,
+            ),
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+            scripts: page.map(
+              ({ script, matchedSynonyms, remediationPackage }) => ({
+                ...summarize(script),
+                matchedSynonyms,
+                remediationPackage: remediationPackage && {
+                  name: remediationPackage.name,
+                  detectionId: remediationPackage.detection.id,
+                  remediationId: remediationPackage.remediation.id,
+                },
+              }),
+            ),
+          });
+        } catch (error) {
+          logToolFailure("search", error);
+          return toolError(
+            "IntuneAutomation MCP could not search the catalog.",
+          );
+        }
+      },
+      (result) => result.matched as number,
+    ),
   );
 
   server.registerTool(
@@ -343,13 +1022,16 @@ export function registerIntuneTools(
       outputSchema: metadataOutputSchema,
       annotations: readOnlyAnnotations,
     },
-    async ({ id }) => {
+    track("get_script_metadata", async ({ id }) => {
       try {
-        const { index, source } = await withTimeout(repository.getIndex());
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
+        );
         const script = findScript(index, id);
         if (!script) return unknownIdError(id);
         return toToolResult({
           catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
           script: fullMetadata(script),
         });
       } catch (error) {
@@ -358,7 +1040,7 @@ export function registerIntuneTools(
           "IntuneAutomation MCP could not retrieve that script's metadata.",
         );
       }
-    },
+    }),
   );
 
   server.registerTool(
@@ -372,15 +1054,18 @@ export function registerIntuneTools(
       outputSchema: getScriptOutputSchema,
       annotations: readOnlyAnnotations,
     },
-    async ({ id, start, maxCharacters }) => {
+    track("get_script", async ({ id, start, maxCharacters }) => {
       try {
-        const { index, source } = await withTimeout(repository.getIndex());
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
+        );
         const script = findScript(index, id);
         if (!script) return unknownIdError(id);
         const content = await withTimeout(repository.getScriptSource(script));
         const page = paginateText(content, start, maxCharacters);
         return toToolResult({
           catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
           script: fullMetadata(script),
           language: "powershell" as const,
           content: page.value,
@@ -395,7 +1080,201 @@ export function registerIntuneTools(
           "IntuneAutomation MCP could not fetch that script's source.",
         );
       }
+    }),
+  );
+
+  server.registerTool(
+    "get_remediation_package",
+    {
+      title: "Get a remediation package",
+      description:
+        "Return both halves of an Intune Remediations detection/remediation pair in one response: each script's metadata and source, the Intune settings to use (run as account, 64-bit PowerShell, signature check, schedule hint), and the exit-code contract Intune applies. " +
+        "Pass either script id or the pair's folder name.",
+      inputSchema: packageInputSchema,
+      outputSchema: packageOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track("get_remediation_package", async ({ id, maxCharacters }) => {
+      try {
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
+        );
+        const pair = resolveRemediationPair(index, id);
+        if (!pair) {
+          return findScript(index, id)
+            ? toolError(
+                `'${id}' is not part of a detection/remediation pair. Use get_script instead.`,
+              )
+            : unknownIdError(id);
+        }
+        const [detectionSource, remediationSource] = await withTimeout(
+          Promise.all([
+            repository.getScriptSource(pair.detection),
+            repository.getScriptSource(pair.remediation),
+          ]),
+        );
+        const describe = (script: ScriptMeta, text: string) => {
+          const page = paginateText(text, 0, maxCharacters);
+          return {
+            script: fullMetadata(script),
+            content: page.value,
+            totalCharacters: page.totalCharacters,
+            truncated: page.truncated,
+            exitCodes: exitCodes(text),
+          };
+        };
+        const detection = describe(pair.detection, detectionSource);
+        const remediation = describe(pair.remediation, remediationSource);
+        return toToolResult({
+          catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
+          name: pair.name,
+          detection,
+          remediation,
+          settings: remediationSettings(pair),
+          exitCodeContract: EXIT_CODE_CONTRACT,
+          warnings: remediationWarnings(
+            detection.exitCodes,
+            remediation.exitCodes,
+          ),
+        });
+      } catch (error) {
+        logToolFailure("remediation_package", error);
+        return toolError(
+          "IntuneAutomation MCP could not fetch that remediation package.",
+        );
+      }
+    }),
+  );
+
+  server.registerTool(
+    "get_script_changes",
+    {
+      title: "Get script changes since a version or date",
+      description:
+        "List a script's .CHANGELOG entries released after the copy the user deployed, given its version (sinceVersion) or the date it was taken (sinceDate). " +
+        "Each entry carries breaking reasons when it adds a permission the script now declares, removes a parameter, or makes a parameter required, so check breaking before telling the user to update in place.",
+      inputSchema: changesInputSchema,
+      outputSchema: changesOutputSchema,
+      annotations: readOnlyAnnotations,
     },
+    track("get_script_changes", async ({ id, sinceVersion, sinceDate }) => {
+      if (Boolean(sinceVersion) === Boolean(sinceDate)) {
+        return toolError(
+          "Pass either sinceVersion or sinceDate (exactly one).",
+        );
+      }
+      try {
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
+        );
+        const script = findScript(index, id);
+        if (!script) return unknownIdError(id);
+        const result = changesSince(
+          script,
+          sinceVersion ? { version: sinceVersion } : { date: sinceDate ?? "" },
+        );
+        return toToolResult({
+          id: script.id,
+          title: script.title,
+          catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
+          currentVersion: script.version,
+          lastUpdate: script.lastUpdate,
+          since: { version: sinceVersion ?? null, date: sinceDate ?? null },
+          upToDate: sinceVersion
+            ? compareVersions(sinceVersion, script.version) >= 0
+            : Boolean(script.lastUpdate) &&
+              script.lastUpdate <= (sinceDate ?? ""),
+          entries: result.entries,
+          breaking: result.entries.some((e) => e.breaking.length > 0),
+          datesApproximate: result.datesApproximate,
+          warnings: result.warnings,
+        });
+      } catch (error) {
+        logToolFailure("changes", error);
+        return toolError("IntuneAutomation MCP could not load script changes.");
+      }
+    }),
+  );
+
+  server.registerTool(
+    "check_script_drift",
+    {
+      title: "Check a script copy for drift",
+      description:
+        "Compare the user's copy of a catalog script (pasted as content, up to 48,000 characters) with the current catalog version. " +
+        "Identifies the script from the copy's .TITLE or the script file its examples run (or pass id), then returns version, permission, and parameter differences plus a unified diff against the catalog source. " +
+        "Large diffs are chunked; call again with nextStart until it is null. If the version is behind, get_script_changes explains what changed.",
+      inputSchema: driftInputSchema,
+      outputSchema: driftOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "check_script_drift",
+      async ({ content, id, start, maxCharacters }) => {
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          const local = parseLocalScript(content);
+          const match = identifyScript(index, content, local, id);
+          if (!match) {
+            return id
+              ? unknownIdError(id)
+              : toolError(
+                  "Could not identify the catalog script from the copy's .TITLE or examples. Pass id explicitly.",
+                );
+          }
+          const { script, matchedBy } = match;
+
+          const warnings: string[] = [];
+          let diff: string | null = null;
+          try {
+            const catalogSource = await withTimeout(
+              repository.getScriptSource(script),
+            );
+            diff = unifiedDiff(
+              catalogSource,
+              content,
+              `a/${script.path}`,
+              "b/local copy",
+            );
+          } catch (error) {
+            logToolFailure("drift_source", error);
+            warnings.push(
+              "The catalog source could not be fetched, so only metadata was compared.",
+            );
+          }
+          if (local.title === null) {
+            warnings.push(
+              "The copy has no comment-based help block; its version and permissions are unknown.",
+            );
+          }
+
+          const page = paginateText(diff ?? "", start, maxCharacters);
+          return toToolResult({
+            id: script.id,
+            title: script.title,
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+            matchedBy,
+            ...compareMetadata(local, script),
+            sourceAvailable: diff !== null,
+            identical: diff === null ? null : diff === "",
+            diff: diff === null ? null : page.value,
+            totalCharacters: page.totalCharacters,
+            start: page.start,
+            nextStart: page.nextStart,
+            truncated: page.truncated,
+            warnings,
+          });
+        } catch (error) {
+          logToolFailure("drift", error);
+          return toolError("IntuneAutomation MCP could not check that script.");
+        }
+      },
+    ),
   );
 
   server.registerTool(
@@ -410,80 +1289,546 @@ export function registerIntuneTools(
       outputSchema: guideOutputSchema,
       annotations: readOnlyAnnotations,
     },
-    async ({ task, start, maxCharacters }) => {
+    track(
+      "get_script_authoring_guide",
+      async ({ task, start, maxCharacters }) => {
+        try {
+          const { text, source, fetchedAt } = await withTimeout(
+            repository.getInstructions(),
+          );
+          const page = paginateText(text, start, maxCharacters);
+          let similar: ReturnType<typeof summarize>[] = [];
+          let indexGenerated: string | null = null;
+          if (task) {
+            const { index } = await withTimeout(repository.getIndex());
+            similar = findSimilarToText(index, task, 3).map((hit) =>
+              summarize(hit.script),
+            );
+            indexGenerated = index.generated;
+          }
+          return toToolResult({
+            today: new Date().toISOString().slice(0, 10),
+            guideSource: source,
+            freshness: freshness(indexGenerated, source, fetchedAt),
+            similarScripts: similar,
+            guide: page.value,
+            totalCharacters: page.totalCharacters,
+            start: page.start,
+            nextStart: page.nextStart,
+            truncated: page.truncated,
+          });
+        } catch (error) {
+          logToolFailure("authoring_guide", error);
+          return toolError(
+            "IntuneAutomation MCP could not load the authoring guide.",
+          );
+        }
+      },
+    ),
+  );
+
+  server.registerTool(
+    "lint_script",
+    {
+      title: "Lint a PowerShell script",
+      description:
+        "Run the intuneautomation.com generator's checks on a PowerShell script: help-block metadata, Microsoft Graph permission scopes, security patterns, known cmdlet mistakes, safeguards on destructive Graph calls, null-safe date parsing, and Graph endpoints verified against the published API catalog. " +
+        "Returns pass, warn, and fail findings with the line they point at and how to fix them. Scripts up to 48,000 characters are accepted. " +
+        "Call this on any script you wrote or edited with get_script_authoring_guide and fix every fail finding before giving it to the user.",
+      inputSchema: lintInputSchema,
+      outputSchema: lintOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "lint_script",
+      async ({ content }) => {
+        try {
+          return toToolResult({
+            ...lintScript(content),
+            graphDataGenerated: GRAPH_DATA_GENERATED_AT,
+          });
+        } catch (error) {
+          logToolFailure("lint", error);
+          return toolError("IntuneAutomation MCP could not lint the script.");
+        }
+      },
+      (result) => (result.warnCount as number) + (result.failCount as number),
+    ),
+  );
+
+  server.registerTool(
+    "lookup_graph_permission",
+    {
+      title: "Look up a Microsoft Graph permission",
+      description:
+        "Check a Microsoft Graph permission scope against the published permission reference: whether it exists (fixing its casing), the other scopes on the same resource, the broader scopes that include it, and example endpoints that accept it. " +
+        "For an unknown scope, returns the closest real ones. Use it before writing a scope into a script's .PERMISSIONS.",
+      inputSchema: permissionLookupInputSchema,
+      outputSchema: permissionLookupOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "lookup_graph_permission",
+      async ({ scope }) => {
+        try {
+          return toToolResult({
+            ...lookupGraphPermission(scope),
+            graphDataGenerated: GRAPH_DATA_GENERATED_AT,
+          });
+        } catch (error) {
+          logToolFailure("graph_permission", error);
+          return toolError(
+            "IntuneAutomation MCP could not look up the permission.",
+          );
+        }
+      },
+      (result) => (result.exists ? 1 : 0),
+    ),
+  );
+
+  server.registerTool(
+    "match_graph_endpoint",
+    {
+      title: "Match a Microsoft Graph endpoint",
+      description:
+        "Check a Microsoft Graph call ('METHOD /path' or a full URL) against the published endpoint catalog, the same check lint_script applies to scripts: whether it exists, the template it matches, which methods the path supports, and the endpoints below it. " +
+        "For an unknown endpoint, returns the closest real ones. The catalog is version-neutral: it does not say whether an endpoint is missing from v1.0.",
+      inputSchema: endpointMatchInputSchema,
+      outputSchema: endpointMatchOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "match_graph_endpoint",
+      async ({ endpoint }) => {
+        try {
+          return toToolResult({
+            ...matchGraphEndpoint(endpoint),
+            graphDataGenerated: GRAPH_DATA_GENERATED_AT,
+          });
+        } catch (error) {
+          logToolFailure("graph_endpoint", error);
+          return toolError(
+            "IntuneAutomation MCP could not match the endpoint.",
+          );
+        }
+      },
+      (result) => (result.exists ? 1 : 0),
+    ),
+  );
+
+  server.registerTool(
+    "build_script_invocation",
+    {
+      title: "Build a script invocation",
+      description:
+        "Validate a parameter map against a script's declared parameters (names, mandatory parameters, types, and allowed values) and return a ready-to-run PowerShell command line, an equivalent splatting block, and Azure Automation runbook parameter JSON. " +
+        "Errors name each offending parameter. Parameters you leave out keep the script's defaults, listed under omitted.",
+      inputSchema: invocationInputSchema,
+      outputSchema: invocationOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track("build_script_invocation", async ({ id, parameters }) => {
       try {
-        const { text, source } = await withTimeout(
-          repository.getInstructions(),
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
         );
-        const page = paginateText(text, start, maxCharacters);
-        let similar: ReturnType<typeof summarize>[] = [];
-        if (task) {
-          const { index } = await withTimeout(repository.getIndex());
-          similar = rankScripts(index.scripts, task).slice(0, 3).map(summarize);
+        const script = findScript(index, id);
+        if (!script) return unknownIdError(id);
+        const result = buildInvocation(script, parameters);
+        if (!result.ok) {
+          return toolError(
+            `Invalid parameters for ${script.id}:\n` +
+              result.issues
+                .map((i) => `- ${i.parameter}: ${i.message}`)
+                .join("\n"),
+          );
         }
         return toToolResult({
-          today: new Date().toISOString().slice(0, 10),
-          guideSource: source,
-          similarScripts: similar,
-          guide: page.value,
-          totalCharacters: page.totalCharacters,
-          start: page.start,
-          nextStart: page.nextStart,
-          truncated: page.truncated,
+          id: script.id,
+          catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
+          ...result.invocation,
         });
       } catch (error) {
-        logToolFailure("authoring_guide", error);
+        logToolFailure("invocation", error);
         return toolError(
-          "IntuneAutomation MCP could not load the authoring guide.",
+          "IntuneAutomation MCP could not build that invocation.",
         );
       }
+    }),
+  );
+
+  server.registerTool(
+    "find_similar_scripts",
+    {
+      title: "Find similar scripts",
+      description:
+        "Find catalog scripts whose content is most similar to a given script (pass id) or to a plain-language task description (pass text). " +
+        "Similarity is computed offline over titles, descriptions, tags, permissions, and the Graph endpoints and cmdlets each script uses, so it works for descriptive tasks that share few exact words with the catalog. " +
+        "Each result lists the sharedTerms that drove the match.",
+      inputSchema: similarInputSchema,
+      outputSchema: similarOutputSchema,
+      annotations: readOnlyAnnotations,
     },
+    track(
+      "find_similar_scripts",
+      async ({ id, text, limit }) => {
+        if (Boolean(id) === Boolean(text)) {
+          return toolError("Pass either id or text (exactly one).");
+        }
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          let hits;
+          if (id) {
+            const script = findScript(index, id);
+            if (!script) return unknownIdError(id);
+            hits = findSimilarToScript(index, script, limit);
+          } else {
+            hits = findSimilarToText(index, text ?? "", limit);
+          }
+          return toToolResult({
+            id: id ?? null,
+            text: text ?? null,
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+            scripts: hits.map((hit) => ({
+              ...summarize(hit.script),
+              score: hit.score,
+              sharedTerms: hit.sharedTerms,
+            })),
+          });
+        } catch (error) {
+          logToolFailure("similar", error);
+          return toolError(
+            "IntuneAutomation MCP could not compute similar scripts.",
+          );
+        }
+      },
+      (result) => (result.scripts as unknown[]).length,
+    ),
   );
 
   server.registerTool(
-    "list_script_catalog",
+    "plan_script_permissions",
     {
-      title: "List catalog metadata values",
+      title: "Plan permissions for a set of scripts",
       description:
-        "Discover the exact categories, tags, platforms, Microsoft Graph permissions, or minimum roles used across the script library, with usage counts. " +
-        "Use this to find valid filter values before calling search_scripts.",
-      inputSchema: catalogInputSchema,
-      outputSchema: catalogOutputSchema,
+        "Build a least-privilege Microsoft Graph permission plan for running several scripts under one identity, such as an Azure Automation account's managed identity. " +
+        "Returns the deduplicated application permissions (dropping read scopes a planned ReadWrite scope already covers), which scripts need each one, the most privileged minimum Entra role, and a ready-to-run grant snippet equivalent to grant-permissions-managed-identity.ps1.",
+      inputSchema: permissionPlanInputSchema,
+      outputSchema: permissionPlanOutputSchema,
       annotations: readOnlyAnnotations,
     },
-    async ({ kind, search, limit, offset }) => {
+    track("plan_script_permissions", async ({ ids, identityName }) => {
       try {
-        const { index, source } = await withTimeout(repository.getIndex());
-        let items = buildCatalog(index, kind as CatalogKind);
-        if (search) {
-          const needle = search.toLowerCase();
-          items = items.filter((i) => i.value.toLowerCase().includes(needle));
+        const { index, source, fetchedAt } = await withTimeout(
+          repository.getIndex(),
+        );
+        const scripts = [];
+        for (const id of new Set(ids)) {
+          const script = findScript(index, id);
+          if (!script) return unknownIdError(id);
+          scripts.push(script);
         }
-        const page = items.slice(offset, offset + limit);
+        const descriptions = await withTimeout(
+          repository.getPermissionDescriptions(),
+        );
+        const plan = buildPermissionPlan(scripts, descriptions);
+        const name = identityName ?? "<automation-account-name>";
+        const hasGrant = plan.grant.length > 0;
         return toToolResult({
-          kind,
-          items: page,
-          total: items.length,
-          offset,
-          nextOffset: nextBoundedOffset(
-            offset,
-            page.length,
-            offset + page.length < items.length,
-            MAX_CATALOG_OFFSET,
-          ),
           catalogSource: source,
+          freshness: freshness(index.generated, source, fetchedAt),
+          scripts: scripts.map((s) => ({
+            id: s.id,
+            title: s.title,
+            minRole: s.minRole,
+            permissions: s.permissions,
+          })),
+          permissions: plan.permissions,
+          grant: plan.grant,
+          minRole: plan.minRole,
+          roles: plan.roles,
+          warnings: plan.warnings,
+          grantCommand: hasGrant ? renderGrantCommand(plan.grant, name) : null,
+          grantScript: hasGrant ? renderGrantScript(plan, name) : null,
         });
       } catch (error) {
-        logToolFailure("catalog", error);
+        logToolFailure("permission_plan", error);
         return toolError(
-          "IntuneAutomation MCP could not list catalog metadata.",
+          "IntuneAutomation MCP could not build a permission plan.",
         );
       }
+    }),
+  );
+
+  server.registerTool(
+    "plan_runbook_deployment",
+    {
+      title: "Plan an Azure Automation runbook deployment",
+      description:
+        "Plan deploying one or more scripts as Azure Automation runbooks in one account: per script, whether it can run as a runbook (and why not), its one-click deployment link, the parameters, runtime, and modules of its ARM template, and the suggested schedule from .SCHEDULE; " +
+        "then the combined least-privilege Graph grant for the account's managed identity and the deployment steps in order. " +
+        "Use build_script_invocation for each runbook's parameter values.",
+      inputSchema: runbookPlanInputSchema,
+      outputSchema: runbookPlanOutputSchema,
+      annotations: readOnlyAnnotations,
     },
+    track(
+      "plan_runbook_deployment",
+      async ({ ids, automationAccountName }) => {
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          const scripts = [];
+          for (const id of new Set(ids)) {
+            const script = findScript(index, id);
+            if (!script) return unknownIdError(id);
+            scripts.push(script);
+          }
+          const [descriptions, templates] = await Promise.all([
+            withTimeout(repository.getPermissionDescriptions()),
+            Promise.all(
+              scripts
+                .filter((s) => s.runbook?.eligible && s.azureDeploy)
+                .map(async (s) => {
+                  try {
+                    const text = await withTimeout(
+                      repository.getDeployTemplate(s),
+                    );
+                    return [s.id, text] as const;
+                  } catch (error) {
+                    logToolFailure("deploy_template", error);
+                    return [s.id, new Error("unavailable")] as const;
+                  }
+                }),
+            ),
+          ]);
+          const name = automationAccountName ?? "<automation-account-name>";
+          const plan = buildRunbookPlan(
+            scripts,
+            new Map<string, string | Error>(templates),
+            descriptions,
+            name,
+          );
+          return toToolResult({
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+            automationAccountName: name,
+            scripts: plan.scripts.map(
+              ({ script, eligible, reason, template, schedule }) => ({
+                id: script.id,
+                title: script.title,
+                eligible,
+                reason,
+                deployUrl: script.azureDeploy?.deployUrl ?? null,
+                templateUrl: script.azureDeploy?.templateUrl ?? null,
+                supportsExistingAutomationAccount:
+                  script.azureDeploy?.supportsExistingAutomationAccount ?? null,
+                templateParameters: template?.parameters ?? [],
+                runtime: template?.runtime ?? (script.runbook?.runtime || null),
+                modules: template?.modules ?? [],
+                schedule,
+                permissions: script.permissions,
+              }),
+            ),
+            grant: plan.permissions.grant,
+            minRole: plan.permissions.minRole,
+            grantCommand: plan.grantCommand,
+            grantScript: plan.grantCommand
+              ? renderGrantScript(plan.permissions, name)
+              : null,
+            steps: plan.steps,
+            warnings: plan.warnings,
+          });
+        } catch (error) {
+          logToolFailure("runbook_plan", error);
+          return toolError(
+            "IntuneAutomation MCP could not build a runbook deployment plan.",
+          );
+        }
+      },
+      (result) =>
+        (result.scripts as Array<{ eligible: boolean }>).filter(
+          (s) => s.eligible,
+        ).length,
+    ),
+  );
+
+  server.registerTool(
+    "find_runnable_scripts",
+    {
+      title: "Find scripts runnable with granted scopes",
+      description:
+        "Reverse permission lookup: given the Microsoft Graph application permissions an identity already holds, list every catalog script it can fully run (a ReadWrite scope also satisfies the matching Read scope), the scripts missing exactly one scope and which one, " +
+        "and readScopeHints for scripts that declare a missing ReadWrite scope while their source only reads from Graph, so the narrower Read scope likely suffices. " +
+        "Use plan_script_permissions for the forward direction.",
+      inputSchema: runnableInputSchema,
+      outputSchema: runnableOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "find_runnable_scripts",
+      async ({ scopes }) => {
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          const result = findRunnableScripts(index.scripts, scopes);
+          const ref = (s: ScriptMeta) => ({
+            id: s.id,
+            title: s.title,
+            category: s.category,
+            permissions: s.permissions,
+          });
+          return toToolResult({
+            scopes,
+            total: index.count,
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+            runnable: result.runnable.map(ref),
+            missingOne: result.missingOne.map(({ script, missing }) => ({
+              ...ref(script),
+              missing,
+            })),
+            readScopeHints: result.readScopeHints.map((hint) => ({
+              id: hint.script.id,
+              title: hint.script.title,
+              permission: hint.permission,
+              readScope: hint.readScope,
+              readScopeGranted: hint.readScopeGranted,
+              graphMethods: hint.script.graphMethods ?? [],
+            })),
+            unusedScopes: result.unusedScopes,
+          });
+        } catch (error) {
+          logToolFailure("runnable", error);
+          return toolError(
+            "IntuneAutomation MCP could not look up runnable scripts.",
+          );
+        }
+      },
+      (result) => (result.runnable as unknown[]).length,
+    ),
+  );
+
+  server.registerTool(
+    "list_script_catalog",
+    {
+      title: "List catalog metadata values",
+      description:
+        "Discover the exact categories, tags, platforms, Microsoft Graph permissions, or minimum roles used across the script library, with usage counts. " +
+        "When the server federates several libraries, kind sources lists them and source restricts the counts to one library. " +
+        "Use this to find valid filter values before calling search_scripts.",
+      inputSchema: catalogInputSchema,
+      outputSchema: catalogOutputSchema,
+      annotations: readOnlyAnnotations,
+    },
+    track(
+      "list_script_catalog",
+      async ({ kind, search, source: only, limit, offset }) => {
+        try {
+          const { index, source, fetchedAt } = await withTimeout(
+            repository.getIndex(),
+          );
+          let items = buildCatalog(
+            only
+              ? {
+                  ...index,
+                  scripts: filterScripts(index.scripts, { source: only }),
+                }
+              : index,
+            kind as CatalogKind,
+          );
+          if (search) {
+            const needle = search.toLowerCase();
+            items = items.filter((i) => i.value.toLowerCase().includes(needle));
+          }
+          const page = items.slice(offset, offset + limit);
+          return toToolResult({
+            kind,
+            source: only ?? null,
+            items: page,
+            total: items.length,
+            offset,
+            nextOffset: nextBoundedOffset(
+              offset,
+              page.length,
+              offset + page.length < items.length,
+              MAX_CATALOG_OFFSET,
+            ),
+            catalogSource: source,
+            freshness: freshness(index.generated, source, fetchedAt),
+          });
+        } catch (error) {
+          logToolFailure("catalog", error);
+          return toolError(
+            "IntuneAutomation MCP could not list catalog metadata.",
+          );
+        }
+      },
+      (result) => result.total as number,
+    ),
   );
 }
 
-export function registerIntunePrompts(server: McpServer) {
+export function registerIntunePrompts(
+  server: McpServer,
+  repository: ScriptRepository,
+) {
+  // Prompt arguments complete from the catalog; a catalog that cannot be
+  // loaded just offers nothing.
+  const complete =
+    (kind: CompletionKind, list = false) =>
+    async (typed: string | undefined) => {
+      try {
+        const values = catalogValues((await repository.getIndex()).index, kind);
+        return (list ? completeListItem : completePrefix)(values, typed ?? "");
+      } catch {
+        return [];
+      }
+    };
+  // Optional arguments wrap the completable, which is where the SDK looks.
+  const scriptIdArg = (description: string) =>
+    completable(z.string().describe(description), complete("ids"));
+  const scriptIdsArg = completable(
+    z
+      .string()
+      .describe(
+        "Comma-separated script ids, e.g. 'get-device-report, rotate-bitlocker-keys'.",
+      ),
+    complete("ids", true),
+  ).optional();
+  const categoryArg = completable(
+    z.string().describe("A catalog category; its scripts are included."),
+    complete("categories"),
+  ).optional();
+  const tagArg = completable(
+    z.string().describe("A catalog tag; its scripts are included."),
+    complete("tags"),
+  ).optional();
+  const selection = ({ ids, category, tag }: ScriptSelection) =>
+    [
+      ids && `the scripts ${ids}`,
+      category && `the scripts in category '${category}'`,
+      tag && `the scripts tagged '${tag}'`,
+    ]
+      .filter(Boolean)
+      .join(" and ") || "the scripts the user names";
+  const findSelection =
+    "Resolve any category or tag to script ids with search_scripts (using its category/tag filters) first. ";
+  const userText = (text: string) => ({
+    messages: [
+      {
+        role: "user" as const,
+        content: { type: "text" as const, text },
+      },
+    ],
+  });
+
   server.registerPrompt(
     "find-intune-script",
     {
@@ -537,12 +1882,116 @@ export function registerIntunePrompts(server: McpServer) {
               `Write a Microsoft Intune PowerShell script that does the following: ${task}\n\n` +
               "First call get_script_authoring_guide (pass the task) to load the required conventions and any similar existing scripts. " +
               "If an existing script already covers this, retrieve it with get_script instead of writing a new one. " +
-              "Otherwise produce the script following the guide exactly.",
+              "Otherwise produce the script following the guide exactly, then call lint_script on it and fix every fail finding.",
           },
         },
       ],
     }),
   );
+
+  server.registerPrompt(
+    "review-intune-script",
+    {
+      title: "Review a script against the authoring guide",
+      description:
+        "Review a PowerShell script against the IntuneAutomation authoring conventions and, for a library script, against its catalog version.",
+      argsSchema: z.object({
+        content: z.string().describe("The script to review, pasted in full."),
+        id: scriptIdArg(
+          "The catalog script this copy came from, if any.",
+        ).optional(),
+      }),
+    },
+    ({ content, id }) =>
+      userText(
+        "Review this Microsoft Intune PowerShell script:\n\n" +
+          `\`\`\`powershell\n${content}\n\`\`\`\n\n` +
+          "First call lint_script with the script and get_script_authoring_guide, and review the script against the lint findings and every rule in the guide: the comment-based help block, required modules and authentication, Graph pagination and throttling, and the safety rules. " +
+          (id
+            ? `Then call check_script_drift with id '${id}' and the script, and point out where the copy is behind the catalog. `
+            : "Then call check_script_drift with the script; if it is a copy of a library script, point out where it is behind the catalog. ") +
+          "List each finding with the rule it breaks and a concrete fix, most severe first.",
+      ),
+  );
+
+  server.registerPrompt(
+    "plan-runbook-deployment",
+    {
+      title: "Plan an Azure Automation runbook deployment",
+      description:
+        "Plan running library scripts as Azure Automation runbooks under one managed identity: eligibility, combined Graph grant, schedules, and parameters.",
+      argsSchema: z.object({
+        ids: scriptIdsArg,
+        category: categoryArg,
+        tag: tagArg,
+      }),
+    },
+    (args) =>
+      userText(
+        `Plan an Azure Automation runbook deployment for ${selection(args)}.\n\n` +
+          findSelection +
+          "Call plan_runbook_deployment with the ids. Leave out ineligible scripts and say why. " +
+          "Present the combined least-privilege grant for the Automation account's managed identity with its grant snippet, and for each runbook its deployment link, template parameters, modules, and suggested schedule. " +
+          "Add runbook parameter JSON from build_script_invocation for each runbook, and finish with the plan's deployment steps in order.",
+      ),
+  );
+
+  server.registerPrompt(
+    "convert-to-remediation-pair",
+    {
+      title: "Turn a detection script into a remediation pair",
+      description:
+        "Build the remediation half for a detection script so the two deploy as an Intune Remediations package.",
+      argsSchema: z.object({
+        id: scriptIdArg("The detection script's id."),
+      }),
+    },
+    ({ id }) =>
+      userText(
+        `Turn the detection script '${id}' into an Intune remediation pair.\n\n` +
+          `Call get_remediation_package with id '${id}' first; if the library already has the pair, present it instead of writing a new one. ` +
+          `Otherwise call get_script for '${id}' and get_script_authoring_guide with the task 'remediation for ${id}', ` +
+          "then write the remediation script so that it fixes exactly what the detection checks, follows the exit-code contract (detection exits 1 when remediation is needed; remediation exits 0 on success), and is safe to run repeatedly. Check it with lint_script. " +
+          "Finish with the Intune Remediations settings to use for the package.",
+      ),
+  );
+
+  server.registerPrompt(
+    "audit-script-permissions",
+    {
+      title: "Audit the permissions of scripts",
+      description:
+        "Audit the Microsoft Graph permissions and roles a set of library scripts needs, and where they could be narrowed.",
+      argsSchema: z.object({
+        ids: scriptIdsArg,
+        category: categoryArg,
+        tag: tagArg,
+        granted: z
+          .string()
+          .optional()
+          .describe(
+            "Comma-separated Graph scopes an identity already has, to compare against.",
+          ),
+      }),
+    },
+    ({ granted, ...args }) =>
+      userText(
+        `Audit the Microsoft Graph permissions of ${selection(args)}.\n\n` +
+          findSelection +
+          "Call plan_script_permissions with the ids and report the combined grant, which scripts need each scope, and the most privileged minimum role. " +
+          "Flag every write (ReadWrite) scope and every script whose work looks read-only but asks for more. " +
+          (granted
+            ? `Then call find_runnable_scripts with the granted scopes ${granted} and list what is missing or over-granted. `
+            : "") +
+          "End with a least-privilege recommendation.",
+      ),
+  );
+}
+
+interface ScriptSelection {
+  ids?: string;
+  category?: string;
+  tag?: string;
 }
 
 export function registerIntuneResources(
@@ -551,7 +2000,7 @@ export function registerIntuneResources(
 ) {
   server.registerResource(
     "scripts-index",
-    "intune-scripts://index",
+    INDEX_RESOURCE_URI,
     {
       title: "IntuneAutomation script index",
       description:
@@ -625,27 +2074,149 @@ export function registerIntuneResources(
       };
     },
   );
+
+  const listingTemplate = (
+    kind: ListingKind,
+    template: string,
+    uriFor: (value: string) => string,
+  ) => {
+    const values = async () =>
+      listingValues((await repository.getIndex()).index, kind);
+    return new ResourceTemplate(template, {
+      list: async () => ({
+        resources: (await values()).map(({ value, count }) => ({
+          uri: uriFor(value),
+          name: `${kind === "category" ? "Category" : "Tag"}: ${value}`,
+          description: `${count} script${count === 1 ? "" : "s"}`,
+          mimeType: "text/markdown",
+        })),
+      }),
+      complete: {
+        [kind === "category" ? "name" : "tag"]: async (prefix: string) =>
+          completePrefix(
+            (await values()).map(({ value }) => value),
+            prefix,
+          ),
+      },
+    });
+  };
+
+  const readListing =
+    (kind: ListingKind) =>
+    async (uri: URL, variables: Record<string, string | string[]>) => {
+      const raw = variables[kind === "category" ? "name" : "tag"];
+      const value = decodeURIComponent(
+        (Array.isArray(raw) ? raw[0] : raw) ?? "",
+      );
+      const { index } = await repository.getIndex();
+      const text = renderListing(index, kind, value);
+      if (text === null) {
+        throw new Error(`No scripts with ${kind} '${value}'.`);
+      }
+      return {
+        contents: [{ uri: uri.href, mimeType: "text/markdown", text }],
+      };
+    };
+
+  server.registerResource(
+    "category",
+    listingTemplate("category", CATEGORY_RESOURCE_TEMPLATE, categoryUri),
+    {
+      title: "Intune automation scripts by category",
+      description:
+        "Markdown listing of a category's scripts with synopsis, Graph permissions, and runbook eligibility.",
+      mimeType: "text/markdown",
+    },
+    readListing("category"),
+  );
+
+  server.registerResource(
+    "tag",
+    listingTemplate("tag", TAG_RESOURCE_TEMPLATE, tagUri),
+    {
+      title: "Intune automation scripts by tag",
+      description:
+        "Markdown listing of the scripts with a tag, with synopsis, Graph permissions, and runbook eligibility.",
+      mimeType: "text/markdown",
+    },
+    readListing("tag"),
+  );
+}
+
+export interface IntuneMcpHandlerOptions {
+  /** Records every tool call; omitted in tests and by default. */
+  telemetry?: ToolTelemetry;
+  /**
+   * Where resource change events are published for subscriptions/listen
+   * streams; defaults to an in-process bus per handler.
+   */
+  bus?: ServerEventBus;
 }
 
-export function createIntuneMcpHandler(repository: ScriptRepository) {
-  return createMcpHandler(
-    (server) => {
-      registerIntuneTools(server, repository);
-      registerIntunePrompts(server);
-      registerIntuneResources(server, repository);
+// Same fields mcp-handler's ERROR events carried, which log queries filter on.
+function logProtocolError() {
+  console.error("IntuneAutomation MCP protocol error", {
+    source: "request",
+    severity: "error",
+  });
+}
+
+/**
+ * The MCP endpoint: a fresh stateless server per request, plus
+ * subscriptions/listen streams that are told when a refreshed index changes
+ * the listed resources. Changes are noticed when a request reads the index.
+ * Built on the SDK's handler rather than mcp-handler, which keeps the
+ * handler's event bus to itself, so nothing could publish to those streams.
+ */
+export function createIntuneMcpHandler(
+  repository: ScriptRepository,
+  { telemetry, bus }: IntuneMcpHandlerOptions = {},
+) {
+  let observe: (index: ScriptIndex) => void = () => {};
+  const observed: ScriptRepository = {
+    async getIndex() {
+      const result = await repository.getIndex();
+      observe(result.index);
+      return result;
+    },
+    getInstructions: () => repository.getInstructions(),
+    getScriptSource: (script) => repository.getScriptSource(script),
+    getDeployTemplate: (script) => repository.getDeployTemplate(script),
+    getPermissionDescriptions: () => repository.getPermissionDescriptions(),
+  };
+
+  const handler = createMcpHandler(
+    ({ era }) => {
+      // Only the 2026 protocol has a stream (subscriptions/listen) that can
+      // carry change notifications to a stateless server's clients.
+      const server = new McpServer(
+        { name: SERVER_NAME, version: SERVER_VERSION },
+        {
+          instructions: SERVER_INSTRUCTIONS,
+          ...(era === "modern" && {
+            capabilities: { resources: { subscribe: true, listChanged: true } },
+          }),
+        },
+      );
+      registerIntuneTools(server, observed, telemetry);
+      registerIntunePrompts(server, observed);
+      registerIntuneResources(server, observed);
+      return server;
     },
     {
-      serverInfo: { name: SERVER_NAME, version: SERVER_VERSION },
-      instructions: SERVER_INSTRUCTIONS,
-      maxSubscriptions: 0,
-      onEvent(event) {
-        if (event.type === "ERROR") {
-          console.error("IntuneAutomation MCP protocol error", {
-            source: event.source,
-            severity: event.severity,
-          });
-        }
-      },
+      legacy: "stateless",
+      maxSubscriptions: MAX_SUBSCRIPTIONS,
+      bus,
+      onerror: logProtocolError,
     },
   );
+  observe = trackResourceChanges(handler.notify);
+  return async (request: Request) => {
+    try {
+      return await handler.fetch(request);
+    } catch (error) {
+      logProtocolError();
+      throw error;
+    }
+  };
 }
@@ -0,0 +1,254 @@
+// Builds correct invocations of a catalog script from a plain parameter map:
+// validates names, mandatory parameters, types, and ValidateSet values against
+// the indexed ScriptParameter list, then renders a PowerShell command line, a
+// splatting block, and Azure Automation runbook parameters. Pure.
+import { editDistance } from "../../lib/search-ranking.ts";
+import type { ScriptMeta, ScriptParameter } from "./types.ts";
+
+export type InputValue = string | number | boolean | Array<string | number>;
+type RunbookValue = string | number | boolean | Array<string | number>;
+
+export interface InvocationIssue {
+  /** Parameter name as declared by the script (or as passed, if unknown). */
+  parameter: string;
+  message: string;
+}
+
+export interface ScriptInvocation {
+  commandLine: string;
+  splatting: string;
+  /** Name -> value, as passed to Start-AzAutomationRunbook -Parameters. */
+  runbookParameters: Record<string, RunbookValue>;
+  /** Parameters left out, with the default the script will apply. */
+  omitted: Array<{ name: string; default: string | null }>;
+  warnings: string[];
+}
+
+export type InvocationResult =
+  | { ok: true; invocation: ScriptInvocation }
+  | { ok: false; issues: InvocationIssue[] };
+
+type Kind =
+  | "switch"
+  | "bool"
+  | "int"
+  | "number"
+  | "datetime"
+  | "string"
+  | "any";
+
+const KINDS: Record<string, Kind> = {
+  switch: "switch",
+  switchparameter: "switch",
+  bool: "bool",
+  boolean: "bool",
+  byte: "int",
+  int: "int",
+  int16: "int",
+  int32: "int",
+  int64: "int",
+  long: "int",
+  uint32: "int",
+  double: "number",
+  single: "number",
+  float: "number",
+  decimal: "number",
+  datetime: "datetime",
+  string: "string",
+};
+
+function parseType(p: ScriptParameter): { kind: Kind; array: boolean } {
+  const type = p.type
+    .trim()
+    .toLowerCase()
+    .replace(/^system\./, "");
+  if (p.switch) return { kind: "switch", array: false };
+  if (type === "array") return { kind: "any", array: true };
+  const array = type.endsWith("[]");
+  return { kind: KINDS[type.replace(/\[\]$/, "")] ?? "any", array };
+}
+
+// PowerShell treats typographic single quotes as quote characters too.
+const quote = (value: string) => `'${value.replace(/['‘’‚‛]/g, "$&$&")}'`;
+
+const literal = (value: RunbookValue): string => {
+  if (Array.isArray(value)) return `@(${value.map(literal).join(", ")})`;
+  if (typeof value === "boolean") return value ? "$true" : "$false";
+  if (typeof value === "number") return String(value);
+  return quote(value);
+};
+
+/** Converts one element to the parameter's kind, or explains why it can't. */
+function coerce(
+  kind: Kind,
+  raw: string | number | boolean,
+): { value: string | number | boolean } | { error: string } {
+  switch (kind) {
+    case "switch":
+    case "bool":
+      if (typeof raw === "boolean") return { value: raw };
+      if (typeof raw === "string" && /^(true|false)$/i.test(raw.trim())) {
+        return { value: raw.trim().toLowerCase() === "true" };
+      }
+      return { error: `expected true or false, got ${JSON.stringify(raw)}` };
+    case "int":
+    case "number": {
+      const n = typeof raw === "string" && raw.trim() ? Number(raw) : raw;
+      if (typeof n !== "number" || !Number.isFinite(n)) {
+        return { error: `expected a number, got ${JSON.stringify(raw)}` };
+      }
+      if (kind === "int" && !Number.isSafeInteger(n)) {
+        return { error: `expected an integer, got ${JSON.stringify(raw)}` };
+      }
+      return { value: n };
+    }
+    case "datetime":
+      if (typeof raw === "string" && !Number.isNaN(Date.parse(raw))) {
+        return { value: raw };
+      }
+      return {
+        error: `expected an ISO 8601 date, got ${JSON.stringify(raw)}`,
+      };
+    case "string":
+      // Booleans become the "true"/"false" strings that the library's
+      // ValidateSet-based flags accept.
+      return { value: String(raw) };
+    case "any":
+      return { value: raw };
+  }
+}
+
+function validate(
+  p: ScriptParameter,
+  input: InputValue,
+): { value: RunbookValue } | { error: string } {
+  const { kind, array } = parseType(p);
+  if (Array.isArray(input) && !array) {
+    return { error: "expected a single value, got a list" };
+  }
+  const items = Array.isArray(input) ? input : [input];
+  if (array && items.length === 0) {
+    return { error: "expected at least one value" };
+  }
+
+  const values: Array<string | number | boolean> = [];
+  for (const item of items) {
+    const result = coerce(kind, item);
+    if ("error" in result) return result;
+    let value = result.value;
+    if (p.validValues?.length) {
+      // ValidateSet is case-insensitive; pass the declared spelling through.
+      const match = p.validValues.find(
+        (v) => v.toLowerCase() === String(value).toLowerCase(),
+      );
+      if (match === undefined) {
+        return {
+          error: `${JSON.stringify(String(value))} is not one of ${p.validValues.join(", ")}`,
+        };
+      }
+      if (typeof value === "string") value = match;
+    }
+    values.push(value);
+  }
+
+  if (!array) return { value: values[0]! };
+  if (values.some((v) => typeof v === "boolean")) {
+    return { error: "expected a list of strings or numbers" };
+  }
+  return { value: values as Array<string | number> };
+}
+
+function suggestion(name: string, declared: ScriptParameter[]): string {
+  const needle = name.toLowerCase();
+  const close = declared.find(
+    (p) => editDistance(needle, p.name.toLowerCase(), 2) <= 2,
+  );
+  if (close) return ` Did you mean -${close.name}?`;
+  return declared.length
+    ? ` Valid parameters: ${declared.map((p) => p.name).join(", ")}.`
+    : " The script takes no parameters.";
+}
+
+export function buildInvocation(
+  script: ScriptMeta,
+  input: Record<string, InputValue | null>,
+): InvocationResult {
+  const declared = script.parameters;
+  const byName = new Map(declared.map((p) => [p.name.toLowerCase(), p]));
+  const issues: InvocationIssue[] = [];
+  const values = new Map<string, RunbookValue>();
+
+  for (const [name, value] of Object.entries(input)) {
+    const param = byName.get(name.replace(/^-/, "").toLowerCase());
+    if (!param) {
+      issues.push({
+        parameter: name,
+        message: `Unknown parameter.${suggestion(name.replace(/^-/, ""), declared)}`,
+      });
+      continue;
+    }
+    if (value === null) continue;
+    const result = validate(param, value);
+    if ("error" in result) {
+      issues.push({ parameter: param.name, message: result.error });
+    } else {
+      values.set(param.name, result.value);
+    }
+  }
+
+  for (const p of declared) {
+    const reported = issues.some((i) => i.parameter === p.name);
+    if (p.mandatory && !values.has(p.name) && !reported) {
+      issues.push({
+        parameter: p.name,
+        message: `Missing mandatory ${p.type || "untyped"} parameter.`,
+      });
+    }
+  }
+  if (issues.length > 0) return { ok: false, issues };
+
+  // Declared order reads like the script's own examples.
+  const args: string[] = [];
+  const splat: string[] = [];
+  const runbookParameters: Record<string, RunbookValue> = {};
+  for (const p of declared) {
+    const value = values.get(p.name);
+    if (value === undefined) continue;
+    runbookParameters[p.name] = value;
+    if (p.switch) {
+      // An explicit false switch is the same as leaving it out.
+      if (value === true) {
+        args.push(`-${p.name}`);
+        splat.push(`    ${p.name} = $true`);
+      }
+      continue;
+    }
+    args.push(`-${p.name} ${literal(value)}`);
+    splat.push(`    ${p.name} = ${literal(value)}`);
+  }
+
+  const file = `.\\${script.path.split("/").at(-1) ?? `${script.id}.ps1`}`;
+  const warnings: string[] = [];
+  if (script.runbook && !script.runbook.eligible) {
+    warnings.push(
+      `This script is not eligible to run as an Azure Automation runbook: ${script.runbook.exclusionReason || "see its notes"}.`,
+    );
+  }
+
+  return {
+    ok: true,
+    invocation: {
+      commandLine: [file, ...args].join(" "),
+      splatting: [
+        splat.length ? "$params = @{" : "$params = @{}",
+        ...(splat.length ? [...splat, "}"] : []),
+        `${file} @params`,
+      ].join("\n"),
+      runbookParameters,
+      omitted: declared
+        .filter((p) => !values.has(p.name))
+        .map((p) => ({ name: p.name, default: p.default ?? null })),
+      warnings,
+    },
+  };
+}
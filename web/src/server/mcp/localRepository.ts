@@ -0,0 +1,171 @@
+// ScriptRepository over a local checkout of this repository (or a fork), for
+// deployments that cannot reach GitHub. Reads the same files the GitHub
+// repository fetches, relative to the checkout root, and watches the
+// directories it has read from so that edits (including a regenerated index)
+// are served on the next request without a restart.
+import { watch, type FSWatcher } from "node:fs";
+import { readFile } from "node:fs/promises";
+import {
+  basename,
+  dirname,
+  isAbsolute,
+  join,
+  relative,
+  resolve,
+} from "node:path";
+
+import type {
+  PermissionDescriptions,
+  ScriptIndex,
+  ScriptMeta,
+  ScriptRepository,
+} from "./types.ts";
+
+export interface LocalScriptRepository extends ScriptRepository {
+  /** Stops watching the checkout; reads keep working, uncached. */
+  close(): void;
+}
+
+export function createLocalScriptRepository(
+  root: string,
+): LocalScriptRepository {
+  const base = resolve(root);
+  const indexFile = join(base, "mcp", "data", "scripts-index.json");
+  const instructionsFile = join(
+    base,
+    "mcp",
+    "data",
+    "generator-instructions.md",
+  );
+  const permissionsFile = join(base, "permissions.json");
+
+  const texts = new Map<string, Promise<string>>();
+  // When each file was last read from disk, reported as the data's fetchedAt.
+  const readAt = new Map<string, number>();
+  const watchers = new Map<string, FSWatcher | null>();
+  let closed = false;
+
+  // Directories rather than files are watched: many editors save by renaming a
+  // temporary file over the original, which ends a watch on the old file. A
+  // directory that cannot be watched is read from disk every time instead.
+  function watching(dir: string): boolean {
+    if (closed) return false;
+    if (!watchers.has(dir)) {
+      try {
+        const watcher = watch(dir, { persistent: false }, (_event, name) => {
+          if (name) texts.delete(join(dir, name.toString()));
+          else texts.clear();
+        });
+        watcher.on("error", () => {
+          watcher.close();
+          watchers.set(dir, null);
+          texts.clear();
+        });
+        watchers.set(dir, watcher);
+      } catch {
+        watchers.set(dir, null);
+      }
+    }
+    return watchers.get(dir) !== null;
+  }
+
+  function readFromDisk(file: string): Promise<string> {
+    readAt.set(file, Date.now());
+    return readFile(file, "utf8");
+  }
+
+  function read(file: string): Promise<string> {
+    if (!watching(dirname(file))) return readFromDisk(file);
+    let text = texts.get(file);
+    if (!text) {
+      text = readFromDisk(file);
+      texts.set(file, text);
+      // A file caught mid-replace is retried on the next read.
+      text.catch(() => {
+        if (texts.get(file) === text) texts.delete(file);
+      });
+    }
+    return text;
+  }
+
+  // Parsed results are reused while the file text is unchanged, so per-index
+  // caches (such as the similarity index) survive between requests.
+  let index: { text: string; value: ScriptIndex } | undefined;
+  let instructions: string | undefined;
+  const fetchedAt = (file: string) =>
+    new Date(readAt.get(file) ?? Date.now()).toISOString();
+  let permissions: PermissionDescriptions | undefined;
+
+  return {
+    async getIndex() {
+      try {
+        const text = await read(indexFile);
+        if (index?.text !== text) {
+          index = { text, value: JSON.parse(text) as ScriptIndex };
+        }
+        return {
+          index: index.value,
+          source: "local",
+          fetchedAt: fetchedAt(indexFile),
+        };
+      } catch (error) {
+        // A half-written index is served from the previous good copy.
+        if (index) return { index: index.value, source: "local (stale cache)" };
+        throw error;
+      }
+    },
+
+    async getInstructions() {
+      try {
+        instructions = await read(instructionsFile);
+        return {
+          text: instructions,
+          source: "local",
+          fetchedAt: fetchedAt(instructionsFile),
+        };
+      } catch (error) {
+        if (instructions) {
+          return { text: instructions, source: "local (stale cache)" };
+        }
+        throw error;
+      }
+    },
+
+    async getScriptSource(script: ScriptMeta) {
+      const file = resolve(base, script.path);
+      const inside = relative(base, file);
+      if (!inside || inside.startsWith("..") || isAbsolute(inside)) {
+        throw new Error(`Script path outside the checkout: ${script.path}`);
+      }
+      return read(file);
+    },
+
+    // Templates live in azure-templates/ under the name their URL ends in.
+    async getDeployTemplate(script: ScriptMeta) {
+      if (!script.azureDeploy) {
+        throw new Error(`${script.id} has no deployment template`);
+      }
+      const name = basename(new URL(script.azureDeploy.templateUrl).pathname);
+      return read(join(base, "azure-templates", name));
+    },
+
+    // Descriptions only decorate permission plans, so this never fails.
+    async getPermissionDescriptions() {
+      try {
+        permissions = JSON.parse(
+          await read(permissionsFile),
+        ) as PermissionDescriptions;
+      } catch {
+        // Keep the previous copy, if any.
+      }
+      return permissions ?? {};
+    },
+
+    close() {
+      closed = true;
+      for (const watcher of watchers.values()) watcher?.close();
+      watchers.clear();
+      texts.clear();
+    },
+  };
+}
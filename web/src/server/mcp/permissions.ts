@@ -0,0 +1,270 @@
+// Least-privilege planning for running catalog scripts under one identity
+// (typically an Azure Automation account's managed identity). Forward: unions
+// the scripts' declared .PERMISSIONS, drops read scopes a granted ReadWrite
+// scope already covers, and renders the grant as PowerShell equivalent to
+// grant-permissions-managed-identity.ps1. Reverse: given the scopes an identity
+// already holds, finds what it can run. Pure; descriptions are passed in.
+import type { PermissionDescriptions, ScriptMeta } from "./types.ts";
+
+export const GRAPH_APP_ID = "00000003-0000-0000-c000-000000000000";
+
+// Entra roles seen in .MINROLE, most privileged last. Intune Service
+// Administrator is the former name of Intune Administrator. Unknown roles rank
+// below every known one but are still reported.
+const ROLE_RANK: Record<string, number> = {
+  "global reader": 1,
+  "security reader": 1,
+  "reports reader": 1,
+  "cloud device administrator": 2,
+  "groups administrator": 2,
+  "user administrator": 2,
+  "intune administrator": 3,
+  "intune service administrator": 3,
+  "security administrator": 3,
+  "global administrator": 4,
+};
+
+export interface PlannedPermission {
+  permission: string;
+  displayName: string | null;
+  description: string | null;
+  /** Ids of the planned scripts that declare this permission. */
+  scripts: string[];
+  /** A broader planned permission that already grants this one, if any. */
+  coveredBy: string | null;
+}
+
+export interface PermissionPlan {
+  scripts: ScriptMeta[];
+  permissions: PlannedPermission[];
+  /** What to actually assign: the planned permissions not covered by another. */
+  grant: string[];
+  /** The most privileged .MINROLE among the scripts; null if none declare one. */
+  minRole: string | null;
+  roles: Array<{ role: string; scripts: string[] }>;
+  warnings: string[];
+}
+
+/**
+ * Broader scopes that include the given one: Foo.ReadWrite.All covers
+ * Foo.Read.All, and both cover Foo.ReadBasic.All.
+ */
+export function coveringScopes(permission: string): string[] {
+  const basic = /^(.+)\.ReadBasic\.All$/.exec(permission);
+  if (basic) return [`${basic[1]}.Read.All`, `${basic[1]}.ReadWrite.All`];
+  const read = /^(.+)\.Read\.All$/.exec(permission);
+  if (read) return [`${read[1]}.ReadWrite.All`];
+  return [];
+}
+
+// A .MINROLE value may name several roles ("Intune Administrator, Key Vault
+// Secrets Officer (ABAC) or Key Vault Administrator"); it ranks by its most
+// privileged known role, and a longer requirement list wins ties.
+function roleRank(minRole: string): [number, number] {
+  const parts = minRole
+    .split(/,|\bor\b|\band\b/)
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean);
+  return [
+    Math.max(0, ...parts.map((p) => ROLE_RANK[p] ?? 0)),
+    minRole.split(",").length,
+  ];
+}
+
+export function buildPermissionPlan(
+  scripts: ScriptMeta[],
+  descriptions: PermissionDescriptions,
+): PermissionPlan {
+  const byPermission = new Map<string, string[]>();
+  const byRole = new Map<string, string[]>();
+  const warnings: string[] = [];
+
+  for (const script of scripts) {
+    for (const permission of new Set(script.permissions)) {
+      byPermission.set(permission, [
+        ...(byPermission.get(permission) ?? []),
+        script.id,
+      ]);
+    }
+    const role = script.minRole.trim();
+    if (role) byRole.set(role, [...(byRole.get(role) ?? []), script.id]);
+
+    if (script.permissions.length === 0) {
+      warnings.push(
+        `${script.id} declares no Microsoft Graph permissions; check its help block before deploying.`,
+      );
+    }
+    if (script.runbook && !script.runbook.eligible) {
+      warnings.push(
+        `${script.id} is not eligible to run as an Azure Automation runbook: ${script.runbook.exclusionReason || "see its notes"}.`,
+      );
+    }
+  }
+
+  const permissions = [...byPermission.keys()].sort().map((permission) => {
+    const described = descriptions[permission];
+    return {
+      permission,
+      displayName: described?.displayName ?? null,
+      description: described?.description ?? null,
+      scripts: byPermission.get(permission) ?? [],
+      coveredBy:
+        coveringScopes(permission).find((scope) => byPermission.has(scope)) ??
+        null,
+    };
+  });
+
+  const roles = [...byRole].map(([role, ids]) => ({ role, scripts: ids }));
+  let minRole: string | null = null;
+  for (const { role } of roles) {
+    if (!minRole) {
+      minRole = role;
+      continue;
+    }
+    const [rank, breadth] = roleRank(role);
+    const [bestRank, bestBreadth] = roleRank(minRole);
+    if (rank > bestRank || (rank === bestRank && breadth > bestBreadth)) {
+      minRole = role;
+    }
+  }
+
+  return {
+    scripts,
+    permissions,
+    grant: permissions.filter((p) => !p.coveredBy).map((p) => p.permission),
+    minRole,
+    roles,
+    warnings,
+  };
+}
+
+const WRITE_METHODS = new Set(["POST", "PATCH", "PUT", "DELETE"]);
+
+export interface ReadScopeHint {
+  script: ScriptMeta;
+  /** The declared ReadWrite scope the identity lacks. */
+  permission: string;
+  /** The narrower scope that would do, since the script never writes to Graph. */
+  readScope: string;
+  readScopeGranted: boolean;
+}
+
+export interface RunnableScripts {
+  runnable: ScriptMeta[];
+  missingOne: Array<{ script: ScriptMeta; missing: string }>;
+  readScopeHints: ReadScopeHint[];
+  /** Granted scopes that satisfy no catalog permission (often typos). */
+  unusedScopes: string[];
+}
+
+/**
+ * Reverse lookup over the catalog for a fixed set of granted scopes. A declared
+ * permission is satisfied by itself or by any covering scope, compared
+ * case-insensitively. ReadWrite declarations of scripts whose indexed
+ * graphMethods contain no write method are reported as read-scope hints;
+ * scripts from an index without graphMethods are never hinted.
+ */
+export function findRunnableScripts(
+  scripts: ScriptMeta[],
+  granted: string[],
+): RunnableScripts {
+  const held = new Set(granted.map((g) => g.trim().toLowerCase()));
+  const satisfied = (permission: string) =>
+    [permission, ...coveringScopes(permission)].some((p) =>
+      held.has(p.toLowerCase()),
+    );
+
+  const result: RunnableScripts = {
+    runnable: [],
+    missingOne: [],
+    readScopeHints: [],
+    unusedScopes: [],
+  };
+  const useful = new Set<string>();
+
+  for (const script of scripts) {
+    const missing = [...new Set(script.permissions)].filter((p) => {
+      for (const scope of [p, ...coveringScopes(p)]) {
+        useful.add(scope.toLowerCase());
+      }
+      return !satisfied(p);
+    });
+    if (missing.length === 0) result.runnable.push(script);
+    else if (missing.length === 1) {
+      result.missingOne.push({ script, missing: missing[0]! });
+    }
+
+    const writes = script.graphMethods?.some((m) => WRITE_METHODS.has(m));
+    if (writes !== false) continue;
+    for (const permission of missing) {
+      const match = /^(.+)\.ReadWrite\.All$/.exec(permission);
+      if (!match) continue;
+      const readScope = `${match[1]}.Read.All`;
+      result.readScopeHints.push({
+        script,
+        permission,
+        readScope,
+        readScopeGranted: satisfied(readScope),
+      });
+    }
+  }
+
+  result.unusedScopes = [
+    ...new Set(granted.map((g) => g.trim()).filter(Boolean)),
+  ].filter((g) => !useful.has(g.toLowerCase()));
+  return result;
+}
+
+const quoteList = (values: string[]) =>
+  `@(${values.map((v) => `"${v}"`).join(", ")})`;
+
+/** One-line call to the repository's grant-permissions-managed-identity.ps1. */
+export function renderGrantCommand(
+  grant: string[],
+  identityName: string,
+): string {
+  return `.\\grant-permissions-managed-identity.ps1 -ManagedIdentityDisplayName "${identityName}" -CustomPermissions ${quoteList(grant)}`;
+}
+
+/**
+ * Self-contained equivalent of grant-permissions-managed-identity.ps1 for the
+ * planned permissions: idempotent app role assignments on Microsoft Graph.
+ * identityName must already be validated as free of quotes.
+ */
+export function renderGrantScript(
+  plan: PermissionPlan,
+  identityName: string,
+): string {
+  return [
+    "# Grants the Microsoft Graph application permissions required by:",
+    ...plan.scripts.map((s) => `#   ${s.id}`),
+    "#requires -Modules Microsoft.Graph.Applications",
+    "",
+    `$ManagedIdentityDisplayName = "${identityName}"`,
+    "$Permissions = @(",
+    plan.grant.map((p) => `    "${p}"`).join(",\n"),
+    ")",
+    "",
+    'Connect-MgGraph -Scopes "AppRoleAssignment.ReadWrite.All", "Application.Read.All" -NoWelcome',
+    "",
+    `$identity = Get-MgServicePrincipal -Filter "displayName eq '$ManagedIdentityDisplayName'"`,
+    "if (-not $identity) { throw \"Managed identity '$ManagedIdentityDisplayName' not found\" }",
+    `$graph = Get-MgServicePrincipal -Filter "appId eq '${GRAPH_APP_ID}'"`,
+    "$assigned = Get-MgServicePrincipalAppRoleAssignment -ServicePrincipalId $identity.Id -All",
+    "",
+    "foreach ($permission in $Permissions) {",
+    '    $appRole = $graph.AppRoles | Where-Object { $_.Value -eq $permission -and $_.AllowedMemberTypes -contains "Application" }',
+    "    if (-not $appRole) {",
+    '        Write-Warning "App role not found for permission: $permission"',
+    "        continue",
+    "    }",
+    "    if ($assigned | Where-Object { $_.AppRoleId -eq $appRole.Id -and $_.ResourceId -eq $graph.Id }) {",
+    '        Write-Host "Already assigned: $permission"',
+    "        continue",
+    "    }",
+    "    New-MgServicePrincipalAppRoleAssignment -ServicePrincipalId $identity.Id -PrincipalId $identity.Id -ResourceId $graph.Id -AppRoleId $appRole.Id | Out-Null",
+    '    Write-Host "Assigned: $permission"',
+    "}",
+    "",
+  ].join("\n");
+}
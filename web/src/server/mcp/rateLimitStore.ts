@@ -0,0 +1,104 @@
+// Counter stores for the MCP rate limiter (see requestGuards.ts). The in-memory
+// store limits each serverless instance separately; the Redis store shares
+// one fixed window per client across every instance. Both count weighted
+// cost rather than requests, so expensive tool calls use up more of a window.
+import { createHash } from "node:crypto";
+
+export interface RateLimitHit {
+  /** Cost used in the current window, including this hit. */
+  count: number;
+  /** Epoch milliseconds at which the window resets. */
+  resetAt: number;
+}
+
+export interface RateLimitStore {
+  hit(
+    key: string,
+    cost: number,
+    windowMs: number,
+    now: number,
+  ): Promise<RateLimitHit>;
+}
+
+/** The subset of the Upstash Redis client the shared store needs. */
+export interface RateLimitRedis {
+  incrby(key: string, increment: number): Promise<number>;
+  pexpire(key: string, milliseconds: number): Promise<unknown>;
+}
+
+const MAX_RATE_LIMIT_KEYS = 10_000;
+
+const globalForMcpRateLimit = globalThis as unknown as {
+  intuneMcpRateLimits?: Map<string, RateLimitHit>;
+};
+
+const rateLimits =
+  globalForMcpRateLimit.intuneMcpRateLimits ?? new Map<string, RateLimitHit>();
+
+globalForMcpRateLimit.intuneMcpRateLimits = rateLimits;
+
+const pruneRateLimits = (now: number) => {
+  for (const [key, entry] of rateLimits) {
+    if (entry.resetAt <= now) rateLimits.delete(key);
+  }
+
+  while (rateLimits.size >= MAX_RATE_LIMIT_KEYS) {
+    const oldestKey = rateLimits.keys().next().value as string | undefined;
+    if (!oldestKey) break;
+    rateLimits.delete(oldestKey);
+  }
+};
+
+/**
+ * Per-instance counters in a process-global Map, bounded to
+ * MAX_RATE_LIMIT_KEYS clients with least-recently-seen eviction.
+ */
+export function createMemoryRateLimitStore(): RateLimitStore {
+  return {
+    async hit(key, cost, windowMs, now) {
+      let entry = rateLimits.get(key);
+
+      if (entry && entry.resetAt <= now) {
+        rateLimits.delete(key);
+        entry = undefined;
+      }
+
+      if (!entry) {
+        if (rateLimits.size >= MAX_RATE_LIMIT_KEYS) pruneRateLimits(now);
+        entry = { count: 0, resetAt: now + windowMs };
+        rateLimits.set(key, entry);
+      } else {
+        rateLimits.delete(key);
+        rateLimits.set(key, entry);
+      }
+
+      entry.count += cost;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+/**
+ * Fixed windows aligned to the clock, one Redis key per client and window.
+ * Client keys (IP addresses) are hashed before they are stored. The expiry
+ * is set on every hit (idempotent) so a key can never outlive its window by
+ * more than one extra window, even if an earlier write was lost.
+ */
+export function createRedisRateLimitStore(
+  redis: RateLimitRedis,
+  prefix = "mcp:rl",
+): RateLimitStore {
+  return {
+    async hit(key, cost, windowMs, now) {
+      const window = Math.floor(now / windowMs);
+      const client = createHash("sha256")
+        .update(key)
+        .digest("hex")
+        .slice(0, 32);
+      const redisKey = `${prefix}:${client}:${window}`;
+      const count = await redis.incrby(redisKey, cost);
+      await redis.pexpire(redisKey, windowMs * 2);
+      return { count, resetAt: (window + 1) * windowMs };
+    },
+  };
+}
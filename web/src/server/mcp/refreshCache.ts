@@ -0,0 +1,154 @@
+// Stale-while-revalidate cache for upstream text files (the index, the
+// authoring guide, permissions.json). Once a URL has been fetched, reads are
+// answered from memory and an entry older than maxAgeMs is revalidated in the
+// background with If-None-Match, so an unchanged file costs a 304 and no
+// request waits on GitHub. Pure apart from the fetcher it is given.
+
+export type ConditionalResponse =
+  | { status: 200; text: string; etag: string | null }
+  | { status: 304 };
+
+/** Fetches a URL, sending If-None-Match when an ETag is given. */
+export type ConditionalFetcher = (
+  url: string,
+  etag: string | null,
+) => Promise<ConditionalResponse>;
+
+export interface CachedText {
+  text: string;
+  /** When the upstream last confirmed this text (200 or 304), epoch ms. */
+  fetchedAt: number;
+  /** True when the latest refresh failed and this copy is older than it should be. */
+  stale: boolean;
+}
+
+export interface RefreshCacheOptions {
+  fetcher: ConditionalFetcher;
+  maxAgeMs: number;
+  /**
+   * Wait between failed fetches, first fetches included, so an outage is not
+   * hammered per request.
+   */
+  retryMs?: number;
+  now?: () => number;
+  /** Keeps a background refresh alive after the response (e.g. next/server `after`). */
+  defer?: (refresh: Promise<void>) => void;
+}
+
+interface Entry {
+  text: string;
+  etag: string | null;
+  fetchedAt: number;
+  failedAt: number | null;
+  refreshing: Promise<void> | null;
+}
+
+export interface RefreshCache {
+  /** The cached text, waiting for the first fetch if there is none yet. */
+  get(url: string): Promise<CachedText>;
+  /** The cached text without ever waiting; starts the first fetch if needed. */
+  peek(url: string): CachedText | undefined;
+}
+
+const DEFAULT_RETRY_MS = 30_000;
+
+export function createRefreshCache({
+  fetcher,
+  maxAgeMs,
+  retryMs = DEFAULT_RETRY_MS,
+  now = Date.now,
+  defer = () => {},
+}: RefreshCacheOptions): RefreshCache {
+  const entries = new Map<string, Entry>();
+  const loading = new Map<string, Promise<Entry>>();
+  // The last failed first fetch per URL; replayed until retryMs has passed.
+  const firstFailures = new Map<string, { at: number; error: unknown }>();
+
+  const view = (entry: Entry): CachedText => ({
+    text: entry.text,
+    fetchedAt: entry.fetchedAt,
+    stale: entry.failedAt !== null,
+  });
+
+  function load(url: string): Promise<Entry> {
+    let pending = loading.get(url);
+    if (!pending) {
+      const failure = firstFailures.get(url);
+      if (failure && now() - failure.at < retryMs) {
+        return Promise.reject(failure.error);
+      }
+      pending = fetcher(url, null)
+        .then((response) => {
+          if (response.status !== 200) {
+            throw new Error(`Unexpected HTTP 304 fetching ${url}`);
+          }
+          const entry: Entry = {
+            text: response.text,
+            etag: response.etag,
+            fetchedAt: now(),
+            failedAt: null,
+            refreshing: null,
+          };
+          entries.set(url, entry);
+          firstFailures.delete(url);
+          return entry;
+        })
+        .catch((error: unknown) => {
+          firstFailures.set(url, { at: now(), error });
+          throw error;
+        })
+        .finally(() => loading.delete(url));
+      loading.set(url, pending);
+    }
+    return pending;
+  }
+
+  async function revalidate(url: string, entry: Entry): Promise<void> {
+    try {
+      const response = await fetcher(url, entry.etag);
+      if (response.status === 200) {
+        entry.text = response.text;
+        entry.etag = response.etag;
+      }
+      entry.fetchedAt = now();
+      entry.failedAt = null;
+    } catch {
+      entry.failedAt = now();
+    } finally {
+      entry.refreshing = null;
+    }
+  }
+
+  function refreshIfDue(url: string, entry: Entry) {
+    if (entry.refreshing) return;
+    const time = now();
+    if (time - entry.fetchedAt < maxAgeMs) return;
+    if (entry.failedAt !== null && time - entry.failedAt < retryMs) return;
+    entry.refreshing = revalidate(url, entry);
+    defer(entry.refreshing);
+  }
+
+  return {
+    async get(url) {
+      const entry = entries.get(url);
+      if (!entry) return view(await load(url));
+      refreshIfDue(url, entry);
+      return view(entry);
+    },
+
+    peek(url) {
+      const entry = entries.get(url);
+      if (!entry) {
+        // Failures surface through get(); a peek only primes the cache.
+        const first = load(url).then(
+          () => {},
+          () => {},
+        );
+        defer(first);
+        return undefined;
+      }
+      refreshIfDue(url, entry);
+      return view(entry);
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// Intune Remediations ship as detection/remediation script pairs, linked in
+// the index by remediationType and pairScript. These helpers treat a pair as
+// one package: resolving either half (or the folder name under
+// scripts/remediation/) to both, collapsing search hits so a pair is listed
+// once, and describing how to configure the pair in Intune. Pure.
+import { findScript } from "./core.ts";
+import type { ScriptIndex, ScriptMeta } from "./types.ts";
+
+export interface RemediationPair {
+  /** Folder under scripts/remediation/ holding both halves. */
+  name: string;
+  detection: ScriptMeta;
+  remediation: ScriptMeta;
+}
+
+const folderOf = (script: ScriptMeta) => script.path.split("/").at(-2) ?? "";
+
+/** The pair a script belongs to, or undefined for standalone scripts. */
+export function findRemediationPair(
+  index: ScriptIndex,
+  script: ScriptMeta,
+): RemediationPair | undefined {
+  const type = script.remediationType.toLowerCase();
+  if (type !== "detection" && type !== "remediation") return undefined;
+  const partner = script.pairScript
+    ? findScript(index, script.pairScript)
+    : undefined;
+  if (!partner) return undefined;
+  const [detection, remediation] =
+    type === "detection" ? [script, partner] : [partner, script];
+  return { name: folderOf(detection), detection, remediation };
+}
+
+/** Resolves a script id from either half, or a remediation folder name. */
+export function resolveRemediationPair(
+  index: ScriptIndex,
+  id: string,
+): RemediationPair | undefined {
+  const script =
+    findScript(index, id) ??
+    index.scripts.find(
+      (s) =>
+        s.remediationType.toLowerCase() === "detection" &&
+        folderOf(s).toLowerCase() === id.trim().toLowerCase(),
+    );
+  return script ? findRemediationPair(index, script) : undefined;
+}
+
+/**
+ * Lists each remediation pair once, at the rank of its best-placed half and
+ * represented by its detection script; other hits pass through untouched.
+ */
+export function collapseRemediationPairs<T extends { script: ScriptMeta }>(
+  hits: T[],
+  index: ScriptIndex,
+): Array<T & { remediationPackage: RemediationPair | null }> {
+  const seen = new Set<string>();
+  const collapsed: Array<T & { remediationPackage: RemediationPair | null }> =
+    [];
+  for (const hit of hits) {
+    const pair = findRemediationPair(index, hit.script);
+    if (!pair) {
+      collapsed.push({ ...hit, remediationPackage: null });
+      continue;
+    }
+    if (seen.has(pair.detection.id)) continue;
+    seen.add(pair.detection.id);
+    collapsed.push({
+      ...hit,
+      script: pair.detection,
+      remediationPackage: pair,
+    });
+  }
+  return collapsed;
+}
+
+/** Distinct literal exit codes in a script's source, ascending. */
+export function exitCodes(source: string): number[] {
+  const codes = new Set<number>();
+  for (const m of source.matchAll(/^\s*exit\s+(\d+)\b/gim)) {
+    codes.add(Number(m[1]));
+  }
+  return [...codes].sort((a, b) => a - b);
+}
+
+export interface RemediationSettings {
+  runAsAccount: "System" | "User";
+  runScriptIn64BitPowerShell: boolean;
+  enforceScriptSignatureCheck: boolean;
+  scheduleHint: string;
+}
+
+/**
+ * Intune "Remediations" settings for a pair. The library's help blocks state
+ * the execution context in .NOTES ("Runs in SYSTEM context"); everything is
+ * written for 64-bit Windows PowerShell and ships unsigned.
+ */
+export function remediationSettings(
+  pair: RemediationPair,
+): RemediationSettings {
+  const notes = `${pair.detection.notes}\n${pair.remediation.notes}`;
+  const userContext =
+    /\buser context\b/i.test(notes) && !/\bsystem context\b/i.test(notes);
+  const schedule = pair.detection.schedule || pair.remediation.schedule;
+  return {
+    runAsAccount: userContext ? "User" : "System",
+    runScriptIn64BitPowerShell: true,
+    enforceScriptSignatureCheck: false,
+    scheduleHint: schedule
+      ? `${schedule} (from the script's .SCHEDULE)`
+      : "Daily; use Hourly only for fast-moving state, since every run executes on every targeted device.",
+  };
+}
+
+export const EXIT_CODE_CONTRACT = [
+  "Detection: exit 1 means the issue was found and Intune runs the remediation script; exit 0 means the device is compliant and nothing else runs.",
+  "Detection: other exit codes report a detection error; the library's scripts exit 2 from their catch blocks for this.",
+  "Remediation: exit 0 reports success; any other exit code is reported as a failed remediation.",
+  "After a remediation runs, Intune re-runs detection and reports the device as fixed only if detection then exits 0.",
+  "The last line written to STDOUT (up to 2,048 characters) appears in the pre- and post-remediation output columns in Intune.",
+];
+
+/** Contract problems visible in the sources, e.g. a detection that never exits 1. */
+export function remediationWarnings(
+  detectionCodes: number[],
+  remediationCodes: number[],
+): string[] {
+  const warnings: string[] = [];
+  if (!detectionCodes.includes(1)) {
+    warnings.push(
+      "The detection script never exits 1, so Intune will never run the remediation.",
+    );
+  }
+  if (remediationCodes.length > 0 && !remediationCodes.includes(0)) {
+    warnings.push(
+      "The remediation script never exits 0 explicitly; confirm success is reported.",
+    );
+  }
+  return warnings;
+}
@@ -1,9 +1,28 @@
 import "server-only";
 import { unstable_cache } from "next/cache";
+import { after } from "next/server";
 
 import bundledIndexJson from "../../../../mcp/data/scripts-index.json";
+import bundledPermissionsJson from "../../../../permissions.json";
+import { GENERATOR_INSTRUCTIONS } from "../generator/instructions.ts";
+import {
+  PRIMARY_SOURCE,
+  createFederatedRepository,
+  parseSourcesConfig,
+} from "./federation.ts";
+import {
+  createLocalScriptRepository,
+  type LocalScriptRepository,
+} from "./localRepository.ts";
+import {
+  createRefreshCache,
+  type CachedText,
+  type ConditionalResponse,
+  type RefreshCache,
+} from "./refreshCache.ts";
 import type {
   CatalogSource,
+  PermissionDescriptions,
   ScriptIndex,
   ScriptMeta,
   ScriptRepository,
@@ -13,53 +32,91 @@ import type {
 // changes apply per request rather than being frozen at module load.
 const repo = () => process.env.INTUNE_MCP_REPO ?? "ugurkocde/intuneautomation";
 const ref = () => process.env.INTUNE_MCP_REF ?? "main";
-const rawBase = () => `https://raw.githubusercontent.com/${repo()}/${ref()}`;
+// A checkout root to serve from instead of GitHub, for air-gapped forks.
+const localDir = () => process.env.INTUNE_MCP_LOCAL_DIR?.trim() || undefined;
+// Further script libraries served alongside this one (see federation.ts).
+const sourcesConfig = () => process.env.INTUNE_MCP_SOURCES?.trim() ?? "";
 
 const FETCH_TIMEOUT_MS = 10_000;
+const CATALOG_MAX_AGE_MS = 600_000;
+const PERMISSIONS_MAX_AGE_MS = 3_600_000;
 
 // The committed index doubles as the fallback of last resort; it is inlined
 // into the server bundle at build time so no filesystem access is needed.
 const bundledIndex = bundledIndexJson as unknown as ScriptIndex;
+const bundledPermissions = bundledPermissionsJson as PermissionDescriptions;
 
-// Last successful fetch results survive between requests on a warm instance
-// and let us serve slightly stale data through upstream outages.
-const globalForMcp = globalThis as unknown as {
-  intuneMcpLastGood?: { index?: ScriptIndex; instructions?: string };
-};
-const lastGood = (globalForMcp.intuneMcpLastGood ??= {});
-
-async function fetchText(url: string, accept: string): Promise<string> {
+async function fetchRaw(
+  url: string,
+  accept: string,
+  etag: string | null = null,
+): Promise<ConditionalResponse> {
   const ctrl = new AbortController();
   const timer = setTimeout(() => ctrl.abort(), FETCH_TIMEOUT_MS);
   try {
     const res = await fetch(url, {
       signal: ctrl.signal,
-      headers: { Accept: accept, "User-Agent": "intuneautomation-mcp" },
+      headers: {
+        Accept: accept,
+        "User-Agent": "intuneautomation-mcp",
+        ...(etag ? { "If-None-Match": etag } : {}),
+      },
       cache: "no-store",
     });
+    if (res.status === 304 && etag) return { status: 304 };
     if (!res.ok) throw new Error(`HTTP ${res.status} fetching ${url}`);
-    return await res.text();
+    return {
+      status: 200,
+      text: await res.text(),
+      etag: res.headers.get("etag"),
+    };
   } finally {
     clearTimeout(timer);
   }
 }
 
-const cachedIndexText = unstable_cache(
-  async () =>
-    fetchText(`${rawBase()}/mcp/data/scripts-index.json`, "application/json"),
-  ["intune-mcp-index-v1"],
-  { revalidate: 600 },
-);
+async function fetchText(url: string, accept: string): Promise<string> {
+  const res = await fetchRaw(url, accept);
+  if (res.status !== 200) throw new Error(`HTTP 304 fetching ${url}`);
+  return res.text;
+}
 
-const cachedInstructions = unstable_cache(
-  async () =>
-    fetchText(
-      `${rawBase()}/mcp/data/generator-instructions.md`,
-      "text/markdown",
-    ),
-  ["intune-mcp-instructions-v1"],
-  { revalidate: 600 },
-);
+const acceptFor = (url: string) =>
+  url.endsWith(".md") ? "text/markdown" : "application/json";
+
+// Work a request starts in the background (a cache refresh, telemetry
+// exports) is kept alive past its response. Outside a request (at build time,
+// say) there is nothing to extend and it just runs.
+export function keepAlive(work: Promise<void>) {
+  try {
+    after(work);
+  } catch {
+    // Not in a request scope.
+  }
+}
+
+const newRefreshCache = (maxAgeMs: number) =>
+  createRefreshCache({
+    fetcher: (url, etag) => fetchRaw(url, acceptFor(url), etag),
+    maxAgeMs,
+    defer: keepAlive,
+  });
+
+// Index, guide, and permissions texts are held in memory per warm instance
+// and revalidated in the background with If-None-Match (see refreshCache.ts),
+// so they also carry us through upstream outages. Keyed by raw URL, so several
+// repositories (or a changed INTUNE_MCP_REPO) never share entries.
+const globalForMcp = globalThis as unknown as {
+  intuneMcpRawTexts?: { catalog: RefreshCache; permissions: RefreshCache };
+  // Kept global so dev hot reloads reuse one set of file watchers.
+  intuneMcpLocalByRoot?: Map<string, LocalScriptRepository>;
+  intuneMcpSelected?: { key: string; repository: ScriptRepository };
+};
+const rawTexts = (globalForMcp.intuneMcpRawTexts ??= {
+  catalog: newRefreshCache(CATALOG_MAX_AGE_MS),
+  permissions: newRefreshCache(PERMISSIONS_MAX_AGE_MS),
+});
+const localRepositories = (globalForMcp.intuneMcpLocalByRoot ??= new Map());
 
 const cachedScriptSource = unstable_cache(
   async (rawUrl: string, _version: string) => fetchText(rawUrl, "text/plain"),
@@ -67,48 +124,174 @@ const cachedScriptSource = unstable_cache(
   { revalidate: 3_600 },
 );
 
-async function getIndex(): Promise<{
-  index: ScriptIndex;
-  source: CatalogSource;
-}> {
-  try {
-    const index = JSON.parse(await cachedIndexText()) as ScriptIndex;
-    lastGood.index = index;
-    return { index, source: "github" };
-  } catch {
-    if (lastGood.index) {
-      return { index: lastGood.index, source: "github (stale cache)" };
-    }
-    return { index: bundledIndex, source: "bundled" };
-  }
+const cachedDeployTemplate = unstable_cache(
+  async (templateUrl: string, _version: string) =>
+    fetchText(templateUrl, "application/json"),
+  ["intune-mcp-deploy-template-v1"],
+  { revalidate: 3_600 },
+);
+
+const githubSource = (cached: CachedText): CatalogSource =>
+  cached.stale ? "github (stale cache)" : "github";
+
+/**
+ * Reads a repository through GitHub raw without ever waiting on it: texts
+ * come from the refresh cache, and a cold instance only starts their first
+ * fetch. Until it lands, the primary catalog serves the bundled index, guide,
+ * and permissions, which describe the public library; other repositories have
+ * no bundled copy, so their index reads fail and federation leaves them out.
+ */
+function createGithubScriptRepository(
+  repoName: string,
+  refName: string,
+  { bundled }: { bundled: boolean },
+): ScriptRepository {
+  const base = `https://raw.githubusercontent.com/${repoName}/${refName}`;
+  const indexUrl = `${base}/mcp/data/scripts-index.json`;
+  const instructionsUrl = `${base}/mcp/data/generator-instructions.md`;
+  const permissionsUrl = `${base}/permissions.json`;
+
+  // Parsed results are reused while the text is unchanged, so per-index
+  // caches (such as the similarity index) survive between requests.
+  let index: { text: string; value: ScriptIndex } | undefined;
+  let permissions: { text: string; value: PermissionDescriptions } | undefined;
+
+  const notFetchedYet = (url: string) =>
+    new Error(`${url} has not been fetched yet; try again shortly`);
+
+  return {
+    async getIndex() {
+      const cached = rawTexts.catalog.peek(indexUrl);
+      if (!cached) {
+        if (bundled) return { index: bundledIndex, source: "bundled" };
+        throw notFetchedYet(indexUrl);
+      }
+      try {
+        if (index?.text !== cached.text) {
+          index = {
+            text: cached.text,
+            value: JSON.parse(cached.text) as ScriptIndex,
+          };
+        }
+        return {
+          index: index.value,
+          source: githubSource(cached),
+          fetchedAt: new Date(cached.fetchedAt).toISOString(),
+        };
+      } catch (error) {
+        // A malformed upstream index is served from the previous good copy.
+        if (index) {
+          return { index: index.value, source: "github (stale cache)" };
+        }
+        if (bundled) return { index: bundledIndex, source: "bundled" };
+        throw error;
+      }
+    },
+
+    async getInstructions() {
+      const cached = rawTexts.catalog.peek(instructionsUrl);
+      if (!cached) {
+        if (bundled) return { text: GENERATOR_INSTRUCTIONS, source: "bundled" };
+        throw notFetchedYet(instructionsUrl);
+      }
+      return {
+        text: cached.text,
+        source: githubSource(cached),
+        fetchedAt: new Date(cached.fetchedAt).toISOString(),
+      };
+    },
+
+    async getScriptSource(script: ScriptMeta) {
+      // The script version participates in the cache key so an updated script
+      // busts its cached source before the time-based revalidation would.
+      return cachedScriptSource(script.rawUrl, script.version);
+    },
+
+    async getDeployTemplate(script: ScriptMeta) {
+      if (!script.azureDeploy) {
+        throw new Error(`${script.id} has no deployment template`);
+      }
+      return cachedDeployTemplate(
+        script.azureDeploy.templateUrl,
+        script.version,
+      );
+    },
+
+    // Descriptions only decorate permission plans, so this never fails: a
+    // stale or bundled copy is always good enough.
+    async getPermissionDescriptions() {
+      const fallback = bundled ? bundledPermissions : {};
+      try {
+        const cached = rawTexts.permissions.peek(permissionsUrl);
+        if (!cached) return fallback;
+        if (permissions?.text !== cached.text) {
+          permissions = {
+            text: cached.text,
+            value: JSON.parse(cached.text) as PermissionDescriptions,
+          };
+        }
+        return permissions.value;
+      } catch {
+        return permissions?.value ?? fallback;
+      }
+    },
+  };
 }
 
-async function getInstructions(): Promise<{
-  text: string;
-  source: CatalogSource;
-}> {
-  try {
-    const text = await cachedInstructions();
-    lastGood.instructions = text;
-    return { text, source: "github" };
-  } catch (error) {
-    if (lastGood.instructions) {
-      return { text: lastGood.instructions, source: "github (stale cache)" };
+function buildRepository(roots: Set<string>): ScriptRepository {
+  const local = (root: string) => {
+    roots.add(root);
+    let repository = localRepositories.get(root);
+    if (!repository) {
+      repository = createLocalScriptRepository(root);
+      localRepositories.set(root, repository);
     }
-    throw error instanceof Error
-      ? error
-      : new Error("Failed to load the authoring guide.");
-  }
+    return repository;
+  };
+  const root = localDir();
+  const primary = root
+    ? local(root)
+    : createGithubScriptRepository(repo(), ref(), { bundled: true });
+  const config = sourcesConfig();
+  if (!config) return primary;
+
+  return createFederatedRepository([
+    { name: PRIMARY_SOURCE, repository: primary },
+    ...parseSourcesConfig(config).map((source) => ({
+      name: source.name,
+      repository:
+        source.kind === "local"
+          ? local(source.root)
+          : createGithubScriptRepository(source.repo, source.ref, {
+              bundled: false,
+            }),
+    })),
+  ]);
 }
 
-async function getScriptSource(script: ScriptMeta): Promise<string> {
-  // The script version participates in the cache key so an updated script
-  // busts its cached source before the time-based revalidation would.
-  return cachedScriptSource(script.rawUrl, script.version);
+// Rebuilt only when the configuration changes, so the merged index of a
+// federation (and the caches keyed on it) survives between requests.
+function selectRepository(): ScriptRepository {
+  const key = [localDir(), repo(), ref(), sourcesConfig()].join("|");
+  if (globalForMcp.intuneMcpSelected?.key !== key) {
+    const roots = new Set<string>();
+    const repository = buildRepository(roots);
+    for (const [root, unused] of localRepositories) {
+      if (roots.has(root)) continue;
+      unused.close();
+      localRepositories.delete(root);
+    }
+    globalForMcp.intuneMcpSelected = { key, repository };
+  }
+  return globalForMcp.intuneMcpSelected.repository;
 }
 
+// Chooses the backing repository per call, like repo()/ref() above.
 export const intuneScriptRepository: ScriptRepository = {
-  getIndex,
-  getInstructions,
-  getScriptSource,
+  getIndex: () => selectRepository().getIndex(),
+  getInstructions: () => selectRepository().getInstructions(),
+  getScriptSource: (script) => selectRepository().getScriptSource(script),
+  getDeployTemplate: (script) => selectRepository().getDeployTemplate(script),
+  getPermissionDescriptions: () =>
+    selectRepository().getPermissionDescriptions(),
 };
@@ -1,41 +1,82 @@
 // HTTP-level protections for the public MCP endpoint: per-IP rate limiting,
-// request body caps, and a browser origin allowlist. In-memory and
-// per-instance by design; the endpoint is read-only over cached public data,
-// so the guard's job is abuse damping, not accounting.
+// request body caps, and a browser origin allowlist. The rate limit counts
+// weighted cost per client in a pluggable store (in-memory per instance by
+// default, shared through Redis when configured); the endpoint is read-only
+// over cached public data, so the guard's job is abuse damping, not
+// accounting, and a failing shared store falls back to per-instance counting.
+// Clients that present an API key (see apiKeys.ts) are limited per key
+// instead of per IP. Long-lived subscriptions/listen streams are also capped
+// per client, so one client cannot take an instance's stream slots.
+import {
+  bearerToken,
+  findApiKey,
+  parseApiKeys,
+  type McpApiKey,
+} from "./apiKeys.ts";
+import {
+  createMemoryRateLimitStore,
+  type RateLimitHit,
+  type RateLimitStore,
+} from "./rateLimitStore.ts";
+
 const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
 const DEFAULT_REQUESTS_PER_MINUTE = 60;
 const RATE_LIMIT_WINDOW_MS = 60_000;
-const MAX_RATE_LIMIT_KEYS = 10_000;
+const USAGE_WINDOW_MS = 86_400_000;
+// A subscriptions/listen stream holds one of the instance's stream slots for
+// as long as it stays open, so it costs more than a plain request and each
+// client may hold only a few at once on an instance.
+const LISTEN_COST = 10;
+const MAX_STREAMS_PER_CLIENT = 3;
+const STORE_TIMEOUT_MS = 1_000;
 const DEFAULT_ALLOWED_ORIGINS = [
   "https://intuneautomation.com",
   "https://www.intuneautomation.com",
 ];
 
-interface RateLimitEntry {
-  count: number;
-  resetAt: number;
-}
+/** A tool's cost in rate-limit units, fixed or computed from its arguments. */
+export type ToolCost = number | ((args: Record<string, unknown>) => number);
+
+/**
+ * Rate-limit cost per tools/call. subscriptions/listen costs LISTEN_COST and
+ * every other request (initialize, tools/list, unknown tools) costs 1. Source-returning tools cost more: get_script by the
+ * chunk size it asks for, the rest by how much they fetch or compare.
+ */
+export const DEFAULT_TOOL_COSTS: Readonly<Record<string, ToolCost>> = {
+  get_script: (args) => {
+    // Priced before the schema validates it, so junk sizes get the default.
+    const max = args.maxCharacters;
+    const chunk =
+      typeof max === "number" && Number.isFinite(max) && max > 0 ? max : 12_000;
+    return 1 + Math.ceil(chunk / 10_000);
+  },
+  get_remediation_package: 4,
+  check_script_drift: 4,
+  get_script_authoring_guide: 2,
+  find_similar_scripts: 2,
+  lint_script: 2,
+  plan_runbook_deployment: 2,
+};
 
 interface GuardOptions {
   maxBodyBytes?: number;
+  /** Cost units per client per minute; a plain request costs 1. */
   requestsPerMinute?: number;
   now?: () => number;
   allowedOrigins?: readonly string[];
+  /** Shared counter store; defaults to per-instance memory. */
+  store?: RateLimitStore;
+  toolCosts?: Readonly<Record<string, ToolCost>>;
+  /** Accepted API keys; defaults to those configured in MCP_API_KEYS. */
+  apiKeys?: readonly McpApiKey[];
 }
 
 type McpHandler = (request: Request) => Promise<Response>;
 
-const globalForMcpRateLimit = globalThis as unknown as {
-  intuneMcpRateLimits?: Map<string, RateLimitEntry>;
-};
+const memoryStore = createMemoryRateLimitStore();
 
-const rateLimits =
-  globalForMcpRateLimit.intuneMcpRateLimits ??
-  new Map<string, RateLimitEntry>();
-
-globalForMcpRateLimit.intuneMcpRateLimits = rateLimits;
-
-const clientKey = (request: Request) => {
+/** The client IP as the platform reports it, or "unknown". */
+export const clientKey = (request: Request) => {
   const forwardedFor =
     request.headers.get("x-vercel-forwarded-for") ??
     request.headers.get("x-forwarded-for") ??
@@ -64,10 +105,20 @@ const jsonRpcHttpError = (
     },
   );
 
-const withPublicMcpHeaders = (response: Response, origin: string | null) => {
+const withPublicMcpHeaders = (
+  response: Response,
+  origin: string | null,
+  extraHeaders?: Record<string, string>,
+) => {
   const headers = new Headers(response.headers);
   if (origin) headers.set("Access-Control-Allow-Origin", origin);
-  headers.set("Access-Control-Expose-Headers", "Mcp-Session-Id, Retry-After");
+  headers.set(
+    "Access-Control-Expose-Headers",
+    "Mcp-Session-Id, Retry-After, X-MCP-Key-Usage, X-MCP-Key-Quota",
+  );
+  for (const [name, value] of Object.entries(extraHeaders ?? {})) {
+    headers.set(name, value);
+  }
   headers.set("Cache-Control", "no-store");
   headers.set("X-Content-Type-Options", "nosniff");
   const vary = headers.get("Vary");
@@ -89,16 +140,140 @@ const withPublicMcpHeaders = (response: Response, origin: string | null) => {
   });
 };
 
-const pruneRateLimits = (now: number) => {
-  for (const [key, entry] of rateLimits) {
-    if (entry.resetAt <= now) rateLimits.delete(key);
+const costOf = (
+  message: unknown,
+  toolCosts: Readonly<Record<string, ToolCost>>,
+): number => {
+  if (!message || typeof message !== "object") return 1;
+  const { method, params } = message as {
+    method?: unknown;
+    params?: { name?: unknown; arguments?: unknown };
+  };
+  if (method === "subscriptions/listen") return LISTEN_COST;
+  if (method !== "tools/call" || typeof params?.name !== "string") return 1;
+  const cost = Object.hasOwn(toolCosts, params.name)
+    ? toolCosts[params.name]
+    : undefined;
+  if (typeof cost === "number") return Math.max(1, cost);
+  if (!cost) return 1;
+  const args =
+    params.arguments && typeof params.arguments === "object"
+      ? (params.arguments as Record<string, unknown>)
+      : {};
+  // Every message costs at least 1, so no entry in a batch can offset the
+  // others.
+  const computed = cost(args);
+  return Number.isFinite(computed) ? Math.max(1, computed) : 1;
+};
+
+/** The JSON-RPC messages in a body; none when it is empty or not JSON. */
+const parseMessages = (body: ArrayBuffer | null): unknown[] => {
+  if (!body || body.byteLength === 0) return [];
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(new TextDecoder().decode(body));
+  } catch {
+    return [];
+  }
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+const opensStream = (message: unknown) =>
+  !!message &&
+  typeof message === "object" &&
+  (message as { method?: unknown }).method === "subscriptions/listen";
+
+/** Total cost of a JSON-RPC body; batches cost the sum of their messages. */
+const requestCost = (
+  messages: unknown[],
+  toolCosts: Readonly<Record<string, ToolCost>>,
+): number => {
+  const total = messages.reduce<number>(
+    (sum, message) => sum + costOf(message, toolCosts),
+    0,
+  );
+  return Number.isFinite(total) ? Math.max(1, Math.ceil(total)) : 1;
+};
+
+// A store that errors or stalls must not take the endpoint down with it.
+const hitWithFallback = async (
+  store: RateLimitStore,
+  key: string,
+  cost: number,
+  now: number,
+  windowMs = RATE_LIMIT_WINDOW_MS,
+): Promise<RateLimitHit> => {
+  if (store === memoryStore) {
+    return memoryStore.hit(key, cost, windowMs, now);
   }
+  let timeout: ReturnType<typeof setTimeout> | undefined;
+  try {
+    return await Promise.race([
+      store.hit(key, cost, windowMs, now),
+      new Promise<never>((_, reject) => {
+        timeout = setTimeout(
+          () => reject(new Error("Rate limit store timed out.")),
+          STORE_TIMEOUT_MS,
+        );
+      }),
+    ]);
+  } catch (error) {
+    console.error(
+      "IntuneAutomation MCP rate limit store failed:",
+      error instanceof Error ? error.name : "UnknownError",
+    );
+    return memoryStore.hit(key, cost, windowMs, now);
+  } finally {
+    if (timeout) clearTimeout(timeout);
+  }
+};
 
-  while (rateLimits.size >= MAX_RATE_LIMIT_KEYS) {
-    const oldestKey = rateLimits.keys().next().value as string | undefined;
-    if (!oldestKey) break;
-    rateLimits.delete(oldestKey);
+/**
+ * Counts one hit against a site route's per-minute window, in the shared
+ * store when one is configured. Keys should be prefixed by route so they
+ * never share a window with MCP clients.
+ */
+export const hitRateLimit = (key: string, store?: RateLimitStore) =>
+  hitWithFallback(store ?? memoryStore, key, 1, Date.now());
+
+/** Passes a response body through, calling release once when it ends or is cancelled. */
+const releaseOnClose = (response: Response, release: () => void) => {
+  if (!response.body) {
+    release();
+    return response;
   }
+  const reader = response.body.getReader();
+  let released = false;
+  const releaseOnce = () => {
+    if (released) return;
+    released = true;
+    release();
+  };
+  const body = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          releaseOnce();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        releaseOnce();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      releaseOnce();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
 };
 
 const readBoundedBody = async (request: Request, maxBytes: number) => {
@@ -138,6 +313,13 @@ export function createGuardedMcpHandler(
   const requestsPerMinute =
     options.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE;
   const now = options.now ?? Date.now;
+  const store = options.store ?? memoryStore;
+  const toolCosts = options.toolCosts ?? DEFAULT_TOOL_COSTS;
+  const apiKeys =
+    options.apiKeys ??
+    parseApiKeys(process.env.MCP_API_KEYS ?? "", (name) =>
+      console.error(`IntuneAutomation MCP ignored API key entry '${name}'.`),
+    );
   const configuredOrigins = (process.env.MCP_ALLOWED_ORIGINS ?? "")
     .split(",")
     .map((origin) => origin.trim())
@@ -151,6 +333,8 @@ export function createGuardedMcpHandler(
         : ["http://localhost:3000", "http://127.0.0.1:3000"]),
     ],
   );
+  // Open subscriptions/listen streams per client on this instance.
+  const openStreams = new Map<string, number>();
 
   return async (request: Request): Promise<Response> => {
     const origin = request.headers.get("origin");
@@ -171,46 +355,36 @@ export function createGuardedMcpHandler(
           ...(origin ? { "Access-Control-Allow-Origin": origin } : {}),
           "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
           "Access-Control-Allow-Headers":
-            "Content-Type, Accept, MCP-Protocol-Version, Mcp-Session-Id, Last-Event-ID",
+            "Content-Type, Accept, Authorization, MCP-Protocol-Version, Mcp-Session-Id, Last-Event-ID",
           "Access-Control-Max-Age": "86400",
           Vary: "Origin",
         },
       });
     }
 
-    const currentTime = now();
-    const key = clientKey(request);
-    let entry = rateLimits.get(key);
-
-    if (entry && entry.resetAt <= currentTime) {
-      rateLimits.delete(key);
-      entry = undefined;
-    }
-
-    if (!entry) {
-      if (rateLimits.size >= MAX_RATE_LIMIT_KEYS) pruneRateLimits(currentTime);
-      entry = { count: 0, resetAt: currentTime + RATE_LIMIT_WINDOW_MS };
-      rateLimits.set(key, entry);
-    } else {
-      rateLimits.delete(key);
-      rateLimits.set(key, entry);
-    }
-
-    entry.count += 1;
-    if (entry.count > requestsPerMinute) {
-      const retryAfter = Math.max(
-        1,
-        Math.ceil((entry.resetAt - currentTime) / 1_000),
-      );
-      return withPublicMcpHeaders(
-        jsonRpcHttpError(429, "Too many MCP requests. Please retry later.", {
-          "Retry-After": String(retryAfter),
-        }),
-        origin,
-      );
+    // No Authorization header means anonymous access; a header that does not
+    // carry a configured key is rejected rather than silently downgraded.
+    const authorization = request.headers.get("authorization");
+    let apiKey: McpApiKey | undefined;
+    if (authorization !== null) {
+      const token = bearerToken(authorization);
+      apiKey = token ? findApiKey(apiKeys, token) : undefined;
+      if (!apiKey) {
+        return withPublicMcpHeaders(
+          jsonRpcHttpError(
+            401,
+            "The MCP API key is not valid. Check the key, or omit the Authorization header for anonymous access.",
+            { "WWW-Authenticate": 'Bearer error="invalid_token"' },
+          ),
+          origin,
+        );
+      }
     }
 
+    // The body is read first so that tool calls can be weighed; it is
+    // bounded, so this costs an abusive client no more than a rejection would.
     let forwardedRequest = request;
+    let body: ArrayBuffer | null = null;
     if (request.method === "POST") {
       const contentLength = Number(request.headers.get("content-length"));
       if (Number.isFinite(contentLength) && contentLength > maxBodyBytes) {
@@ -220,7 +394,7 @@ export function createGuardedMcpHandler(
         );
       }
 
-      const body = await readBoundedBody(request, maxBodyBytes);
+      body = await readBoundedBody(request, maxBodyBytes);
       if (!body) {
         return withPublicMcpHeaders(
           jsonRpcHttpError(413, "The MCP request body is too large."),
@@ -231,9 +405,81 @@ export function createGuardedMcpHandler(
       forwardedRequest = new Request(request, { body });
     }
 
+    const currentTime = now();
+    const messages = parseMessages(body);
+    const cost = requestCost(messages, toolCosts);
+    const client = apiKey ? `key:${apiKey.name}` : clientKey(request);
+    const tooMany = (resetAt: number, message: string) =>
+      withPublicMcpHeaders(
+        jsonRpcHttpError(429, message, {
+          "Retry-After": String(
+            Math.max(1, Math.ceil((resetAt - currentTime) / 1_000)),
+          ),
+        }),
+        origin,
+      );
+
+    const streams = messages.filter(opensStream).length;
+    if (
+      streams > 0 &&
+      (openStreams.get(client) ?? 0) + streams > MAX_STREAMS_PER_CLIENT
+    ) {
+      return tooMany(
+        currentTime + RATE_LIMIT_WINDOW_MS,
+        "Too many open MCP subscription streams. Close one or retry later.",
+      );
+    }
+
+    const window = await hitWithFallback(store, client, cost, currentTime);
+    if (window.count > (apiKey?.requestsPerMinute ?? requestsPerMinute)) {
+      return tooMany(
+        window.resetAt,
+        "Too many MCP requests. Please retry later.",
+      );
+    }
+
+    // Keyed clients also get a per-day usage counter, reported on every
+    // response and enforced when the key has a daily quota.
+    let usageHeaders: Record<string, string> | undefined;
+    if (apiKey) {
+      const usage = await hitWithFallback(
+        store,
+        `usage:${apiKey.name}`,
+        cost,
+        currentTime,
+        USAGE_WINDOW_MS,
+      );
+      if (apiKey.unitsPerDay !== null && usage.count > apiKey.unitsPerDay) {
+        return tooMany(
+          usage.resetAt,
+          "This MCP API key has used its daily quota. Please retry later.",
+        );
+      }
+      usageHeaders = { "X-MCP-Key-Usage": String(usage.count) };
+      if (apiKey.unitsPerDay !== null) {
+        usageHeaders["X-MCP-Key-Quota"] = String(apiKey.unitsPerDay);
+      }
+    }
+
+    let release = () => {};
+    if (streams > 0) {
+      openStreams.set(client, (openStreams.get(client) ?? 0) + streams);
+      release = () => {
+        const left = (openStreams.get(client) ?? streams) - streams;
+        if (left > 0) openStreams.set(client, left);
+        else openStreams.delete(client);
+      };
+    }
+
     try {
-      return withPublicMcpHeaders(await handler(forwardedRequest), origin);
+      const response = await handler(forwardedRequest);
+      return withPublicMcpHeaders(
+        streams > 0 ? releaseOnClose(response, release) : response,
+        origin,
+        usageHeaders,
+      );
     } catch (error) {
+      release();
       console.error(
         "IntuneAutomation MCP request failed:",
         error instanceof Error ? error.name : "UnknownError",
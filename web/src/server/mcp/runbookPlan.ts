@@ -0,0 +1,223 @@
+// Azure Automation deployment plans for catalog scripts. Ties together what
+// the index says (runbook eligibility, the azureDeploy link, .SCHEDULE, and
+// .PERMISSIONS) with what each script's ARM template in azure-templates/
+// deploys (its parameters, runtime, and module packages) into ordered steps.
+// Pure; templates and permission descriptions are passed in.
+import {
+  buildPermissionPlan,
+  renderGrantCommand,
+  type PermissionPlan,
+} from "./permissions.ts";
+import type { PermissionDescriptions, ScriptMeta } from "./types.ts";
+
+export interface TemplateParameter {
+  name: string;
+  type: string;
+  defaultValue: unknown;
+  description: string | null;
+}
+
+export interface RunbookModule {
+  name: string;
+  /** Null when the template leaves the version to the platform. */
+  version: string | null;
+}
+
+export interface DeployTemplate {
+  parameters: TemplateParameter[];
+  /** The runtime environment it creates, e.g. "PowerShell 7.4". */
+  runtime: string | null;
+  modules: RunbookModule[];
+}
+
+// The slice of the ARM template schema the plan reads.
+interface ArmResource {
+  type?: string;
+  name?: string;
+  properties?: {
+    runtime?: { language?: string; version?: string };
+    defaultPackages?: Record<string, string>;
+    contentLink?: { version?: string };
+    template?: { resources?: ArmResource[] };
+  };
+}
+
+interface ArmTemplate {
+  parameters?: Record<
+    string,
+    {
+      type?: string;
+      defaultValue?: unknown;
+      metadata?: { description?: string };
+    }
+  >;
+  resources?: ArmResource[];
+}
+
+export function parseDeployTemplate(text: string): DeployTemplate {
+  const template = JSON.parse(text) as ArmTemplate;
+  const declared = template.parameters ?? {};
+  // Nested deployments pass the outer parameters through under the same
+  // names, so a [parameters('x')] reference resolves to the outer default.
+  const resolve = (value: string | undefined): string | null => {
+    if (!value) return null;
+    const reference = /^\[parameters\('([^']+)'\)\]$/.exec(value);
+    if (!reference) return value.startsWith("[") ? null : value;
+    const fallback = declared[reference[1]!]?.defaultValue;
+    return typeof fallback === "string" ? fallback : null;
+  };
+
+  let runtime: string | null = null;
+  const modules = new Map<string, string | null>();
+  const visit = (resources: ArmResource[] = []) => {
+    for (const resource of resources) {
+      const type = resource.type ?? "";
+      const properties = resource.properties ?? {};
+      if (type.endsWith("/runtimeEnvironments")) {
+        const { language, version } = properties.runtime ?? {};
+        if (language) runtime = version ? `${language} ${version}` : language;
+        for (const [name, version] of Object.entries(
+          properties.defaultPackages ?? {},
+        )) {
+          modules.set(name, version);
+        }
+      } else if (type.endsWith("/runtimeEnvironments/packages")) {
+        // Named like [format('{0}/{1}/Microsoft.Graph.Authentication', ...)].
+        const name = /\/([\w.-]+)'/.exec(resource.name ?? "")?.[1];
+        if (name) modules.set(name, resolve(properties.contentLink?.version));
+      }
+      visit(properties.template?.resources);
+    }
+  };
+  visit(template.resources);
+
+  return {
+    parameters: Object.entries(declared).map(([name, parameter]) => ({
+      name,
+      type: parameter.type ?? "string",
+      defaultValue: parameter.defaultValue ?? null,
+      description: parameter.metadata?.description ?? null,
+    })),
+    runtime,
+    modules: [...modules].map(([name, version]) => ({ name, version })),
+  };
+}
+
+export interface RunbookScriptPlan {
+  script: ScriptMeta;
+  eligible: boolean;
+  /** Why the script cannot run as a runbook; null when it can. */
+  reason: string | null;
+  /** The parsed template; null when there is none or it could not be read. */
+  template: DeployTemplate | null;
+  /** The suggested schedule from .SCHEDULE, or null to run on demand. */
+  schedule: string | null;
+}
+
+export interface RunbookPlan {
+  scripts: RunbookScriptPlan[];
+  /** Permissions for the eligible scripts only. */
+  permissions: PermissionPlan;
+  grantCommand: string | null;
+  steps: string[];
+  warnings: string[];
+}
+
+/** Template text per script id, or an Error when it could not be fetched. */
+export type DeployTemplates = ReadonlyMap<string, string | Error>;
+
+export function buildRunbookPlan(
+  scripts: ScriptMeta[],
+  templates: DeployTemplates,
+  descriptions: PermissionDescriptions,
+  accountName: string,
+): RunbookPlan {
+  const warnings: string[] = [];
+  const plans = scripts.map((script): RunbookScriptPlan => {
+    const eligible = script.runbook?.eligible ?? false;
+    const reason = eligible
+      ? null
+      : script.runbook
+        ? script.runbook.exclusionReason || "Not marked runbook-eligible."
+        : "The catalog index has no runbook metadata for this script.";
+    let template: DeployTemplate | null = null;
+    const text = templates.get(script.id);
+    if (eligible && text instanceof Error) {
+      warnings.push(
+        `The deployment template of ${script.id} could not be fetched; its parameters and modules are missing.`,
+      );
+    } else if (eligible && typeof text === "string") {
+      try {
+        template = parseDeployTemplate(text);
+      } catch {
+        warnings.push(
+          `The deployment template of ${script.id} is not valid JSON; its parameters and modules are missing.`,
+        );
+      }
+    }
+    if (eligible && !script.azureDeploy) {
+      warnings.push(
+        `${script.id} has no one-click deployment; import its source as a PowerShell 7.4 runbook by hand.`,
+      );
+    }
+    return {
+      script,
+      eligible,
+      reason,
+      template,
+      schedule: script.schedule.trim() || null,
+    };
+  });
+
+  const runnable = plans.filter((plan) => plan.eligible);
+  const permissions = buildPermissionPlan(
+    runnable.map((plan) => plan.script),
+    descriptions,
+  );
+  warnings.push(
+    ...permissions.warnings.filter((warning) => !/not eligible/.test(warning)),
+  );
+  const grantCommand = permissions.grant.length
+    ? renderGrantCommand(permissions.grant, accountName)
+    : null;
+
+  const steps: string[] = [];
+  let deployed = 0;
+  for (const { script } of runnable) {
+    const deploy = script.azureDeploy;
+    if (!deploy) {
+      steps.push(
+        `Import ${script.rawUrl} into '${accountName}' as a PowerShell 7.4 runbook named ${script.id} and publish it.`,
+      );
+      continue;
+    }
+    const account = !deploy.supportsExistingAutomationAccount
+      ? "; this template always creates the account"
+      : deployed === 0
+        ? "; set createAutomationAccount true unless the account already exists"
+        : "; leave createAutomationAccount false to reuse the account";
+    steps.push(
+      `Deploy ${script.id} from ${deploy.deployUrl} with automationAccountName '${accountName}'${account}.`,
+    );
+    deployed++;
+  }
+  if (grantCommand) {
+    steps.push(
+      `Grant the managed identity of '${accountName}' its Microsoft Graph permissions: ${grantCommand}`,
+    );
+  }
+  if (runnable.length) {
+    steps.push(
+      "Start each runbook once with explicit parameters (build_script_invocation gives runbook parameter JSON) and check the job output.",
+    );
+  }
+  for (const { script, schedule } of runnable) {
+    if (schedule) {
+      steps.push(
+        `Link ${script.id} to a ${schedule.toLowerCase()} schedule in '${accountName}'.`,
+      );
+    }
+  }
+
+  return { scripts: plans, permissions, grantCommand, steps, warnings };
+}
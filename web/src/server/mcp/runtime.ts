@@ -0,0 +1,50 @@
+import "server-only";
+import { Redis } from "@upstash/redis";
+
+import { env } from "~/env";
+import {
+  createRedisRateLimitStore,
+  type RateLimitStore,
+} from "./rateLimitStore.ts";
+import { keepAlive } from "./repository.ts";
+import {
+  createToolTelemetry,
+  logToolCall,
+  type ToolTelemetry,
+} from "./telemetry.ts";
+import {
+  createMemoryUsageReportStore,
+  createRedisUsageReportStore,
+  type UsageReportStore,
+} from "./usageReport.ts";
+
+// Stores shared by the MCP routes. With Upstash configured (as for the
+// generator), every instance shares rate-limit windows and the usage report;
+// otherwise each instance keeps its own in memory.
+const redis =
+  env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN
+    ? new Redis({
+        url: env.UPSTASH_REDIS_REST_URL,
+        token: env.UPSTASH_REDIS_REST_TOKEN,
+      })
+    : null;
+
+export const mcpRateLimitStore: RateLimitStore | undefined = redis
+  ? createRedisRateLimitStore(redis)
+  : undefined;
+
+// Global so that the report route reads the same in-memory store the MCP
+// route writes to, across route bundles and dev hot reloads.
+const globalForMcpUsage = globalThis as unknown as {
+  intuneMcpUsageReport?: UsageReportStore;
+};
+
+export const mcpUsageReport: UsageReportStore = redis
+  ? createRedisUsageReportStore(redis)
+  : (globalForMcpUsage.intuneMcpUsageReport ??= createMemoryUsageReportStore());
+
+// Self-hosters can forward events elsewhere by adding exporters here.
+export const mcpTelemetry: ToolTelemetry = createToolTelemetry(
+  [logToolCall, (event) => mcpUsageReport.record(event)],
+  { clientSecret: env.MCP_TELEMETRY_SECRET, defer: keepAlive },
+);
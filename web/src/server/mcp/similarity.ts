@@ -0,0 +1,198 @@
+// Offline content similarity between catalog scripts. Each script becomes a
+// TF-IDF vector over its help text plus the source-derived features that
+// generate-index.mjs commits with the index (Graph endpoints and cmdlets), and
+// neighbors are ranked by cosine similarity. Unlike rankScripts this is OR
+// semantics: a long descriptive task scores on whatever words it shares with a
+// script instead of failing because one word is missing. Pure; no network.
+//
+// The vectors are built from the served index on first use instead of being
+// committed by generate-index.mjs: they depend on the tokenizer, stemmer, stop
+// words, and synonyms the search uses, which the script would have to copy
+// and be re-run for whenever they change. Building them for the catalog takes
+// tens of milliseconds, once per index.
+import {
+  analyzeText,
+  matchVocabulary,
+  queryTerms,
+} from "../../lib/search-ranking.ts";
+import { SEARCH_SYNONYMS } from "./synonyms.ts";
+import type { ScriptIndex, ScriptMeta } from "./types.ts";
+
+type Vector = Map<string, number>;
+
+interface SimilarityIndex {
+  scripts: ScriptMeta[];
+  vectors: Vector[];
+  idf: Map<string, number>;
+  // Stem -> first surface word seen, so shared terms read as real words.
+  surface: Map<string, string>;
+}
+
+export interface SimilarScript {
+  script: ScriptMeta;
+  /** Cosine similarity in (0, 1]. */
+  score: number;
+  /** Highest-contributing terms the two sides have in common. */
+  sharedTerms: string[];
+}
+
+// Term-frequency multipliers per field. Titles and tags say what a script is
+// for; endpoints and cmdlets say what it touches.
+const FIELD_BOOSTS: Array<[number, (s: ScriptMeta) => string]> = [
+  [3, (s) => s.title],
+  [2, (s) => s.synopsis],
+  [2, (s) => s.tags.join(" ")],
+  [1, (s) => s.category],
+  [1, (s) => s.description],
+  [1, (s) => s.permissions.join(" ")],
+  [1, (s) => (s.graphEndpoints ?? []).join(" ")],
+  [1, (s) => (s.cmdlets ?? []).join(" ")],
+  [0.5, (s) => s.notes],
+];
+
+const MAX_SHARED_TERMS = 5;
+const MIN_SCORE = 0.02;
+
+// One index per fetched ScriptIndex object; repository results are reused
+// across requests on a warm instance, so this is built once per refresh.
+const cache = new WeakMap<ScriptIndex, SimilarityIndex>();
+
+function normalize(vector: Vector): Vector {
+  let norm = 0;
+  for (const w of vector.values()) norm += w * w;
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (const [t, w] of vector) vector.set(t, w / norm);
+  return vector;
+}
+
+function buildIndex(index: ScriptIndex): SimilarityIndex {
+  const surface = new Map<string, string>();
+  const frequencies = index.scripts.map((script) => {
+    const tf = new Map<string, number>();
+    for (const [boost, text] of FIELD_BOOSTS) {
+      const raw = text(script);
+      for (const word of raw.toLowerCase().split(/[^a-z0-9]+/)) {
+        const [stemmed] = analyzeText(word);
+        if (stemmed && !surface.has(stemmed)) surface.set(stemmed, word);
+      }
+      for (const term of analyzeText(raw)) {
+        tf.set(term, (tf.get(term) ?? 0) + boost);
+      }
+    }
+    return tf;
+  });
+
+  const df = new Map<string, number>();
+  for (const tf of frequencies) {
+    for (const term of tf.keys()) df.set(term, (df.get(term) ?? 0) + 1);
+  }
+  const n = index.scripts.length;
+  const idf = new Map<string, number>();
+  for (const [term, count] of df) idf.set(term, Math.log((n + 1) / count));
+
+  const vectors = frequencies.map((tf) => {
+    const vector: Vector = new Map();
+    for (const [term, f] of tf) {
+      const weight = (1 + Math.log(f)) * (idf.get(term) ?? 0);
+      if (weight > 0) vector.set(term, weight);
+    }
+    return normalize(vector);
+  });
+
+  return { scripts: index.scripts, vectors, idf, surface };
+}
+
+function similarityIndex(index: ScriptIndex): SimilarityIndex {
+  let built = cache.get(index);
+  if (!built) {
+    built = buildIndex(index);
+    cache.set(index, built);
+  }
+  return built;
+}
+
+/**
+ * Vector for free text. Jargon is expanded through the synonym dictionary and
+ * words outside the catalog vocabulary are mapped to their closest fuzzy
+ * matches, weighted by match quality.
+ */
+function textVector(sim: SimilarityIndex, text: string): Vector {
+  const tokens = analyzeText(text);
+  const contains = (phrase: string[]) =>
+    tokens.some((_, i) => phrase.every((t, k) => tokens[i + k] === t));
+
+  const words = [...tokens];
+  for (const { terms, aliases } of SEARCH_SYNONYMS) {
+    if (aliases.some((alias) => contains(analyzeText(alias)))) {
+      for (const term of terms) words.push(...queryTerms(term));
+    }
+  }
+
+  const vector: Vector = new Map();
+  for (const word of words) {
+    const matches = sim.idf.has(word)
+      ? new Map([[word, 1]])
+      : matchVocabulary(word, sim.idf.keys());
+    for (const [term, quality] of matches) {
+      const weight = quality * (sim.idf.get(term) ?? 0);
+      vector.set(term, (vector.get(term) ?? 0) + weight);
+    }
+  }
+  return normalize(vector);
+}
+
+function rank(
+  sim: SimilarityIndex,
+  query: Vector,
+  limit: number,
+  exclude?: ScriptMeta,
+): SimilarScript[] {
+  const results: SimilarScript[] = [];
+  sim.scripts.forEach((script, i) => {
+    if (script === exclude) return;
+    const contributions: Array<[string, number]> = [];
+    let score = 0;
+    for (const [term, weight] of query) {
+      const other = sim.vectors[i]!.get(term);
+      if (!other) continue;
+      score += weight * other;
+      contributions.push([term, weight * other]);
+    }
+    if (score < MIN_SCORE) return;
+    contributions.sort((a, b) => b[1] - a[1]);
+    results.push({
+      script,
+      score: Math.round(score * 1_000) / 1_000,
+      sharedTerms: contributions
+        .slice(0, MAX_SHARED_TERMS)
+        .map(([term]) => sim.surface.get(term) ?? term),
+    });
+  });
+
+  results.sort(
+    (a, b) => b.score - a.score || a.script.id.localeCompare(b.script.id),
+  );
+  return results.slice(0, limit);
+}
+
+/** Scripts whose content is most similar to the given catalog script. */
+export function findSimilarToScript(
+  index: ScriptIndex,
+  script: ScriptMeta,
+  limit: number,
+): SimilarScript[] {
+  const sim = similarityIndex(index);
+  const position = sim.scripts.indexOf(script);
+  if (position === -1) return [];
+  return rank(sim, sim.vectors[position]!, limit, script);
+}
+
+/** Scripts whose content is most similar to a free-text task description. */
+export function findSimilarToText(
+  index: ScriptIndex,
+  text: string,
+  limit: number,
+): SimilarScript[] {
+  const sim = similarityIndex(index);
+  return rank(sim, textVector(sim, text), limit);
+}
@@ -0,0 +1,109 @@
+// Curated Intune/Entra jargon for catalog search. Admins search with product
+// acronyms and former product names while the scripts' help blocks use the
+// current terms, so a query or filter containing an alias is expanded to the
+// catalog terms. Pure data; tests/mcpSynonyms.test.mjs checks every term
+// against the committed scripts-index.json so no entry points at nothing.
+
+export interface SynonymGroup {
+  /** Words the catalog itself uses. Aliases expand to any one of these. */
+  terms: string[];
+  /** Jargon recognized in queries and filters (matched case-insensitively). */
+  aliases: string[];
+}
+
+export const SEARCH_SYNONYMS: SynonymGroup[] = [
+  {
+    terms: ["intune"],
+    aliases: [
+      "mem",
+      "endpoint manager",
+      "microsoft endpoint manager",
+      "mdm",
+      "mobile device management",
+    ],
+  },
+  {
+    terms: ["entra"],
+    aliases: ["aad", "azure ad", "azuread", "azure active directory"],
+  },
+  {
+    terms: ["elevation", "local admin"],
+    aliases: ["epm", "endpoint privilege management"],
+  },
+  {
+    terms: ["defender"],
+    aliases: [
+      "mde",
+      "mdatp",
+      "defender for endpoint",
+      "microsoft defender for endpoint",
+    ],
+  },
+  {
+    terms: ["antivirus"],
+    aliases: ["av", "anti-virus", "antimalware", "anti-malware"],
+  },
+  {
+    terms: ["win32"],
+    aliases: ["win32 app", "intunewin", "lob app", "line of business app"],
+  },
+  {
+    terms: ["remediation"],
+    aliases: [
+      "pr",
+      "proactive remediation",
+      "health script",
+      "detection and remediation",
+    ],
+  },
+  {
+    terms: ["laps"],
+    aliases: ["local admin password", "local administrator password solution"],
+  },
+  {
+    terms: ["dep", "apple business"],
+    aliases: [
+      "abm",
+      "ade",
+      "asm",
+      "apple school manager",
+      "automated device enrollment",
+    ],
+  },
+  {
+    terms: ["apns"],
+    aliases: ["apple push certificate", "mdm push certificate", "push cert"],
+  },
+  {
+    terms: ["windows update"],
+    aliases: ["wufb", "windows update for business", "update ring"],
+  },
+  {
+    terms: ["maa"],
+    aliases: ["multi admin approval", "multiple admin approval"],
+  },
+  {
+    terms: ["kfm"],
+    aliases: ["known folder move", "folder redirection"],
+  },
+  {
+    terms: ["macos"],
+    aliases: ["osx", "os x", "macbook"],
+  },
+  {
+    terms: ["ios"],
+    aliases: ["ipados", "ipad", "iphone"],
+  },
+  {
+    terms: ["stale"],
+    aliases: ["inactive", "dormant"],
+  },
+  {
+    terms: ["wipe", "retire"],
+    aliases: ["factory reset"],
+  },
+  {
+    terms: ["settings catalog", "configuration profile"],
+    aliases: ["gpo", "group policy"],
+  },
+];
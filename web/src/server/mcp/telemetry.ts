@@ -0,0 +1,145 @@
+// Per-call tool telemetry for the MCP server: one structured event per tool
+// call, passed to pluggable exporters (a JSON log line by default) and to a
+// usage report (see usageReport.ts) that surfaces searches returning nothing.
+// Events are privacy-preserving by construction: the client is a truncated
+// HMAC of its IP under a daily key derived from a server secret, and of the
+// arguments only the search text and script id are kept, never pasted script
+// content.
+import { createHmac, randomBytes } from "node:crypto";
+
+import { clientKey } from "./requestGuards.ts";
+
+export interface ToolCallEvent {
+  tool: string;
+  ok: boolean;
+  latencyMs: number;
+  /** Hits for search-like tools; null where a count means nothing. */
+  resultCount: number | null;
+  catalogSource: string | null;
+  /** Truncated HMAC of the client IP (see hashClient); null when it is unknown. */
+  client: string | null;
+  /** The search, task, or text argument, normalized and capped at MAX_QUERY_LENGTH. */
+  query: string | null;
+  scriptId: string | null;
+  timestamp: string;
+}
+
+export type ToolCallExporter = (event: ToolCallEvent) => void | Promise<void>;
+
+export interface ToolTelemetry {
+  record(event: ToolCallEvent): void;
+  /** The event's client field for an IP. */
+  client(ip: string): string;
+}
+
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Keyed, truncated hash of a client IP. A plain hash of an IPv4 address can be
+ * reversed by hashing all 2^32 of them; the key is secret, and it changes with
+ * the UTC day so a client can't be followed across days.
+ */
+export const hashClient = (ip: string, secret: string, day: string) =>
+  createHmac("sha256", `${secret}:${day}`)
+    .update(ip)
+    .digest("hex")
+    .slice(0, 16);
+
+export const normalizeQuery = (value: unknown): string | null =>
+  typeof value === "string" && value.trim()
+    ? value.trim().replace(/\s+/g, " ").slice(0, MAX_QUERY_LENGTH)
+    : null;
+
+/** Default exporter: one JSON line per call, for log drains to aggregate. */
+export const logToolCall: ToolCallExporter = (event) => {
+  console.info(JSON.stringify({ msg: "intune_mcp_tool_call", ...event }));
+};
+
+/**
+ * Fans each event out to the exporters. An exporter that throws or rejects
+ * is logged and skipped; telemetry never fails a tool call.
+ */
+export function createToolTelemetry(
+  exporters: readonly ToolCallExporter[] = [logToolCall],
+  {
+    clientSecret,
+    now = Date.now,
+    defer = () => {},
+  }: {
+    /**
+     * Keys the client hash. Without one, each instance uses a random key, so
+     * hashes don't match across instances or restarts.
+     */
+    clientSecret?: string;
+    now?: () => number;
+    /** Keeps exports alive after the response (e.g. next/server `after`). */
+    defer?: (exports: Promise<void>) => void;
+  } = {},
+): ToolTelemetry {
+  const secret = clientSecret || randomBytes(32).toString("hex");
+  const failed = (error: unknown) =>
+    console.error(
+      "IntuneAutomation MCP telemetry exporter failed:",
+      error instanceof Error ? error.name : "UnknownError",
+    );
+  return {
+    client: (ip) =>
+      hashClient(ip, secret, new Date(now()).toISOString().slice(0, 10)),
+    record(event) {
+      const pending = exporters.map((exporter) => {
+        try {
+          return Promise.resolve(exporter(event)).then(() => {}, failed);
+        } catch (error) {
+          failed(error);
+          return Promise.resolve();
+        }
+      });
+      defer(Promise.all(pending).then(() => {}));
+    },
+  };
+}
+
+interface ToolResultLike {
+  isError?: boolean;
+  structuredContent?: Record<string, unknown>;
+}
+
+/** The slice of the SDK's handler context that telemetry reads. */
+interface ToolContextLike {
+  http?: { req?: Request };
+}
+
+/**
+ * Wraps a tool handler so that every call is timed and recorded. `count`
+ * extracts the result count from the structured result of a successful call.
+ */
+export function trackToolCalls(telemetry: ToolTelemetry | undefined) {
+  return <A, R extends ToolResultLike>(
+      tool: string,
+      handler: (args: A) => Promise<R>,
+      count?: (result: Record<string, unknown>) => number,
+    ) =>
+    async (args: A, ctx?: ToolContextLike): Promise<R> => {
+      if (!telemetry) return handler(args);
+      const started = performance.now();
+      const result = await handler(args);
+      const structured = result.structuredContent;
+      const input = (args ?? {}) as Record<string, unknown>;
+      const ip = ctx?.http?.req ? clientKey(ctx.http.req) : "unknown";
+      telemetry.record({
+        tool,
+        ok: !result.isError,
+        latencyMs: Math.round(performance.now() - started),
+        resultCount: structured && count ? count(structured) : null,
+        catalogSource:
+          typeof structured?.catalogSource === "string"
+            ? structured.catalogSource
+            : null,
+        client: ip === "unknown" ? null : telemetry.client(ip),
+        query: normalizeQuery(input.query ?? input.task ?? input.text),
+        scriptId: normalizeQuery(input.id),
+        timestamp: new Date().toISOString(),
+      });
+      return result;
+    };
+}
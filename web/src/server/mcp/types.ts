@@ -7,6 +7,15 @@ export interface ScriptParameter {
   mandatory: boolean;
   default?: string;
   switch: boolean;
+  /** [ValidateSet(...)] values; absent when unconstrained or from older indexes. */
+  validValues?: string[];
+}
+
+/** One parsed .CHANGELOG line ("1.2 - text", optionally dated "1.2 (2026-05-01) - text"). */
+export interface ChangelogEntry {
+  version: string;
+  date?: string;
+  changes: string[];
 }
 
 export interface RunbookInfo {
@@ -50,6 +59,19 @@ export interface ScriptMeta {
   // treat as absent when reading an older committed index.
   runbook?: RunbookInfo;
   azureDeploy?: AzureDeploy | null;
+  // Newest version first; absent from indexes generated before it was added.
+  changelog?: ChangelogEntry[];
+  // Source-derived features (Graph path templates such as
+  // "/beta/deviceManagement/managedDevices/{id}", the HTTP methods sent to
+  // Graph, and non-boilerplate cmdlets); absent from indexes generated before
+  // they were added.
+  graphEndpoints?: string[];
+  graphMethods?: string[];
+  cmdlets?: string[];
+  // Set only when several catalogs are federated (see federation.ts): the
+  // configured source name and where that source's index was served from.
+  source?: string;
+  catalogSource?: CatalogSource;
 }
 
 export interface ScriptIndex {
@@ -59,17 +81,50 @@ export interface ScriptIndex {
   count: number;
   categories: string[];
   scripts: ScriptMeta[];
+  /** Load status of each federated source, in configuration order. */
+  sources?: SourceStatus[];
+}
+
+/** One federated catalog; catalogSource is null while it cannot be loaded. */
+export interface SourceStatus {
+  name: string;
+  catalogSource: CatalogSource | null;
+  count: number;
 }
 
+/** Shape of permissions.json at the repository root, keyed by permission name. */
+export type PermissionDescriptions = Record<
+  string,
+  { displayName: string; description: string }
+>;
+
 /** Where catalog data was served from, surfaced in tool output for debuggability. */
-export type CatalogSource = "github" | "github (stale cache)" | "bundled";
+export type CatalogSource =
+  | "github"
+  | "github (stale cache)"
+  | "bundled"
+  | "local"
+  | "local (stale cache)";
 
 /**
  * Data-access contract for the MCP server. The production repository fetches
- * from GitHub raw with caching and fallbacks; tests supply an in-memory fixture.
+ * from GitHub raw with caching and fallbacks, or reads a local checkout when
+ * INTUNE_MCP_LOCAL_DIR is set; tests supply an in-memory fixture.
  */
 export interface ScriptRepository {
-  getIndex(): Promise<{ index: ScriptIndex; source: CatalogSource }>;
-  getInstructions(): Promise<{ text: string; source: CatalogSource }>;
+  getIndex(): Promise<{
+    index: ScriptIndex;
+    source: CatalogSource;
+    /** When the source last confirmed this index (ISO); absent for bundled data. */
+    fetchedAt?: string;
+  }>;
+  getInstructions(): Promise<{
+    text: string;
+    source: CatalogSource;
+    fetchedAt?: string;
+  }>;
   getScriptSource(script: ScriptMeta): Promise<string>;
+  /** The ARM template behind script.azureDeploy; rejects when it has none. */
+  getDeployTemplate(script: ScriptMeta): Promise<string>;
+  getPermissionDescriptions(): Promise<PermissionDescriptions>;
 }
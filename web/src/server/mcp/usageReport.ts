@@ -0,0 +1,249 @@
+// Aggregates tool-call telemetry (see telemetry.ts) into a per-day usage report:
+// calls, errors, and latency per tool, plus the searches that matched nothing,
+// which point at gaps in the catalog. Kept in memory per instance by default,
+// or shared across instances in Redis when configured.
+import type { ToolCallEvent } from "./telemetry.ts";
+
+export interface ToolUsage {
+  tool: string;
+  calls: number;
+  errors: number;
+  zeroResults: number;
+  avgLatencyMs: number;
+}
+
+export interface ZeroResultQuery {
+  tool: string;
+  query: string;
+  count: number;
+}
+
+export interface UsageReport {
+  /** UTC days covered, oldest first. */
+  days: string[];
+  tools: ToolUsage[];
+  zeroResultQueries: ZeroResultQuery[];
+}
+
+export interface UsageReportStore {
+  record(event: ToolCallEvent): Promise<void>;
+  report(days: number, now: number): Promise<UsageReport>;
+}
+
+/** The subset of the Upstash Redis client the shared store needs. */
+export interface UsageRedis {
+  hincrby(key: string, field: string, increment: number): Promise<number>;
+  zincrby(key: string, increment: number, member: string): Promise<number>;
+  zremrangebyrank(key: string, start: number, stop: number): Promise<number>;
+  expire(key: string, seconds: number): Promise<unknown>;
+  hgetall(key: string): Promise<Record<string, unknown> | null>;
+  zrange(
+    key: string,
+    start: number,
+    stop: number,
+    options: { rev: true; withScores: true },
+  ): Promise<unknown[]>;
+}
+
+export const MAX_REPORT_DAYS = 30;
+export const MAX_ZERO_RESULT_QUERIES = 1_000;
+// Telemetry already caps queries; the stores cap them again so a member's
+// size never depends on the caller.
+const MAX_QUERY_MEMBER_LENGTH = 200;
+const REPORT_QUERY_LIMIT = 100;
+const DAY_MS = 86_400_000;
+
+const COUNTERS = ["calls", "errors", "zeroResults", "latencyMs"] as const;
+type Counter = (typeof COUNTERS)[number];
+
+const utcDay = (time: number) => new Date(time).toISOString().slice(0, 10);
+
+/** UTC days ending with today's, oldest first. */
+const reportDays = (days: number, now: number) =>
+  Array.from({ length: days }, (_, i) => utcDay(now - (days - 1 - i) * DAY_MS));
+
+const isZeroResult = (event: ToolCallEvent) =>
+  event.ok && event.resultCount === 0 && event.query !== null;
+
+const queryMember = (event: ToolCallEvent) =>
+  `${event.tool}\t${(event.query ?? "").slice(0, MAX_QUERY_MEMBER_LENGTH)}`;
+
+function increments(event: ToolCallEvent): Array<[Counter, number]> {
+  return [
+    ["calls", 1],
+    ["errors", event.ok ? 0 : 1],
+    ["zeroResults", isZeroResult(event) ? 1 : 0],
+    ["latencyMs", event.latencyMs],
+  ];
+}
+
+function buildReport(
+  days: string[],
+  counters: Map<string, Record<Counter, number>>,
+  queries: Map<string, number>,
+): UsageReport {
+  const tools = [...counters].map(([tool, c]) => ({
+    tool,
+    calls: c.calls,
+    errors: c.errors,
+    zeroResults: c.zeroResults,
+    avgLatencyMs: c.calls ? Math.round(c.latencyMs / c.calls) : 0,
+  }));
+  const zeroResultQueries = [...queries].map(([member, count]) => {
+    const [tool = "", query = ""] = member.split("\t");
+    return { tool, query, count };
+  });
+  return {
+    days,
+    tools: tools.sort(
+      (a, b) => b.calls - a.calls || a.tool.localeCompare(b.tool),
+    ),
+    zeroResultQueries: zeroResultQueries
+      .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query))
+      .slice(0, REPORT_QUERY_LIMIT),
+  };
+}
+
+function addCounters(
+  into: Map<string, Record<Counter, number>>,
+  tool: string,
+  values: Partial<Record<Counter, number>>,
+) {
+  const entry = into.get(tool) ?? {
+    calls: 0,
+    errors: 0,
+    zeroResults: 0,
+    latencyMs: 0,
+  };
+  for (const counter of COUNTERS) entry[counter] += values[counter] ?? 0;
+  into.set(tool, entry);
+}
+
+interface DayBucket {
+  counters: Map<string, Record<Counter, number>>;
+  queries: Map<string, number>;
+}
+
+/**
+ * Per-instance buckets for the last MAX_REPORT_DAYS days. Each day keeps at
+ * most MAX_ZERO_RESULT_QUERIES distinct queries; later ones are not counted.
+ */
+export function createMemoryUsageReportStore(): UsageReportStore {
+  const buckets = new Map<string, DayBucket>();
+
+  return {
+    async record(event) {
+      const time = Date.parse(event.timestamp);
+      const day = utcDay(time);
+      let bucket = buckets.get(day);
+      if (!bucket) {
+        bucket = { counters: new Map(), queries: new Map() };
+        buckets.set(day, bucket);
+        const oldest = utcDay(time - (MAX_REPORT_DAYS - 1) * DAY_MS);
+        for (const key of buckets.keys()) {
+          if (key < oldest) buckets.delete(key);
+        }
+      }
+      addCounters(
+        bucket.counters,
+        event.tool,
+        Object.fromEntries(increments(event)),
+      );
+      if (isZeroResult(event)) {
+        const member = queryMember(event);
+        const count = bucket.queries.get(member);
+        if (
+          count !== undefined ||
+          bucket.queries.size < MAX_ZERO_RESULT_QUERIES
+        ) {
+          bucket.queries.set(member, (count ?? 0) + 1);
+        }
+      }
+    },
+
+    async report(days, now) {
+      const covered = reportDays(days, now);
+      const counters = new Map<string, Record<Counter, number>>();
+      const queries = new Map<string, number>();
+      for (const day of covered) {
+        const bucket = buckets.get(day);
+        if (!bucket) continue;
+        for (const [tool, c] of bucket.counters) addCounters(counters, tool, c);
+        for (const [member, count] of bucket.queries) {
+          queries.set(member, (queries.get(member) ?? 0) + count);
+        }
+      }
+      return buildReport(covered, counters, queries);
+    },
+  };
+}
+
+/**
+ * One hash of `tool|counter` fields and one sorted set of `tool<TAB>query`
+ * members per UTC day, expiring after MAX_REPORT_DAYS days. Each set is
+ * trimmed to its MAX_ZERO_RESULT_QUERIES highest counts.
+ */
+export function createRedisUsageReportStore(
+  redis: UsageRedis,
+  prefix = "mcp:usage",
+): UsageReportStore {
+  const ttl = MAX_REPORT_DAYS * 86_400;
+  const keys = (day: string) => ({
+    counters: `${prefix}:${day}`,
+    queries: `${prefix}:zero:${day}`,
+  });
+
+  return {
+    async record(event) {
+      const key = keys(utcDay(Date.parse(event.timestamp)));
+      await Promise.all(
+        increments(event)
+          .filter(([, value]) => value !== 0)
+          .map(([counter, value]) =>
+            redis.hincrby(key.counters, `${event.tool}|${counter}`, value),
+          ),
+      );
+      await redis.expire(key.counters, ttl);
+      if (isZeroResult(event)) {
+        await redis.zincrby(key.queries, 1, queryMember(event));
+        await redis.zremrangebyrank(
+          key.queries,
+          0,
+          -(MAX_ZERO_RESULT_QUERIES + 1),
+        );
+        await redis.expire(key.queries, ttl);
+      }
+    },
+
+    async report(days, now) {
+      const covered = reportDays(days, now);
+      const counters = new Map<string, Record<Counter, number>>();
+      const queries = new Map<string, number>();
+      for (const day of covered) {
+        const key = keys(day);
+        const [fields, ranked] = await Promise.all([
+          redis.hgetall(key.counters),
+          redis.zrange(key.queries, 0, REPORT_QUERY_LIMIT - 1, {
+            rev: true,
+            withScores: true,
+          }),
+        ]);
+        for (const [field, value] of Object.entries(fields ?? {})) {
+          const [tool = "", counter] = field.split("|");
+          if (!COUNTERS.includes(counter as Counter)) continue;
+          addCounters(counters, tool, {
+            [counter as Counter]: Number(value) || 0,
+          });
+        }
+        for (let i = 0; i + 1 < ranked.length; i += 2) {
+          const member = String(ranked[i]);
+          queries.set(
+            member,
+            (queries.get(member) ?? 0) + (Number(ranked[i + 1]) || 0),
+          );
+        }
+      }
+      return buildReport(covered, counters, queries);
+    },
+  };
+}
@@ -40,6 +40,9 @@ export function makeScript(overrides = {}) {
       templateUrl: "https://example.com/template.json",
       supportsExistingAutomationAccount: true,
     },
+    graphEndpoints: ["/beta/deviceManagement/managedDevices"],
+    graphMethods: ["GET"],
+    cmdlets: ["Export-DeviceReport"],
     ...overrides,
   };
 }
@@ -71,6 +74,9 @@ export const fixtureScripts = [
       exclusionReason: "Local-only interactive script",
     },
     azureDeploy: null,
+    graphEndpoints: ["/beta/deviceManagement/managedDevices/{id}"],
+    graphMethods: ["GET", "POST"],
+    cmdlets: ["Invoke-BitLockerKeyRotation"],
   }),
   makeScript({
     id: "detect-stale-devices",
@@ -86,28 +92,103 @@ export const fixtureScripts = [
 
 export const fixtureIndex = makeIndex(fixtureScripts);
 
+export const fixturePermissionDescriptions = {
+  "DeviceManagementManagedDevices.Read.All": {
+    displayName: "Read Microsoft Intune devices",
+    description:
+      "Allows the app to read the properties of devices managed by Microsoft Intune.",
+  },
+  "DeviceManagementManagedDevices.ReadWrite.All": {
+    displayName: "Read and write Microsoft Intune devices",
+    description:
+      "Allows the app to read and write the properties of devices managed by Microsoft Intune.",
+  },
+};
+
+// A trimmed azure-templates/*.json: the outer parameters and the nested
+// runtime environment and package resources the runbook plan reads.
+export const fixtureDeployTemplate = JSON.stringify({
+  parameters: {
+    automationAccountName: {
+      type: "string",
+      metadata: { description: "Name of the Azure Automation account." },
+    },
+    createAutomationAccount: { type: "bool", defaultValue: false },
+    graphAuthenticationModuleVersion: {
+      type: "string",
+      defaultValue: "2.38.1",
+    },
+  },
+  resources: [
+    {
+      type: "Microsoft.Resources/deployments",
+      name: "configureRunbook",
+      properties: {
+        template: {
+          resources: [
+            {
+              type: "Microsoft.Automation/automationAccounts/runtimeEnvironments",
+              properties: {
+                defaultPackages: { Az: "12.3.0" },
+                runtime: { language: "PowerShell", version: "7.4" },
+              },
+            },
+            {
+              type: "Microsoft.Automation/automationAccounts/runtimeEnvironments/packages",
+              name: "[format('{0}/{1}/Microsoft.Graph.Authentication', parameters('automationAccountName'), parameters('runtimeEnvironmentName'))]",
+              properties: {
+                contentLink: {
+                  version: "[parameters('graphAuthenticationModuleVersion')]",
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  ],
+});
+
 export function makeRepository({
   index = fixtureIndex,
   instructions = "# Authoring guide\n\nHard rules apply.",
   source = "github",
+  fetchedAt,
   scriptSource = "<#\n.TITLE\nFixture\n#>\nparam()\nWrite-Output 'ok'",
+  permissionDescriptions = fixturePermissionDescriptions,
+  deployTemplate = fixtureDeployTemplate,
 } = {}) {
-  const calls = { getIndex: 0, getInstructions: 0, getScriptSource: [] };
+  const calls = {
+    getIndex: 0,
+    getInstructions: 0,
+    getScriptSource: [],
+    getDeployTemplate: [],
+  };
   return {
     calls,
     repository: {
       async getIndex() {
         calls.getIndex += 1;
-        return { index, source };
+        return { index, source, fetchedAt };
       },
       async getInstructions() {
         calls.getInstructions += 1;
-        return { text: instructions, source };
+        return { text: instructions, source, fetchedAt };
       },
       async getScriptSource(script) {
         calls.getScriptSource.push(script.id);
         return scriptSource;
       },
+      async getDeployTemplate(script) {
+        calls.getDeployTemplate.push(script.id);
+        if (!script.azureDeploy) {
+          throw new Error(`${script.id} has no deployment template`);
+        }
+        return deployTemplate;
+      },
+      async getPermissionDescriptions() {
+        return permissionDescriptions;
+      },
     },
   };
 }
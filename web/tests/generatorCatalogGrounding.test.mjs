@@ -0,0 +1,52 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  groundInCatalog,
+  renderReferences,
+} from "../src/server/generator/catalog-grounding.ts";
+import { makeRepository } from "./fixtures/scriptIndex.mjs";
+
+test("catalog grounding points at a script that already does the job", async () => {
+  const { repository } = makeRepository();
+
+  const grounding = await groundInCatalog(
+    repository,
+    "Rotate the BitLocker keys on every managed Windows device",
+  );
+  assert.deepEqual(grounding.existing, {
+    id: "rotate-bitlocker-keys",
+    title: "Rotate BitLocker Keys",
+    synopsis: "Rotates BitLocker recovery keys on managed devices.",
+    url: "/script/rotate-bitlocker-keys/",
+    githubUrl:
+      "https://github.com/example/repo/blob/main/scripts/devices/get-device-report.ps1",
+  });
+});
+
+test("catalog grounding otherwise passes the closest scripts as references", async () => {
+  const { calls, repository } = makeRepository({
+    scriptSource: `<#\n.TITLE\n    Example\n#>\n${"Write-Output 'x'\n".repeat(800)}`,
+  });
+
+  // Shares words with the BitLocker script but asks for something else.
+  const grounding = await groundInCatalog(
+    repository,
+    "Detection script: check whether BitLocker encryption is enabled",
+  );
+  assert.equal(grounding.existing, null);
+  assert.equal(grounding.references[0].id, "rotate-bitlocker-keys");
+  assert.ok(grounding.references.length <= 2);
+  assert.deepEqual(
+    calls.getScriptSource,
+    grounding.references.map((r) => r.id),
+  );
+  assert.ok(grounding.references[0].source.length <= 6_100);
+  assert.match(grounding.references[0].source, /# \.\.\. \(truncated\)$/);
+
+  const block = renderReferences(grounding.references);
+  assert.match(block, /^Reference scripts from the IntuneAutomation library/);
+  assert.match(block, /### Rotate BitLocker Keys \(rotate-bitlocker-keys\)/);
+  assert.equal(renderReferences([]), "");
+});
@@ -0,0 +1,47 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { GRAPH_TOOLS } from "../src/server/generator/graph-tools.ts";
+
+const run = (name, input) =>
+  GRAPH_TOOLS[name].execute(input, { toolCallId: "t", messages: [] });
+
+test("generator Graph tools return trimmed lookups", async () => {
+  const endpoint = await run("check_graph_endpoint", {
+    endpoint: "GET /deviceManagement/managedDevices/{id}",
+  });
+  assert.equal(endpoint.exists, true);
+  assert.equal(
+    endpoint.template,
+    "/deviceManagement/managedDevices/{managedDeviceId}",
+  );
+  assert.ok(endpoint.relatedEndpoints.length <= 8);
+
+  const missing = await run("check_graph_endpoint", {
+    endpoint: "GET /deviceManagement/managedDevicez",
+  });
+  assert.equal(missing.exists, false);
+  assert.equal(missing.suggestions[0], "GET /deviceManagement/managedDevices");
+
+  const scope = await run("check_graph_permission", {
+    scope: "devicemanagementmanageddevices.read.all",
+  });
+  assert.deepEqual(
+    [scope.scope, scope.exists, scope.coveredBy],
+    [
+      "DeviceManagementManagedDevices.Read.All",
+      true,
+      ["DeviceManagementManagedDevices.ReadWrite.All"],
+    ],
+  );
+  assert.ok(scope.relatedScopes.length <= 8);
+
+  const samples = await run("find_graph_samples", {
+    task: "List all Conditional Access policies",
+  });
+  assert.equal(
+    samples.samples[0].query,
+    "GET /beta/identity/conditionalAccess/policies",
+  );
+});
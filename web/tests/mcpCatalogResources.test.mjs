@@ -0,0 +1,81 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  categoryUri,
+  renderListing,
+  resourceFingerprints,
+  tagUri,
+  trackResourceChanges,
+} from "../src/server/mcp/catalogResources.ts";
+import {
+  fixtureIndex,
+  fixtureScripts,
+  makeIndex,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
+
+test("category and tag listings describe each script for browsing", () => {
+  const devices = renderListing(fixtureIndex, "tag", "devices");
+  assert.match(devices, /^# Scripts tagged "devices"\n\n2 scripts\./);
+  assert.match(devices, /## Detect Stale Devices \(`detect-stale-devices`\)/);
+  assert.match(
+    devices,
+    /- Permissions: `DeviceManagementManagedDevices\.Read\.All`/,
+  );
+  assert.match(devices, /- Source: intune-script:\/\/get-device-report/);
+
+  const security = renderListing(fixtureIndex, "category", "Security");
+  assert.match(security, /1 script\./);
+  assert.match(
+    security,
+    /Azure Automation runbook: not eligible: Local-only interactive script/,
+  );
+
+  assert.equal(renderListing(fixtureIndex, "category", "nope"), null);
+  assert.equal(tagUri("Win32 App"), "intune-scripts://tag/Win32%20App");
+});
+
+test("resource fingerprints change only for the listings a script touches", () => {
+  const before = resourceFingerprints(fixtureIndex);
+  assert.ok(before.has(categoryUri("security")));
+  assert.ok(before.has(tagUri("BitLocker")));
+
+  const [report, ...rest] = fixtureScripts;
+  const after = resourceFingerprints(
+    makeIndex([{ ...report, version: "1.1" }, ...rest]),
+  );
+  const changed = [...after.keys()].filter(
+    (uri) => before.get(uri) !== after.get(uri),
+  );
+  assert.deepEqual(changed.sort(), [
+    "intune-script://get-device-report",
+    "intune-scripts://index",
+  ]);
+});
+
+test("resource change tracking publishes list and content changes", () => {
+  const events = [];
+  const observe = trackResourceChanges({
+    resourcesChanged: () => events.push("list"),
+    resourceUpdated: (uri) => events.push(uri),
+  });
+
+  observe(fixtureIndex);
+  observe(fixtureIndex);
+  assert.deepEqual(events, []);
+
+  const [report, ...rest] = fixtureScripts;
+  observe(
+    makeIndex([
+      { ...report, synopsis: "Reports devices as CSV." },
+      ...rest,
+      makeScript({ id: "list-apps", category: "apps", tags: ["Apps"] }),
+    ]),
+  );
+  assert.equal(events[0], "list");
+  assert.ok(events.includes(categoryUri("devices")));
+  assert.ok(events.includes(tagUri("Reporting")));
+  assert.ok(!events.includes(categoryUri("security")));
+});
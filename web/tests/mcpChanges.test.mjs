@@ -0,0 +1,160 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import {
+  breakingReasons,
+  changesSince,
+  compareVersions,
+} from "../src/server/mcp/changes.ts";
+import { makeScript } from "./fixtures/scriptIndex.mjs";
+
+const script = makeScript({
+  id: "send-compliance-alert",
+  version: "1.10",
+  lastUpdate: "2026-07-30",
+  permissions: ["DeviceManagementManagedDevices.Read.All", "Mail.Send"],
+  parameters: [
+    {
+      name: "SenderUPN",
+      type: "string",
+      mandatory: true,
+      default: null,
+      switch: false,
+    },
+    {
+      name: "Force",
+      type: "switch",
+      mandatory: false,
+      default: null,
+      switch: true,
+    },
+  ],
+  changelog: [
+    { version: "1.10", changes: ["Paced report calls"] },
+    {
+      version: "1.9",
+      changes: [
+        "Mail now sends from a mandatory SenderUPN mailbox; send failures fail the run",
+      ],
+    },
+    {
+      version: "1.2",
+      date: "2026-03-01",
+      changes: ["Added -WhatIf support", "Declare Mail.Send for alert email"],
+    },
+    {
+      version: "1.1",
+      date: "2026-02-01",
+      changes: [
+        "Removed unused -Detailed switch and AuditLog.Read.All permission",
+      ],
+    },
+    { version: "1.0", changes: ["Initial release"] },
+  ],
+});
+
+test("versions compare numerically, not as strings", () => {
+  assert.ok(compareVersions("1.10", "1.9") > 0);
+  assert.equal(compareVersions("1.2", "1.2.0"), 0);
+  assert.ok(compareVersions("2", "1.99") > 0);
+});
+
+test("flags new permissions, removed parameters and new requirements", () => {
+  assert.deepEqual(breakingReasons(script, ["Paced report calls"]), []);
+  assert.deepEqual(
+    breakingReasons(script, ["Declare Mail.Send for alert email"]),
+    ["Requires the Mail.Send permission"],
+  );
+  assert.deepEqual(
+    breakingReasons(script, [
+      "Removed unused -Detailed switch and AuditLog.Read.All permission",
+    ]),
+    ["Removed the -Detailed parameter"],
+  );
+  assert.deepEqual(
+    breakingReasons(script, [
+      "Azure Automation now requires -Force; added -WhatIf support",
+    ]),
+    ["Now requires -Force"],
+  );
+  // A removal word in another clause does not make a kept parameter removed,
+  // and dropping a permission is not breaking.
+  assert.deepEqual(
+    breakingReasons(script, [
+      "Dropped DeviceManagementApps.Read.All; -Force skips the prompt",
+    ]),
+    [],
+  );
+});
+
+test("returns entries newer than a deployed version", () => {
+  const result = changesSince(script, { version: "1.2" });
+
+  assert.deepEqual(
+    result.entries.map((e) => e.version),
+    ["1.10", "1.9"],
+  );
+  assert.equal(result.entries[0].date, "2026-07-30");
+  assert.equal(result.entries[1].date, null);
+  assert.deepEqual(result.entries[1].breaking, ["Now requires -SenderUPN"]);
+  assert.deepEqual(result.warnings, []);
+
+  assert.deepEqual(changesSince(script, { version: "1.10" }).entries, []);
+  assert.match(
+    changesSince(script, { version: "1.5" }).warnings.join(),
+    /does not appear in the changelog/,
+  );
+  assert.match(
+    changesSince(script, { version: "2.0" }).warnings.join(),
+    /newer than the catalog's 1.10/,
+  );
+});
+
+test("uses the newest dated entry on or before a deployment date", () => {
+  const after = changesSince(script, { date: "2026-02-15" });
+  assert.deepEqual(
+    after.entries.map((e) => e.version),
+    ["1.10", "1.9", "1.2"],
+  );
+  assert.equal(after.datesApproximate, true);
+
+  const beforeAny = changesSince(script, { date: "2026-01-01" });
+  assert.deepEqual(
+    beforeAny.entries.map((e) => e.version),
+    ["1.10", "1.9", "1.2", "1.1", "1.0"],
+  );
+
+  const current = changesSince(script, { date: "2026-07-30" });
+  assert.deepEqual(current.entries, []);
+  assert.equal(current.datesApproximate, false);
+});
+
+test("warns when the index predates changelog history", () => {
+  const result = changesSince(makeScript(), { version: "0.9" });
+
+  assert.deepEqual(result.entries, []);
+  assert.match(result.warnings.join(), /predates changelog history/);
+});
+
+test("committed catalog changelogs end at each script's current version", () => {
+  const catalog = JSON.parse(
+    readFileSync(
+      new URL("../../mcp/data/scripts-index.json", import.meta.url),
+      "utf8",
+    ),
+  );
+
+  for (const s of catalog.scripts) {
+    assert.ok(s.changelog?.length, s.id);
+    assert.equal(compareVersions(s.changelog[0].version, s.version), 0, s.id);
+  }
+  const maa = catalog.scripts.find((s) => s.id === "get-maa-compliance-report");
+  const since = changesSince(maa, { version: "1.1" });
+  assert.ok(
+    since.entries.some((e) =>
+      e.breaking.includes("Removed the -DetailedAnalysis parameter"),
+    ),
+  );
+});
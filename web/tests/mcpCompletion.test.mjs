@@ -0,0 +1,34 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  MAX_COMPLETIONS,
+  catalogValues,
+  completeListItem,
+  completePrefix,
+} from "../src/server/mcp/completion.ts";
+import { fixtureIndex } from "./fixtures/scriptIndex.mjs";
+
+test("completion offers catalog values by case-insensitive prefix", () => {
+  assert.deepEqual(catalogValues(fixtureIndex, "ids"), [
+    "detect-stale-devices",
+    "get-device-report",
+    "rotate-bitlocker-keys",
+  ]);
+  assert.equal(catalogValues(fixtureIndex, "tags")[0], "Devices");
+  assert.deepEqual(completePrefix(["Security", "Devices"], "SE"), ["Security"]);
+
+  const many = Array.from({ length: 150 }, (_, i) => `script-${i}`);
+  assert.equal(completePrefix(many, "").length, MAX_COMPLETIONS);
+});
+
+test("list completion extends the last entry and skips listed values", () => {
+  const ids = catalogValues(fixtureIndex, "ids");
+  assert.deepEqual(completeListItem(ids, "get"), ["get-device-report"]);
+  assert.deepEqual(completeListItem(ids, "get-device-report,"), [
+    "get-device-report, detect-stale-devices",
+    "get-device-report, rotate-bitlocker-keys",
+  ]);
+  assert.deepEqual(completeListItem(ids, "get-device-report, GET"), []);
+});
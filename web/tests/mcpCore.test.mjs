@@ -1,5 +1,6 @@
 // @ts-nocheck -- Node's test runner executes TypeScript imports directly.
 import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
 import test from "node:test";
 
 import {
@@ -9,6 +10,7 @@ import {
   fullMetadata,
   nextBoundedOffset,
   paginateText,
+  rankScriptHits,
   rankScripts,
   summarize,
 } from "../src/server/mcp/core.ts";
@@ -34,6 +36,55 @@ test("rankScripts requires every term to match and ranks title hits first", () =
   assert.equal(rankScripts(fixtureScripts, "zzz-not-there").length, 0);
 });
 
+test("rankScripts tolerates typos and inflections", () => {
+  assert.equal(
+    rankScripts(fixtureScripts, "bitlockr key")[0].id,
+    "rotate-bitlocker-keys",
+  );
+  assert.equal(
+    rankScripts(fixtureScripts, "rotating keys")[0].id,
+    "rotate-bitlocker-keys",
+  );
+  assert.deepEqual(
+    rankScripts(fixtureScripts, "stale devcie").map((s) => s.id),
+    ["detect-stale-devices"],
+  );
+});
+
+test("rankScripts matches against the committed catalog", () => {
+  const catalog = JSON.parse(
+    readFileSync(
+      new URL("../../mcp/data/scripts-index.json", import.meta.url),
+      "utf8",
+    ),
+  ).scripts;
+
+  assert.equal(
+    rankScripts(catalog, "autopliot cleanup")[0].id,
+    "cleanup-autopilot-devices",
+  );
+  assert.equal(rankScripts(catalog, "wiping")[0].id, "wipe-devices");
+  assert.ok(
+    rankScripts(catalog, "bitlockr key")
+      .slice(0, 3)
+      .some((s) => s.id === "rotate-bitlocker-keys"),
+  );
+});
+
+test("rankScriptHits expands jargon and reports the alias it used", () => {
+  const [hit, ...rest] = rankScriptHits(fixtureScripts, "PR stale");
+  assert.equal(hit.script.id, "detect-stale-devices");
+  assert.deepEqual(hit.matchedSynonyms, [
+    { alias: "pr", expandedTo: "remediation" },
+  ]);
+  assert.equal(rest.length, 0);
+
+  assert.deepEqual(
+    rankScriptHits(fixtureScripts, "bitlocker")[0].matchedSynonyms,
+    [],
+  );
+});
+
 test("rankScripts without a query returns the catalog in stable id order", () => {
   const ranked = rankScripts(fixtureScripts);
   assert.deepEqual(
@@ -64,6 +115,20 @@ test("filterScripts combines category, tag, platform, and permission filters", (
   );
 });
 
+test("filterScripts resolves aliases to catalog terms", () => {
+  assert.deepEqual(
+    filterScripts(fixtureScripts, { category: "PR" }).map((s) => s.id),
+    ["detect-stale-devices"],
+  );
+  assert.deepEqual(
+    filterScripts(fixtureScripts, { tag: "Proactive Remediation" }).map(
+      (s) => s.id,
+    ),
+    ["detect-stale-devices"],
+  );
+  assert.equal(filterScripts(fixtureScripts, { tag: "pr" }).length, 1);
+});
+
 test("summarize surfaces runbook eligibility and normalizes empty platform", () => {
   const summary = summarize(fixtureScripts[2]);
   assert.equal(summary.platform, null);
@@ -79,9 +144,15 @@ test("fullMetadata carries runbook and azureDeploy and tolerates old indexes", (
   const legacy = makeScript();
   delete legacy.runbook;
   delete legacy.azureDeploy;
+  delete legacy.graphEndpoints;
+  delete legacy.graphMethods;
+  delete legacy.cmdlets;
   const legacyMeta = fullMetadata(legacy);
   assert.equal(legacyMeta.runbook, null);
   assert.equal(legacyMeta.azureDeploy, null);
+  assert.deepEqual(legacyMeta.graphEndpoints, []);
+  assert.deepEqual(legacyMeta.graphMethods, []);
+  assert.deepEqual(legacyMeta.cmdlets, []);
 });
 
 test("buildCatalog aggregates values with counts and skips empties", () => {
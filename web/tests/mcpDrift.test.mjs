@@ -0,0 +1,205 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import {
+  compareMetadata,
+  identifyScript,
+  parseLocalScript,
+  unifiedDiff,
+} from "../src/server/mcp/drift.ts";
+import { fixtureIndex, makeScript } from "./fixtures/scriptIndex.mjs";
+
+const copy = [
+  "<#",
+  ".TITLE",
+  "    Get Device Report",
+  "",
+  ".PERMISSIONS",
+  "    DeviceManagementManagedDevices.Read.All, User.Read.All",
+  "",
+  ".VERSION",
+  "    0.9",
+  "",
+  ".EXAMPLE",
+  "    .\\get-device-report.ps1 -OutputPath 'C:\\report.csv'",
+  "#>",
+  "[CmdletBinding()]",
+  "param(",
+  "    [Parameter(Mandatory = $true)]",
+  '    [ValidateSet("a,b", "c")]',
+  "    [string]$OutputPath,",
+  "    [string[]]$Filter = @('x', 'y')",
+  ")",
+  "Write-Output 'ok'",
+].join("\r\n");
+
+// Applies a unified diff to oldText; the inverse of unifiedDiff for tests.
+function applyDiff(oldText, diff) {
+  const old = oldText.replace(/\n$/, "").split("\n");
+  const out = [];
+  let at = 0;
+  for (const hunk of diff.split(/^(?=@@)/m).slice(1)) {
+    const [header, ...body] = hunk.replace(/\n$/, "").split("\n");
+    const [, start, count] = /^@@ -(\d+),(\d+)/.exec(header).map(Number);
+    const from = count === 0 ? start : start - 1;
+    out.push(...old.slice(at, from));
+    at = from;
+    for (const line of body) {
+      if (line[0] === "+") out.push(line.slice(1));
+      else {
+        assert.equal(line.slice(1), old[at], `context at line ${at + 1}`);
+        if (line[0] === " ") out.push(old[at]);
+        at++;
+      }
+    }
+  }
+  return [...out, ...old.slice(at)].join("\n");
+}
+
+test("parseLocalScript reads help fields and the param block", () => {
+  const local = parseLocalScript(copy);
+
+  assert.equal(local.title, "Get Device Report");
+  assert.equal(local.version, "0.9");
+  assert.deepEqual(local.permissions, [
+    "DeviceManagementManagedDevices.Read.All",
+    "User.Read.All",
+  ]);
+  assert.deepEqual(local.parameters, [
+    { name: "OutputPath", type: "string", mandatory: true },
+    { name: "Filter", type: "string[]", mandatory: false },
+  ]);
+  assert.deepEqual(parseLocalScript("Write-Output 'hi'"), {
+    title: null,
+    version: null,
+    permissions: [],
+    parameters: [],
+  });
+});
+
+test("identifyScript prefers id, then .TITLE, then the invoked file name", () => {
+  const local = parseLocalScript(copy);
+
+  assert.equal(
+    identifyScript(fixtureIndex, copy, local, "rotate-bitlocker-keys")
+      .matchedBy,
+    "id",
+  );
+  assert.equal(
+    identifyScript(fixtureIndex, copy, local, "missing-script"),
+    undefined,
+  );
+  const byTitle = identifyScript(fixtureIndex, copy, local);
+  assert.equal(byTitle.script.id, "get-device-report");
+  assert.equal(byTitle.matchedBy, "title");
+
+  const renamed = copy.replace("Get Device Report", "Our Device Report");
+  const byFile = identifyScript(
+    fixtureIndex,
+    renamed,
+    parseLocalScript(renamed),
+  );
+  assert.equal(byFile.script.id, "get-device-report");
+  assert.equal(byFile.matchedBy, "filename");
+});
+
+test("compareMetadata reports version, permission, and parameter drift", () => {
+  const script = makeScript({
+    version: "1.2",
+    permissions: ["DeviceManagementManagedDevices.Read.All", "Mail.Send"],
+    parameters: [
+      {
+        name: "OutputPath",
+        type: "string",
+        mandatory: false,
+        switch: false,
+      },
+      { name: "MaxDevices", type: "int", mandatory: false, switch: false },
+    ],
+  });
+
+  assert.deepEqual(compareMetadata(parseLocalScript(copy), script), {
+    version: { local: "0.9", catalog: "1.2", status: "behind" },
+    permissions: {
+      onlyInCatalog: ["Mail.Send"],
+      onlyInLocal: ["User.Read.All"],
+    },
+    parameters: {
+      onlyInCatalog: ["MaxDevices"],
+      onlyInLocal: ["Filter"],
+      changed: [
+        {
+          name: "OutputPath",
+          local: { type: "string", mandatory: true },
+          catalog: { type: "string", mandatory: false },
+        },
+      ],
+    },
+  });
+  assert.equal(
+    compareMetadata({ ...parseLocalScript(copy), version: "1.2.0" }, script)
+      .version.status,
+    "current",
+  );
+});
+
+test("unifiedDiff renders diff -u hunks with merged context", () => {
+  const old = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n";
+  const changed = "a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n";
+
+  assert.equal(
+    unifiedDiff(old, changed, "a/x.ps1", "b/x.ps1", 3),
+    [
+      "--- a/x.ps1",
+      "+++ b/x.ps1",
+      "@@ -1,5 +1,5 @@",
+      " a",
+      "-b",
+      "+B",
+      " c",
+      " d",
+      " e",
+      "@@ -8,3 +8,4 @@",
+      " h",
+      " i",
+      " j",
+      "+k",
+      "",
+    ].join("\n"),
+  );
+  assert.match(unifiedDiff(old, changed, "a", "b", 4), /^@@ -1,10 \+1,11 @@$/m);
+  assert.equal(unifiedDiff("x\r\ny\r\n", "x\ny", "a", "b"), "");
+  assert.equal(
+    unifiedDiff("", "new\n", "a", "b"),
+    "--- a\n+++ b\n@@ -0,0 +1,1 @@\n+new\n",
+  );
+});
+
+test("unifiedDiff round-trips edits to a committed script", () => {
+  const source = readFileSync(
+    new URL("../../scripts/devices/get-stale-devices.ps1", import.meta.url),
+    "utf8",
+  ).replace(/\r\n?/g, "\n");
+  const lines = source.split("\n");
+  const edited = lines
+    .filter((_, i) => i % 37 !== 5)
+    .map((line, i) => (i % 53 === 0 ? `${line} # local tweak` : line));
+  edited.splice(40, 0, "# inserted", "# block");
+  const copyText = edited.join("\n");
+
+  const diff = unifiedDiff(source, copyText, "a", "b");
+  assert.equal(applyDiff(source, diff), copyText.replace(/\n$/, ""));
+  assert.equal(unifiedDiff(source, source, "a", "b"), "");
+
+  // Past the line cap the changed middle comes back as one replacement.
+  const flood = Array.from({ length: 12_000 }, (_, i) => `$x = ${i}`);
+  const floodText = [
+    lines[0],
+    ...flood,
+    ...lines.slice(1).map((line) => `# ${line}`),
+  ].join("\n");
+  const floodDiff = unifiedDiff(source, floodText, "a", "b");
+  assert.equal(applyDiff(source, floodDiff), floodText.replace(/\n$/, ""));
+});
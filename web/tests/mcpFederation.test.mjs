@@ -0,0 +1,184 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  buildCatalog,
+  filterScripts,
+  findScript,
+} from "../src/server/mcp/core.ts";
+import {
+  createFederatedRepository,
+  parseSourcesConfig,
+} from "../src/server/mcp/federation.ts";
+import {
+  fixtureIndex,
+  makeIndex,
+  makeRepository,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
+
+const internalIndex = makeIndex([
+  // Collides with a public id.
+  makeScript({ title: "Internal Device Report", category: "internal" }),
+  makeScript({
+    id: "detect-printer-queue",
+    remediationType: "detection",
+    pairScript: "remediate-printer-queue",
+  }),
+]);
+
+function federate(overrides = {}) {
+  const primary = makeRepository();
+  const internal = makeRepository({ index: internalIndex, source: "local" });
+  const repository = createFederatedRepository([
+    { name: "intuneautomation", repository: primary.repository },
+    { name: "internal", repository: internal.repository },
+    ...(overrides.extra ?? []),
+  ]);
+  return { repository, primary, internal };
+}
+
+test("parseSourcesConfig reads github and local entries and rejects bad ones", () => {
+  assert.deepEqual(
+    parseSourcesConfig(
+      "internal=/srv/scripts, Team=github:contoso/intune-scripts@release/2026,",
+    ),
+    [
+      { name: "internal", kind: "local", root: "/srv/scripts" },
+      {
+        name: "team",
+        kind: "github",
+        repo: "contoso/intune-scripts",
+        ref: "release/2026",
+      },
+    ],
+  );
+  assert.equal(parseSourcesConfig("x=github:a/b")[0].ref, "main");
+  assert.throws(() => parseSourcesConfig("/srv/scripts"), /name=spec/);
+  assert.throws(() => parseSourcesConfig("in ternal=/srv"), /lowercase/);
+  assert.throws(() => parseSourcesConfig("a=/x,a=/y"), /already in use/);
+  assert.throws(
+    () => parseSourcesConfig("intuneautomation=/x"),
+    /already in use/,
+  );
+  assert.throws(() => parseSourcesConfig("a=github:nope"), /owner\/repo/);
+});
+
+test("federated index namespaces secondary ids and reports sources per script", async () => {
+  const { repository } = federate();
+  const { index, source } = await repository.getIndex();
+
+  assert.equal(source, "github");
+  assert.equal(index.count, 5);
+  assert.deepEqual(
+    index.scripts.map((s) => [s.id, s.source, s.catalogSource]),
+    [
+      ["get-device-report", "intuneautomation", "github"],
+      ["rotate-bitlocker-keys", "intuneautomation", "github"],
+      ["detect-stale-devices", "intuneautomation", "github"],
+      ["internal:get-device-report", "internal", "local"],
+      ["internal:detect-printer-queue", "internal", "local"],
+    ],
+  );
+  assert.equal(index.scripts[4].pairScript, "internal:remediate-printer-queue");
+  assert.ok(index.categories.includes("internal"));
+  assert.deepEqual(index.sources, [
+    { name: "intuneautomation", catalogSource: "github", count: 3 },
+    { name: "internal", catalogSource: "local", count: 2 },
+  ]);
+  // Unchanged sources return the same merged index object.
+  assert.equal((await repository.getIndex()).index, index);
+});
+
+test("ids resolve deterministically across sources", async () => {
+  const { repository } = federate();
+  const { index } = await repository.getIndex();
+
+  assert.equal(
+    findScript(index, "get-device-report").source,
+    "intuneautomation",
+  );
+  assert.equal(
+    findScript(index, "Internal:Get-Device-Report.ps1").title,
+    "Internal Device Report",
+  );
+  assert.equal(
+    findScript(index, "intuneautomation:get-device-report").title,
+    "Get Device Report",
+  );
+  // A bare id only a secondary source defines still resolves.
+  assert.equal(
+    findScript(index, "detect-printer-queue").id,
+    "internal:detect-printer-queue",
+  );
+  assert.equal(findScript(index, "internal:rotate-bitlocker-keys"), undefined);
+  assert.equal(
+    findScript(fixtureIndex, "intuneautomation:get-device-report"),
+    undefined,
+  );
+});
+
+test("source filters and the sources catalog cover every configured source", async () => {
+  const broken = {
+    ...makeRepository().repository,
+    getIndex: async () => {
+      throw new Error("ENOENT /srv/team");
+    },
+  };
+  const { repository } = federate({
+    extra: [{ name: "team", repository: broken }],
+  });
+  const { index } = await repository.getIndex();
+
+  assert.deepEqual(
+    filterScripts(index.scripts, { source: "Internal" }).map((s) => s.id),
+    ["internal:get-device-report", "internal:detect-printer-queue"],
+  );
+  assert.equal(
+    filterScripts(fixtureIndex.scripts, { source: "intuneautomation" }).length,
+    3,
+  );
+  assert.deepEqual(buildCatalog(index, "sources"), [
+    { value: "intuneautomation", count: 3 },
+    { value: "internal", count: 2 },
+    { value: "team", count: 0 },
+  ]);
+  assert.deepEqual(index.sources[2], {
+    name: "team",
+    catalogSource: null,
+    count: 0,
+  });
+});
+
+test("script sources and permissions come from the owning repository", async () => {
+  const { repository, primary, internal } = federate();
+  const { index } = await repository.getIndex();
+
+  await repository.getScriptSource(
+    findScript(index, "internal:get-device-report"),
+  );
+  await repository.getScriptSource(findScript(index, "get-device-report"));
+  assert.deepEqual(internal.calls.getScriptSource, [
+    "internal:get-device-report",
+  ]);
+  assert.deepEqual(primary.calls.getScriptSource, ["get-device-report"]);
+  assert.ok(
+    (await repository.getPermissionDescriptions())[
+      "DeviceManagementManagedDevices.Read.All"
+    ],
+  );
+
+  const down = createFederatedRepository([
+    {
+      name: "intuneautomation",
+      repository: {
+        ...primary.repository,
+        getIndex: async () => {
+          throw new Error("offline");
+        },
+      },
+    },
+  ]);
+  await assert.rejects(down.getIndex(), /offline/);
+});
@@ -0,0 +1,85 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  findGraphSamples,
+  lookupGraphPermission,
+  matchGraphEndpoint,
+} from "../src/server/mcp/graphReference.ts";
+
+test("permission lookup fixes casing and suggests real scopes", () => {
+  const known = lookupGraphPermission(
+    "devicemanagementmanageddevices.read.all",
+  );
+  assert.equal(known.exists, true);
+  assert.equal(known.scope, "DeviceManagementManagedDevices.Read.All");
+  assert.equal(known.correctedFrom, "devicemanagementmanageddevices.read.all");
+  assert.deepEqual(known.coveredBy, [
+    "DeviceManagementManagedDevices.ReadWrite.All",
+  ]);
+  assert.ok(
+    known.relatedScopes.includes(
+      "DeviceManagementManagedDevices.PrivilegedOperations.All",
+    ),
+  );
+  assert.ok(known.exampleEndpoints.length > 0);
+  assert.deepEqual(known.suggestions, []);
+
+  const typo = lookupGraphPermission("DeviceManagementManagedDevice.Read.All");
+  assert.equal(typo.exists, false);
+  assert.equal(typo.suggestions[0], "DeviceManagementManagedDevices.Read.All");
+  assert.deepEqual(typo.exampleEndpoints, []);
+});
+
+test("endpoint matching finds templates, methods, and near misses", () => {
+  const device = matchGraphEndpoint(
+    "GET https://graph.microsoft.com/v1.0/deviceManagement/managedDevices/abc-123?$select=id",
+  );
+  assert.equal(device.exists, true);
+  assert.equal(device.path, "/deviceManagement/managedDevices/abc-123");
+  assert.equal(
+    device.template,
+    "/deviceManagement/managedDevices/{managedDeviceId}",
+  );
+  assert.equal(device.version, "v1.0");
+  assert.ok(device.methods.includes("PATCH"));
+  assert.ok(
+    device.relatedEndpoints.includes(
+      "POST /deviceManagement/managedDevices/{managedDeviceId}/disable",
+    ),
+  );
+
+  const wipe = matchGraphEndpoint(
+    "post /beta/deviceManagement/managedDevices/$deviceId/wipe",
+  );
+  assert.equal(wipe.method, "POST");
+  assert.equal(
+    wipe.template,
+    "/deviceManagement/managedDevices/{managedDeviceId}/wipe",
+  );
+
+  const wrongMethod = matchGraphEndpoint(
+    "DELETE /deviceManagement/managedDevices",
+  );
+  assert.equal(wrongMethod.exists, false);
+  assert.deepEqual(wrongMethod.suggestions, [
+    "GET /deviceManagement/managedDevices",
+    "POST /deviceManagement/managedDevices",
+  ]);
+
+  const typo = matchGraphEndpoint("/deviceManagement/managedDevicez");
+  assert.equal(typo.exists, false);
+  assert.equal(typo.suggestions[0], "GET /deviceManagement/managedDevices");
+});
+
+test("sample search ranks curated requests by shared intent words", () => {
+  const [first] = findGraphSamples("report Conditional Access policies");
+  assert.equal(first.query, "GET /beta/identity/conditionalAccess/policies");
+  assert.equal(
+    findGraphSamples("list managed devices and their compliance state")[0]
+      .query,
+    "GET /v1.0/deviceManagement/managedDevices?$select=id,deviceName,operatingSystem,complianceState,userPrincipalName",
+  );
+  assert.deepEqual(findGraphSamples("zzz"), []);
+});
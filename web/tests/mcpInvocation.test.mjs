@@ -0,0 +1,156 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import { findScript } from "../src/server/mcp/core.ts";
+import { buildInvocation } from "../src/server/mcp/invocation.ts";
+import { makeScript } from "./fixtures/scriptIndex.mjs";
+
+const script = makeScript({
+  id: "get-stale-devices",
+  path: "scripts/devices/get-stale-devices.ps1",
+  parameters: [
+    { name: "DaysStale", type: "int", mandatory: true, switch: false },
+    {
+      name: "Platform",
+      type: "string",
+      mandatory: false,
+      default: '"All"',
+      switch: false,
+      validValues: ["Windows", "iOS", "All"],
+    },
+    {
+      name: "Areas",
+      type: "string[]",
+      mandatory: false,
+      switch: false,
+    },
+    {
+      name: "ExportJson",
+      type: "string",
+      mandatory: false,
+      switch: false,
+      validValues: ["true", "false"],
+    },
+    { name: "OutputPath", type: "string", mandatory: false, switch: false },
+    { name: "IncludeDetails", type: "switch", mandatory: false, switch: true },
+  ],
+});
+
+test("buildInvocation renders command line, splatting, and runbook parameters", () => {
+  const result = buildInvocation(script, {
+    includedetails: true,
+    DaysStale: "30",
+    Platform: "windows",
+    Areas: ["Apps", "Settings Catalog"],
+    ExportJson: true,
+    OutputPath: "C:\\Reports\\Ugur's",
+  });
+
+  assert.equal(result.ok, true);
+  const { invocation } = result;
+  assert.equal(
+    invocation.commandLine,
+    ".\\get-stale-devices.ps1 -DaysStale 30 -Platform 'Windows' -Areas @('Apps', 'Settings Catalog') -ExportJson 'true' -OutputPath 'C:\\Reports\\Ugur''s' -IncludeDetails",
+  );
+  assert.equal(
+    invocation.splatting,
+    [
+      "$params = @{",
+      "    DaysStale = 30",
+      "    Platform = 'Windows'",
+      "    Areas = @('Apps', 'Settings Catalog')",
+      "    ExportJson = 'true'",
+      "    OutputPath = 'C:\\Reports\\Ugur''s'",
+      "    IncludeDetails = $true",
+      "}",
+      ".\\get-stale-devices.ps1 @params",
+    ].join("\n"),
+  );
+  assert.deepEqual(invocation.runbookParameters, {
+    DaysStale: 30,
+    Platform: "Windows",
+    Areas: ["Apps", "Settings Catalog"],
+    ExportJson: "true",
+    OutputPath: "C:\\Reports\\Ugur's",
+    IncludeDetails: true,
+  });
+  assert.deepEqual(invocation.omitted, []);
+});
+
+test("buildInvocation lists omitted defaults and drops false switches", () => {
+  const result = buildInvocation(script, {
+    DaysStale: 7,
+    IncludeDetails: false,
+    Areas: "Apps",
+  });
+
+  assert.equal(
+    result.invocation.commandLine,
+    ".\\get-stale-devices.ps1 -DaysStale 7 -Areas @('Apps')",
+  );
+  assert.deepEqual(
+    result.invocation.omitted.map((o) => [o.name, o.default]),
+    [
+      ["Platform", '"All"'],
+      ["ExportJson", null],
+      ["OutputPath", null],
+    ],
+  );
+});
+
+test("buildInvocation names every offending parameter", () => {
+  const result = buildInvocation(script, {
+    DaysStale: 1.5,
+    Platfrom: "Windows",
+    ExportJson: "yes",
+    IncludeDetails: "sometimes",
+    OutputPath: ["a", "b"],
+  });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.issues.map((i) => i.parameter),
+    ["DaysStale", "Platfrom", "ExportJson", "IncludeDetails", "OutputPath"],
+  );
+  assert.match(result.issues[0].message, /integer/);
+  assert.match(result.issues[1].message, /Did you mean -Platform\?/);
+  assert.match(result.issues[2].message, /not one of true, false/);
+  assert.match(result.issues[4].message, /single value/);
+
+  const missing = buildInvocation(script, {});
+  assert.deepEqual(missing.issues, [
+    { parameter: "DaysStale", message: "Missing mandatory int parameter." },
+  ]);
+});
+
+test("buildInvocation handles scripts without parameters", () => {
+  const bare = makeScript({ parameters: [] });
+
+  assert.equal(
+    buildInvocation(bare, {}).invocation.splatting,
+    "$params = @{}\n.\\get-device-report.ps1 @params",
+  );
+  assert.match(
+    buildInvocation(bare, { Force: true }).issues[0].message,
+    /takes no parameters/,
+  );
+});
+
+test("committed index carries array types and ValidateSet values", () => {
+  const catalog = JSON.parse(
+    readFileSync(
+      new URL("../../mcp/data/scripts-index.json", import.meta.url),
+      "utf8",
+    ),
+  );
+  const bitlocker = findScript(catalog, "check-bitlocker-keys");
+  const result = buildInvocation(bitlocker, { OnlyShowMissing: true });
+  assert.match(result.invocation.commandLine, /-OnlyShowMissing 'true'$/);
+  assert.equal(buildInvocation(bitlocker, { ExportJson: "maybe" }).ok, false);
+
+  const backup = findScript(catalog, "backup-intune-configuration");
+  const areas = backup.parameters.find((p) => p.name === "Areas");
+  assert.equal(areas.type, "string[]");
+});
@@ -0,0 +1,130 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { mkdir, mkdtemp, rename, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import test from "node:test";
+
+import { createLocalScriptRepository } from "../src/server/mcp/localRepository.ts";
+import { makeIndex, makeScript } from "./fixtures/scriptIndex.mjs";
+
+async function makeCheckout() {
+  const root = await mkdtemp(join(tmpdir(), "intune-mcp-local-"));
+  await mkdir(join(root, "mcp", "data"), { recursive: true });
+  await mkdir(join(root, "scripts", "devices"), { recursive: true });
+  await writeFile(
+    join(root, "mcp", "data", "scripts-index.json"),
+    JSON.stringify(makeIndex([makeScript()])),
+  );
+  await writeFile(
+    join(root, "mcp", "data", "generator-instructions.md"),
+    "# Guide",
+  );
+  await writeFile(
+    join(root, "scripts", "devices", "get-device-report.ps1"),
+    "Write-Output 'v1'",
+  );
+  await mkdir(join(root, "azure-templates"));
+  await writeFile(join(root, "azure-templates", "template.json"), "{}");
+  return root;
+}
+
+// Watch events arrive asynchronously; poll until the edit is visible.
+async function eventually(read, expected) {
+  for (let i = 0; i < 100; i++) {
+    if ((await read()) === expected) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.equal(await read(), expected);
+}
+
+test("local repository serves the index, guide, and sources from a checkout", async (t) => {
+  const root = await makeCheckout();
+  const repository = createLocalScriptRepository(root);
+  t.after(async () => {
+    repository.close();
+    await rm(root, { recursive: true, force: true });
+  });
+
+  const before = Date.now();
+  const { index, source, fetchedAt } = await repository.getIndex();
+  assert.equal(source, "local");
+  assert.ok(Date.parse(fetchedAt) >= before);
+  assert.equal(index.scripts[0].id, "get-device-report");
+  // Unchanged files keep returning the same parsed index object.
+  assert.equal((await repository.getIndex()).index, index);
+
+  const { fetchedAt: guideFetchedAt, ...guide } =
+    await repository.getInstructions();
+  assert.deepEqual(guide, { text: "# Guide", source: "local" });
+  assert.match(guideFetchedAt, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(
+    await repository.getScriptSource(index.scripts[0]),
+    "Write-Output 'v1'",
+  );
+  assert.deepEqual(await repository.getPermissionDescriptions(), {});
+  assert.equal(await repository.getDeployTemplate(index.scripts[0]), "{}");
+
+  await assert.rejects(
+    repository.getScriptSource(makeScript({ path: "../outside.ps1" })),
+    /outside the checkout/,
+  );
+  await assert.rejects(
+    repository.getDeployTemplate(makeScript({ azureDeploy: null })),
+    /no deployment template/,
+  );
+});
+
+test("local repository picks up edits and replaced files without a restart", async (t) => {
+  const root = await makeCheckout();
+  const repository = createLocalScriptRepository(root);
+  t.after(async () => {
+    repository.close();
+    await rm(root, { recursive: true, force: true });
+  });
+  const script = (await repository.getIndex()).index.scripts[0];
+  assert.equal(await repository.getScriptSource(script), "Write-Output 'v1'");
+
+  await writeFile(
+    join(root, "scripts", "devices", "get-device-report.ps1"),
+    "Write-Output 'v2'",
+  );
+  await eventually(
+    () => repository.getScriptSource(script),
+    "Write-Output 'v2'",
+  );
+
+  // Many editors save by writing a temporary file and renaming it over.
+  const indexFile = join(root, "mcp", "data", "scripts-index.json");
+  await writeFile(
+    `${indexFile}.tmp`,
+    JSON.stringify(makeIndex([makeScript({ version: "2.0" })])),
+  );
+  await rename(`${indexFile}.tmp`, indexFile);
+  await eventually(
+    async () => (await repository.getIndex()).index.scripts[0].version,
+    "2.0",
+  );
+});
+
+test("local repository keeps serving the last good index through a bad write", async (t) => {
+  const root = await makeCheckout();
+  const repository = createLocalScriptRepository(root);
+  t.after(async () => {
+    repository.close();
+    await rm(root, { recursive: true, force: true });
+  });
+  const { index } = await repository.getIndex();
+
+  await writeFile(join(root, "mcp", "data", "scripts-index.json"), "{");
+  await eventually(
+    async () => (await repository.getIndex()).source,
+    "local (stale cache)",
+  );
+  assert.equal((await repository.getIndex()).index, index);
+
+  const empty = createLocalScriptRepository(join(root, "missing"));
+  await assert.rejects(empty.getIndex());
+  assert.deepEqual(await empty.getPermissionDescriptions(), {});
+  empty.close();
+});
@@ -0,0 +1,166 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  buildPermissionPlan,
+  coveringScopes,
+  findRunnableScripts,
+  renderGrantCommand,
+  renderGrantScript,
+} from "../src/server/mcp/permissions.ts";
+import {
+  fixturePermissionDescriptions,
+  fixtureScripts,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
+
+test("buildPermissionPlan unions permissions and drops covered read scopes", () => {
+  const plan = buildPermissionPlan(
+    fixtureScripts,
+    fixturePermissionDescriptions,
+  );
+
+  assert.deepEqual(
+    plan.permissions.map((p) => [p.permission, p.scripts, p.coveredBy]),
+    [
+      [
+        "DeviceManagementManagedDevices.Read.All",
+        ["get-device-report", "detect-stale-devices"],
+        "DeviceManagementManagedDevices.ReadWrite.All",
+      ],
+      [
+        "DeviceManagementManagedDevices.ReadWrite.All",
+        ["rotate-bitlocker-keys"],
+        null,
+      ],
+    ],
+  );
+  assert.deepEqual(plan.grant, [
+    "DeviceManagementManagedDevices.ReadWrite.All",
+  ]);
+  assert.equal(
+    plan.permissions[0].displayName,
+    "Read Microsoft Intune devices",
+  );
+  assert.match(
+    plan.warnings.join("\n"),
+    /rotate-bitlocker-keys is not eligible/,
+  );
+});
+
+test("buildPermissionPlan picks the most privileged minimum role", () => {
+  const plan = buildPermissionPlan(
+    [
+      makeScript({ id: "a", minRole: "Global Reader" }),
+      makeScript({
+        id: "b",
+        minRole:
+          "Intune Administrator, Key Vault Secrets Officer (ABAC) or Key Vault Administrator",
+      }),
+      makeScript({ id: "c", minRole: "Intune Service Administrator" }),
+      makeScript({ id: "d", minRole: "" }),
+    ],
+    {},
+  );
+
+  assert.match(plan.minRole, /^Intune Administrator, Key Vault/);
+  assert.deepEqual(
+    plan.roles.map((r) => r.scripts),
+    [["a"], ["b"], ["c"]],
+  );
+  assert.equal(plan.permissions[0].description, null);
+  assert.equal(buildPermissionPlan([], {}).minRole, null);
+});
+
+test("coveringScopes knows ReadWrite includes Read and Read includes ReadBasic", () => {
+  assert.deepEqual(coveringScopes("Group.Read.All"), ["Group.ReadWrite.All"]);
+  assert.deepEqual(coveringScopes("BitlockerKey.ReadBasic.All"), [
+    "BitlockerKey.Read.All",
+    "BitlockerKey.ReadWrite.All",
+  ]);
+  assert.deepEqual(coveringScopes("Mail.Send"), []);
+});
+
+test("grant snippets assign exactly the planned permissions", () => {
+  const plan = buildPermissionPlan(fixtureScripts.slice(0, 2), {});
+
+  assert.equal(
+    renderGrantCommand(plan.grant, "MyAutomation"),
+    '.\\grant-permissions-managed-identity.ps1 -ManagedIdentityDisplayName "MyAutomation" -CustomPermissions @("DeviceManagementManagedDevices.ReadWrite.All")',
+  );
+
+  const script = renderGrantScript(plan, "MyAutomation");
+  assert.match(script, /\$ManagedIdentityDisplayName = "MyAutomation"/);
+  assert.match(script, /"DeviceManagementManagedDevices\.ReadWrite\.All"/);
+  assert.doesNotMatch(script, /"DeviceManagementManagedDevices\.Read\.All"/);
+  assert.match(script, /New-MgServicePrincipalAppRoleAssignment/);
+  assert.match(script, /#   rotate-bitlocker-keys/);
+});
+
+test("findRunnableScripts splits runnable, one-short, and read-scope hints", () => {
+  const scripts = [
+    ...fixtureScripts,
+    makeScript({
+      id: "detect-reboot-pending",
+      permissions: ["DeviceManagementManagedDevices.ReadWrite.All"],
+      graphEndpoints: [],
+      graphMethods: [],
+    }),
+    makeScript({
+      id: "send-report",
+      permissions: ["DeviceManagementManagedDevices.Read.All", "Mail.Send"],
+    }),
+  ];
+  const result = findRunnableScripts(scripts, [
+    "devicemanagementmanageddevices.read.all",
+    "Sites.Read.All",
+  ]);
+
+  assert.deepEqual(
+    result.runnable.map((s) => s.id),
+    ["get-device-report", "detect-stale-devices"],
+  );
+  assert.deepEqual(
+    result.missingOne.map((m) => [m.script.id, m.missing]),
+    [
+      ["rotate-bitlocker-keys", "DeviceManagementManagedDevices.ReadWrite.All"],
+      ["detect-reboot-pending", "DeviceManagementManagedDevices.ReadWrite.All"],
+      ["send-report", "Mail.Send"],
+    ],
+  );
+  // rotate-bitlocker-keys POSTs to Graph, so only the read-only script is hinted.
+  assert.deepEqual(
+    result.readScopeHints.map((h) => [
+      h.script.id,
+      h.readScope,
+      h.readScopeGranted,
+    ]),
+    [
+      [
+        "detect-reboot-pending",
+        "DeviceManagementManagedDevices.Read.All",
+        true,
+      ],
+    ],
+  );
+  assert.deepEqual(result.unusedScopes, ["Sites.Read.All"]);
+});
+
+test("findRunnableScripts lets a ReadWrite grant satisfy Read declarations", () => {
+  const result = findRunnableScripts(fixtureScripts, [
+    "DeviceManagementManagedDevices.ReadWrite.All",
+  ]);
+
+  assert.equal(result.runnable.length, fixtureScripts.length);
+  assert.deepEqual(result.unusedScopes, []);
+
+  const legacy = makeScript({
+    permissions: ["Group.ReadWrite.All"],
+    graphMethods: undefined,
+  });
+  assert.deepEqual(
+    findRunnableScripts([legacy], ["Group.Read.All"]).readScopeHints,
+    [],
+  );
+});
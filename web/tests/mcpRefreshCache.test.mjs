@@ -0,0 +1,140 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { createRefreshCache } from "../src/server/mcp/refreshCache.ts";
+
+const URL = "https://raw.example.com/index.json";
+
+// A scripted upstream: answers 304 when the ETag matches the current version.
+function makeUpstream() {
+  const upstream = { text: "v1", etag: '"1"', fail: false, calls: [] };
+  upstream.fetcher = async (url, etag) => {
+    upstream.calls.push(etag);
+    if (upstream.fail) throw new Error("HTTP 503");
+    if (etag === upstream.etag) return { status: 304 };
+    return { status: 200, text: upstream.text, etag: upstream.etag };
+  };
+  return upstream;
+}
+
+function makeCache(upstream, options = {}) {
+  const clock = { now: 1_000 };
+  const deferred = [];
+  const cache = createRefreshCache({
+    fetcher: upstream.fetcher,
+    maxAgeMs: 600,
+    retryMs: 100,
+    now: () => clock.now,
+    defer: (refresh) => deferred.push(refresh),
+    ...options,
+  });
+  const settle = () => Promise.all(deferred.splice(0));
+  return { cache, clock, settle };
+}
+
+test("refresh cache waits only for the first fetch and shares it", async () => {
+  const upstream = makeUpstream();
+  const { cache } = makeCache(upstream);
+
+  const [a, b] = await Promise.all([cache.get(URL), cache.get(URL)]);
+  assert.deepEqual(a, { text: "v1", fetchedAt: 1_000, stale: false });
+  assert.deepEqual(b, a);
+  assert.deepEqual(upstream.calls, [null]);
+
+  await cache.get(URL);
+  assert.deepEqual(upstream.calls, [null]);
+});
+
+test("refresh cache serves stale text while revalidating with the ETag", async () => {
+  const upstream = makeUpstream();
+  const { cache, clock, settle } = makeCache(upstream);
+  await cache.get(URL);
+
+  clock.now = 2_000;
+  const reads = await Promise.all([cache.get(URL), cache.get(URL)]);
+  assert.deepEqual(
+    reads.map((read) => read.fetchedAt),
+    [1_000, 1_000],
+  );
+  await settle();
+  // One conditional request for both reads; the 304 confirms the copy.
+  assert.deepEqual(upstream.calls, [null, '"1"']);
+  assert.deepEqual(await cache.get(URL), {
+    text: "v1",
+    fetchedAt: 2_000,
+    stale: false,
+  });
+
+  upstream.text = "v2";
+  upstream.etag = '"2"';
+  clock.now = 3_000;
+  assert.equal((await cache.get(URL)).text, "v1");
+  await settle();
+  assert.equal((await cache.get(URL)).text, "v2");
+  assert.deepEqual(upstream.calls, [null, '"1"', '"1"']);
+});
+
+test("refresh cache keeps the last copy through outages and retries later", async () => {
+  const upstream = makeUpstream();
+  const { cache, clock, settle } = makeCache(upstream);
+  await cache.get(URL);
+
+  upstream.fail = true;
+  clock.now = 2_000;
+  await cache.get(URL);
+  await settle();
+  assert.deepEqual(await cache.get(URL), {
+    text: "v1",
+    fetchedAt: 1_000,
+    stale: true,
+  });
+
+  // No new attempt inside the retry interval.
+  clock.now = 2_050;
+  await cache.get(URL);
+  assert.equal(upstream.calls.length, 2);
+
+  upstream.fail = false;
+  clock.now = 2_200;
+  await cache.get(URL);
+  await settle();
+  assert.deepEqual(await cache.get(URL), {
+    text: "v1",
+    fetchedAt: 2_200,
+    stale: false,
+  });
+});
+
+test("refresh cache peek never waits and primes the first fetch", async () => {
+  const upstream = makeUpstream();
+  const { cache, settle } = makeCache(upstream);
+
+  assert.equal(cache.peek(URL), undefined);
+  assert.equal(cache.peek(URL), undefined);
+  await settle();
+  assert.deepEqual(upstream.calls, [null]);
+  assert.equal(cache.peek(URL).text, "v1");
+});
+
+test("refresh cache surfaces first-fetch failures to get but not peek", async () => {
+  const upstream = makeUpstream();
+  upstream.fail = true;
+  const { cache, clock, settle } = makeCache(upstream);
+
+  assert.equal(cache.peek(URL), undefined);
+  await settle();
+  await assert.rejects(cache.get(URL), /HTTP 503/);
+
+  // A failed first fetch backs off like a failed refresh.
+  assert.equal(cache.peek(URL), undefined);
+  await settle();
+  assert.deepEqual(upstream.calls, [null]);
+
+  upstream.fail = false;
+  clock.now += 100;
+  assert.equal(cache.peek(URL), undefined);
+  await settle();
+  assert.deepEqual(upstream.calls, [null, null]);
+  assert.equal(cache.peek(URL).text, "v1");
+});
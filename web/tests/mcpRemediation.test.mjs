@@ -0,0 +1,123 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import { rankScriptHits } from "../src/server/mcp/core.ts";
+import {
+  collapseRemediationPairs,
+  exitCodes,
+  remediationSettings,
+  remediationWarnings,
+  resolveRemediationPair,
+} from "../src/server/mcp/remediation.ts";
+import {
+  fixtureScripts,
+  makeIndex,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
+
+const detection = makeScript({
+  id: "detect-reboot-pending",
+  title: "Reboot Pending Detection Script",
+  category: "remediation",
+  tags: ["Remediation", "Detection"],
+  remediationType: "Detection",
+  pairScript: "remediate-reboot-pending.ps1",
+  notes: "- Runs in SYSTEM context via Intune Remediations",
+  path: "scripts/remediation/reboot-pending/detect-reboot-pending.ps1",
+});
+const remediation = makeScript({
+  id: "remediate-reboot-pending",
+  title: "Reboot Pending Remediation Script",
+  category: "remediation",
+  tags: ["Remediation"],
+  remediationType: "Remediation",
+  pairScript: "detect-reboot-pending.ps1",
+  path: "scripts/remediation/reboot-pending/remediate-reboot-pending.ps1",
+});
+const index = makeIndex([...fixtureScripts, remediation, detection]);
+
+test("resolveRemediationPair accepts either half or the folder name", () => {
+  for (const id of [
+    "detect-reboot-pending",
+    "remediate-reboot-pending.ps1",
+    "Reboot-Pending",
+  ]) {
+    const pair = resolveRemediationPair(index, id);
+    assert.equal(pair.name, "reboot-pending", id);
+    assert.equal(pair.detection, detection, id);
+    assert.equal(pair.remediation, remediation, id);
+  }
+  assert.equal(resolveRemediationPair(index, "get-device-report"), undefined);
+  assert.equal(resolveRemediationPair(index, "missing"), undefined);
+});
+
+test("collapseRemediationPairs lists a pair once at its best rank", () => {
+  const hits = collapseRemediationPairs(
+    rankScriptHits(index.scripts, "reboot pending"),
+    index,
+  );
+
+  assert.deepEqual(
+    hits.map((h) => h.script.id),
+    ["detect-reboot-pending"],
+  );
+  assert.equal(hits[0].remediationPackage.remediation, remediation);
+
+  const browse = collapseRemediationPairs(rankScriptHits(index.scripts), index);
+  assert.equal(browse.length, index.scripts.length - 1);
+  assert.equal(
+    browse.find((h) => h.script.id === "get-device-report").remediationPackage,
+    null,
+  );
+});
+
+test("remediation settings and exit-code checks follow the sources", () => {
+  const settings = remediationSettings(
+    resolveRemediationPair(index, "reboot-pending"),
+  );
+  assert.equal(settings.runAsAccount, "System");
+  assert.equal(settings.runScriptIn64BitPowerShell, true);
+  assert.match(settings.scheduleHint, /^Daily/);
+
+  const userPair = resolveRemediationPair(
+    makeIndex([
+      { ...detection, notes: "Runs in user context", schedule: "Hourly" },
+      remediation,
+    ]),
+    "reboot-pending",
+  );
+  assert.equal(remediationSettings(userPair).runAsAccount, "User");
+  assert.match(remediationSettings(userPair).scheduleHint, /^Hourly/);
+
+  assert.deepEqual(
+    exitCodes(
+      "if ($x) {\n    exit 1\n}\nexit 0\n# exit 5 in a comment\nexit 1",
+    ),
+    [0, 1],
+  );
+  assert.deepEqual(remediationWarnings([0, 1, 2], [0, 1]), []);
+  assert.match(remediationWarnings([0], [0]).join(), /never exits 1/);
+});
+
+test("every committed remediation script belongs to a two-way pair", () => {
+  const catalog = JSON.parse(
+    readFileSync(
+      new URL("../../mcp/data/scripts-index.json", import.meta.url),
+      "utf8",
+    ),
+  );
+  const halves = catalog.scripts.filter((s) => s.remediationType);
+
+  assert.ok(halves.length > 0);
+  for (const script of halves) {
+    const pair = resolveRemediationPair(catalog, script.id);
+    assert.ok(pair, script.id);
+    assert.equal(
+      resolveRemediationPair(catalog, pair.remediation.id).detection,
+      pair.detection,
+      script.id,
+    );
+  }
+});
@@ -2,6 +2,8 @@
 import assert from "node:assert/strict";
 import test from "node:test";
 
+import { hashApiKey, parseApiKeys } from "../src/server/mcp/apiKeys.ts";
+import { createRedisRateLimitStore } from "../src/server/mcp/rateLimitStore.ts";
 import { createGuardedMcpHandler } from "../src/server/mcp/requestGuards.ts";
 
 const okHandler = async () =>
@@ -88,6 +90,275 @@ test("guard rate limits per client IP and sets Retry-After", async () => {
   assert.equal((await guarded(from("10.0.0.1"))).status, 200);
 });
 
+const toolCall = (ip, name, args = {}) =>
+  post(
+    { "x-forwarded-for": ip },
+    JSON.stringify({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "tools/call",
+      params: { name, arguments: args },
+    }),
+  );
+
+// In-memory stand-in for the two Upstash commands the shared store uses.
+function fakeRedis() {
+  const values = new Map();
+  return {
+    values,
+    async incrby(key, increment) {
+      values.set(key, (values.get(key) ?? 0) + increment);
+      return values.get(key);
+    },
+    async pexpire() {
+      return 1;
+    },
+  };
+}
+
+test("guard weighs tool calls by cost", async () => {
+  const guarded = createGuardedMcpHandler(okHandler, {
+    requestsPerMinute: 6,
+    now: () => 2_000_000,
+  });
+
+  // get_script at the default chunk size costs 3; catalog listings cost 1.
+  assert.equal((await guarded(toolCall("10.0.1.1", "get_script"))).status, 200);
+  assert.equal((await guarded(toolCall("10.0.1.1", "get_script"))).status, 200);
+  assert.equal(
+    (await guarded(toolCall("10.0.1.1", "list_script_catalog"))).status,
+    429,
+  );
+
+  for (let i = 0; i < 6; i++) {
+    assert.equal(
+      (await guarded(toolCall("10.0.1.2", "list_script_catalog"))).status,
+      200,
+    );
+  }
+  assert.equal(
+    (
+      await guarded(
+        toolCall("10.0.1.3", "get_script", { maxCharacters: 30_000 }),
+      )
+    ).status,
+    200,
+  );
+  // The largest chunk costs 4, leaving room for two more plain calls.
+  for (const status of [200, 200, 429]) {
+    assert.equal(
+      (await guarded(toolCall("10.0.1.3", "search_scripts"))).status,
+      status,
+    );
+  }
+});
+
+test("guard never lets one batch entry offset the cost of the others", async () => {
+  const guarded = createGuardedMcpHandler(okHandler, {
+    requestsPerMinute: 8,
+    now: () => 2_500_000,
+  });
+  const call = (id, name, args = {}) => ({
+    jsonrpc: "2.0",
+    id,
+    method: "tools/call",
+    params: { name, arguments: args },
+  });
+  const batch = JSON.stringify([
+    call(1, "get_script", { maxCharacters: -1_000_000 }),
+    call(2, "lint_script"),
+    call(3, "lint_script"),
+    call(4, "check_script_drift"),
+  ]);
+
+  // A negative chunk size is priced at the default (3), not -99, so the
+  // batch costs 3 + 2 + 2 + 4 = 11 against a limit of 8.
+  const limited = await guarded(post({ "x-forwarded-for": "10.0.1.9" }, batch));
+  assert.equal(limited.status, 429);
+
+  const nonFinite = JSON.stringify([
+    call(1, "get_script", { maxCharacters: "Infinity" }),
+    call(2, "lint_script"),
+  ]);
+  assert.equal(
+    (await guarded(post({ "x-forwarded-for": "10.0.1.10" }, nonFinite))).status,
+    200,
+  );
+});
+
+test("guard prices listen streams and caps how many a client holds", async () => {
+  // Each stream stays open until its reader cancels it.
+  const streamHandler = async () =>
+    new Response(new ReadableStream({ pull() {} }), {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  const listen = (ip) =>
+    post(
+      { "x-forwarded-for": ip },
+      JSON.stringify({ jsonrpc: "2.0", id: 1, method: "subscriptions/listen" }),
+    );
+
+  const priced = createGuardedMcpHandler(streamHandler, {
+    requestsPerMinute: 20,
+    now: () => 2_750_000,
+  });
+  for (const status of [200, 200, 429]) {
+    const response = await priced(listen("10.0.2.1"));
+    assert.equal(response.status, status);
+    await response.body?.cancel();
+  }
+
+  const capped = createGuardedMcpHandler(streamHandler, {
+    requestsPerMinute: 1_000,
+    now: () => 2_750_000,
+  });
+  const open = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await capped(listen("10.0.2.2"));
+    assert.equal(response.status, 200);
+    open.push(response);
+  }
+  const refused = await capped(listen("10.0.2.2"));
+  assert.equal(refused.status, 429);
+  assert.match((await refused.json()).error.message, /subscription streams/);
+  assert.equal((await capped(listen("10.0.2.3"))).status, 200);
+
+  await open[0].body.cancel();
+  assert.equal((await capped(listen("10.0.2.2"))).status, 200);
+});
+
+test("guard shares limits across instances through the store", async () => {
+  const redis = fakeRedis();
+  const options = {
+    requestsPerMinute: 2,
+    now: () => 3_000_000,
+    store: createRedisRateLimitStore(redis),
+  };
+  const first = createGuardedMcpHandler(okHandler, options);
+  const second = createGuardedMcpHandler(okHandler, options);
+  const from = () => post({ "x-forwarded-for": "10.0.2.1" });
+
+  assert.equal((await first(from())).status, 200);
+  assert.equal((await second(from())).status, 200);
+  const limited = await first(from());
+  assert.equal(limited.status, 429);
+  // Windows are clock-aligned: 3_000_000 ms is the start of a minute.
+  assert.equal(limited.headers.get("Retry-After"), "60");
+
+  const [key] = redis.values.keys();
+  assert.match(key, /^mcp:rl:[0-9a-f]{32}:50$/);
+  assert.doesNotMatch(key, /10\.0\.2\.1/);
+});
+
+test("guard falls back to per-instance limits when the store fails", async () => {
+  const guarded = createGuardedMcpHandler(okHandler, {
+    requestsPerMinute: 1,
+    now: () => 4_000_000,
+    store: {
+      async hit() {
+        throw new Error("redis down");
+      },
+    },
+  });
+
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args.join(" "));
+  try {
+    const from = () => post({ "x-forwarded-for": "10.0.3.1" });
+    assert.equal((await guarded(from())).status, 200);
+    assert.equal((await guarded(from())).status, 429);
+  } finally {
+    console.error = originalError;
+  }
+  assert.match(logged[0], /rate limit store failed/);
+});
+
+test("parseApiKeys reads hashed entries and skips malformed ones", () => {
+  const hash = hashApiKey("secret-key");
+  const invalid = [];
+
+  assert.deepEqual(
+    parseApiKeys(
+      `ci:${hash}:1200:50000, partner:${hash.toUpperCase()}::100,bad:123,ci:${hash},x:${hash}:0`,
+      (name) => invalid.push(name),
+    ),
+    [
+      { name: "ci", hash, requestsPerMinute: 1200, unitsPerDay: 50000 },
+      { name: "partner", hash, requestsPerMinute: 600, unitsPerDay: 100 },
+    ],
+  );
+  assert.deepEqual(invalid, ["bad", "ci", "x"]);
+});
+
+test("guard limits keyed clients per key and rejects unknown keys", async () => {
+  const apiKeys = parseApiKeys(
+    `ci:${hashApiKey("ci-secret")}:3:4,open:${hashApiKey("open-secret")}`,
+  );
+  const guarded = createGuardedMcpHandler(okHandler, {
+    requestsPerMinute: 1,
+    now: () => 5_000_000,
+    apiKeys,
+  });
+  const keyed = (ip, key) =>
+    post({ "x-forwarded-for": ip, Authorization: `Bearer ${key}` });
+
+  // Anonymous access keeps the per-IP default.
+  assert.equal(
+    (await guarded(post({ "x-forwarded-for": "10.0.4.1" }))).status,
+    200,
+  );
+  assert.equal(
+    (await guarded(post({ "x-forwarded-for": "10.0.4.1" }))).status,
+    429,
+  );
+
+  // The key's quota applies across IPs and usage is reported.
+  const first = await guarded(keyed("10.0.4.1", "ci-secret"));
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("X-MCP-Key-Usage"), "1");
+  assert.equal(first.headers.get("X-MCP-Key-Quota"), "4");
+  assert.equal((await guarded(keyed("10.0.4.2", "ci-secret"))).status, 200);
+  assert.equal((await guarded(keyed("10.0.4.3", "ci-secret"))).status, 200);
+  assert.equal((await guarded(keyed("10.0.4.3", "ci-secret"))).status, 429);
+
+  const open = await guarded(keyed("10.0.4.1", "open-secret"));
+  assert.equal(open.status, 200);
+  assert.equal(open.headers.get("X-MCP-Key-Quota"), null);
+
+  for (const authorization of ["Bearer wrong", "Basic abc", "Bearer"]) {
+    const rejected = await guarded(
+      post({ "x-forwarded-for": "10.0.4.9", Authorization: authorization }),
+    );
+    assert.equal(rejected.status, 401);
+    assert.match(rejected.headers.get("WWW-Authenticate"), /invalid_token/);
+    const body = await rejected.json();
+    assert.equal(body.jsonrpc, "2.0");
+    assert.match(body.error.message, /API key is not valid/);
+  }
+});
+
+test("guard enforces a key's daily quota", async () => {
+  let clock = 86_400_000 * 100;
+  const guarded = createGuardedMcpHandler(okHandler, {
+    now: () => clock,
+    store: createRedisRateLimitStore(fakeRedis()),
+    apiKeys: parseApiKeys(`nightly:${hashApiKey("nightly")}::2`),
+  });
+  const keyed = () => post({ Authorization: "Bearer nightly" });
+
+  assert.equal((await guarded(keyed())).status, 200);
+  assert.equal((await guarded(keyed())).status, 200);
+  const over = await guarded(keyed());
+  assert.equal(over.status, 429);
+  assert.match((await over.json()).error.message, /daily quota/);
+  assert.equal(over.headers.get("Retry-After"), "86400");
+
+  clock += 86_400_000;
+  assert.equal((await guarded(keyed())).status, 200);
+});
+
 test("guard rejects oversized bodies via header and via stream", async () => {
   const guarded = createGuardedMcpHandler(okHandler, { maxBodyBytes: 64 });
 
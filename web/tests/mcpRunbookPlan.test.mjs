@@ -0,0 +1,63 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  buildRunbookPlan,
+  parseDeployTemplate,
+} from "../src/server/mcp/runbookPlan.ts";
+import {
+  fixtureDeployTemplate,
+  fixturePermissionDescriptions,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
+
+test("deployment templates yield parameters, runtime, and modules", () => {
+  const template = parseDeployTemplate(fixtureDeployTemplate);
+  assert.equal(template.runtime, "PowerShell 7.4");
+  // The package version resolves through the outer parameter's default.
+  assert.deepEqual(template.modules, [
+    { name: "Az", version: "12.3.0" },
+    { name: "Microsoft.Graph.Authentication", version: "2.38.1" },
+  ]);
+  assert.deepEqual(
+    template.parameters.map((p) => [p.name, p.defaultValue]),
+    [
+      ["automationAccountName", null],
+      ["createAutomationAccount", false],
+      ["graphAuthenticationModuleVersion", "2.38.1"],
+    ],
+  );
+});
+
+test("runbook plans reuse one account and report unusable templates", () => {
+  const first = makeScript({ id: "first", schedule: "Weekly" });
+  const second = makeScript({ id: "second", schedule: "" });
+  const manual = makeScript({ id: "manual", azureDeploy: null });
+  const plan = buildRunbookPlan(
+    [first, second, manual],
+    new Map([
+      ["first", fixtureDeployTemplate],
+      ["second", new Error("unavailable")],
+    ]),
+    fixturePermissionDescriptions,
+    "aa-intune",
+  );
+
+  assert.equal(plan.scripts[0].template.runtime, "PowerShell 7.4");
+  assert.equal(plan.scripts[1].template, null);
+  assert.equal(plan.scripts[1].schedule, null);
+  assert.deepEqual(plan.warnings, [
+    "The deployment template of second could not be fetched; its parameters and modules are missing.",
+    "manual has no one-click deployment; import its source as a PowerShell 7.4 runbook by hand.",
+  ]);
+  assert.match(plan.steps[0], /set createAutomationAccount true/);
+  assert.match(plan.steps[1], /leave createAutomationAccount false/);
+  assert.match(plan.steps[2], /^Import .* named manual/);
+  assert.match(plan.steps[3], /^Grant the managed identity/);
+  assert.match(plan.steps[4], /build_script_invocation/);
+  assert.deepEqual(plan.steps.slice(5), [
+    "Link first to a weekly schedule in 'aa-intune'.",
+    "Link manual to a daily schedule in 'aa-intune'.",
+  ]);
+});
@@ -2,8 +2,15 @@
 import assert from "node:assert/strict";
 import test from "node:test";
 
+import { createFederatedRepository } from "../src/server/mcp/federation.ts";
 import { createIntuneMcpHandler } from "../src/server/mcp/intuneServer.ts";
-import { makeRepository } from "./fixtures/scriptIndex.mjs";
+import { hashClient } from "../src/server/mcp/telemetry.ts";
+import {
+  fixtureScripts,
+  makeIndex,
+  makeRepository,
+  makeScript,
+} from "./fixtures/scriptIndex.mjs";
 
 async function sendJsonRpc(handler, message) {
   const response = await handler(
@@ -62,7 +69,7 @@ test("MCP server initializes as a stateless IntuneAutomation server", async () =
   );
 });
 
-test("MCP server advertises the five bounded read-only tools", async () => {
+test("MCP server advertises its bounded read-only tools", async () => {
   const { repository } = makeRepository();
   const handler = createIntuneMcpHandler(repository);
   const response = await sendJsonRpc(handler, {
@@ -74,10 +81,21 @@ test("MCP server advertises the five bounded read-only tools", async () => {
   const tools = response.result.tools;
 
   assert.deepEqual(tools.map((tool) => tool.name).sort(), [
+    "build_script_invocation",
+    "check_script_drift",
+    "find_runnable_scripts",
+    "find_similar_scripts",
+    "get_remediation_package",
     "get_script",
     "get_script_authoring_guide",
+    "get_script_changes",
     "get_script_metadata",
+    "lint_script",
     "list_script_catalog",
+    "lookup_graph_permission",
+    "match_graph_endpoint",
+    "plan_runbook_deployment",
+    "plan_script_permissions",
     "search_scripts",
   ]);
   for (const tool of tools) {
@@ -127,6 +145,14 @@ test("search_scripts ranks, filters, paginates, and browses without a query", as
     category: "security",
   });
   assert.equal(filtered.result.structuredContent.matched, 1);
+  const aliased = await callTool(handler, "search_scripts", {
+    query: "proactive remediation",
+  });
+  const [hit] = aliased.result.structuredContent.scripts;
+  assert.equal(hit.id, "detect-stale-devices");
+  assert.deepEqual(hit.matchedSynonyms, [
+    { alias: "proactive remediation", expandedTo: "remediation" },
+  ]);
 });
 
 test("get_script_metadata returns runbook and azureDeploy details", async () => {
@@ -196,6 +222,439 @@ test("get_script_authoring_guide returns the guide, date, and similar scripts",
   assert.equal(result.similarScripts[0].id, "rotate-bitlocker-keys");
 });
 
+test("tool results report how fresh the catalog data is", async () => {
+  const fetchedAt = "2026-08-18T06:00:00.000Z";
+  const { repository } = makeRepository({ fetchedAt });
+  const handler = createIntuneMcpHandler(repository);
+
+  const search = await callTool(handler, "search_scripts", { query: "device" });
+  assert.deepEqual(search.result.structuredContent.freshness, {
+    indexGenerated: "2026-08-18T00:00:00Z",
+    fetchedAt,
+    source: "github",
+  });
+
+  const guide = await callTool(handler, "get_script_authoring_guide", {});
+  assert.deepEqual(guide.result.structuredContent.freshness, {
+    indexGenerated: null,
+    fetchedAt,
+    source: "github",
+  });
+
+  const bundled = createIntuneMcpHandler(
+    makeRepository({ source: "bundled" }).repository,
+  );
+  const metadata = await callTool(bundled, "get_script_metadata", {
+    id: "get-device-report",
+  });
+  assert.deepEqual(metadata.result.structuredContent.freshness, {
+    indexGenerated: "2026-08-18T00:00:00Z",
+    fetchedAt: null,
+    source: "bundled",
+  });
+});
+
+test("find_similar_scripts ranks by content for an id or a task", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const byId = await callTool(handler, "find_similar_scripts", {
+    id: "get-device-report",
+  });
+  const result = byId.result.structuredContent;
+  assert.equal(result.id, "get-device-report");
+  assert.ok(result.scripts.length > 0);
+  assert.ok(!result.scripts.some((s) => s.id === "get-device-report"));
+  assert.ok(result.scripts[0].score > 0 && result.scripts[0].score <= 1);
+
+  const byText = await callTool(handler, "find_similar_scripts", {
+    text: "I want to rotate the recovery keys on our laptops",
+  });
+  assert.equal(
+    byText.result.structuredContent.scripts[0].id,
+    "rotate-bitlocker-keys",
+  );
+
+  const neither = await callTool(handler, "find_similar_scripts", {});
+  assert.equal(neither.result.isError, true);
+
+  const unknown = await callTool(handler, "find_similar_scripts", {
+    id: "missing-script",
+  });
+  assert.match(unknown.result.content[0].text, /no script with id/i);
+});
+
+test("plan_script_permissions combines scripts into one grant", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "plan_script_permissions", {
+    ids: ["get-device-report", "rotate-bitlocker-keys", "get-device-report"],
+    identityName: "Intune Automation",
+  });
+  const plan = response.result.structuredContent;
+
+  assert.deepEqual(
+    plan.scripts.map((s) => s.id),
+    ["get-device-report", "rotate-bitlocker-keys"],
+  );
+  assert.deepEqual(plan.grant, [
+    "DeviceManagementManagedDevices.ReadWrite.All",
+  ]);
+  assert.equal(plan.minRole, "Intune Administrator");
+  assert.match(
+    plan.grantCommand,
+    /-ManagedIdentityDisplayName "Intune Automation"/,
+  );
+  assert.match(plan.grantScript, /New-MgServicePrincipalAppRoleAssignment/);
+
+  const unknown = await callTool(handler, "plan_script_permissions", {
+    ids: ["get-device-report", "missing-script"],
+  });
+  assert.match(unknown.result.content[0].text, /'missing-script'/);
+
+  const injected = await callTool(handler, "plan_script_permissions", {
+    ids: ["get-device-report"],
+    identityName: 'x"; Remove-Item',
+  });
+  assert.equal(injected.result.isError, true);
+});
+
+test("plan_runbook_deployment reads templates and orders the deployment", async () => {
+  const { calls, repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "plan_runbook_deployment", {
+    ids: ["get-device-report", "rotate-bitlocker-keys"],
+    automationAccountName: "aa-intune",
+  });
+  const plan = response.result.structuredContent;
+
+  assert.deepEqual(calls.getDeployTemplate, ["get-device-report"]);
+  const [report, bitlocker] = plan.scripts;
+  assert.equal(report.eligible, true);
+  assert.equal(report.runtime, "PowerShell 7.4");
+  assert.equal(report.schedule, "Daily");
+  assert.deepEqual(report.modules, [
+    { name: "Az", version: "12.3.0" },
+    { name: "Microsoft.Graph.Authentication", version: "2.38.1" },
+  ]);
+  assert.ok(
+    report.templateParameters.some((p) => p.name === "createAutomationAccount"),
+  );
+  assert.equal(bitlocker.eligible, false);
+  assert.equal(bitlocker.reason, "Local-only interactive script");
+
+  assert.deepEqual(plan.grant, ["DeviceManagementManagedDevices.Read.All"]);
+  assert.match(plan.grantCommand, /-ManagedIdentityDisplayName "aa-intune"/);
+  assert.match(plan.steps[0], /^Deploy get-device-report from https:/);
+  assert.match(plan.steps[1], /^Grant the managed identity of 'aa-intune'/);
+  assert.match(plan.steps.at(-1), /daily schedule/);
+
+  const unknown = await callTool(handler, "plan_runbook_deployment", {
+    ids: ["missing-script"],
+  });
+  assert.match(unknown.result.content[0].text, /'missing-script'/);
+});
+
+test("find_runnable_scripts reports what granted scopes can run", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "find_runnable_scripts", {
+    scopes: ["DeviceManagementManagedDevices.Read.All"],
+  });
+  const result = response.result.structuredContent;
+
+  assert.deepEqual(
+    result.runnable.map((s) => s.id),
+    ["get-device-report", "detect-stale-devices"],
+  );
+  assert.deepEqual(result.missingOne, [
+    {
+      id: "rotate-bitlocker-keys",
+      title: "Rotate BitLocker Keys",
+      category: "security",
+      permissions: ["DeviceManagementManagedDevices.ReadWrite.All"],
+      missing: "DeviceManagementManagedDevices.ReadWrite.All",
+    },
+  ]);
+  assert.deepEqual(result.readScopeHints, []);
+});
+
+test("build_script_invocation validates parameters and renders commands", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "build_script_invocation", {
+    id: "get-device-report",
+    parameters: { OutputPath: "C:\\Reports\\devices.csv" },
+  });
+  const result = response.result.structuredContent;
+  assert.equal(
+    result.commandLine,
+    ".\\get-device-report.ps1 -OutputPath 'C:\\Reports\\devices.csv'",
+  );
+  assert.deepEqual(result.runbookParameters, {
+    OutputPath: "C:\\Reports\\devices.csv",
+  });
+
+  const invalid = await callTool(handler, "build_script_invocation", {
+    id: "get-device-report",
+    parameters: { OutputPth: "x" },
+  });
+  assert.equal(invalid.result.isError, true);
+  assert.match(
+    invalid.result.content[0].text,
+    /OutputPth: Unknown parameter\. Did you mean -OutputPath\?/,
+  );
+});
+
+test("remediation pairs collapse in search and resolve as one package", async () => {
+  const pair = {
+    category: "remediation",
+    platform: "Windows",
+    notes: "Runs in SYSTEM context",
+    runbook: {
+      eligible: false,
+      runtime: "",
+      exclusionReason: "Intune remediation endpoint script",
+    },
+  };
+  const { repository, calls } = makeRepository({
+    index: makeIndex([
+      ...fixtureScripts,
+      makeScript({
+        ...pair,
+        id: "detect-disk-cleanup-needed",
+        title: "Disk Cleanup Detection",
+        remediationType: "Detection",
+        pairScript: "remediate-disk-cleanup.ps1",
+        path: "scripts/remediation/disk-cleanup/detect-disk-cleanup-needed.ps1",
+      }),
+      makeScript({
+        ...pair,
+        id: "remediate-disk-cleanup",
+        title: "Disk Cleanup Remediation",
+        remediationType: "Remediation",
+        pairScript: "detect-disk-cleanup-needed.ps1",
+        path: "scripts/remediation/disk-cleanup/remediate-disk-cleanup.ps1",
+      }),
+    ]),
+    scriptSource: "try {\n    exit 1\n}\ncatch {\n    exit 2\n}\nexit 0",
+  });
+  const handler = createIntuneMcpHandler(repository);
+
+  const search = await callTool(handler, "search_scripts", {
+    query: "disk cleanup",
+  });
+  assert.deepEqual(
+    search.result.structuredContent.scripts.map((s) => s.id),
+    ["detect-disk-cleanup-needed"],
+  );
+  assert.deepEqual(
+    search.result.structuredContent.scripts[0].remediationPackage,
+    {
+      name: "disk-cleanup",
+      detectionId: "detect-disk-cleanup-needed",
+      remediationId: "remediate-disk-cleanup",
+    },
+  );
+
+  const response = await callTool(handler, "get_remediation_package", {
+    id: "disk-cleanup",
+  });
+  const result = response.result.structuredContent;
+  assert.equal(result.detection.script.id, "detect-disk-cleanup-needed");
+  assert.equal(result.remediation.script.id, "remediate-disk-cleanup");
+  assert.deepEqual(result.detection.exitCodes, [0, 1, 2]);
+  assert.equal(result.settings.runAsAccount, "System");
+  assert.ok(result.exitCodeContract.length > 0);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(calls.getScriptSource.sort(), [
+    "detect-disk-cleanup-needed",
+    "remediate-disk-cleanup",
+  ]);
+
+  const standalone = await callTool(handler, "get_remediation_package", {
+    id: "get-device-report",
+  });
+  assert.match(
+    standalone.result.content[0].text,
+    /not part of a detection\/remediation pair/,
+  );
+});
+
+test("get_script_changes lists entries since a version and flags breaking ones", async () => {
+  const script = makeScript({
+    id: "send-device-alert",
+    version: "1.3",
+    lastUpdate: "2026-07-30",
+    permissions: ["Mail.Send"],
+    changelog: [
+      { version: "1.3", changes: ["Declare Mail.Send for alert email"] },
+      { version: "1.2", changes: ["Paced report calls"] },
+      { version: "1.1", changes: ["Initial release"] },
+    ],
+  });
+  const { repository } = makeRepository({
+    index: makeIndex([...fixtureScripts, script]),
+  });
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "get_script_changes", {
+    id: "send-device-alert",
+    sinceVersion: "v1.1",
+  });
+  const result = response.result.structuredContent;
+  assert.equal(result.since.version, "1.1");
+  assert.equal(result.upToDate, false);
+  assert.deepEqual(
+    result.entries.map((e) => [e.version, e.breaking]),
+    [
+      ["1.3", ["Requires the Mail.Send permission"]],
+      ["1.2", []],
+    ],
+  );
+  assert.equal(result.entries[0].date, "2026-07-30");
+  assert.equal(result.breaking, true);
+
+  const current = await callTool(handler, "get_script_changes", {
+    id: "send-device-alert",
+    sinceDate: "2026-08-01",
+  });
+  assert.equal(current.result.structuredContent.upToDate, true);
+  assert.deepEqual(current.result.structuredContent.entries, []);
+
+  const both = await callTool(handler, "get_script_changes", {
+    id: "send-device-alert",
+    sinceVersion: "1.1",
+    sinceDate: "2026-08-01",
+  });
+  assert.equal(both.result.isError, true);
+  assert.match(both.result.content[0].text, /exactly one/);
+});
+
+test("check_script_drift identifies a copy and diffs it against the catalog", async () => {
+  const catalogSource =
+    "<#\n.TITLE\nGet Device Report\n.VERSION\n1.0\n#>\nparam()\nWrite-Output 'ok'\n";
+  const { repository, calls } = makeRepository({ scriptSource: catalogSource });
+  const handler = createIntuneMcpHandler(repository);
+
+  const response = await callTool(handler, "check_script_drift", {
+    content: catalogSource.replace("'ok'", "'changed'"),
+  });
+  const result = response.result.structuredContent;
+  assert.equal(result.id, "get-device-report");
+  assert.equal(result.matchedBy, "title");
+  assert.equal(result.version.status, "current");
+  assert.equal(result.identical, false);
+  assert.match(result.diff, /^-Write-Output 'ok'\n\+Write-Output 'changed'$/m);
+  assert.deepEqual(calls.getScriptSource, ["get-device-report"]);
+
+  const same = await callTool(handler, "check_script_drift", {
+    content: catalogSource.replaceAll("\n", "\r\n"),
+  });
+  assert.equal(same.result.structuredContent.identical, true);
+  assert.equal(same.result.structuredContent.diff, "");
+
+  repository.getScriptSource = async () => {
+    throw new Error("raw.githubusercontent.com unreachable");
+  };
+  const offline = await callTool(handler, "check_script_drift", {
+    content: "Write-Output 'ok'",
+    id: "get-device-report",
+  });
+  const metadataOnly = offline.result.structuredContent;
+  assert.equal(metadataOnly.sourceAvailable, false);
+  assert.equal(metadataOnly.diff, null);
+  assert.deepEqual(metadataOnly.permissions.onlyInCatalog, [
+    "DeviceManagementManagedDevices.Read.All",
+  ]);
+  assert.equal(metadataOnly.warnings.length, 2);
+
+  const unknown = await callTool(handler, "check_script_drift", {
+    content: "Write-Output 'ok'",
+  });
+  assert.equal(unknown.result.isError, true);
+  assert.match(unknown.result.content[0].text, /Pass id explicitly/);
+
+  const oversized = await callTool(handler, "check_script_drift", {
+    content: "#".repeat(48_001),
+    id: "get-device-report",
+  });
+  assert.equal(oversized.result.isError, true);
+});
+
+test("lint_script reports generator findings with line numbers", async () => {
+  const { repository, calls } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+  const script = [
+    "<#",
+    ".TITLE",
+    "    Export Devices",
+    ".PERMISSIONS",
+    "    DeviceManagementManagedDevices.Read.All, Devices.Read.Everything",
+    "#>",
+    "param()",
+    "# Comments and the help block keep their lines.",
+    '$devices = Invoke-MgGraphRequest -Uri "https://graph.microsoft.com/beta/deviceManagement/managedDevices" -Method GET',
+    "iex $command",
+    "",
+  ].join("\n");
+
+  const response = await callTool(handler, "lint_script", { content: script });
+  const result = response.result.structuredContent;
+  const byId = Object.fromEntries(result.findings.map((f) => [f.id, f]));
+  assert.equal(byId["metadata-missing"].severity, "fail");
+  assert.equal(byId["metadata-missing"].line, undefined);
+  assert.equal(byId["permissions-unknown"].line, 5);
+  assert.match(
+    byId["permissions-unknown"].message,
+    /Devices\.Read\.Everything/,
+  );
+  assert.equal(byId["invoke-expression"].line, 10);
+  assert.equal(byId["graph-endpoints-valid"].severity, "pass");
+  assert.equal(
+    result.failCount,
+    result.findings.filter((f) => f.severity === "fail").length,
+  );
+  assert.equal(result.hardReject, null);
+  assert.match(result.graphDataGenerated, /^\d{4}-\d{2}-\d{2}T/);
+  assert.equal(calls.getIndex, 0);
+
+  const prose = await callTool(handler, "lint_script", {
+    content: "Sure! Here is a script that exports your devices to CSV.",
+  });
+  assert.match(prose.result.structuredContent.hardReject.reason, /too short/);
+
+  // Anything longer couldn't fit under the 64 KB request body limit.
+  const oversized = await callTool(handler, "lint_script", {
+    content: script.padEnd(48_001, "#"),
+  });
+  assert.equal(oversized.result.isError, true);
+});
+
+test("Graph reference tools check scopes and endpoints", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const scope = await callTool(handler, "lookup_graph_permission", {
+    scope: "DeviceManagementManagedDevices.ReadWrite.All",
+  });
+  assert.equal(scope.result.structuredContent.exists, true);
+  assert.match(scope.result.structuredContent.graphDataGenerated, /^\d{4}-/);
+
+  const endpoint = await callTool(handler, "match_graph_endpoint", {
+    endpoint: "GET /beta/deviceManagement/managedDevices",
+  });
+  assert.equal(
+    endpoint.result.structuredContent.template,
+    "/deviceManagement/managedDevices",
+  );
+  assert.equal(endpoint.result.structuredContent.version, "beta");
+});
+
 test("list_script_catalog aggregates values and honors search", async () => {
   const { repository } = makeRepository();
   const handler = createIntuneMcpHandler(repository);
@@ -214,6 +673,125 @@ test("list_script_catalog aggregates values and honors search", async () => {
   ]);
 });
 
+test("search_scripts and list_script_catalog filter federated sources", async () => {
+  const internal = makeRepository({
+    index: makeIndex([makeScript({ title: "Internal Device Report" })]),
+    source: "local",
+  });
+  const handler = createIntuneMcpHandler(
+    createFederatedRepository([
+      { name: "intuneautomation", repository: makeRepository().repository },
+      { name: "internal", repository: internal.repository },
+    ]),
+  );
+
+  const search = await callTool(handler, "search_scripts", {
+    query: "device report",
+    source: "internal",
+  });
+  const hit = search.result.structuredContent.scripts[0];
+  assert.equal(search.result.structuredContent.matched, 1);
+  assert.equal(hit.id, "internal:get-device-report");
+  assert.equal(hit.source, "internal");
+  assert.equal(hit.catalogSource, "local");
+
+  const metadata = await callTool(handler, "get_script_metadata", {
+    id: "internal:get-device-report",
+  });
+  assert.equal(
+    metadata.result.structuredContent.script.title,
+    "Internal Device Report",
+  );
+
+  const sources = await callTool(handler, "list_script_catalog", {
+    kind: "sources",
+  });
+  assert.deepEqual(sources.result.structuredContent.items, [
+    { value: "intuneautomation", count: 3 },
+    { value: "internal", count: 1 },
+  ]);
+  const categories = await callTool(handler, "list_script_catalog", {
+    kind: "categories",
+    source: "internal",
+  });
+  assert.deepEqual(categories.result.structuredContent.items, [
+    { value: "devices", count: 1 },
+  ]);
+});
+
+test("MCP tool calls are recorded with hashed clients and result counts", async () => {
+  const events = [];
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository, {
+    telemetry: {
+      record: (event) => events.push(event),
+      client: (ip) => hashClient(ip, "test-secret", "2026-09-10"),
+    },
+  });
+  const callFrom = (name, args) =>
+    handler(
+      new Request("http://localhost:3000/mcp", {
+        method: "POST",
+        headers: {
+          Accept: "application/json, text/event-stream",
+          "Content-Type": "application/json",
+          "MCP-Protocol-Version": "2025-06-18",
+          "x-forwarded-for": "203.0.113.7",
+        },
+        body: JSON.stringify({
+          jsonrpc: "2.0",
+          id: 1,
+          method: "tools/call",
+          params: { name, arguments: args },
+        }),
+      }),
+    ).then((response) => response.text());
+
+  await callFrom("search_scripts", { query: "  printer   queue " });
+  await callFrom("get_script_metadata", { id: "missing-script" });
+  await callFrom("list_script_catalog", { kind: "tags" });
+
+  assert.deepEqual(
+    events.map(({ tool, ok, resultCount, query, scriptId, catalogSource }) => ({
+      tool,
+      ok,
+      resultCount,
+      query,
+      scriptId,
+      catalogSource,
+    })),
+    [
+      {
+        tool: "search_scripts",
+        ok: true,
+        resultCount: 0,
+        query: "printer queue",
+        scriptId: null,
+        catalogSource: "github",
+      },
+      {
+        tool: "get_script_metadata",
+        ok: false,
+        resultCount: null,
+        query: null,
+        scriptId: "missing-script",
+        catalogSource: null,
+      },
+      {
+        tool: "list_script_catalog",
+        ok: true,
+        resultCount: 5,
+        query: null,
+        scriptId: null,
+        catalogSource: "github",
+      },
+    ],
+  );
+  assert.match(events[0].client, /^[0-9a-f]{16}$/);
+  assert.doesNotMatch(JSON.stringify(events), /203\.0\.113\.7/);
+  assert.ok(events.every((e) => e.latencyMs >= 0));
+});
+
 test("MCP server exposes prompts and resources for the catalog", async () => {
   const { repository } = makeRepository();
   const handler = createIntuneMcpHandler(repository);
@@ -225,7 +803,11 @@ test("MCP server exposes prompts and resources for the catalog", async () => {
     params: {},
   });
   assert.deepEqual(prompts.result.prompts.map((p) => p.name).sort(), [
+    "audit-script-permissions",
+    "convert-to-remediation-pair",
     "find-intune-script",
+    "plan-runbook-deployment",
+    "review-intune-script",
     "write-intune-script",
   ]);
 
@@ -248,6 +830,155 @@ test("MCP server exposes prompts and resources for the catalog", async () => {
   assert.match(read.result.contents[0].text, /Write-Output 'ok'/);
 });
 
+test("workflow prompts wire in the right tools and complete catalog values", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const plan = await sendJsonRpc(handler, {
+    jsonrpc: "2.0",
+    id: 27,
+    method: "prompts/get",
+    params: {
+      name: "plan-runbook-deployment",
+      arguments: { category: "security" },
+    },
+  });
+  const text = plan.result.messages[0].content.text;
+  assert.match(text, /scripts in category 'security'/);
+  assert.match(text, /plan_runbook_deployment/);
+  assert.match(text, /build_script_invocation/);
+
+  const complete = (name, argument, value) =>
+    sendJsonRpc(handler, {
+      jsonrpc: "2.0",
+      id: 28,
+      method: "completion/complete",
+      params: {
+        ref: { type: "ref/prompt", name },
+        argument: { name: argument, value },
+      },
+    }).then((response) => response.result.completion.values);
+
+  assert.deepEqual(await complete("convert-to-remediation-pair", "id", "de"), [
+    "detect-stale-devices",
+  ]);
+  assert.deepEqual(
+    await complete("audit-script-permissions", "ids", "get-device-report, ro"),
+    ["get-device-report, rotate-bitlocker-keys"],
+  );
+  assert.deepEqual(await complete("plan-runbook-deployment", "tag", "dev"), [
+    "Devices",
+  ]);
+});
+
+test("category and tag resources list, complete, and read as markdown", async () => {
+  const { repository } = makeRepository();
+  const handler = createIntuneMcpHandler(repository);
+
+  const templates = await sendJsonRpc(handler, {
+    jsonrpc: "2.0",
+    id: 23,
+    method: "resources/templates/list",
+    params: {},
+  });
+  assert.deepEqual(
+    templates.result.resourceTemplates.map((t) => t.uriTemplate),
+    [
+      "intune-script://{id}",
+      "intune-scripts://category/{name}",
+      "intune-scripts://tag/{tag}",
+    ],
+  );
+
+  const completion = await sendJsonRpc(handler, {
+    jsonrpc: "2.0",
+    id: 24,
+    method: "completion/complete",
+    params: {
+      ref: { type: "ref/resource", uri: "intune-scripts://tag/{tag}" },
+      argument: { name: "tag", value: "bit" },
+    },
+  });
+  assert.deepEqual(completion.result.completion.values, ["BitLocker"]);
+
+  const read = await sendJsonRpc(handler, {
+    jsonrpc: "2.0",
+    id: 25,
+    method: "resources/read",
+    params: { uri: "intune-scripts://category/security" },
+  });
+  assert.equal(read.result.contents[0].mimeType, "text/markdown");
+  assert.match(read.result.contents[0].text, /Rotate BitLocker Keys/);
+
+  const missing = await sendJsonRpc(handler, {
+    jsonrpc: "2.0",
+    id: 26,
+    method: "resources/read",
+    params: { uri: "intune-scripts://tag/unknown" },
+  });
+  assert.ok(missing.error);
+});
+
+test("subscribed clients hear when a refreshed index changes resources", async () => {
+  const { repository } = makeRepository();
+  let index = makeIndex(fixtureScripts);
+  repository.getIndex = async () => ({ index, source: "github" });
+  const handler = createIntuneMcpHandler(repository);
+  await callTool(handler, "search_scripts", {});
+
+  const modern = "2026-07-28";
+  const listen = await handler(
+    new Request("http://localhost:3000/mcp", {
+      method: "POST",
+      headers: {
+        Accept: "application/json, text/event-stream",
+        "Content-Type": "application/json",
+        "MCP-Protocol-Version": modern,
+        "Mcp-Method": "subscriptions/listen",
+      },
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        id: 30,
+        method: "subscriptions/listen",
+        params: {
+          notifications: {
+            resourcesListChanged: true,
+            resourceSubscriptions: ["intune-scripts://category/devices"],
+          },
+          _meta: {
+            "io.modelcontextprotocol/protocolVersion": modern,
+            "io.modelcontextprotocol/clientCapabilities": {},
+            "io.modelcontextprotocol/clientInfo": {
+              name: "test-client",
+              version: "1.0.0",
+            },
+          },
+        },
+      }),
+    }),
+  );
+  assert.equal(listen.headers.get("content-type"), "text/event-stream");
+  const reader = listen.body.getReader();
+  const decoder = new TextDecoder();
+  const nextMethod = async () => {
+    const { value } = await reader.read();
+    return JSON.parse(decoder.decode(value).split("data: ")[1]).method;
+  };
+  assert.equal(await nextMethod(), "notifications/subscriptions/acknowledged");
+
+  const [report, ...rest] = fixtureScripts;
+  index = makeIndex([
+    { ...report, synopsis: "Reports devices as CSV." },
+    ...rest,
+    makeScript({ id: "list-apps", category: "apps", tags: ["Apps"] }),
+  ]);
+  await callTool(handler, "search_scripts", {});
+
+  assert.equal(await nextMethod(), "notifications/resources/list_changed");
+  assert.equal(await nextMethod(), "notifications/resources/updated");
+  await reader.cancel();
+});
+
 test("tool failures do not leak upstream error details", async () => {
   const { repository } = makeRepository();
   repository.getIndex = async () => {
@@ -0,0 +1,70 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import { findScript } from "../src/server/mcp/core.ts";
+import {
+  findSimilarToScript,
+  findSimilarToText,
+} from "../src/server/mcp/similarity.ts";
+import { fixtureIndex } from "./fixtures/scriptIndex.mjs";
+
+const catalog = JSON.parse(
+  readFileSync(
+    new URL("../../mcp/data/scripts-index.json", import.meta.url),
+    "utf8",
+  ),
+);
+
+test("findSimilarToScript excludes the script itself and explains matches", () => {
+  const script = findScript(fixtureIndex, "detect-stale-devices");
+  const similar = findSimilarToScript(fixtureIndex, script, 5);
+
+  assert.ok(similar.length > 0);
+  assert.ok(!similar.some((s) => s.script.id === script.id));
+  assert.equal(similar[0].script.id, "get-device-report");
+  assert.ok(similar[0].sharedTerms.length > 0);
+  for (let i = 1; i < similar.length; i++) {
+    assert.ok(similar[i - 1].score >= similar[i].score);
+  }
+});
+
+test("findSimilarToText scores partial overlap instead of requiring every word", () => {
+  const task = "quarterly job that rotates bitlocker recovery keys for finance";
+  const similar = findSimilarToText(fixtureIndex, task, 3);
+  assert.equal(similar[0].script.id, "rotate-bitlocker-keys");
+  assert.ok(similar[0].sharedTerms.includes("bitlocker"));
+
+  assert.deepEqual(findSimilarToText(fixtureIndex, "zzz qqq", 3), []);
+});
+
+test("findSimilarToScript pairs detection and remediation halves in the catalog", () => {
+  const detect = findScript(catalog, "detect-reboot-pending");
+  assert.equal(
+    findSimilarToScript(catalog, detect, 1)[0].script.id,
+    "remediate-reboot-pending",
+  );
+
+  const apple = findScript(catalog, "apple-token-expiration-alert");
+  assert.equal(
+    findSimilarToScript(catalog, apple, 1)[0].script.id,
+    "check-apple-token-validity",
+  );
+});
+
+test("findSimilarToText handles descriptive tasks with jargon and typos", () => {
+  const ids = (text) =>
+    findSimilarToText(catalog, text, 3).map((s) => s.script.id);
+
+  assert.ok(
+    ids("send an email before the APNs push certificate expires").includes(
+      "apple-token-expiration-alert",
+    ),
+  );
+  assert.ok(
+    ids("make sure antimalware signatures are current").includes(
+      "remediate-antivirus-definitions",
+    ),
+  );
+});
@@ -0,0 +1,80 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import test from "node:test";
+
+import { createSearchIndex, queryTerms } from "../src/lib/search-ranking.ts";
+import { rankScriptHits } from "../src/server/mcp/core.ts";
+import { SEARCH_SYNONYMS } from "../src/server/mcp/synonyms.ts";
+
+const catalog = JSON.parse(
+  readFileSync(
+    new URL("../../mcp/data/scripts-index.json", import.meta.url),
+    "utf8",
+  ),
+).scripts;
+
+const vocabulary = createSearchIndex(catalog, [
+  {
+    weight: 1,
+    text: (s) =>
+      [
+        s.id,
+        s.title,
+        s.synopsis,
+        s.description,
+        s.category,
+        s.notes,
+        ...s.tags,
+        ...s.permissions,
+      ].join(" "),
+  },
+]).documentFrequency;
+
+test("every synonym term exists in the committed catalog", () => {
+  for (const { terms } of SEARCH_SYNONYMS) {
+    for (const term of terms) {
+      for (const stemmed of queryTerms(term)) {
+        assert.ok(vocabulary.has(stemmed), `${term} (${stemmed})`);
+      }
+    }
+  }
+});
+
+test("aliases are unique and never shadow a group's own terms", () => {
+  const seen = new Set();
+  for (const { terms, aliases } of SEARCH_SYNONYMS) {
+    for (const alias of aliases) {
+      const key = alias.toLowerCase();
+      assert.equal(alias, key, `${alias} should be lowercase`);
+      assert.ok(!seen.has(key), `${alias} is listed twice`);
+      assert.ok(!terms.includes(key), `${alias} is also a term`);
+      seen.add(key);
+    }
+  }
+});
+
+test("every alias finds scripts in the committed catalog", () => {
+  for (const { aliases } of SEARCH_SYNONYMS) {
+    for (const alias of aliases) {
+      assert.ok(rankScriptHits(catalog, alias).length > 0, alias);
+    }
+  }
+});
+
+test("acronyms resolve to the scripts that spell the term out", () => {
+  const [entra] = rankScriptHits(catalog, "AAD groups");
+  assert.deepEqual(entra.matchedSynonyms, [
+    { alias: "aad", expandedTo: "entra" },
+  ]);
+
+  assert.equal(
+    rankScriptHits(catalog, "mde status")[0].script.id,
+    "get-defender-status-report",
+  );
+  assert.ok(
+    rankScriptHits(catalog, "wufb")
+      .map((h) => h.script.id)
+      .includes("get-windows-update-compliance-report"),
+  );
+});
@@ -0,0 +1,225 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import test from "node:test";
+
+import {
+  createToolTelemetry,
+  normalizeQuery,
+} from "../src/server/mcp/telemetry.ts";
+import {
+  MAX_ZERO_RESULT_QUERIES,
+  createMemoryUsageReportStore,
+  createRedisUsageReportStore,
+} from "../src/server/mcp/usageReport.ts";
+
+const DAY = 86_400_000;
+const now = Date.parse("2026-09-10T12:00:00Z");
+
+const event = (overrides = {}) => ({
+  tool: "search_scripts",
+  ok: true,
+  latencyMs: 10,
+  resultCount: 3,
+  catalogSource: "github",
+  client: "0123456789abcdef",
+  query: "stale devices",
+  scriptId: null,
+  timestamp: new Date(now).toISOString(),
+  ...overrides,
+});
+
+const sampleEvents = [
+  event(),
+  event({ latencyMs: 30, resultCount: 0, query: "printer queue" }),
+  event({ resultCount: 0, query: "printer queue" }),
+  // Searches without text are browsing, not a catalog gap.
+  event({ resultCount: 0, query: null }),
+  event({
+    tool: "get_script",
+    ok: false,
+    resultCount: null,
+    query: null,
+    scriptId: "missing",
+  }),
+  event({
+    resultCount: 0,
+    query: "ancient query",
+    timestamp: new Date(now - 8 * DAY).toISOString(),
+  }),
+];
+
+const expectedReport = {
+  tools: [
+    {
+      tool: "search_scripts",
+      calls: 4,
+      errors: 0,
+      zeroResults: 2,
+      avgLatencyMs: 15,
+    },
+    {
+      tool: "get_script",
+      calls: 1,
+      errors: 1,
+      zeroResults: 0,
+      avgLatencyMs: 10,
+    },
+  ],
+  zeroResultQueries: [
+    { tool: "search_scripts", query: "printer queue", count: 2 },
+  ],
+};
+
+// Enough of the Upstash client for the report store, over plain Maps.
+function fakeRedis() {
+  const hashes = new Map();
+  const sets = new Map();
+  return {
+    sets,
+    async hincrby(key, field, increment) {
+      const hash = hashes.get(key) ?? {};
+      hash[field] = (hash[field] ?? 0) + increment;
+      hashes.set(key, hash);
+      return hash[field];
+    },
+    async zincrby(key, increment, member) {
+      const set = sets.get(key) ?? new Map();
+      set.set(member, (set.get(member) ?? 0) + increment);
+      sets.set(key, set);
+      return set.get(member);
+    },
+    // Ranks count from the lowest score; negative ranks from the end.
+    async zremrangebyrank(key, start, stop) {
+      const set = sets.get(key) ?? new Map();
+      const ranked = [...set].sort((a, b) => a[1] - b[1]);
+      const at = (rank) => (rank < 0 ? ranked.length + rank : rank);
+      const from = Math.max(0, at(start));
+      const removed = at(stop) < from ? [] : ranked.slice(from, at(stop) + 1);
+      for (const [member] of removed) set.delete(member);
+      return removed.length;
+    },
+    async expire() {
+      return 1;
+    },
+    async hgetall(key) {
+      return hashes.get(key) ?? null;
+    },
+    async zrange(key, start, stop) {
+      return [...(sets.get(key) ?? new Map())]
+        .sort((a, b) => b[1] - a[1])
+        .slice(start, stop + 1)
+        .flat();
+    },
+  };
+}
+
+for (const [name, makeStore] of [
+  ["memory", createMemoryUsageReportStore],
+  ["redis", () => createRedisUsageReportStore(fakeRedis())],
+]) {
+  test(`${name} usage report aggregates tools and zero-result queries`, async () => {
+    const store = makeStore();
+    for (const e of sampleEvents) await store.record(e);
+
+    const report = await store.report(7, now);
+    assert.equal(report.days.length, 7);
+    assert.equal(report.days.at(-1), "2026-09-10");
+    assert.deepEqual(
+      { tools: report.tools, zeroResultQueries: report.zeroResultQueries },
+      expectedReport,
+    );
+    assert.equal(
+      (await store.report(9, now)).zeroResultQueries.at(-1).query,
+      "ancient query",
+    );
+  });
+}
+
+test("redis usage report keeps a bounded set of short zero-result queries", async () => {
+  const redis = fakeRedis();
+  const store = createRedisUsageReportStore(redis);
+  await store.record(event({ resultCount: 0, query: "printer queue" }));
+  await store.record(event({ resultCount: 0, query: "printer queue" }));
+  for (let i = 0; i < MAX_ZERO_RESULT_QUERIES + 5; i++) {
+    await store.record(event({ resultCount: 0, query: `q${i}` }));
+  }
+  await store.record(event({ resultCount: 0, query: "x".repeat(500) }));
+
+  const [members] = redis.sets.values();
+  assert.equal(members.size, MAX_ZERO_RESULT_QUERIES);
+  // The most frequent query survives trimming.
+  assert.equal(members.get("search_scripts\tprinter queue"), 2);
+  assert.ok([...members.keys()].every((m) => m.length <= 215));
+});
+
+test("telemetry fans out to exporters and survives failing ones", async () => {
+  const seen = [];
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args.join(" "));
+  try {
+    const deferred = [];
+    const telemetry = createToolTelemetry(
+      [
+        () => {
+          throw new Error("sync failure");
+        },
+        async () => {
+          throw new Error("async failure");
+        },
+        async (e) => {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          seen.push(e.tool);
+        },
+      ],
+      { defer: (exports) => deferred.push(exports) },
+    );
+    telemetry.record(event());
+    // The exports are handed to defer (next/server `after` in production)
+    // so a serverless response doesn't cut them off.
+    assert.equal(deferred.length, 1);
+    assert.deepEqual(seen, []);
+    await deferred[0];
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(seen, ["search_scripts"]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /telemetry exporter failed/);
+});
+
+test("telemetry hashes clients with a secret key that rotates daily", () => {
+  let clock = now;
+  const telemetry = createToolTelemetry([], {
+    clientSecret: "telemetry-secret-for-tests",
+    now: () => clock,
+  });
+  const today = telemetry.client("203.0.113.7");
+
+  assert.match(today, /^[0-9a-f]{16}$/);
+  assert.equal(telemetry.client("203.0.113.7"), today);
+  assert.notEqual(telemetry.client("203.0.113.8"), today);
+  // Not the plain SHA-256 anyone could rebuild from the IPv4 space.
+  assert.notEqual(
+    today,
+    createHash("sha256").update("203.0.113.7").digest("hex").slice(0, 16),
+  );
+
+  clock += DAY;
+  assert.notEqual(telemetry.client("203.0.113.7"), today);
+  assert.notEqual(
+    createToolTelemetry([], {
+      clientSecret: "another-secret-value",
+      now: () => now,
+    }).client("203.0.113.7"),
+    today,
+  );
+});
+
+test("normalizeQuery collapses whitespace and caps length", () => {
+  assert.equal(normalizeQuery("  stale\t\tdevices \n"), "stale devices");
+  assert.equal(normalizeQuery("x".repeat(500)).length, 200);
+  assert.equal(normalizeQuery("   "), null);
+  assert.equal(normalizeQuery(42), null);
+});
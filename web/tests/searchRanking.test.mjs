@@ -0,0 +1,92 @@
+// @ts-nocheck -- Node's test runner executes TypeScript imports directly.
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import {
+  createSearchIndex,
+  editDistance,
+  queryTerms,
+  searchIndex,
+  stem,
+  tokenize,
+} from "../src/lib/search-ranking.ts";
+
+test("tokenize splits camelCase, dotted scopes, and hyphenated ids", () => {
+  assert.deepEqual(tokenize("rotate-bitlocker-keys"), [
+    "rotate",
+    "bitlocker",
+    "keys",
+  ]);
+  assert.deepEqual(tokenize("DeviceManagementApps.ReadWrite.All"), [
+    "device",
+    "management",
+    "apps",
+    "devicemanagementapps",
+    "read",
+    "write",
+    "readwrite",
+    "all",
+  ]);
+});
+
+test("stem maps inflections onto a shared stem", () => {
+  for (const word of ["wipe", "wiping", "wiped", "wipes"]) {
+    assert.equal(stem(word), "wip", word);
+  }
+  assert.equal(stem("policies"), stem("policy"));
+  assert.equal(stem("devices"), stem("device"));
+  assert.equal(stem("remediation"), stem("remediate"));
+  assert.equal(stem("running"), "run");
+  assert.equal(stem("status"), "status");
+  assert.equal(stem("windows11"), "windows11");
+});
+
+test("editDistance counts transpositions and stops past the bound", () => {
+  assert.equal(editDistance("autopliot", "autopilot", 2), 1);
+  assert.equal(editDistance("bitlockr", "bitlocker", 2), 1);
+  assert.equal(editDistance("kitten", "sitting", 3), 3);
+  assert.equal(editDistance("compliance", "bitlocker", 2), 3);
+});
+
+test("queryTerms drops stop words unless nothing else is left", () => {
+  assert.deepEqual(queryTerms("how to wipe all the devices"), ["wip", "devic"]);
+  assert.deepEqual(queryTerms("the"), ["the"]);
+});
+
+const docs = [
+  { name: "alpha", title: "Wipe devices", body: "Remote wipe." },
+  { name: "beta", title: "Device report", body: "Mentions wipe once." },
+  { name: "gamma", title: "Sync devices", body: "Nothing relevant." },
+];
+const fields = [
+  { weight: 6, text: (d) => d.title },
+  { weight: 1, text: (d) => d.body },
+];
+
+test("searchIndex ranks heavier fields first and requires every term", () => {
+  const index = createSearchIndex(docs, fields);
+
+  const hits = searchIndex(index, "wiping");
+  assert.deepEqual(
+    hits.map((h) => h.doc.name),
+    ["alpha", "beta"],
+  );
+  assert.ok(hits[0].score > hits[1].score);
+  assert.deepEqual(hits[0].matches, { wip: ["wip"] });
+
+  assert.deepEqual(
+    searchIndex(index, "wipe report").map((h) => h.doc.name),
+    ["beta"],
+  );
+  assert.deepEqual(searchIndex(index, "zzz"), []);
+});
+
+test("searchIndex tolerates typos and matches prefixes", () => {
+  const index = createSearchIndex(docs, fields);
+
+  assert.equal(searchIndex(index, "synch devices")[0].doc.name, "gamma");
+  assert.deepEqual(
+    searchIndex(index, "rep").map((h) => h.doc.name),
+    ["beta"],
+  );
+});